@@ -1,32 +1,53 @@
 import defaultSettings from './settings.js';
-import { MS_PER_MINUTE } from '../utils/timing.js';
 import { MAX_MIDI_VELOCITY } from '../visuals/effects/effectConstants.js';
+import ControlBindings from '../midi-input/ControlBindings.js';
+import DevicePolicy from '../midi-input/DevicePolicy.js';
+import TapTempo from './TapTempo.js';
+import ClockTempoTracker from './ClockTempoTracker.js';
 
 const EVENT_MIDI_CONNECTION_CHANGED = 'midiConnectionChanged';
+const EVENT_MIDI_AVAILABILITY_CHANGED = 'midiAvailabilityChanged';
 const EVENT_CLIPS_LOADED_CHANGED = 'clipsLoadedChanged';
 const EVENT_BPM_CHANGED = 'bpmChanged';
 const EVENT_BPM_SOURCE_CHANGED = 'bpmSourceChanged';
 const EVENT_MIDI_NOTE_ON = 'midiNoteOn';
 const EVENT_MIDI_NOTE_OFF = 'midiNoteOff';
 const EVENT_MIDI_CONTROL_CHANGE = 'midiControlChange';
+const EVENT_MIDI_PITCH_BEND = 'midiPitchBend';
+const EVENT_MIDI_CHANNEL_PRESSURE = 'midiChannelPressure';
+const EVENT_MIDI_POLY_PRESSURE = 'midiPolyPressure';
 const EVENT_MIDI_CLOCK = 'midiClock';
 const EVENT_MIDI_START = 'midiStart';
 const EVENT_MIDI_CONTINUE = 'midiContinue';
 const EVENT_MIDI_STOP = 'midiStop';
+const EVENT_MIDI_SONG_POSITION = 'midiSongPosition';
 const EVENT_VIDEO_JOCKEY_READY = 'videoJockeyReady';
 const EVENT_PROJECT_SWITCH = 'projectSwitch';
+const EVENT_SCENE_SELECT = 'sceneSelect';
 const EVENT_PROJECT_LOAD_START = 'projectLoadStart';
 const EVENT_PROJECT_LOAD_COMPLETE = 'projectLoadComplete';
 const EVENT_PROJECT_LOAD_ERROR = 'projectLoadError';
 const EVENT_CLIP_LOAD_ERROR = 'clipLoadError';
 const EVENT_USER_MESSAGE = 'userMessage';
+const EVENT_MIDI_LEARN_ARMED = 'midiLearnArmed';
+const EVENT_MIDI_LEARN_COMPLETE = 'midiLearnComplete';
+const EVENT_MIDI_FEEDBACK = 'midiFeedback';
+const EVENT_MIDI_INPUTS_CHANGED = 'midiInputsChanged';
+const EVENT_MIDI_DEVICE_POLICY_CHANGED = 'midiDevicePolicyChanged';
+const EVENT_TEMPO_TAP = 'tempoTap';
+const EVENT_TEMPO_PHASE_RESET = 'tempoPhaseReset';
+const EVENT_MIDI_RECORDER_CHANGED = 'midiRecorderChanged';
+const EVENT_SETLIST_STEP = 'setlistStep';
+const EVENT_SETLIST_CHANGED = 'setlistChanged';
+const EVENT_CLIP_CACHE_CHANGED = 'clipCacheChanged';
 const USER_MESSAGE_TYPES = new Set(['error', 'warning', 'info']);
 const BPM_SOURCE_DEFAULT = 'default';
 const BPM_SOURCE_MANUAL = 'manual';
 const BPM_SOURCE_CLOCK = 'clock';
 const BPM_SOURCE_CC = 'cc';
-const MIN_CLOCK_INTERVALS_FOR_BPM = 6;
 const BPM_CHANGE_THRESHOLD = 0.01;
+const MAX_SONG_POSITION = 0x3fff; // 14-bit Song Position Pointer
+const CC_SWITCH_ON_VALUE = 64; // CC values from here up count as a pressed button
 
 /**
  * AppState - Event-based state management for AKVJ
@@ -40,6 +61,7 @@ const BPM_CHANGE_THRESHOLD = 0.01;
 class AppState extends EventTarget {
 	#settings;
 	#isMidiConnected = false;
+	#isMidiAvailable = true;
 	#isClipsLoaded = false;
 	#activeProjectId = null;
 	#projectSwitching = false;
@@ -49,18 +71,46 @@ class AppState extends EventTarget {
 	#bpmSource = BPM_SOURCE_DEFAULT; // 'default', 'clock', 'cc', or 'manual'
 
 	// MIDI Clock timing state
-	#lastClockTime = null;
+	#clockTempoTracker;
 	#clockTimeoutId = null;
-	#recentPulseIntervals = []; // Last few pulse intervals for BPM calculation
 	#resetGeneration = 0; // Increments on each reset() to invalidate pending callbacks
 
+	// Transport state (start/continue/stop + Song Position Pointer)
+	#transportPulse = 0; // Song position of the next clock pulse, in clock pulses
+	#isTransportRunning = false;
+
+	// Tap tempo state
+	#tapTempo;
+
+	// MIDI Learn state
+	#controlBindings;
+	#midiLearnTarget = null;
+
+	// Setlist state
+	#setlistStatus = null;
+	/** @type {Map<string, number>} Last value of each setlist CC ('channel:controller'), to step once per press */
+	#setlistControlValues = new Map();
+
+	// Sprite cache state (lazy clip loading)
+	#clipCacheStats = null;
+
+	// MIDI input devices
+	#devicePolicy;
+	#midiInputs = [];
+
 	/**
 	 * @param {Object} [settings=defaultSettings] - Runtime configuration (defaults to global settings)
+	 * @param {ControlBindings} [controlBindings] - Injected for testing; created from settings by default
+	 * @param {DevicePolicy} [devicePolicy] - Injected for testing; created from settings by default
 	 */
-	constructor(settings = defaultSettings) {
+	constructor(settings = defaultSettings, controlBindings = new ControlBindings(settings), devicePolicy = new DevicePolicy(settings)) {
 		super();
 		this.#settings = settings;
 		this.#currentBPM = this.#settings.bpm.default;
+		this.#controlBindings = controlBindings;
+		this.#devicePolicy = devicePolicy;
+		this.#tapTempo = new TapTempo(settings);
+		this.#clockTempoTracker = new ClockTempoTracker(settings);
 	}
 
 	/**
@@ -94,6 +144,22 @@ class AppState extends EventTarget {
 		return this.#isMidiConnected;
 	}
 
+	/**
+	 * Whether Web MIDI can be used at all (false when the browser lacks it or access was denied).
+	 * The on-screen controller opens itself when this turns false.
+	 * @param {boolean} available
+	 */
+	set midiAvailable(available) {
+		if (this.#isMidiAvailable !== available) {
+			this.#isMidiAvailable = available;
+			this.#dispatchStateEvent(EVENT_MIDI_AVAILABILITY_CHANGED, { available });
+		}
+	}
+
+	get midiAvailable() {
+		return this.#isMidiAvailable;
+	}
+
 	set clipsLoaded(loaded) {
 		if (this.#isClipsLoaded !== loaded) {
 			this.#isClipsLoaded = loaded;
@@ -183,6 +249,16 @@ class AppState extends EventTarget {
 		}
 	}
 
+	/**
+	 * Follow another AppState's tempo, keeping its source (the render worker's appState follows
+	 * the main thread's, see RenderWorkerHost).
+	 * @param {number} bpm
+	 * @param {string} source - 'default', 'clock', 'cc', or 'manual'
+	 */
+	syncTempo(bpm, source) {
+		this.#setBPM(bpm, source);
+	}
+
 	/**
 	 * Get the current BPM source
 	 * @returns {string} 'default', 'clock', 'cc', or 'manual'
@@ -221,6 +297,15 @@ class AppState extends EventTarget {
 		this.#dispatchStateEvent(EVENT_PROJECT_SWITCH, { note });
 	}
 
+	/**
+	 * Dispatch a scene selection request from MIDI.
+	 * The note number corresponds to a scene index in the active project's `scenes` array.
+	 * @param {number} note - MIDI note number (0-127), used as scene index
+	 */
+	dispatchSceneSelection(note) {
+		this.#dispatchStateEvent(EVENT_SCENE_SELECT, { note });
+	}
+
 	/**
 	 * Dispatch MIDI note off event with parsed data
 	 * @param {number} channel - MIDI channel (0-15)
@@ -231,34 +316,319 @@ class AppState extends EventTarget {
 	}
 
 	/**
-	 * Dispatch MIDI Control Change event
-	 * @param {number} channel - MIDI channel (0-15)
+	 * Dispatch MIDI Control Change event. Learned CC bindings match the channel the controller
+	 * sends on; the event carries the learned channel route (see ControlBindings.resolveChannel),
+	 * like notes, along with that source channel as `sourceChannel`.
+	 * @param {number} channel - MIDI channel the controller sends on (0-15)
 	 * @param {number} controller - CC number (0-127)
 	 * @param {number} value - CC value (0-127)
 	 */
 	dispatchMIDIControlChange(channel, controller, value) {
-		if (channel === this.#settings.bpm.controlChannel && controller === this.#settings.bpm.controlCC && this.#bpmSource !== BPM_SOURCE_CLOCK) {
+		if (this.#midiLearnTarget !== null && ControlBindings.isControlChangeTarget(this.#midiLearnTarget)) {
+			// The learning CC is consumed so the knob move does not also scrub/retune
+			this.#completeMidiLearn(this.#controlBindings.bindControlChange(this.#midiLearnTarget, channel, controller));
+			return;
+		}
+
+		const setlistAction = this.#controlBindings.getSetlistControlAction(channel, controller);
+		if (setlistAction !== null) {
+			// Setlist CCs step when they cross into the "pressed" half and are consumed
+			const key = `${channel}:${controller}`;
+			const wasPressed = (this.#setlistControlValues.get(key) ?? 0) >= CC_SWITCH_ON_VALUE;
+			this.#setlistControlValues.set(key, value);
+			if (!wasPressed && value >= CC_SWITCH_ON_VALUE) {
+				this.triggerSetlistAction(setlistAction);
+			}
+			return;
+		}
+
+		if (this.#controlBindings.isBPMControl(channel, controller) && this.#bpmSource !== BPM_SOURCE_CLOCK) {
 			this.#setBPM(this.#convertCCToBPM(value), BPM_SOURCE_CC);
 		}
 
-		this.#dispatchStateEvent(EVENT_MIDI_CONTROL_CHANGE, { channel, controller, value });
+		this.#dispatchStateEvent(EVENT_MIDI_CONTROL_CHANGE, { channel: this.#controlBindings.resolveChannel(channel), controller, value, sourceChannel: channel });
+	}
+
+	/**
+	 * Dispatch MIDI Pitch Bend event
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number} value - 14-bit bend (0-16383, 8192 = centre)
+	 */
+	dispatchMIDIPitchBend(channel, value) {
+		this.#dispatchStateEvent(EVENT_MIDI_PITCH_BEND, { channel, value });
+	}
+
+	/**
+	 * Dispatch MIDI Channel Pressure (channel aftertouch) event
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number} pressure - Pressure (0-127)
+	 */
+	dispatchMIDIChannelPressure(channel, pressure) {
+		this.#dispatchStateEvent(EVENT_MIDI_CHANNEL_PRESSURE, { channel, pressure });
+	}
+
+	/**
+	 * Dispatch MIDI Polyphonic Key Pressure (per-note aftertouch) event
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number} note - MIDI note (0-127)
+	 * @param {number} pressure - Pressure (0-127)
+	 */
+	dispatchMIDIPolyPressure(channel, note, pressure) {
+		this.#dispatchStateEvent(EVENT_MIDI_POLY_PRESSURE, { channel, note, pressure });
+	}
+
+	/**
+	 * Dispatch controller LED updates for Midi.js to send to feedback outputs.
+	 * @param {Array<{channel: number, note: number, velocity: number}>} updates - Code channel, note and LED velocity
+	 */
+	dispatchMIDIFeedback(updates) {
+		if (updates.length === 0) {
+			return;
+		}
+		this.#dispatchStateEvent(EVENT_MIDI_FEEDBACK, { updates });
+	}
+
+	/**
+	 * Dispatch a MIDI recorder/player state change (shown in the debug overlay).
+	 * @param {'recording'|'replaying'|'idle'} mode
+	 * @param {number} eventCount - Events recorded so far, or in the replayed recording
+	 */
+	dispatchMIDIRecorderState(mode, eventCount) {
+		this.#dispatchStateEvent(EVENT_MIDI_RECORDER_CHANGED, { mode, eventCount });
+	}
+
+	/**
+	 * Connected MIDI inputs (including blocked ones), as reported by Midi.js.
+	 * @returns {Array<{id: string, name: string}>}
+	 */
+	get midiInputs() {
+		return [...this.#midiInputs];
+	}
+
+	/**
+	 * @param {Array<{id: string, name: string}>} inputs
+	 */
+	set midiInputs(inputs) {
+		const isUnchanged = inputs.length === this.#midiInputs.length && inputs.every((input, index) => input.id === this.#midiInputs[index].id);
+		if (isUnchanged) {
+			return;
+		}
+		this.#midiInputs = inputs.map(({ id, name }) => ({ id, name }));
+		this.#dispatchStateEvent(EVENT_MIDI_INPUTS_CHANGED, { inputs: this.midiInputs });
+	}
+
+	/**
+	 * Input device allow/deny and channel routing policy.
+	 * @returns {DevicePolicy}
+	 */
+	get devicePolicy() {
+		return this.#devicePolicy;
+	}
+
+	/**
+	 * Enable or block an input device at runtime (overrides settings.midiDevices).
+	 * @param {{id?: string, name?: string}} input
+	 * @param {boolean} enabled
+	 */
+	setMidiInputEnabled(input, enabled) {
+		this.#devicePolicy.setEnabled(input, enabled);
+		this.#dispatchStateEvent(EVENT_MIDI_DEVICE_POLICY_CHANGED, { input, policy: this.#devicePolicy.describe(input) });
+	}
+
+	/**
+	 * Route every channel of an input device by a fixed offset (overrides settings.midiDevices).
+	 * @param {{id?: string, name?: string}} input
+	 * @param {number} offset - Any integer; wrapped into 0-15
+	 */
+	setMidiInputChannelOffset(input, offset) {
+		if (this.#devicePolicy.setChannelOffset(input, offset)) {
+			this.#dispatchStateEvent(EVENT_MIDI_DEVICE_POLICY_CHANGED, { input, policy: this.#devicePolicy.describe(input) });
+		}
+	}
+
+	/**
+	 * Revert an input device to the settings policy.
+	 * @param {{id?: string, name?: string}} input
+	 */
+	clearMidiInputPolicy(input) {
+		this.#devicePolicy.clear(input);
+		this.#dispatchStateEvent(EVENT_MIDI_DEVICE_POLICY_CHANGED, { input, policy: this.#devicePolicy.describe(input) });
+	}
+
+	/**
+	 * Live MIDI binding table (scrub CCs, BPM CC, channel routing).
+	 * @returns {ControlBindings}
+	 */
+	get controlBindings() {
+		return this.#controlBindings;
+	}
+
+	/**
+	 * The learn target currently waiting for MIDI input, or null.
+	 * @returns {string|null}
+	 */
+	get midiLearnTarget() {
+		return this.#midiLearnTarget;
+	}
+
+	/**
+	 * Arm MIDI Learn: the next matching CC (or note, for channel and tempo targets) is bound to the target.
+	 * @param {string} target - One of ControlBindings.listLearnTargets()
+	 * @returns {boolean} True if the target was armed
+	 */
+	armMidiLearn(target) {
+		if (!ControlBindings.isControlChangeTarget(target) && !ControlBindings.isChannelTarget(target) && !ControlBindings.isNoteTarget(target)) {
+			console.warn('AppState: unknown MIDI Learn target', target);
+			return false;
+		}
+		this.#midiLearnTarget = target;
+		this.#dispatchStateEvent(EVENT_MIDI_LEARN_ARMED, { target });
+		return true;
+	}
+
+	/**
+	 * Disarm MIDI Learn without binding anything.
+	 */
+	cancelMidiLearn() {
+		if (this.#midiLearnTarget === null) {
+			return;
+		}
+		this.#midiLearnTarget = null;
+		this.#dispatchStateEvent(EVENT_MIDI_LEARN_ARMED, { target: null });
+	}
+
+	/**
+	 * Offer a note-on to MIDI Learn. Called by Midi.js with the raw input channel,
+	 * before channel routing, so a channel target learns the controller's real channel.
+	 * @param {number} channel - Raw MIDI channel (0-15)
+	 * @param {number} note - MIDI note (0-127), bound by tempo targets
+	 * @returns {boolean} True if the note was consumed by learning
+	 */
+	captureMidiLearnNote(channel, note) {
+		if (this.#midiLearnTarget === null) {
+			return false;
+		}
+		if (ControlBindings.isChannelTarget(this.#midiLearnTarget)) {
+			this.#completeMidiLearn(this.#controlBindings.bindChannel(this.#midiLearnTarget, channel));
+			return true;
+		}
+		if (ControlBindings.isNoteTarget(this.#midiLearnTarget)) {
+			this.#completeMidiLearn(this.#controlBindings.bindNote(this.#midiLearnTarget, channel, note));
+			return true;
+		}
+		return false;
+	}
+
+	#completeMidiLearn(isBound) {
+		const target = this.#midiLearnTarget;
+		this.#midiLearnTarget = null;
+		if (isBound) {
+			this.#dispatchStateEvent(EVENT_MIDI_LEARN_COMPLETE, { target, binding: this.#controlBindings.describe(target) });
+		}
+		this.#dispatchStateEvent(EVENT_MIDI_LEARN_ARMED, { target: null });
+	}
+
+	/**
+	 * Register a tap-tempo tap. From the second tap on, the tapped BPM becomes the manual BPM.
+	 * Ignored while MIDI clock drives the BPM.
+	 * @param {number} [timestamp] - performance.now() timestamp of the tap
+	 * @returns {boolean} True if the tap was registered
+	 */
+	tapTempo(timestamp = performance.now()) {
+		if (this.#bpmSource === BPM_SOURCE_CLOCK) {
+			return false;
+		}
+		const bpm = this.#tapTempo.tap(timestamp);
+		if (bpm !== null) {
+			this.#setBPM(bpm, BPM_SOURCE_MANUAL);
+		}
+		this.#dispatchStateEvent(EVENT_TEMPO_TAP, { count: this.#tapTempo.tapCount, bpm });
+		return true;
+	}
+
+	/**
+	 * Nudge the BPM by `settings.tempo.nudgeStep`. Ignored while MIDI clock drives the BPM.
+	 * @param {number} direction - 1 (faster) or -1 (slower)
+	 * @returns {boolean} True if the BPM was nudged
+	 */
+	nudgeTempo(direction) {
+		if (this.#bpmSource === BPM_SOURCE_CLOCK) {
+			return false;
+		}
+		this.#setBPM(this.#currentBPM + Math.sign(direction) * this.#settings.tempo.nudgeStep, BPM_SOURCE_MANUAL);
+		return true;
+	}
+
+	/**
+	 * Restart beat-synced clips on the downbeat (first frame of their cycle), now.
+	 * Ignored while the DAW transport runs, since the song position owns the phase then.
+	 * @returns {boolean} True if the phase reset was dispatched
+	 */
+	resetTempoPhase() {
+		if (this.#isTransportRunning) {
+			return false;
+		}
+		this.#dispatchStateEvent(EVENT_TEMPO_PHASE_RESET, {});
+		return true;
+	}
+
+	/**
+	 * Run a tempo action by name (keyboard keys and learned MIDI notes).
+	 * @param {string} action - One of TEMPO_ACTIONS ('tap', 'nudgeDown', 'nudgeUp', 'phaseReset')
+	 * @param {number} [timestamp] - performance.now() timestamp (used by 'tap')
+	 * @returns {boolean} True if the action had an effect
+	 */
+	triggerTempoAction(action, timestamp = performance.now()) {
+		switch (action) {
+			case 'tap':
+				return this.tapTempo(timestamp);
+			case 'nudgeDown':
+				return this.nudgeTempo(-1);
+			case 'nudgeUp':
+				return this.nudgeTempo(1);
+			case 'phaseReset':
+				return this.resetTempoPhase();
+			default:
+				return false;
+		}
 	}
 
 	/**
 	 * Handle MIDI Clock pulse (0xF8)
 	 * MIDI clock sends 24 pulses per quarter note (24 PPQN)
 	 *
-	 * Simple algorithm:
-	 * 1. Track intervals between pulses
-	 * 2. Average the last few intervals
-	 * 3. Calculate BPM from average
+	 * The BPM comes from ClockTempoTracker, which smooths out USB timing jitter
+	 * and rejects outlying pulses (see settings.bpm.clockTracking).
+	 *
+	 * While the transport is running each pulse carries its song position, so
+	 * beat-synced clips can derive their frame from the transport.
 	 *
 	 * @param {number} timestamp - Performance.now() timestamp
 	 */
 	dispatchMIDIClock(timestamp) {
 		this.#resetClockTimeout();
 		this.#processClockPulse(timestamp);
-		this.#dispatchStateEvent(EVENT_MIDI_CLOCK, { timestamp });
+		this.#dispatchClockPulse(timestamp);
+	}
+
+	/**
+	 * Follow a clock pulse of another AppState, taking over its transport (the render worker's
+	 * appState follows the main thread's, see RenderWorkerBridge). The tempo is not tracked from
+	 * these pulses; it comes with syncTempo.
+	 * @param {{timestamp: number, position: number, isTransportRunning: boolean}} pulse - The other AppState's EVENT_MIDI_CLOCK detail
+	 */
+	syncMIDIClock({ timestamp, position, isTransportRunning }) {
+		this.#transportPulse = position;
+		this.#isTransportRunning = isTransportRunning;
+		this.#dispatchClockPulse(timestamp);
+	}
+
+	#dispatchClockPulse(timestamp) {
+		const position = this.#transportPulse;
+		if (this.#isTransportRunning) {
+			this.#transportPulse++;
+		}
+		this.#dispatchStateEvent(EVENT_MIDI_CLOCK, { timestamp, position, isTransportRunning: this.#isTransportRunning });
 	}
 
 	#resetClockTimeout() {
@@ -271,6 +641,8 @@ class AppState extends EventTarget {
 			if (generation !== this.#resetGeneration) {
 				return;
 			}
+			// The gap is not a pulse interval; resume from the last tempo when the clock returns
+			this.#clockTempoTracker.pause();
 			if (this.#bpmSource === BPM_SOURCE_CLOCK) {
 				this.#bpmSource = BPM_SOURCE_DEFAULT;
 				this.#dispatchStateEvent(EVENT_BPM_SOURCE_CHANGED, { source: BPM_SOURCE_DEFAULT, bpm: this.#currentBPM });
@@ -279,35 +651,14 @@ class AppState extends EventTarget {
 	}
 
 	#processClockPulse(timestamp) {
-		if (this.#lastClockTime === null) {
-			this.#lastClockTime = timestamp;
+		const bpm = this.#clockTempoTracker.addPulse(timestamp);
+		if (bpm === null) {
 			return;
 		}
-
-		const interval = timestamp - this.#lastClockTime;
-		if (interval < 1) {
+		// Hysteresis: residual jitter in the estimate must not flicker beat-synced clip speeds
+		if (this.#bpmSource === BPM_SOURCE_CLOCK && Math.abs(bpm - this.#currentBPM) < this.#settings.bpm.clockTracking.minChange) {
 			return;
 		}
-
-		this.#recentPulseIntervals.push(interval);
-		if (this.#recentPulseIntervals.length > this.#settings.midi.ppqn) {
-			this.#recentPulseIntervals.shift();
-		}
-
-		if (this.#recentPulseIntervals.length >= MIN_CLOCK_INTERVALS_FOR_BPM) {
-			this.#calculateBPMFromClock();
-		}
-		this.#lastClockTime = timestamp;
-	}
-
-	#calculateBPMFromClock() {
-		let total = 0;
-		for (const interval of this.#recentPulseIntervals) {
-			total += interval;
-		}
-		const avgInterval = total / this.#recentPulseIntervals.length;
-		const msPerBeat = avgInterval * this.#settings.midi.ppqn;
-		const bpm = MS_PER_MINUTE / msPerBeat;
 		this.#setBPM(bpm, BPM_SOURCE_CLOCK);
 	}
 
@@ -316,17 +667,19 @@ class AppState extends EventTarget {
 	 * Resets clock state for fresh sync
 	 */
 	dispatchMIDIStart() {
-		this.#lastClockTime = null;
-		this.#recentPulseIntervals = [];
+		this.#clockTempoTracker.reset();
+		this.#transportPulse = 0;
+		this.#isTransportRunning = true;
 
 		this.#dispatchStateEvent(EVENT_MIDI_START, {});
 	}
 
 	/**
 	 * Handle MIDI Continue message (0xFB)
-	 * Resumes clock counting from current state
+	 * Resumes clock counting from current state (or the last Song Position Pointer)
 	 */
 	dispatchMIDIContinue() {
+		this.#isTransportRunning = true;
 		this.#dispatchStateEvent(EVENT_MIDI_CONTINUE, {});
 	}
 
@@ -335,16 +688,47 @@ class AppState extends EventTarget {
 	 * Pauses BPM sync (keeps last BPM value)
 	 */
 	dispatchMIDIStop() {
-		this.#lastClockTime = null;
-		// Keep intervals for faster re-lock on continue
+		// Keep the tempo estimate for faster re-lock on continue
+		this.#clockTempoTracker.pause();
+		this.#isTransportRunning = false;
 
 		this.#dispatchStateEvent(EVENT_MIDI_STOP, {});
 	}
 
+	/**
+	 * Handle MIDI Song Position Pointer (0xF2)
+	 * Sent by the DAW after a locate (usually while stopped); the next clock
+	 * pulse after Continue plays at this position.
+	 * @param {number} songPosition - MIDI beats (sixteenth notes) since song start (0-16383)
+	 */
+	dispatchMIDISongPosition(songPosition) {
+		if (!Number.isInteger(songPosition) || songPosition < 0 || songPosition > MAX_SONG_POSITION) {
+			return;
+		}
+		this.#transportPulse = songPosition * this.#settings.midi.clocksPerSongPositionUnit;
+		this.#dispatchStateEvent(EVENT_MIDI_SONG_POSITION, { position: this.#transportPulse, beat: this.transportBeat });
+	}
+
+	/**
+	 * Song position of the next clock pulse, in beats (quarter notes).
+	 * @returns {number}
+	 */
+	get transportBeat() {
+		return this.#transportPulse / this.#settings.midi.ppqn;
+	}
+
+	/**
+	 * Whether the DAW transport is playing (between Start/Continue and Stop).
+	 * @returns {boolean}
+	 */
+	get isTransportRunning() {
+		return this.#isTransportRunning;
+	}
+
 	/**
 	 * Set BPM value and dispatch change event
 	 * @param {number} bpm - New BPM value
-	 * @param {string} source - BPM source ('default', 'clock', or 'cc')
+	 * @param {string} source - BPM source ('default', 'clock', 'cc', or 'manual')
 	 */
 	#setBPM(bpm, source) {
 		const clampedBPM = Math.max(this.#settings.bpm.min, Math.min(this.#settings.bpm.max, bpm));
@@ -367,6 +751,66 @@ class AppState extends EventTarget {
 		this.#dispatchStateEvent(EVENT_VIDEO_JOCKEY_READY, {});
 	}
 
+	/**
+	 * Ask for the previous/next setlist entry (see VisualEngine).
+	 * @param {number} step - -1 (previous) or 1 (next)
+	 */
+	stepSetlist(step) {
+		this.#dispatchStateEvent(EVENT_SETLIST_STEP, { step: Math.sign(step) });
+	}
+
+	/**
+	 * Run a setlist action by name (keyboard keys, MIDI notes and CCs).
+	 * @param {string} action - One of SETLIST_ACTIONS ('previous', 'next')
+	 * @returns {boolean} True if the action was recognised
+	 */
+	triggerSetlistAction(action) {
+		switch (action) {
+			case 'previous':
+				this.stepSetlist(-1);
+				return true;
+			case 'next':
+				this.stepSetlist(1);
+				return true;
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Where the show is in the setlist, or null without a setlist.
+	 * @returns {import('./Setlist.js').SetlistStatus|null}
+	 */
+	get setlistStatus() {
+		return this.#setlistStatus;
+	}
+
+	/**
+	 * Publish the setlist position and dispatch a change event.
+	 * @param {import('./Setlist.js').SetlistStatus|null} status
+	 */
+	set setlistStatus(status) {
+		this.#setlistStatus = status;
+		this.#dispatchStateEvent(EVENT_SETLIST_CHANGED, { status });
+	}
+
+	/**
+	 * Sprite cache memory use and hit/miss counts, or null when clips load eagerly.
+	 * @returns {import('../visuals/SpriteCache.js').SpriteCacheStats|null}
+	 */
+	get clipCacheStats() {
+		return this.#clipCacheStats;
+	}
+
+	/**
+	 * Publish sprite cache stats and dispatch a change event.
+	 * @param {import('../visuals/SpriteCache.js').SpriteCacheStats|null} stats
+	 */
+	set clipCacheStats(stats) {
+		this.#clipCacheStats = stats;
+		this.#dispatchStateEvent(EVENT_CLIP_CACHE_CHANGED, { stats });
+	}
+
 	/**
 	 * Reset state to initial values.
 	 *
@@ -389,14 +833,24 @@ class AppState extends EventTarget {
 	 */
 	reset() {
 		this.#isMidiConnected = false;
+		this.#isMidiAvailable = true;
 		this.#isClipsLoaded = false;
 		this.#activeProjectId = null;
 		this.#projectSwitching = false;
 
 		this.#currentBPM = this.#settings.bpm.default;
 		this.#bpmSource = BPM_SOURCE_DEFAULT;
-		this.#lastClockTime = null;
-		this.#recentPulseIntervals = [];
+		this.#clockTempoTracker.reset();
+		this.#transportPulse = 0;
+		this.#isTransportRunning = false;
+		this.#tapTempo.reset();
+		this.#midiLearnTarget = null;
+		this.#setlistStatus = null;
+		this.#setlistControlValues.clear();
+		this.#clipCacheStats = null;
+		this.#controlBindings.restoreDefaults();
+		this.#devicePolicy.restoreDefaults();
+		this.#midiInputs = [];
 
 		if (this.#clockTimeoutId !== null) {
 			clearTimeout(this.#clockTimeoutId);
@@ -448,11 +902,13 @@ const appState = new AppState();
 /**
  * Create a fresh AppState instance for testing isolation.
  * @param {Object} [settings] - Optional settings override
+ * @param {ControlBindings} [controlBindings] - Optional binding table (e.g. without persistence)
+ * @param {DevicePolicy} [devicePolicy] - Optional device policy (e.g. without persistence)
  * @returns {AppState}
  */
-export function createAppState(settings) {
-	return new AppState(settings);
+export function createAppState(settings, controlBindings, devicePolicy) {
+	return new AppState(settings, controlBindings, devicePolicy);
 }
 
-export { AppState, EVENT_MIDI_CONNECTION_CHANGED, EVENT_CLIPS_LOADED_CHANGED, EVENT_BPM_CHANGED, EVENT_BPM_SOURCE_CHANGED, EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_CLOCK, EVENT_MIDI_START, EVENT_MIDI_CONTINUE, EVENT_MIDI_STOP, EVENT_VIDEO_JOCKEY_READY, EVENT_PROJECT_SWITCH, EVENT_PROJECT_LOAD_START, EVENT_PROJECT_LOAD_COMPLETE, EVENT_PROJECT_LOAD_ERROR, EVENT_CLIP_LOAD_ERROR, EVENT_USER_MESSAGE, BPM_SOURCE_CLOCK };
+export { AppState, EVENT_MIDI_CONNECTION_CHANGED, EVENT_MIDI_AVAILABILITY_CHANGED, EVENT_CLIPS_LOADED_CHANGED, EVENT_BPM_CHANGED, EVENT_BPM_SOURCE_CHANGED, EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_MIDI_CHANNEL_PRESSURE, EVENT_MIDI_POLY_PRESSURE, EVENT_MIDI_CLOCK, EVENT_MIDI_START, EVENT_MIDI_CONTINUE, EVENT_MIDI_STOP, EVENT_MIDI_SONG_POSITION, EVENT_VIDEO_JOCKEY_READY, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_PROJECT_LOAD_START, EVENT_PROJECT_LOAD_COMPLETE, EVENT_PROJECT_LOAD_ERROR, EVENT_CLIP_LOAD_ERROR, EVENT_USER_MESSAGE, EVENT_MIDI_LEARN_ARMED, EVENT_MIDI_LEARN_COMPLETE, EVENT_MIDI_FEEDBACK, EVENT_MIDI_INPUTS_CHANGED, EVENT_MIDI_DEVICE_POLICY_CHANGED, EVENT_TEMPO_TAP, EVENT_TEMPO_PHASE_RESET, EVENT_MIDI_RECORDER_CHANGED, EVENT_SETLIST_STEP, EVENT_SETLIST_CHANGED, EVENT_CLIP_CACHE_CHANGED, BPM_SOURCE_CLOCK };
 export default appState;
@@ -0,0 +1,228 @@
+/**
+ * ClockTempoTracker - Estimates BPM from MIDI clock pulses with jittery timing.
+ *
+ * USB MIDI delivers clock pulses quantized to 1 ms frames and sometimes bunched,
+ * so a single pulse interval is far noisier than the tempo it encodes. The tracker
+ * follows the pulse grid instead of averaging raw intervals:
+ *
+ * 1. Lock: the first estimate is the average interval over `lockPulses` intervals
+ *    (first to last timestamp, so bunched pulses cancel out). It is then refined
+ *    over a growing window until the window spans `tempoChangeWindow` pulses.
+ * 2. Track: a second-order loop (PLL) predicts each pulse; the prediction error
+ *    corrects phase (`phaseGain`) and period (`periodGain`), averaging jitter out.
+ * 3. Reject outliers: pulses further than `outlierTolerance` pulse periods from
+ *    the prediction, early duplicates and pulses after a gap do not change the
+ *    period. Duplicates and gaps are bunching and dropouts, but more than
+ *    `maxOutliersPerWindow` pulses between grid slots among the last
+ *    `tempoChangeWindow` pulses mean the tempo jumped: the tracker re-locks.
+ * 4. Detect tempo changes: when the average interval over the last
+ *    `tempoChangeWindow` pulses differs from the tracked period by more than
+ *    `tempoChangeThreshold`, the tracker jumps to it instead of gliding.
+ *
+ * All parameters live in `settings.bpm.clockTracking`.
+ */
+import defaultSettings from './settings.js';
+import { MS_PER_MINUTE } from '../utils/timing.js';
+
+/**
+ * @typedef {Object} GridPulse
+ * @property {number} time - Delivery timestamp
+ * @property {number} index - Grid slot the pulse was matched to
+ */
+
+class ClockTempoTracker {
+	#settings;
+
+	/** @type {number|null} Tracked pulse period in ms (null = not locked) */
+	#period = null;
+
+	/** @type {number|null} Predicted time of the next pulse (null = waiting for the first pulse) */
+	#expectedTime = null;
+
+	/** Grid slot of the next expected pulse */
+	#gridIndex = 0;
+
+	/** @type {GridPulse[]} Recent on-grid pulses, for locking and tempo-change detection */
+	#window = [];
+
+	/** True while the period follows the window average (after locking, before the PLL takes over) */
+	#isRefining = false;
+
+	/** @type {boolean[]} Whether each of the last `tempoChangeWindow` pulses landed between grid slots */
+	#recentOutliers = [];
+
+	/** @type {number|null} Estimate reported while re-locking after a tempo jump */
+	#heldBPM = null;
+
+	/**
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(settings = defaultSettings) {
+		this.#settings = settings;
+	}
+
+	/**
+	 * Current tempo estimate.
+	 * @returns {number|null} BPM, or null until locked
+	 */
+	get bpm() {
+		return this.#period === null ? null : MS_PER_MINUTE / (this.#period * this.#settings.midi.ppqn);
+	}
+
+	/**
+	 * Feed one clock pulse.
+	 * @param {number} timestamp - performance.now() timestamp of the pulse
+	 * @returns {number|null} Current BPM estimate, or null until locked
+	 */
+	addPulse(timestamp) {
+		if (this.#period === null) {
+			return this.#lock(timestamp);
+		}
+		if (this.#expectedTime === null) {
+			// Resuming after pause(): keep the period, restart the grid on this pulse
+			this.#startGrid(timestamp);
+			return this.bpm;
+		}
+
+		let error = timestamp - this.#expectedTime;
+		const slot = Math.round(error / this.#period);
+		if (slot < 0) {
+			// Earlier than the previous pulse's slot: a duplicate, not part of the grid
+			return this.#rejectOutlier(timestamp, false);
+		}
+		// Skip grid slots of missed pulses
+		this.#expectedTime += slot * this.#period;
+		this.#gridIndex += slot;
+		error -= slot * this.#period;
+
+		const isOffGrid = Math.abs(error) > this.#settings.bpm.clockTracking.outlierTolerance * this.#period;
+		if (slot > 0 || isOffGrid) {
+			this.#expectedTime += this.#period;
+			this.#gridIndex++;
+			return this.#rejectOutlier(timestamp, isOffGrid);
+		}
+
+		this.#recordOutcome(false);
+		this.#addToWindow(timestamp);
+		this.#track(error);
+		this.#updateFromWindow(timestamp);
+		return this.bpm;
+	}
+
+	/**
+	 * Forget pulse timing but keep the tempo (transport stop, clock dropout),
+	 * so the next pulse continues from the last estimate.
+	 */
+	pause() {
+		this.#expectedTime = null;
+		this.#window = [];
+		this.#recentOutliers = [];
+	}
+
+	/**
+	 * Forget everything, including the tempo.
+	 */
+	reset() {
+		this.pause();
+		this.#period = null;
+		this.#isRefining = false;
+		this.#heldBPM = null;
+	}
+
+	#lock(timestamp) {
+		const lastPulse = this.#window.at(-1);
+		if (lastPulse && timestamp < lastPulse.time) {
+			this.#window = [];
+		}
+		this.#window.push({ time: timestamp, index: this.#window.length });
+		if (this.#window.length <= this.#settings.bpm.clockTracking.lockPulses) {
+			return this.#heldBPM;
+		}
+
+		const period = this.#getWindowPeriod();
+		if (period <= 0) {
+			// Every pulse in one USB frame; wait for a usable span
+			this.#window.shift();
+			return this.#heldBPM;
+		}
+		this.#period = period;
+		this.#expectedTime = timestamp + period;
+		this.#gridIndex = this.#window.at(-1).index + 1;
+		this.#isRefining = true;
+		this.#recentOutliers = [];
+		this.#heldBPM = null;
+		return this.bpm;
+	}
+
+	#startGrid(timestamp) {
+		this.#expectedTime = timestamp + this.#period;
+		this.#gridIndex = 1;
+		this.#window = [{ time: timestamp, index: 0 }];
+	}
+
+	#addToWindow(timestamp) {
+		this.#window.push({ time: timestamp, index: this.#gridIndex });
+		this.#gridIndex++;
+		const { tempoChangeWindow } = this.#settings.bpm.clockTracking;
+		while (this.#window.at(-1).index - this.#window[0].index > tempoChangeWindow) {
+			this.#window.shift();
+		}
+	}
+
+	#track(error) {
+		const { phaseGain, periodGain } = this.#settings.bpm.clockTracking;
+		this.#expectedTime += this.#period + phaseGain * error;
+		this.#period += periodGain * error;
+	}
+
+	#updateFromWindow(timestamp) {
+		if (this.#window.length < 2) {
+			return;
+		}
+		const { tempoChangeWindow, tempoChangeThreshold } = this.#settings.bpm.clockTracking;
+		const windowPeriod = this.#getWindowPeriod();
+		const isWindowFull = this.#window.at(-1).index - this.#window[0].index >= tempoChangeWindow;
+
+		if (this.#isRefining) {
+			this.#period = windowPeriod;
+			this.#isRefining = !isWindowFull;
+		} else if (isWindowFull && Math.abs(windowPeriod - this.#period) / this.#period > tempoChangeThreshold) {
+			// Tempo change: jump, then refine from pulses at the new tempo only
+			this.#period = windowPeriod;
+			this.#expectedTime = timestamp + windowPeriod;
+			this.#window = [this.#window.at(-1)];
+			this.#isRefining = true;
+		}
+	}
+
+	#recordOutcome(isOutlier) {
+		this.#recentOutliers.push(isOutlier);
+		if (this.#recentOutliers.length > this.#settings.bpm.clockTracking.tempoChangeWindow) {
+			this.#recentOutliers.shift();
+		}
+	}
+
+	#rejectOutlier(timestamp, isOffGrid) {
+		this.#recordOutcome(isOffGrid);
+		const outlierCount = this.#recentOutliers.filter(Boolean).length;
+		if (outlierCount > this.#settings.bpm.clockTracking.maxOutliersPerWindow) {
+			// The tempo jumped too far to glide: re-lock, keeping the old estimate until then
+			const previousBPM = this.bpm ?? this.#heldBPM;
+			this.reset();
+			this.#heldBPM = previousBPM;
+			return this.#lock(timestamp);
+		}
+		return this.bpm;
+	}
+
+	/**
+	 * @returns {number} Average interval per grid slot across the window
+	 */
+	#getWindowPeriod() {
+		const first = this.#window[0];
+		const last = this.#window.at(-1);
+		return (last.time - first.time) / (last.index - first.index);
+	}
+}
+
+export default ClockTempoTracker;
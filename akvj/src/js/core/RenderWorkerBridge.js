@@ -0,0 +1,124 @@
+/**
+ * RenderWorkerBridge - The render worker's side of RenderWorkerHost (see renderWorker.js).
+ *
+ * The engine draws to the element's canvas, transferred as an OffscreenCanvas. Events from the
+ * main thread are dispatched on the worker's appState, where the engine and the visuals listen
+ * for them as they would on the main thread; the events in EVENTS_FROM_WORKER go back.
+ */
+import appState, { EVENT_MIDI_CLOCK, EVENT_MIDI_START, EVENT_MIDI_CONTINUE, EVENT_MIDI_STOP, EVENT_MIDI_SONG_POSITION } from './AppState.js';
+import defaultSettings from './settings.js';
+import VisualEngine from './VisualEngine.js';
+import { EVENTS_FROM_WORKER } from './RenderWorkerHost.js';
+
+/** How the worker's appState takes over transport events, so its transport state follows the main thread's */
+const TRANSPORT_EVENT_HANDLERS = {
+	[EVENT_MIDI_CLOCK]: (state, detail) => state.syncMIDIClock(detail),
+	[EVENT_MIDI_START]: state => state.dispatchMIDIStart(),
+	[EVENT_MIDI_CONTINUE]: state => state.dispatchMIDIContinue(),
+	[EVENT_MIDI_STOP]: state => state.dispatchMIDIStop(),
+	[EVENT_MIDI_SONG_POSITION]: (state, { position }, settings) => state.dispatchMIDISongPosition(position / settings.midi.clocksPerSongPositionUnit)
+};
+
+function createVisualEngine(displayContext) {
+	return new VisualEngine(displayContext);
+}
+
+class RenderWorkerBridge {
+	#scope;
+	#appState;
+	#settings;
+	#createEngine;
+
+	/** @type {VisualEngine|null} */
+	#engine = null;
+
+	// Main thread performance.now() minus the worker's: the worker's clock starts later
+	#timeOffset = 0;
+
+	// Set while a main thread event is dispatched, so it is not sent back
+	#isDispatchingMainThreadEvent = false;
+
+	/**
+	 * @param {DedicatedWorkerGlobalScope} scope - The worker's global scope
+	 * @param {Object} [options]
+	 * @param {import('./AppState.js').AppState} [options.state=appState] - Injected for testing
+	 * @param {Object} [options.settings=defaultSettings] - Runtime configuration
+	 * @param {(displayContext: OffscreenCanvasRenderingContext2D|null) => VisualEngine} [options.createEngine] - Injected for testing
+	 */
+	constructor(scope, { state = appState, settings = defaultSettings, createEngine = createVisualEngine } = {}) {
+		this.#scope = scope;
+		this.#appState = state;
+		this.#settings = settings;
+		this.#createEngine = createEngine;
+	}
+
+	/**
+	 * Listen for the main thread's messages; the engine starts with the 'init' message.
+	 */
+	start() {
+		for (const eventName of EVENTS_FROM_WORKER) {
+			this.#appState.subscribe(eventName, event => {
+				if (!this.#isDispatchingMainThreadEvent) {
+					this.#scope.postMessage({ type: 'event', name: eventName, detail: event.detail });
+				}
+			});
+		}
+		this.#scope.addEventListener('message', this.#handleMessage);
+	}
+
+	#handleMessage = ({ data }) => {
+		switch (data.type) {
+			case 'init':
+				this.#init(data);
+				break;
+			case 'event':
+				this.#dispatchMainThreadEvent(data.name, data.detail);
+				break;
+			case 'tempo':
+				this.#appState.syncTempo(data.bpm, data.bpmSource);
+				break;
+			case 'controlBindings':
+				this.#appState.controlBindings.restore(data.controlBindings);
+				break;
+			default:
+				console.warn('Render worker: ignoring unknown message', data);
+		}
+	};
+
+	/**
+	 * Take over the main thread's clock, tempo and MIDI Learn table, then start the engine.
+	 * Errors propagate, so RenderWorkerHost sees them as the worker's error event.
+	 * @param {{canvas: OffscreenCanvas, timeOrigin: number, bpm: number, bpmSource: string, controlBindings: Object}} data
+	 */
+	#init({ canvas, timeOrigin, bpm, bpmSource, controlBindings }) {
+		this.#timeOffset = timeOrigin - performance.timeOrigin;
+		this.#appState.syncTempo(bpm, bpmSource);
+		this.#appState.controlBindings.restore(controlBindings);
+		this.#engine = this.#createEngine(canvas.getContext('2d'));
+		this.#engine.start();
+	}
+
+	/**
+	 * Dispatch an event from the main thread on the worker's appState; transport events go through
+	 * its transport methods (see TRANSPORT_EVENT_HANDLERS).
+	 * @param {string} name
+	 * @param {Object} detail
+	 */
+	#dispatchMainThreadEvent(name, detail) {
+		// Clock pulses are timed against render timestamps, so move them onto the worker's clock
+		const localDetail = name === EVENT_MIDI_CLOCK ? { ...detail, timestamp: detail.timestamp + this.#timeOffset } : detail;
+		this.#isDispatchingMainThreadEvent = true;
+		try {
+			const handler = TRANSPORT_EVENT_HANDLERS[name];
+			if (handler) {
+				handler(this.#appState, localDetail, this.#settings);
+			} else {
+				this.#appState.dispatchEvent(new CustomEvent(name, { detail: localDetail }));
+			}
+		} finally {
+			this.#isDispatchingMainThreadEvent = false;
+		}
+	}
+}
+
+export default RenderWorkerBridge;
@@ -0,0 +1,183 @@
+/**
+ * RenderWorkerHost - Runs the VisualEngine in a worker (settings.rendering.renderInWorker).
+ *
+ * Clip decoding, compositing and effect pixel work then stay off the main thread, which is left to
+ * MIDI handling and the overlays. The <adventure-kid-video-jockey> canvas is transferred to the
+ * worker as an OffscreenCanvas. The two appStates are bridged by postMessage: MIDI, transport and
+ * project events go to the worker, and what the engine reports comes back to the main thread.
+ * Tempo and the MIDI Learn table are mirrored into the worker, since the visuals read them.
+ *
+ * Once transferred, the canvas can't be drawn on here, so a worker that fails to load or start
+ * the engine is not recovered from: the error is shown and the canvas stays blank.
+ */
+import appState, { EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_MIDI_CHANNEL_PRESSURE, EVENT_MIDI_POLY_PRESSURE, EVENT_MIDI_CLOCK, EVENT_MIDI_START, EVENT_MIDI_CONTINUE, EVENT_MIDI_STOP, EVENT_MIDI_SONG_POSITION, EVENT_TEMPO_PHASE_RESET, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_SETLIST_STEP, EVENT_CLIPS_LOADED_CHANGED, EVENT_PROJECT_LOAD_START, EVENT_PROJECT_LOAD_COMPLETE, EVENT_PROJECT_LOAD_ERROR, EVENT_CLIP_LOAD_ERROR, EVENT_SETLIST_CHANGED, EVENT_CLIP_CACHE_CHANGED, EVENT_VIDEO_JOCKEY_READY, EVENT_MIDI_FEEDBACK, EVENT_USER_MESSAGE, EVENT_BPM_CHANGED, EVENT_BPM_SOURCE_CHANGED, EVENT_MIDI_LEARN_ARMED } from './AppState.js';
+
+/** Main thread events the engine listens for, dispatched again on the worker's appState */
+const EVENTS_TO_WORKER = [EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_MIDI_CHANNEL_PRESSURE, EVENT_MIDI_POLY_PRESSURE, EVENT_MIDI_CLOCK, EVENT_MIDI_START, EVENT_MIDI_CONTINUE, EVENT_MIDI_STOP, EVENT_MIDI_SONG_POSITION, EVENT_TEMPO_PHASE_RESET, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_SETLIST_STEP];
+
+/** How the main thread's appState takes over each event the engine dispatches in the worker */
+const WORKER_EVENT_HANDLERS = {
+	[EVENT_CLIPS_LOADED_CHANGED]: (state, { loaded }) => {
+		state.clipsLoaded = loaded;
+	},
+	[EVENT_PROJECT_SWITCH]: (state, { projectId }) => {
+		// The active project; switch requests only ever come from the main thread
+		if (typeof projectId === 'string') {
+			state.activeProjectId = projectId;
+		}
+	},
+	[EVENT_PROJECT_LOAD_START]: state => {
+		state.projectSwitching = true;
+	},
+	[EVENT_PROJECT_LOAD_COMPLETE]: (state, { projectId }) => state.dispatchProjectLoadComplete(projectId),
+	[EVENT_PROJECT_LOAD_ERROR]: (state, { projectId, errorMessage }) => state.dispatchProjectLoadError(projectId, errorMessage),
+	[EVENT_CLIP_LOAD_ERROR]: (state, detail) => state.dispatchEvent(new CustomEvent(EVENT_CLIP_LOAD_ERROR, { detail })),
+	[EVENT_SETLIST_CHANGED]: (state, { status }) => {
+		state.setlistStatus = status;
+	},
+	[EVENT_CLIP_CACHE_CHANGED]: (state, { stats }) => {
+		state.clipCacheStats = stats;
+	},
+	[EVENT_VIDEO_JOCKEY_READY]: state => state.dispatchVideoJockeyReady(),
+	[EVENT_MIDI_FEEDBACK]: (state, { updates }) => state.dispatchMIDIFeedback(updates),
+	[EVENT_USER_MESSAGE]: (state, message) => state.showUserMessage(message)
+};
+
+/** Worker events the main thread takes over (loading state, active project, pad LEDs, messages) */
+export const EVENTS_FROM_WORKER = Object.keys(WORKER_EVENT_HANDLERS);
+
+function createRenderWorker() {
+	return new Worker(new URL('./renderWorker.js', import.meta.url), { type: 'module' });
+}
+
+class RenderWorkerHost {
+	#canvas;
+	#appState;
+	#createWorker;
+
+	/** @type {Worker|null} */
+	#worker = null;
+
+	#unsubscribers = [];
+
+	// Set while a worker event is applied, so the events it causes here are not sent back
+	#isApplyingWorkerEvent = false;
+
+	// Set once the engine in the worker is ready (or failed to get there)
+	#isEngineReady = false;
+
+	/**
+	 * @param {HTMLCanvasElement} canvas - Sized visible canvas; start() hands it to the worker
+	 * @param {Object} [options]
+	 * @param {import('./AppState.js').AppState} [options.state=appState] - Injected for testing
+	 * @param {() => Worker} [options.createWorker] - Injected for testing
+	 */
+	constructor(canvas, { state = appState, createWorker = createRenderWorker } = {}) {
+		this.#canvas = canvas;
+		this.#appState = state;
+		this.#createWorker = createWorker;
+	}
+
+	/**
+	 * Whether the browser can render to this canvas from a worker.
+	 * @param {HTMLCanvasElement} canvas
+	 * @returns {boolean}
+	 */
+	static isSupported(canvas) {
+		return typeof Worker === 'function' && typeof canvas.transferControlToOffscreen === 'function';
+	}
+
+	/**
+	 * Transfer the canvas to a new render worker and start bridging events. The worker loads the
+	 * clips and dispatches videoJockeyReady (on the main thread's appState) like VisualEngine.start().
+	 */
+	start() {
+		if (this.#worker) {
+			return;
+		}
+		const offscreenCanvas = this.#canvas.transferControlToOffscreen();
+		this.#worker = this.#createWorker();
+		this.#worker.addEventListener('message', this.#handleMessage);
+		this.#worker.addEventListener('error', this.#handleError);
+		this.#worker.postMessage(
+			{
+				type: 'init',
+				canvas: offscreenCanvas,
+				timeOrigin: performance.timeOrigin,
+				bpm: this.#appState.bpm,
+				bpmSource: this.#appState.bpmSource,
+				controlBindings: this.#appState.controlBindings.toJSON()
+			},
+			[offscreenCanvas]
+		);
+
+		for (const eventName of EVENTS_TO_WORKER) {
+			this.#unsubscribers.push(
+				this.#appState.subscribe(eventName, event => {
+					if (!this.#isApplyingWorkerEvent) {
+						this.#worker.postMessage({ type: 'event', name: eventName, detail: event.detail });
+					}
+				})
+			);
+		}
+		const postTempo = () => this.#worker.postMessage({ type: 'tempo', bpm: this.#appState.bpm, bpmSource: this.#appState.bpmSource });
+		this.#unsubscribers.push(this.#appState.subscribe(EVENT_BPM_CHANGED, postTempo), this.#appState.subscribe(EVENT_BPM_SOURCE_CHANGED, postTempo));
+		this.#unsubscribers.push(
+			this.#appState.subscribe(EVENT_MIDI_LEARN_ARMED, event => {
+				// Disarming follows every learned or cleared binding
+				if (event.detail.target === null) {
+					this.#worker.postMessage({ type: 'controlBindings', controlBindings: this.#appState.controlBindings.toJSON() });
+				}
+			})
+		);
+	}
+
+	#handleMessage = ({ data }) => {
+		const handler = data?.type === 'event' ? WORKER_EVENT_HANDLERS[data.name] : null;
+		if (!handler) {
+			console.warn('RenderWorkerHost: ignoring unknown message from render worker', data);
+			return;
+		}
+		this.#isApplyingWorkerEvent = true;
+		if (data.name === EVENT_VIDEO_JOCKEY_READY) {
+			this.#isEngineReady = true;
+		}
+		try {
+			handler(this.#appState, data.detail);
+		} finally {
+			this.#isApplyingWorkerEvent = false;
+		}
+	};
+
+	/**
+	 * The worker failed to load, or threw (e.g. while starting the engine). If that happened
+	 * before the engine got ready, dispatch ready anyway so the loading overlay goes away.
+	 */
+	#handleError = event => {
+		const message = event.message || 'the render worker failed to load';
+		console.error('Render worker error:', message);
+		this.#appState.error(`Rendering failed: ${message}`);
+		if (!this.#isEngineReady) {
+			this.#isEngineReady = true;
+			this.#appState.dispatchVideoJockeyReady();
+		}
+	};
+
+	/**
+	 * Stop bridging events and terminate the worker (and with it the engine).
+	 */
+	destroy() {
+		for (const unsubscribe of this.#unsubscribers) {
+			unsubscribe();
+		}
+		this.#unsubscribers = [];
+		if (this.#worker) {
+			this.#worker.removeEventListener('message', this.#handleMessage);
+			this.#worker.removeEventListener('error', this.#handleError);
+			this.#worker.terminate();
+			this.#worker = null;
+		}
+	}
+}
+
+export default RenderWorkerHost;
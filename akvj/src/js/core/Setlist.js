@@ -0,0 +1,118 @@
+/**
+ * Setlist - The running order of projects for a show (projects/setlist.json).
+ *
+ * Keeps the position in the list for previous/next stepping, finds the entry a project
+ * selection note jumps to, and labels entries for the overlays. Loading the projects is
+ * left to VisualEngine.
+ */
+
+/**
+ * @typedef {Object} SetlistStatus
+ * @property {string|null} name - Setlist name
+ * @property {number} position - Index of the current entry, or -1 before the first
+ * @property {number} length - Number of entries
+ * @property {string|null} current - Label of the current entry
+ * @property {string|null} next - Label of the entry "next" steps to
+ */
+
+class Setlist {
+	#name;
+
+	/** @type {import('../visuals/ProjectCatalog.js').SetlistEntry[]} */
+	#entries;
+
+	/** @type {Map<string, string>} Project ID → name from projects/index.json */
+	#projectNames;
+
+	#position = -1;
+
+	/**
+	 * @param {{name: string|null, entries: import('../visuals/ProjectCatalog.js').SetlistEntry[]}} setlist - From ProjectCatalog.fetchSetlist()
+	 * @param {Array<{id: string, name?: string}>} [projectsIndex=[]] - Used to label entries without a label
+	 */
+	constructor({ name, entries }, projectsIndex = []) {
+		this.#name = name;
+		this.#entries = entries;
+		this.#projectNames = new Map(projectsIndex.filter(({ name }) => typeof name === 'string').map(({ id, name }) => [id, name]));
+	}
+
+	get length() {
+		return this.#entries.length;
+	}
+
+	/**
+	 * @returns {number} Index of the current entry, or -1 before the first
+	 */
+	get position() {
+		return this.#position;
+	}
+
+	/**
+	 * @param {number} index - Entry index, or -1 for none
+	 */
+	set position(index) {
+		this.#position = Number.isInteger(index) && index >= 0 && index < this.#entries.length ? index : -1;
+	}
+
+	/**
+	 * @param {number} index
+	 * @returns {import('../visuals/ProjectCatalog.js').SetlistEntry|null}
+	 */
+	entryAt(index) {
+		return this.#entries[index] ?? null;
+	}
+
+	/**
+	 * @param {number} note - Note on the project selection channel
+	 * @returns {number} Index of the entry with that note, or -1
+	 */
+	indexOfNote(note) {
+		return this.#entries.findIndex(entry => entry.note === note);
+	}
+
+	/**
+	 * @param {string} projectId
+	 * @returns {number} Index of the first entry playing that project, or -1
+	 */
+	indexOfProject(projectId) {
+		return this.#entries.findIndex(entry => entry.project === projectId);
+	}
+
+	/**
+	 * The entry a step from the current position lands on. Stepping stops at either end.
+	 * @param {number} step - -1 (previous) or 1 (next)
+	 * @returns {number} Entry index, or -1 when there is nowhere to step to
+	 */
+	indexAfterStep(step) {
+		const index = this.#position === -1 ? 0 : this.#position + Math.sign(step);
+		return index >= 0 && index < this.#entries.length && index !== this.#position ? index : -1;
+	}
+
+	/**
+	 * Projects of the entries after the current one, in running order and without repeats.
+	 * @returns {string[]}
+	 */
+	getUpcomingProjectIds() {
+		return [...new Set(this.#entries.slice(this.#position + 1).map(({ project }) => project))];
+	}
+
+	/**
+	 * @returns {SetlistStatus}
+	 */
+	getStatus() {
+		return {
+			name: this.#name,
+			position: this.#position,
+			length: this.#entries.length,
+			current: this.#labelAt(this.#position),
+			next: this.#labelAt(this.indexAfterStep(1))
+		};
+	}
+
+	#labelAt(index) {
+		const entry = this.entryAt(index);
+		return entry && (entry.label ?? this.#projectNames.get(entry.project) ?? entry.project);
+	}
+}
+
+export default Setlist;
@@ -0,0 +1,70 @@
+/**
+ * TapTempo - Turns a sequence of taps into a BPM.
+ *
+ * The BPM is the average interval over the last `settings.tempo.tapHistory` taps;
+ * a pause longer than `settings.tempo.tapTimeoutMs` starts a new sequence.
+ */
+import defaultSettings from './settings.js';
+import { MS_PER_MINUTE } from '../utils/timing.js';
+
+class TapTempo {
+	#settings;
+
+	/** @type {number[]} Timestamps of the most recent taps in the current sequence */
+	#taps = [];
+
+	#tapCount = 0;
+
+	/**
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(settings = defaultSettings) {
+		this.#settings = settings;
+	}
+
+	/**
+	 * Number of taps in the current sequence.
+	 * @returns {number}
+	 */
+	get tapCount() {
+		return this.#tapCount;
+	}
+
+	/**
+	 * Register a tap.
+	 * @param {number} timestamp - performance.now() timestamp
+	 * @returns {number|null} Tapped BPM, or null until the sequence has two taps
+	 */
+	tap(timestamp) {
+		const { tapTimeoutMs, tapHistory } = this.#settings.tempo;
+		const lastTap = this.#taps.at(-1);
+		if (lastTap !== undefined && timestamp <= lastTap) {
+			return null;
+		}
+		if (lastTap !== undefined && timestamp - lastTap > tapTimeoutMs) {
+			this.reset();
+		}
+
+		this.#taps.push(timestamp);
+		this.#tapCount++;
+		if (this.#taps.length > Math.max(2, tapHistory)) {
+			this.#taps.shift();
+		}
+		if (this.#taps.length < 2) {
+			return null;
+		}
+
+		const averageInterval = (this.#taps.at(-1) - this.#taps[0]) / (this.#taps.length - 1);
+		return MS_PER_MINUTE / averageInterval;
+	}
+
+	/**
+	 * Forget the current tap sequence.
+	 */
+	reset() {
+		this.#taps = [];
+		this.#tapCount = 0;
+	}
+}
+
+export default TapTempo;
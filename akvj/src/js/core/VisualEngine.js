@@ -0,0 +1,577 @@
+import appState, { EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_MIDI_CHANNEL_PRESSURE, EVENT_MIDI_POLY_PRESSURE, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_SETLIST_STEP, EVENT_CLIP_LOAD_ERROR } from './AppState.js';
+import settings, { mergeProjectSettings, overlaySceneSettings } from './settings.js';
+import Setlist from './Setlist.js';
+import ClipLoader, { loadClipImage } from '../visuals/ClipLoader.js';
+import SpriteCache from '../visuals/SpriteCache.js';
+import ProjectPreloader from '../visuals/ProjectPreloader.js';
+import LayerManager from '../visuals/LayerManager.js';
+import Renderer from '../visuals/Renderer.js';
+import PadFeedback from '../midi-output/PadFeedback.js';
+
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+
+/**
+ * VisualEngine - Clip loading, project switching and rendering behind <adventure-kid-video-jockey>
+ * Receives pre-parsed MIDI events from app state and reports back through it. Needs no DOM, so it
+ * runs on the main thread with the element's canvas, or in the render worker with the canvas
+ * transferred as an OffscreenCanvas (see RenderWorkerHost).
+ */
+class VisualEngine {
+	#displayContext;
+	#clipLoader;
+	/** @type {SpriteCache|null} Shared by every project's clips with lazy loading */
+	#spriteCache = null;
+	#projectPreloader = null;
+	#layerManager;
+	#renderer;
+	#padFeedback = null;
+	/** @type {Map<string, CustomEvent>} Latest control change per `${channel}:${controller}`, so a new project's LayerManager starts where the knobs are */
+	#controlChanges = new Map();
+	#clips = {};
+	#unsubscribers = [];
+	#activeProjectId = null;
+	#projectIndex = [];
+	#isSwitchingProject = false;
+	/** @type {Object|null} The active project's settings.json, which scene settings overlay */
+	#projectSettings = null;
+	/** @type {import('../visuals/ProjectCatalog.js').EffectPlugin[]} */
+	#plugins = [];
+	/** @type {Array<import('../visuals/ClipLoader.js').Scene|null>} The active project's scenes by selection note */
+	#scenes = [];
+	/** @type {Setlist|null} Running order from projects/setlist.json, if there is one */
+	#setlist = null;
+
+	/**
+	 * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D|null} displayContext - Context of the visible canvas
+	 */
+	constructor(displayContext) {
+		this.#displayContext = displayContext;
+
+		if (!this.#displayContext) {
+			// Canvas is unsupported or context creation failed; keep a noop-safe engine
+			console.warn('VisualEngine: 2D canvas context unavailable — visuals will be disabled');
+			this.#clipLoader = null;
+			this.#layerManager = null;
+			this.#renderer = null;
+			return;
+		}
+
+		this.#displayContext.imageSmoothingEnabled = settings.rendering.imageSmoothingEnabled;
+		this.#displayContext.imageSmoothingQuality = settings.rendering.imageSmoothingQuality;
+		this.#displayContext.fillStyle = settings.rendering.backgroundColor;
+
+		if (settings.clipLoading.strategy === 'lazy') {
+			this.#spriteCache = new SpriteCache({ loadImage: loadClipImage, budgetBytes: settings.clipLoading.budgetMB * BYTES_PER_MEGABYTE });
+			this.#spriteCache.setChangeListener(stats => {
+				appState.clipCacheStats = stats;
+			});
+		}
+		this.#clipLoader = new ClipLoader(this.#displayContext, null, this.#spriteCache);
+		this.#projectPreloader = new ProjectPreloader({
+			loadProject: projectId => this.#loadProject(projectId),
+			releaseProject: project => this.#destroyProjectClips(project.clips, project.scenes),
+			budgetBytes: settings.projectSwitching.preloadBudgetMB * BYTES_PER_MEGABYTE
+		});
+		this.#layerManager = new LayerManager();
+		this.#renderer = new Renderer(this.#displayContext, this.#layerManager, settings, appState);
+	}
+
+	/**
+	 * Set up event listeners for MIDI events from app state
+	 */
+	#setupMIDIEventListeners() {
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_NOTE_ON, event => {
+				if (!this.#layerManager) {
+					return;
+				}
+				const { channel, note, velocity } = event.detail;
+				this.#layerManager.noteOn(channel, note, velocity);
+			})
+		);
+
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_NOTE_OFF, event => {
+				if (!this.#layerManager) {
+					return;
+				}
+				const { channel, note } = event.detail;
+				this.#layerManager.noteOff(channel, note);
+			})
+		);
+
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_CONTROL_CHANGE, event => {
+				if (!this.#layerManager) {
+					return;
+				}
+				const { channel, controller } = event.detail;
+				this.#controlChanges.set(`${channel}:${controller}`, event);
+				this.#layerManager.handleControlChange(event);
+			})
+		);
+
+		const modulationHandlers = {
+			[EVENT_MIDI_PITCH_BEND]: event => this.#layerManager.handlePitchBend(event),
+			[EVENT_MIDI_CHANNEL_PRESSURE]: event => this.#layerManager.handleChannelPressure(event),
+			[EVENT_MIDI_POLY_PRESSURE]: event => this.#layerManager.handlePolyPressure(event)
+		};
+		for (const [eventName, handler] of Object.entries(modulationHandlers)) {
+			this.#unsubscribers.push(
+				appState.subscribe(eventName, event => {
+					if (this.#layerManager) {
+						handler(event);
+					}
+				})
+			);
+		}
+	}
+
+	/**
+	 * Set up event listeners for project and scene switching from app state
+	 */
+	#setupProjectEventListeners() {
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_PROJECT_SWITCH, event => {
+				this.#handleProjectSwitch(event.detail);
+			})
+		);
+
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_SCENE_SELECT, event => {
+				this.#selectScene(event.detail.note);
+			})
+		);
+
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_SETLIST_STEP, event => {
+				this.#stepSetlist(event.detail.step);
+			})
+		);
+	}
+
+	/**
+	 * Select a scene of the active project: swap in its key-map (the project's own when it has
+	 * none) and apply its settings over the project's. Clips already playing keep playing.
+	 * @param {number} note - Index into the project's `scenes`
+	 */
+	#selectScene(note) {
+		const scene = this.#scenes[note];
+		if (!scene || !this.#layerManager || this.#isSwitchingProject) {
+			return;
+		}
+		this.#layerManager.setClips(scene.clips ?? this.#clips);
+		this.#applyProjectSettings(overlaySceneSettings(this.#projectSettings, scene.settings), this.#plugins);
+
+		if (import.meta.env.DEV) {
+			console.log(`Selected scene: ${scene.name}`);
+		}
+	}
+
+	/**
+	 * Step to the previous/next setlist entry.
+	 * @param {number} step - -1 (previous) or 1 (next)
+	 */
+	#stepSetlist(step) {
+		const index = this.#setlist?.indexAfterStep(step) ?? -1;
+		if (index !== -1) {
+			this.#goToSetlistEntry(index);
+		}
+	}
+
+	/**
+	 * Go to a setlist entry: switch to its project (unless it is active) and select its scene.
+	 * The overlays show the entry while its project loads; a failed switch stays where it was.
+	 * @param {number} index
+	 */
+	async #goToSetlistEntry(index) {
+		if (this.#isSwitchingProject) {
+			return;
+		}
+		const entry = this.#setlist.entryAt(index);
+		const previousPosition = this.#setlist.position;
+		this.#setlist.position = index;
+		appState.setlistStatus = this.#setlist.getStatus();
+
+		if (entry.project !== this.#activeProjectId && !(await this.#switchProject(entry.project))) {
+			this.#setlist.position = previousPosition;
+			appState.setlistStatus = this.#setlist.getStatus();
+			return;
+		}
+		if (entry.scene !== null) {
+			this.#selectScene(entry.scene);
+		}
+	}
+
+	/**
+	 * Keep the setlist position on the active project after a switch from outside the setlist.
+	 */
+	#syncSetlistPosition() {
+		if (!this.#setlist || this.#setlist.entryAt(this.#setlist.position)?.project === this.#activeProjectId) {
+			return;
+		}
+		this.#setlist.position = this.#setlist.indexOfProject(this.#activeProjectId);
+		appState.setlistStatus = this.#setlist.getStatus();
+	}
+
+	/**
+	 * Handle a project switch request from MIDI.
+	 * The detail may contain either a { projectId } string or a { note } number. A note listed
+	 * in the setlist goes to that entry; any other maps to a project index in the projects index array.
+	 * @param {{projectId?: string, note?: number}} detail
+	 */
+	async #handleProjectSwitch(detail) {
+		if (this.#isSwitchingProject) {
+			return;
+		}
+
+		let projectId = null;
+		if (typeof detail.projectId === 'string') {
+			projectId = detail.projectId;
+		} else if (typeof detail.note === 'number') {
+			const setlistIndex = this.#setlist?.indexOfNote(detail.note) ?? -1;
+			if (setlistIndex !== -1) {
+				await this.#goToSetlistEntry(setlistIndex);
+				return;
+			}
+			projectId = await this.#resolveProjectIdFromNote(detail.note);
+		}
+
+		if (!projectId || projectId === this.#activeProjectId) {
+			return;
+		}
+
+		await this.#switchProject(projectId);
+	}
+
+	/**
+	 * Resolve a MIDI note number to a project ID using the projects index.
+	 * @param {number} note - MIDI note number (0-127)
+	 * @returns {Promise<string|null>}
+	 */
+	async #resolveProjectIdFromNote(note) {
+		const projectEntry = (await this.#getProjectIndex())[note];
+		return projectEntry?.id ?? null;
+	}
+
+	/**
+	 * The projects index, fetched on first use.
+	 * @returns {Promise<Array<{id: string, name: string}>>} Empty if it could not be fetched
+	 */
+	async #getProjectIndex() {
+		if (this.#projectIndex.length === 0) {
+			try {
+				this.#projectIndex = await this.#clipLoader.fetchProjectsIndex();
+			} catch (error) {
+				console.error('Failed to fetch projects index:', error);
+			}
+		}
+		return this.#projectIndex;
+	}
+
+	/**
+	 * Switch to a new project (see settings.projectSwitching): a preloaded project switches at
+	 * once; otherwise it loads while the last frame is held behind the loading overlay, or while
+	 * the old project keeps playing. The output then cuts, crossfades or wipes to the new project,
+	 * which gets a LayerManager of its own; the old project keeps playing until the transition ends.
+	 * @param {string} projectId
+	 * @returns {Promise<boolean>} Whether the switch succeeded
+	 */
+	async #switchProject(projectId) {
+		const { freezeWhileLoading, transition, transitionMs, wipeGenerator } = settings.projectSwitching;
+		this.#isSwitchingProject = true;
+		let isSwitched = false;
+		const shouldFreeze = freezeWhileLoading && !this.#projectPreloader?.isReady(projectId);
+		if (shouldFreeze) {
+			appState.projectSwitching = true;
+			// Freeze the renderer — keep showing the last frame
+			this.#renderer?.freeze();
+		}
+
+		try {
+			const project = await (this.#projectPreloader?.take(projectId) ?? this.#loadProject(projectId));
+
+			// The old clips are destroyed once the transition no longer renders them
+			const outgoingClips = this.#clips;
+			const outgoingScenes = this.#scenes;
+			this.#layerManager = new LayerManager();
+			this.#layerManager.setClips(project.clips);
+			this.#renderer?.transitionTo(this.#layerManager, { type: transition, durationMs: transitionMs, generator: wipeGenerator }, layerManager => this.#releaseProject(layerManager, outgoingClips, outgoingScenes));
+			this.#padFeedback?.setLayerManager(this.#layerManager);
+			this.#clips = project.clips;
+			this.#scenes = project.scenes;
+			this.#projectSettings = project.projectSettings;
+			this.#plugins = project.plugins;
+			this.#applyProjectSettings(project.projectSettings, project.plugins);
+			for (const event of this.#controlChanges.values()) {
+				this.#layerManager.handleControlChange(event);
+			}
+			this.#activeProjectId = projectId;
+			appState.activeProjectId = projectId;
+			this.#syncSetlistPosition();
+
+			this.#renderer?.unfreeze();
+			appState.dispatchProjectLoadComplete(projectId);
+			this.#preloadProjects();
+			isSwitched = true;
+
+			if (import.meta.env.DEV) {
+				console.log(`Switched to project: ${projectId}`);
+			}
+		} catch (error) {
+			console.error(`Failed to switch to project "${projectId}":`, error);
+			this.#renderer?.unfreeze();
+			appState.dispatchProjectLoadError(projectId, error.message);
+			appState.error(`Failed to switch to project "${projectId}": ${error.message}`);
+		}
+
+		this.#isSwitchingProject = false;
+		return isSwitched;
+	}
+
+	/**
+	 * Load everything a project needs to switch to it, with a ClipLoader of its own so it can
+	 * load alongside the active project.
+	 * @param {string} projectId
+	 * @returns {Promise<import('../visuals/ProjectPreloader.js').LoadedProject>}
+	 */
+	async #loadProject(projectId) {
+		const clipLoader = new ClipLoader(this.#displayContext, null, this.#spriteCache);
+		const [clips, projectSettings] = await Promise.all([clipLoader.setupClipsFromProject(projectId), clipLoader.fetchProjectSettings(projectId)]);
+		const plugins = await clipLoader.loadEffectPlugins(projectSettings?.effectPlugins, projectId);
+		const scenes = await clipLoader.loadScenes(projectSettings?.scenes, projectId);
+		clipLoader.releaseImages();
+		this.#warmClips(clipLoader, projectSettings);
+		return { projectId, clips, projectSettings, plugins, scenes, imageBytes: clipLoader.imageBytes };
+	}
+
+	/**
+	 * With lazy clip loading, load a project's warm clips in the background.
+	 * @param {ClipLoader} clipLoader - The loader that built the project's clips
+	 * @param {Object|null} projectSettings
+	 */
+	#warmClips(clipLoader, projectSettings) {
+		clipLoader.warmClips(projectSettings?.warmClips ?? settings.clipLoading.warmClips).catch(error => console.warn('Failed to warm clips:', error));
+	}
+
+	/**
+	 * Start loading the projects settings.projectSwitching.preload asks for in the background:
+	 * the setlist's upcoming entries when there is a setlist, otherwise the projects index order.
+	 */
+	async #preloadProjects() {
+		const { preload } = settings.projectSwitching;
+		if (preload !== 'next' && preload !== 'all') {
+			return;
+		}
+
+		let upcoming;
+		if (this.#setlist) {
+			upcoming = this.#setlist.getUpcomingProjectIds().filter(projectId => projectId !== this.#activeProjectId);
+		} else {
+			const projectIds = (await this.#getProjectIndex()).map(({ id }) => id);
+			const activeIndex = projectIds.indexOf(this.#activeProjectId);
+			// The projects after the active one first, then round from the top
+			upcoming = [...projectIds.slice(activeIndex + 1), ...projectIds.slice(0, Math.max(0, activeIndex))];
+		}
+		this.#projectPreloader?.preload(preload === 'next' ? upcoming.slice(0, 1) : upcoming);
+	}
+
+	/**
+	 * Load projects/setlist.json, if there is one, and start at the active project's entry.
+	 */
+	async #loadSetlist() {
+		try {
+			const setlist = await this.#clipLoader.fetchSetlist();
+			if (!setlist || setlist.entries.length === 0) {
+				return;
+			}
+			this.#setlist = new Setlist(setlist, await this.#getProjectIndex());
+			this.#setlist.position = this.#setlist.indexOfProject(this.#activeProjectId);
+			appState.setlistStatus = this.#setlist.getStatus();
+		} catch (error) {
+			console.error('Failed to load setlist:', error);
+		}
+	}
+
+	/**
+	 * Apply a project's settings.json overrides and register its effect plugins.
+	 * @param {Object|null} projectSettings
+	 * @param {import('../visuals/ProjectCatalog.js').EffectPlugin[]} plugins
+	 */
+	#applyProjectSettings(projectSettings, plugins) {
+		const { effectParams, effectChain, effectStacking, effectEnvelopes, lfos } = mergeProjectSettings(projectSettings);
+		const effectsManager = this.#layerManager.getEffectsManager();
+		effectsManager.setPluginRanges(plugins);
+		effectsManager.setEffectChain(effectChain, effectStacking);
+		effectsManager.setEnvelopes(effectEnvelopes);
+		this.#layerManager.setLfos(lfos);
+		this.#renderer?.setPluginEffects(plugins);
+		this.#renderer?.setEffectParams(effectParams);
+	}
+
+	/**
+	 * Clean up event listeners
+	 */
+	#teardownMIDIEventListeners() {
+		for (const unsubscribe of this.#unsubscribers) {
+			unsubscribe();
+		}
+		this.#unsubscribers = [];
+	}
+
+	/**
+	 * Listen for MIDI and project events, then load the clips and start rendering.
+	 */
+	start() {
+		// Safe to register even when visuals are disabled
+		this.#setupMIDIEventListeners();
+		this.#setupProjectEventListeners();
+		if (this.#layerManager) {
+			this.#padFeedback = new PadFeedback(this.#layerManager);
+		}
+
+		this.#setup();
+	}
+
+	/**
+	 * Stop rendering and release the clips and event listeners.
+	 */
+	destroy() {
+		try {
+			this.#teardownMIDIEventListeners();
+		} catch (error) {
+			console.error('Error tearing down MIDI event listeners:', error);
+		}
+		this.#destroyPadFeedback();
+		this.#destroyRenderer();
+		this.#destroyLayerManager();
+		this.#destroyClipLoader();
+	}
+
+	#destroyPadFeedback() {
+		try {
+			this.#padFeedback?.destroy();
+			this.#padFeedback = null;
+		} catch (error) {
+			console.error('Error destroying pad feedback:', error);
+		}
+	}
+
+	#destroyRenderer() {
+		try {
+			this.#renderer?.stop();
+			this.#renderer?.destroy();
+		} catch (error) {
+			console.error('Error destroying renderer:', error);
+		}
+	}
+
+	/**
+	 * Destroy a project that was switched away from, along with the LayerManager that played it.
+	 * @param {LayerManager} layerManager
+	 * @param {Object} clips
+	 * @param {Array<import('../visuals/ClipLoader.js').Scene|null>} scenes
+	 */
+	#releaseProject(layerManager, clips, scenes) {
+		layerManager.clearClips();
+		layerManager.destroy();
+		this.#destroyProjectClips(clips, scenes);
+	}
+
+	#destroyLayerManager() {
+		try {
+			this.#layerManager?.clearClips();
+			this.#layerManager?.destroy();
+		} catch (error) {
+			console.error('Error destroying LayerManager:', error);
+		}
+	}
+
+	#destroyClipLoader() {
+		try {
+			this.#projectPreloader?.destroy();
+		} catch (error) {
+			console.error('Error destroying project preloader:', error);
+		}
+		try {
+			this.#spriteCache?.setChangeListener(null);
+			this.#destroyProjectClips(this.#clips, this.#scenes);
+			this.#clips = {};
+			this.#scenes = [];
+		} catch (error) {
+			console.error('Error destroying clip loader:', error);
+		}
+	}
+
+	/**
+	 * Destroy a project's clips, its scenes' included.
+	 * @param {Object} clips
+	 * @param {Array<import('../visuals/ClipLoader.js').Scene|null>} scenes
+	 */
+	#destroyProjectClips(clips, scenes) {
+		this.#clipLoader?.destroy(clips);
+		for (const scene of scenes) {
+			if (scene?.clips) {
+				this.#clipLoader?.destroy(scene.clips);
+			}
+		}
+	}
+
+	async #setupClips(jsonUrl) {
+		try {
+			this.#clips = await this.#clipLoader.setupClips(jsonUrl);
+			this.#layerManager.setClips(this.#clips);
+			this.#projectSettings = await this.#clipLoader.fetchProjectSettings();
+			this.#plugins = await this.#clipLoader.loadEffectPlugins(this.#projectSettings?.effectPlugins);
+			this.#applyProjectSettings(this.#projectSettings, this.#plugins);
+			this.#scenes = await this.#clipLoader.loadScenes(this.#projectSettings?.scenes);
+			this.#clipLoader.releaseImages();
+			this.#warmClips(this.#clipLoader, this.#projectSettings);
+			appState.clipsLoaded = true;
+			return this.#clips;
+		} catch (error) {
+			console.error(`Failed to set up clips from ${jsonUrl}:`, error);
+			appState.clipsLoaded = false;
+			appState.error(`Failed to load clips: ${error.message}`);
+			appState.dispatchEvent(
+				new CustomEvent(EVENT_CLIP_LOAD_ERROR, {
+					detail: { url: jsonUrl, error: error.message }
+				})
+			);
+			return {};
+		}
+	}
+
+	async #setup() {
+		// If we do not have a context, skip loading visuals but still notify readiness
+		if (!this.#clipLoader) {
+			// If we do not have a clip loader (no 2D context available),
+			// notify that the Video Jockey is ready and bail out early. No value
+			// is returned because callers do not use the result of `#setup()`.
+			appState.clipsLoaded = false;
+			appState.dispatchVideoJockeyReady();
+			return;
+		}
+
+		await this.#setupClips(settings.performance.clipsJsonUrl);
+		if (appState.clipsLoaded) {
+			// Set the active project ID from active-project.json (if available)
+			try {
+				this.#activeProjectId = await this.#clipLoader.fetchActiveProjectId();
+				if (this.#activeProjectId) {
+					appState.activeProjectId = this.#activeProjectId;
+				}
+			} catch {
+				// No active project — that's fine, legacy mode
+			}
+			this.#renderer.start();
+			await this.#loadSetlist();
+			this.#preloadProjects();
+		} else {
+			console.error('Renderer not started: Clips failed to load.');
+		}
+		appState.dispatchVideoJockeyReady();
+	}
+}
+
+export default VisualEngine;
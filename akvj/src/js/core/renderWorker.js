@@ -0,0 +1,7 @@
+/**
+ * Render worker entry - Runs the VisualEngine off the main thread: RenderWorkerHost starts this
+ * worker, and RenderWorkerBridge connects it to the main thread.
+ */
+import RenderWorkerBridge from './RenderWorkerBridge.js';
+
+new RenderWorkerBridge(self).start();
@@ -12,7 +12,10 @@ const settings = {
 		commands: {
 			noteOff: 8,
 			noteOn: 9,
-			controlChange: 11
+			polyPressure: 10, // Polyphonic (per-note) aftertouch
+			controlChange: 11,
+			channelPressure: 13, // Channel aftertouch (two-byte message)
+			pitchBend: 14
 		},
 		// System Real-Time messages (single-byte, no channel)
 		systemRealTime: {
@@ -21,6 +24,12 @@ const settings = {
 			continue: 0xfb, // Continue playback
 			stop: 0xfc // Stop playback
 		},
+		// System Common messages
+		systemCommon: {
+			songPosition: 0xf2 // Song Position Pointer (14-bit count of MIDI beats since song start)
+		},
+		// Clock pulses per Song Position Pointer unit (one sixteenth note at 24 PPQN)
+		clocksPerSongPositionUnit: 6,
 		// Pulses Per Quarter Note (PPQN) for MIDI clock pulses. Standard MIDI clock is 24 PPQN.
 		ppqn: 24,
 		// Minimum byte length for channel messages (note on/off, CC)
@@ -35,10 +44,150 @@ const settings = {
 		min: 10, // Minimum BPM value (must be > 0 to prevent division by zero)
 		max: 522, // Maximum BPM value (512 range + 10 minimum)
 		clockTimeoutMs: 500, // Fall back to CC/default if no clock pulses for this long
+		// MIDI clock tempo tracking (see ClockTempoTracker); tuned for USB clocks with a few ms of jitter
+		clockTracking: {
+			lockPulses: 6, // Pulse intervals averaged into the first estimate
+			phaseGain: 0.1, // How strongly each pulse pulls the predicted grid towards it
+			periodGain: 0.002, // How strongly each pulse adjusts the tempo (lower = smoother, slower to follow)
+			outlierTolerance: 0.4, // Pulses further than this fraction of a pulse from the prediction are ignored
+			maxOutliersPerWindow: 2, // More pulses between grid slots than this within tempoChangeWindow pulses mean a tempo jump: re-lock
+			tempoChangeWindow: 24, // Pulses averaged to detect tempo changes (one beat at 24 PPQN)
+			tempoChangeThreshold: 0.03, // Jump to the window average when it differs from the tracked tempo by more than 3%
+			minChange: 0.1 // BPM changes smaller than this are not applied (hysteresis against flicker)
+		},
 		// MIDI CC (fallback when no clock)
 		controlCC: 0, // CC number (0-127)
 		controlChannel: 0 // MIDI channel (0-15)
 	},
+	/**
+	 * Tap tempo, nudge and phase reset (manual BPM source, ignored while MIDI clock drives the BPM)
+	 */
+	tempo: {
+		// A pause longer than this starts a new tap sequence
+		tapTimeoutMs: 2000,
+		// Number of most recent taps averaged into the BPM
+		tapHistory: 4,
+		// BPM added/removed per nudge
+		nudgeStep: 0.5,
+		// Keyboard keys (case-insensitive)
+		keys: {
+			tap: 't',
+			nudgeDown: ',',
+			nudgeUp: '.',
+			phaseReset: 'r'
+		},
+		// Default MIDI notes ({ channel, note }, input channel 0-15) or null; re-assignable via MIDI Learn
+		notes: {
+			tap: null,
+			nudgeDown: null,
+			nudgeUp: null,
+			phaseReset: null
+		}
+	},
+	/**
+	 * MIDI Learn settings
+	 * Learned scrub/BPM CCs and channel routing override `scrub`, `bpm.controlCC/controlChannel`
+	 * and the incoming note channel at runtime (see ControlBindings)
+	 */
+	midiLearn: {
+		// localStorage key for persisted learned bindings (null disables persistence)
+		storageKey: 'akvj.midiBindings'
+	},
+	/**
+	 * MIDI input device policy
+	 * Devices are matched by exact port id or case-insensitive name substring.
+	 * Overrides made in the debug overlay persist to localStorage (see DevicePolicy)
+	 */
+	midiDevices: {
+		// Only these devices are listened to (empty = every device not denied)
+		allow: [],
+		// Devices that are always ignored (e.g. a DAW's echo port); deny wins over allow
+		deny: [],
+		// Per-device channel routing, applied before MIDI Learn channel routing. Examples:
+		// { device: 'Launchpad', channelOffset: 5 } - ch1-4 drive Layer Group B (5-8)
+		// { device: 'KeyStep', channels: { 0: 10 } } - ch1 drives ch11, other channels unchanged
+		channelRemap: [],
+		// localStorage key for overlay overrides (null disables persistence)
+		storageKey: 'akvj.midiDevicePolicy'
+	},
+	/**
+	 * MIDI output LED feedback for pad controllers
+	 * Each pad's state is sent as a note-on whose velocity selects the LED color
+	 */
+	midiFeedback: {
+		// Output port names (case-insensitive substring match) that receive feedback.
+		// Empty = no feedback; never send to every output, a DAW port would play the notes.
+		outputNames: [],
+		// Velocity per pad state (Launchpad-style palette indices)
+		velocities: {
+			off: 0,
+			mapped: 1, // Clip, mask or effect mapped to this note
+			active: 21, // Clip/effect currently playing
+			latched: 5 // Latched clip or the current mask
+		}
+	},
+	/**
+	 * Expressive modulation sources: 'pitchBend', 'channelPressure', 'polyPressure'
+	 * Each target lists the sources that drive it. A source listed for both targets
+	 * modulates effect intensity on effect channels and scrub everywhere else.
+	 */
+	modulation: {
+		// Replaces note-on velocity as effect intensity on channels 9 and 12.
+		// Poly pressure affects its own note; the other sources every active effect on the channel.
+		effectIntensity: ['channelPressure', 'polyPressure'],
+		// Scrub position of the layer group (or mixer mask) that owns the message's channel.
+		// Poly pressure only scrubs the clip on its own note.
+		scrub: ['pitchBend']
+	},
+	/**
+	 * On-screen controller (pad grid, faders and computer keyboard) for when Web MIDI is unavailable
+	 * Opens by itself when the browser has no Web MIDI or access is denied; toggle it any time
+	 */
+	virtualController: {
+		// Show/hide key (case-insensitive)
+		toggleKey: 'k',
+		// Keys for the 16 pads, left to right and top to bottom (played only while the controller is open)
+		padKeys: ['1', '2', '3', '4', 'q', 'w', 'e', 'r', 'a', 's', 'd', 'f', 'z', 'x', 'c', 'v'],
+		// Previous/next channel and note bank (16 notes per bank)
+		channelKeys: { down: 'ArrowLeft', up: 'ArrowRight' },
+		bankKeys: { down: 'ArrowDown', up: 'ArrowUp' },
+		// Initial pad velocity (1-127)
+		velocity: 100,
+		// Faders send the CC bound to these MIDI Learn targets (see ControlBindings)
+		faders: ['scrub.layerGroupA', 'scrub.layerGroupB', 'scrub.layerGroupC', 'scrub.mixer', 'scrub.crossfader', 'bpm']
+	},
+	/**
+	 * MIDI performance recording and replay (see MidiRecorder and MidiPlayer)
+	 * Drop a recorded .json or .mid file on the page to load it for replay
+	 */
+	recording: {
+		// Standard MIDI File export resolution, in ticks per quarter note at the recording's starting BPM
+		ticksPerBeat: 960,
+		// Download format of the export key: 'mid' (Standard MIDI File) or 'json' (full timestamp precision)
+		exportFormat: 'mid',
+		// Keyboard keys (case-insensitive)
+		keys: {
+			record: 'c',
+			replay: 'p',
+			export: 'e'
+		}
+	},
+	/**
+	 * Standard MIDI File sequencer (see MidiFileSequencer)
+	 * Each project can ship a .mid file that plays through AppState like live hardware:
+	 * it follows MIDI clock when started by the DAW (Start/Continue/Stop, Song Position),
+	 * or the current BPM when started with the toggle key.
+	 */
+	sequencer: {
+		// Sequence of a project; '{projectId}' is replaced with the active project ID
+		projectSequenceUrlTemplate: '/projects/{projectId}/sequence.mid',
+		// Sequence used while no project is active (legacy single-project mode)
+		defaultSequenceUrl: '/projects/default/sequence.mid',
+		// Restart at the end of the file (its End of Track), instead of stopping
+		loop: true,
+		// Keyboard key that starts/stops the sequence at the current BPM (case-insensitive)
+		toggleKey: 'm'
+	},
 	/**
 	 * Channel assignments for the multi-layer-group architecture
 	 * Maps MIDI channels (0-15) to layer groups and functions
@@ -58,32 +207,104 @@ const settings = {
 		globalEffects: 12,
 		// Project selection - dedicated channel for switching projects live
 		projectSelection: 13,
+		// Scene selection - dedicated channel for switching scenes within the active project
+		sceneSelection: 14,
 		// Reserved channels (ignored by layer group system)
-		reserved: [14, 15]
+		reserved: [15]
 	},
 	/**
 	 * Scrub configuration
-	 * Maps Layer Groups to their dedicated CC for scrubbing
+	 * Maps Layer Groups to their dedicated CC for scrubbing (any channel),
+	 * plus the Layer Group A/B crossfader (see `crossfader`).
+	 * These are defaults; MIDI Learn can rebind them at runtime.
 	 */
 	scrub: {
 		layerGroupA_CC: 16,
 		layerGroupB_CC: 17,
 		layerGroupC_CC: 18,
-		mixer_CC: 19
+		mixer_CC: 19,
+		crossfader_CC: 22
+	},
+	/**
+	 * Crossfader between Layer Group A (0) and Layer Group B (1), driven by `scrub.crossfader_CC`.
+	 * Until it is first moved, A/B mixing is left to the mixer channel as before.
+	 * - mode 'threshold': moves the threshold of the latched mask, so a 1-bit mask wipes
+	 *   progressively (centre = the mask as drawn); dissolves when no mask is latched
+	 * - mode 'dissolve': always a straight dissolve, ignoring the mask
+	 * - curve: 'linear', 'smooth' (eases in and out at the ends) or 'cut' (hard cut at the centre)
+	 */
+	crossfader: {
+		mode: 'threshold',
+		curve: 'linear'
+	},
+	/**
+	 * Generated masks on the mixer channel (no PNGs needed), two banks of `generators` from `firstNote`:
+	 * - held: progress set by the trigger velocity, then the mixer scrub CC or pitch bend
+	 * - beat-synced (the next notes): sweep A→B→A every `beatsPerCycle` beats
+	 * An authored mask clip mapped to the same note takes precedence.
+	 */
+	proceduralMasks: {
+		firstNote: 112,
+		generators: ['linearWipe', 'verticalWipe', 'radialWipe', 'diamond', 'clockWipe', 'checkerboard', 'blinds', 'noiseDissolve'],
+		// 1 = hard edge; 2, 4 or 8 = soft edge quantized like an authored mask of that bit depth
+		bitDepth: 1,
+		// Soft edge width as a fraction of the transition (bit depths above 1)
+		softness: 0.1,
+		// Checkerboard cell and blinds band size in pixels
+		cellSize: 15,
+		beatsPerCycle: 4
+	},
+	/**
+	 * Per-slot blend control for Layer Group channels (A 0-3, B 5-8, C 10-11).
+	 * The CC's channel picks the slot. Opacity scales the clips' own opacity; blend mode
+	 * splits 0-127 into zones for the clips' own mode (lowest) and each of BLEND_MODES.
+	 */
+	layerBlend: {
+		opacityCC: 20,
+		blendModeCC: 21
 	},
 	/**
 	 * Effect note ranges for channel 9 (mixed output effects) and channel 12 (global effects)
-	 * Each range defines a category of effects
+	 * Each range defines a category of effects. `stacking` decides what happens when several
+	 * notes of a range are held: 'last' applies only the latest note, 'stack' applies them all
+	 * (by note) and 'max' applies only the one with the highest velocity.
 	 */
 	effectRanges: {
-		split: { min: 0, max: 15 }, // Split/Divide effects
-		mirror: { min: 16, max: 31 }, // Mirror effects
-		offset: { min: 32, max: 47 }, // Offset/Shift effects
-		color: { min: 48, max: 63 }, // Color effects (invert, posterize, etc.)
-		glitch: { min: 64, max: 79 }, // Glitch effects
-		strobe: { min: 80, max: 95 }, // Strobe/Flash effects
-		reserved: { min: 96, max: 127 } // Reserved for future use
+		split: { min: 0, max: 15, stacking: 'last' }, // Split/Divide effects
+		mirror: { min: 16, max: 31, stacking: 'last' }, // Mirror effects
+		offset: { min: 32, max: 47, stacking: 'last' }, // Offset/Shift effects
+		color: { min: 48, max: 63, stacking: 'last' }, // Color effects (invert, posterize, etc.)
+		glitch: { min: 64, max: 79, stacking: 'last' }, // Glitch effects
+		strobe: { min: 80, max: 95, stacking: 'last' }, // Strobe/Flash effects
+		palette: { min: 96, max: 111, stacking: 'last' }, // Palette mapping (nearest color, ordered dither)
+		feedback: { min: 112, max: 119, stacking: 'last' }, // Feedback trails (one mode per note)
+		reserved: { min: 120, max: 127 } // Reserved for future use
 	},
+	/**
+	 * Order in which each effect channel applies its held effects, as lists of effect types.
+	 * Types missing from a list run after the listed ones; null applies effects by note.
+	 * Per-project overrides go in the project's settings.json (see projectDefaults).
+	 */
+	effectChain: {
+		mixedOutputEffects: null,
+		globalEffects: null
+	},
+	/**
+	 * Envelopes by effect type (plugin types included), e.g. { strobe: { attack: 0, hold: 50, release: 250 } }.
+	 * From note on the effect fades in over `attack`, stays at full for at least `hold` after
+	 * that, and fades out over `release` after note off. Times are in ms, or in beats with
+	 * `unit: 'beats'`. Types without an envelope switch on and off instantly.
+	 */
+	effectEnvelopes: {},
+	/**
+	 * Beat-synced LFOs, phase-locked to the MIDI clock's song position (see LfoModulator).
+	 * Each entry: { target, channel, shape, beats, phase, min, max }, e.g.
+	 * { target: 'effectIntensity', channel: 12, shape: 'sine', beats: 4 }. Targets are
+	 * 'effectIntensity' (effect channel), 'scrub' and 'opacity' (slot channel) and
+	 * 'maskProgress' (no channel); shapes are 'sine', 'square', 'saw' and 'random'.
+	 * Usually set per project in its settings.json.
+	 */
+	lfos: [],
 	/**
 	 * Effect parameters for tuning visual effects
 	 * These control thresholds, probabilities, and intensities
@@ -103,7 +324,35 @@ const settings = {
 		posterizeIntensityScale: 6,
 		// Split effect: min and max number of splits
 		splitMin: 2,
-		splitMax: 8
+		splitMax: 8,
+		// Palette effect: palettes picked by note within each half of the range (nearest color,
+		// then dithered). Entries are names of built-in PALETTES or lists of '#rrggbb' colors.
+		palettes: ['gameboy', 'pico8', 'cga'],
+		// Beats per color step when the palette cycles (velocity 64 and up)
+		paletteCycleBeats: 1,
+		// Ordered dither strength in color values
+		paletteDitherSpread: 48,
+		// Feedback effect: how much of the previous frame is kept at velocity 127
+		feedbackMaxDecay: 0.92,
+		// Zoom feedback: scale change per frame
+		feedbackZoomStep: 0.03,
+		// Smear feedback: pixels moved per frame
+		feedbackSmearPixels: 1
+	},
+	/**
+	 * Live effect parameters: CCs on the effect channels (9 and 12) that adjust the held
+	 * effects of a category. Each named parameter maps the CC's 0-127 onto min-max and
+	 * replaces the value the effect would otherwise derive from its note, velocity or
+	 * effectParams, until the note is released. One CC can drive several parameters at once.
+	 */
+	effectControls: {
+		split: { count: { cc: 24, min: 2, max: 16 } },
+		offset: { amount: { cc: 24, min: 0, max: 1 } },
+		color: { levels: { cc: 24, min: 2, max: 16 } },
+		glitch: { displacement: { cc: 24, min: 0, max: 60 }, probability: { cc: 25, min: 0, max: 0.5 } },
+		strobe: { duty: { cc: 24, min: 0.05, max: 0.95 } },
+		palette: { dither: { cc: 24, min: 0, max: 128 } },
+		feedback: { decay: { cc: 24, min: 0, max: 0.98 }, zoom: { cc: 25, min: 0, max: 0.1 }, smear: { cc: 25, min: 0, max: 4 } }
 	},
 
 	performance: {
@@ -128,22 +377,96 @@ const settings = {
 		// Project-related URLs
 		activeProjectUrl: '/active-project.json',
 		projectsIndexUrl: '/projects/index.json',
+		// Optional running order of projects for a show (see Setlist)
+		setlistUrl: '/projects/setlist.json',
 		projectKeyMapUrlTemplate: '/projects/{projectId}/clips/key-map.json',
 		projectClipsJsonUrlTemplate: '/projects/{projectId}/clips/clips.json',
-		projectClipsPathTemplate: '/projects/{projectId}/clips'
+		projectClipsPathTemplate: '/projects/{projectId}/clips',
+		// Scene key-maps listed in a project's settings.json `scenes` (see ClipLoader.loadScenes)
+		projectScenesPathTemplate: '/projects/{projectId}/scenes',
+		// Optional per-project overrides of `projectDefaults` (see mergeProjectSettings)
+		projectSettingsUrlTemplate: '/projects/{projectId}/settings.json',
+		// Effect plugin modules listed in a project's settings.json `effectPlugins`
+		projectEffectsPathTemplate: '/projects/{projectId}/effects'
+	},
+	/**
+	 * Clip sprite loading (see ClipLoader and SpriteCache)
+	 */
+	clipLoading: {
+		// 'eager' loads every mapped sprite with the project; 'lazy' loads resident sprites
+		// (`"resident": true` in a clip's meta or key-map entry) with the project and the rest
+		// on their clip's first trigger
+		strategy: 'eager',
+		// Decoded sprite memory for 'lazy' loading, in megabytes; past it the least recently used
+		// sprites that are neither resident nor on screen are evicted
+		budgetMB: 512,
+		// Clip IDs to load in the background after the resident ones ('lazy' only); a project's
+		// settings.json `warmClips` replaces this list
+		warmClips: []
+	},
+	/**
+	 * Live project switching (MIDI channel 14, see VisualEngine).
+	 */
+	projectSwitching: {
+		// Projects to load in the background so switching to them is instant: 'none', 'next' (the
+		// project after the active one in the setlist, or else in projects/index.json) or 'all'
+		// (from the next one on)
+		preload: 'none',
+		// Decoded image memory the preloaded projects may take together, in megabytes
+		preloadBudgetMB: 256,
+		// Hold the last frame behind the loading overlay while a project that is not preloaded
+		// loads; when false the old project keeps playing until the new one is ready
+		freezeWhileLoading: true,
+		// How the output changes over: 'cut', 'crossfade' or 'wipe' (the old project keeps playing meanwhile)
+		transition: 'cut',
+		transitionMs: 500,
+		// Mask generator (see maskGenerators.js) that shapes the 'wipe' transition
+		wipeGenerator: 'linearWipe'
+	},
+	/**
+	 * Setlist transport: step to the previous/next entry of projects/setlist.json
+	 */
+	setlist: {
+		// Keyboard keys (case-insensitive)
+		keys: {
+			previous: 'PageUp',
+			next: 'PageDown'
+		},
+		// Default MIDI notes ({ channel, note }, input channel 0-15) or null; re-assignable via MIDI Learn
+		notes: {
+			previous: null,
+			next: null
+		},
+		// MIDI CCs ({ channel, controller }, channel null = any) or null; a step fires when the CC rises to 64 or above
+		controls: {
+			previous: null,
+			next: null
+		}
 	},
 	rendering: {
 		imageSmoothingEnabled: false,
 		imageSmoothingQuality: 'low',
-		backgroundColor: '#000000'
+		backgroundColor: '#000000',
+		// Load clips, composite and apply effects in a worker drawing to the canvas as an
+		// OffscreenCanvas, so that pixel work never delays MIDI handling on the main thread.
+		// Ignored (rendering stays on the main thread) where OffscreenCanvas is unsupported
+		renderInWorker: false
 	},
 	/**
 	 * Project-level settings defaults.
 	 * These settings can be overridden per-project via a project's settings.json.
 	 * General settings (canvas, midi, bpm, channelMapping, scrub, effectRanges, rendering)
-	 * are NOT overridable per-project — they define the hardware/protocol layer.
+	 * are NOT overridable per-project — they define the hardware/protocol layer. A project
+	 * can still change how its ranges stack through `effectStacking` (policy by effect type).
 	 */
 	projectDefaults: {
+		effectChain: {
+			mixedOutputEffects: null,
+			globalEffects: null
+		},
+		effectStacking: {},
+		effectEnvelopes: {},
+		lfos: [],
 		effectParams: {
 			effectVariantThreshold: 8,
 			glitchMaxDisplacement: 20,
@@ -151,15 +474,21 @@ const settings = {
 			posterizeBaseLevels: 8,
 			posterizeIntensityScale: 6,
 			splitMin: 2,
-			splitMax: 8
+			splitMax: 8,
+			palettes: ['gameboy', 'pico8', 'cga'],
+			paletteCycleBeats: 1,
+			paletteDitherSpread: 48,
+			feedbackMaxDecay: 0.92,
+			feedbackZoomStep: 0.03,
+			feedbackSmearPixels: 1
 		}
 	}
 };
 
 /**
  * Merge project-level settings overrides into the global settings.
- * Only `effectParams` (and future project-level keys) are merged;
- * general settings remain unchanged.
+ * Only `effectParams`, `effectChain`, `effectStacking`, `effectEnvelopes` and `lfos` (which a
+ * project replaces as a whole) are merged; general settings remain unchanged.
  * @param {Object} [projectSettings] - Project-specific settings overrides
  * @returns {Object} Merged settings object with project overrides applied
  */
@@ -172,8 +501,38 @@ export function mergeProjectSettings(projectSettings) {
 		effectParams: {
 			...settings.effectParams,
 			...projectSettings.effectParams
-		}
+		},
+		effectChain: {
+			...settings.effectChain,
+			...projectSettings.effectChain
+		},
+		effectStacking: { ...projectSettings.effectStacking },
+		effectEnvelopes: {
+			...settings.effectEnvelopes,
+			...projectSettings.effectEnvelopes
+		},
+		lfos: projectSettings.lfos ?? settings.lfos
 	};
 }
 
+/**
+ * Overlay a scene's settings on its project's settings.json overrides, before mergeProjectSettings.
+ * Object sections (`effectParams`, `effectChain`, …) merge key by key; anything else, such as
+ * `lfos`, replaces the project's value.
+ * @param {Object|null} projectSettings - The project's settings.json overrides
+ * @param {Object|null} sceneSettings - The scene's `settings`
+ * @returns {Object|null} Project settings with the scene's applied
+ */
+export function overlaySceneSettings(projectSettings, sceneSettings) {
+	if (!sceneSettings) {
+		return projectSettings;
+	}
+	const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+	const overlaid = { ...projectSettings };
+	for (const [key, value] of Object.entries(sceneSettings)) {
+		overlaid[key] = isObject(value) && isObject(overlaid[key]) ? { ...overlaid[key], ...value } : value;
+	}
+	return overlaid;
+}
+
 export default settings;
@@ -0,0 +1,519 @@
+/**
+ * ControlBindings - Live MIDI binding table for scrub CCs, the BPM CC and channel mapping.
+ *
+ * Seeded from `settings.scrub` / `settings.bpm`, then overridden by bindings
+ * captured in MIDI Learn mode. Learned bindings persist to localStorage so a
+ * controller change no longer needs a rebuild.
+ *
+ * Learn targets:
+ * - `scrub.layerGroupA` … `scrub.mixer`: a CC (+ channel) drives that scrub position
+ * - `scrub.crossfader`: a CC (+ channel) drives the Layer Group A/B crossfader
+ * - `bpm`: a CC (+ channel) drives the fallback BPM
+ * - `channel.N`: notes arriving on the learned input channel are routed to code channel N
+ * - `tempo.tap` … `tempo.phaseReset`: a note (+ input channel) triggers that tempo action
+ * - `setlist.previous` / `setlist.next`: a note (+ input channel) steps through the setlist
+ *
+ * Setlist steps can also come from CCs (`settings.setlist.controls`), which are not learned.
+ */
+import defaultSettings from '../core/settings.js';
+import { getDefaultStorage, readStoredObject, writeStoredObject } from '../utils/storage.js';
+
+const MIDI_CHANNEL_COUNT = 16;
+const MAX_MIDI_DATA_VALUE = 127;
+
+const SCRUB_TARGETS = Object.freeze(['layerGroupA', 'layerGroupB', 'layerGroupC', 'mixer', 'crossfader']);
+const TEMPO_ACTIONS = Object.freeze(['tap', 'nudgeDown', 'nudgeUp', 'phaseReset']);
+const SETLIST_ACTIONS = Object.freeze(['previous', 'next']);
+export const LEARN_TARGET_BPM = 'bpm';
+const SCRUB_TARGET_PREFIX = 'scrub.';
+const CHANNEL_TARGET_PREFIX = 'channel.';
+
+// Note-triggered actions by settings section, which is also their learn target prefix ('tempo.tap')
+const NOTE_ACTIONS = Object.freeze({ tempo: TEMPO_ACTIONS, setlist: SETLIST_ACTIONS });
+const NOTE_TARGETS = Object.freeze(Object.entries(NOTE_ACTIONS).flatMap(([group, actions]) => actions.map(action => `${group}.${action}`)));
+
+/**
+ * @typedef {Object} ControlBinding
+ * @property {number|null} channel - MIDI channel (0-15), or null to match any channel
+ * @property {number} controller - CC number (0-127)
+ */
+
+/**
+ * @typedef {Object} NoteBinding
+ * @property {number} channel - Input MIDI channel (0-15)
+ * @property {number} note - MIDI note (0-127)
+ */
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ * @returns {boolean}
+ */
+function isIntegerInRange(value, max) {
+	return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+/**
+ * @param {unknown} binding
+ * @returns {boolean}
+ */
+function isValidBinding(binding) {
+	if (!binding || typeof binding !== 'object') {
+		return false;
+	}
+	const isChannelValid = binding.channel === null || isIntegerInRange(binding.channel, MIDI_CHANNEL_COUNT - 1);
+	return isChannelValid && isIntegerInRange(binding.controller, MAX_MIDI_DATA_VALUE);
+}
+
+/**
+ * @param {unknown} binding
+ * @returns {boolean}
+ */
+function isValidNoteBinding(binding) {
+	return !!binding && typeof binding === 'object' && isIntegerInRange(binding.channel, MIDI_CHANNEL_COUNT - 1) && isIntegerInRange(binding.note, MAX_MIDI_DATA_VALUE);
+}
+
+/**
+ * @param {ControlBinding|null} binding
+ * @param {number} channel
+ * @param {number} controller
+ * @returns {boolean}
+ */
+function bindingMatches(binding, channel, controller) {
+	if (!binding || binding.controller !== controller) {
+		return false;
+	}
+	return binding.channel === null || binding.channel === channel;
+}
+
+class ControlBindings {
+	#settings;
+	#storage;
+
+	/** @type {Map<string, ControlBinding|null>} Scrub target → CC binding */
+	#scrubBindings = new Map();
+
+	/** @type {ControlBinding|null} */
+	#bpmBinding = null;
+
+	/** @type {Map<number, number>} Input channel → code channel the notes are routed to */
+	#channelRemap = new Map();
+
+	/** @type {Map<string, NoteBinding|null>} Note target ('tempo.tap', 'setlist.next', …) → note binding */
+	#noteBindings = new Map();
+
+	/**
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 * @param {Storage|null} [storage] - Injected for testing; defaults to localStorage
+	 */
+	constructor(settings = defaultSettings, storage = getDefaultStorage()) {
+		this.#settings = settings;
+		this.#storage = storage;
+		this.restoreDefaults();
+		this.#load();
+	}
+
+	/**
+	 * All targets that can be armed in MIDI Learn mode, in display order.
+	 * @returns {string[]}
+	 */
+	static listLearnTargets() {
+		const channelTargets = Array.from({ length: MIDI_CHANNEL_COUNT }, (_, channel) => `${CHANNEL_TARGET_PREFIX}${channel}`);
+		return [...SCRUB_TARGETS.map(name => `${SCRUB_TARGET_PREFIX}${name}`), LEARN_TARGET_BPM, ...NOTE_TARGETS, ...channelTargets];
+	}
+
+	/**
+	 * Whether a learn target is bound by moving a CC (as opposed to playing a note).
+	 * @param {string} target
+	 * @returns {boolean}
+	 */
+	static isControlChangeTarget(target) {
+		return target === LEARN_TARGET_BPM || (typeof target === 'string' && target.startsWith(SCRUB_TARGET_PREFIX) && SCRUB_TARGETS.includes(target.slice(SCRUB_TARGET_PREFIX.length)));
+	}
+
+	/**
+	 * Whether a learn target is bound by playing a note on the source channel.
+	 * @param {string} target
+	 * @returns {boolean}
+	 */
+	static isChannelTarget(target) {
+		return ControlBindings.#parseChannelTarget(target) !== null;
+	}
+
+	/**
+	 * Whether a learn target is bound by playing a specific note (channel + note).
+	 * @param {string} target
+	 * @returns {boolean}
+	 */
+	static isNoteTarget(target) {
+		return NOTE_TARGETS.includes(target);
+	}
+
+	/**
+	 * @param {string} target
+	 * @returns {number|null} Code channel, or null if the target is not a channel target
+	 */
+	static #parseChannelTarget(target) {
+		if (typeof target !== 'string' || !target.startsWith(CHANNEL_TARGET_PREFIX)) {
+			return null;
+		}
+		const channel = Number(target.slice(CHANNEL_TARGET_PREFIX.length));
+		return isIntegerInRange(channel, MIDI_CHANNEL_COUNT - 1) ? channel : null;
+	}
+
+	/**
+	 * Find the scrub target bound to a CC message.
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number} controller - CC number (0-127)
+	 * @returns {string|null} Scrub target name (e.g. 'layerGroupA') or null
+	 */
+	getScrubTarget(channel, controller) {
+		for (const [name, binding] of this.#scrubBindings) {
+			if (bindingMatches(binding, channel, controller)) {
+				return name;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Whether a CC message drives the fallback BPM.
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number} controller - CC number (0-127)
+	 * @returns {boolean}
+	 */
+	isBPMControl(channel, controller) {
+		return bindingMatches(this.#bpmBinding, channel, controller);
+	}
+
+	/**
+	 * The CC currently bound to a scrub or BPM target.
+	 * @param {string} target - A CC learn target (see {@link ControlBindings.isControlChangeTarget})
+	 * @returns {ControlBinding|null} A copy of the binding, or null if unbound or not a CC target
+	 */
+	getControlChange(target) {
+		if (!ControlBindings.isControlChangeTarget(target)) {
+			return null;
+		}
+		const binding = target === LEARN_TARGET_BPM ? this.#bpmBinding : this.#scrubBindings.get(target.slice(SCRUB_TARGET_PREFIX.length));
+		return binding ? { ...binding } : null;
+	}
+
+	/**
+	 * Find the tempo action bound to a note.
+	 * @param {number} channel - Input MIDI channel (0-15), before channel routing
+	 * @param {number} note - MIDI note (0-127)
+	 * @returns {string|null} Tempo action (see TEMPO_ACTIONS) or null
+	 */
+	getTempoAction(channel, note) {
+		return this.#findNoteAction('tempo', channel, note);
+	}
+
+	/**
+	 * Find the setlist step bound to a note.
+	 * @param {number} channel - Input MIDI channel (0-15), before channel routing
+	 * @param {number} note - MIDI note (0-127)
+	 * @returns {string|null} Setlist action (see SETLIST_ACTIONS) or null
+	 */
+	getSetlistAction(channel, note) {
+		return this.#findNoteAction('setlist', channel, note);
+	}
+
+	/**
+	 * @param {number} channel - Input MIDI channel (0-15), before channel routing
+	 * @param {number} note - MIDI note (0-127)
+	 * @returns {boolean} Whether the note is bound to a tempo or setlist action
+	 */
+	isActionNote(channel, note) {
+		return this.#findNoteTarget(channel, note) !== null;
+	}
+
+	/**
+	 * Find the setlist step bound to a CC (see settings.setlist.controls).
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number} controller - CC number (0-127)
+	 * @returns {string|null} Setlist action (see SETLIST_ACTIONS) or null
+	 */
+	getSetlistControlAction(channel, controller) {
+		const controls = this.#settings.setlist?.controls ?? {};
+		return SETLIST_ACTIONS.find(action => isValidBinding(controls[action]) && bindingMatches(controls[action], channel, controller)) ?? null;
+	}
+
+	/**
+	 * @param {string} group - 'tempo' or 'setlist'
+	 * @param {number} channel
+	 * @param {number} note
+	 * @returns {string|null} The group's action bound to the note, or null
+	 */
+	#findNoteAction(group, channel, note) {
+		const target = this.#findNoteTarget(channel, note);
+		return target?.startsWith(`${group}.`) ? target.slice(group.length + 1) : null;
+	}
+
+	#findNoteTarget(channel, note) {
+		for (const [target, binding] of this.#noteBindings) {
+			if (binding && binding.channel === channel && binding.note === note) {
+				return target;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Map an input channel to the code channel its notes should drive.
+	 * @param {number} channel - Incoming MIDI channel (0-15)
+	 * @returns {number} Routed channel (unchanged if no mapping was learned)
+	 */
+	resolveChannel(channel) {
+		return this.#channelRemap.get(channel) ?? channel;
+	}
+
+	/**
+	 * Inverse of resolveChannel: every input channel whose notes end up on `channel`.
+	 * Used to address controller LEDs on the channel the pads actually send on.
+	 * @param {number} channel - Code channel (0-15)
+	 * @returns {number[]}
+	 */
+	getSourceChannels(channel) {
+		const sources = [];
+		for (let source = 0; source < MIDI_CHANNEL_COUNT; source++) {
+			if (this.resolveChannel(source) === channel) {
+				sources.push(source);
+			}
+		}
+		return sources;
+	}
+
+	/**
+	 * Describe the current binding for a learn target (for overlays and logs).
+	 * @param {string} target
+	 * @returns {string}
+	 */
+	describe(target) {
+		const routedChannel = ControlBindings.#parseChannelTarget(target);
+		if (routedChannel !== null) {
+			const sources = [...this.#channelRemap].filter(([, destination]) => destination === routedChannel).map(([source]) => `CH${source + 1}`);
+			return sources.length > 0 ? sources.join(', ') : `CH${routedChannel + 1}`;
+		}
+		if (ControlBindings.isNoteTarget(target)) {
+			const noteBinding = this.#noteBindings.get(target);
+			return noteBinding ? `CH${noteBinding.channel + 1} N${noteBinding.note}` : 'unbound';
+		}
+		const binding = target === LEARN_TARGET_BPM ? this.#bpmBinding : this.#scrubBindings.get(target.slice(SCRUB_TARGET_PREFIX.length));
+		if (!binding) {
+			return 'unbound';
+		}
+		const channelLabel = binding.channel === null ? 'any' : `CH${binding.channel + 1}`;
+		return `${channelLabel} CC${binding.controller}`;
+	}
+
+	/**
+	 * Bind a CC to a scrub or BPM target. Any other target using the same CC is unbound
+	 * so one knob never drives two things.
+	 * @param {string} target - A CC learn target (see {@link ControlBindings.isControlChangeTarget})
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number} controller - CC number (0-127)
+	 * @returns {boolean} True if the binding was stored
+	 */
+	bindControlChange(target, channel, controller) {
+		const binding = { channel, controller };
+		if (!ControlBindings.isControlChangeTarget(target) || !isValidBinding(binding)) {
+			return false;
+		}
+
+		this.#unbindControlChange(channel, controller);
+		if (target === LEARN_TARGET_BPM) {
+			this.#bpmBinding = binding;
+		} else {
+			this.#scrubBindings.set(target.slice(SCRUB_TARGET_PREFIX.length), binding);
+		}
+		this.#save();
+		return true;
+	}
+
+	/**
+	 * Route notes from an input channel to a channel target.
+	 * @param {string} target - A channel learn target (`channel.N`)
+	 * @param {number} sourceChannel - Input channel the controller sends on (0-15)
+	 * @returns {boolean} True if the mapping was stored
+	 */
+	bindChannel(target, sourceChannel) {
+		const routedChannel = ControlBindings.#parseChannelTarget(target);
+		if (routedChannel === null || !isIntegerInRange(sourceChannel, MIDI_CHANNEL_COUNT - 1)) {
+			return false;
+		}
+		if (routedChannel === sourceChannel) {
+			this.#channelRemap.delete(sourceChannel);
+		} else {
+			this.#channelRemap.set(sourceChannel, routedChannel);
+		}
+		this.#save();
+		return true;
+	}
+
+	/**
+	 * Bind a note to a tempo or setlist action. Any other action using the same note is unbound.
+	 * @param {string} target - A note learn target (`tempo.*`, `setlist.*`)
+	 * @param {number} channel - Input channel the controller sends on (0-15)
+	 * @param {number} note - MIDI note (0-127)
+	 * @returns {boolean} True if the binding was stored
+	 */
+	bindNote(target, channel, note) {
+		const binding = { channel, note };
+		if (!ControlBindings.isNoteTarget(target) || !isValidNoteBinding(binding)) {
+			return false;
+		}
+		const previousTarget = this.#findNoteTarget(channel, note);
+		if (previousTarget !== null) {
+			this.#noteBindings.set(previousTarget, null);
+		}
+		this.#noteBindings.set(target, binding);
+		this.#save();
+		return true;
+	}
+
+	/**
+	 * Drop a learned binding, reverting the target to its settings default.
+	 * @param {string} target
+	 */
+	clear(target) {
+		const routedChannel = ControlBindings.#parseChannelTarget(target);
+		if (routedChannel !== null) {
+			for (const [source, destination] of this.#channelRemap) {
+				if (destination === routedChannel) {
+					this.#channelRemap.delete(source);
+				}
+			}
+		} else if (ControlBindings.isNoteTarget(target)) {
+			this.#noteBindings.set(target, this.#defaultNoteBinding(target));
+		} else if (target === LEARN_TARGET_BPM) {
+			this.#bpmBinding = this.#defaultBPMBinding();
+		} else if (ControlBindings.isControlChangeTarget(target)) {
+			const name = target.slice(SCRUB_TARGET_PREFIX.length);
+			this.#scrubBindings.set(name, this.#defaultScrubBinding(name));
+		} else {
+			return;
+		}
+		this.#save();
+	}
+
+	/**
+	 * Restore the settings defaults in memory without touching persisted bindings.
+	 * Used by AppState.reset() for test isolation.
+	 */
+	restoreDefaults() {
+		this.#scrubBindings.clear();
+		for (const name of SCRUB_TARGETS) {
+			this.#scrubBindings.set(name, this.#defaultScrubBinding(name));
+		}
+		this.#bpmBinding = this.#defaultBPMBinding();
+		this.#channelRemap.clear();
+		this.#noteBindings.clear();
+		for (const target of NOTE_TARGETS) {
+			this.#noteBindings.set(target, this.#defaultNoteBinding(target));
+		}
+	}
+
+	/**
+	 * Replace the live table with another one's toJSON() snapshot, without persisting it
+	 * (the render worker mirrors the main thread's bindings, see RenderWorkerHost).
+	 * @param {Object} snapshot
+	 */
+	restore(snapshot) {
+		this.restoreDefaults();
+		this.#apply(snapshot);
+	}
+
+	/**
+	 * Plain-object snapshot of the live table (the persisted format).
+	 * @returns {{ scrub: Object<string, ControlBinding|null>, bpm: ControlBinding|null, channels: Object<string, number>, tempo: Object<string, NoteBinding|null>, setlist: Object<string, NoteBinding|null> }}
+	 */
+	toJSON() {
+		return {
+			scrub: Object.fromEntries(this.#scrubBindings),
+			bpm: this.#bpmBinding,
+			channels: Object.fromEntries(this.#channelRemap),
+			tempo: this.#getNoteBindings('tempo'),
+			setlist: this.#getNoteBindings('setlist')
+		};
+	}
+
+	#getNoteBindings(group) {
+		return Object.fromEntries(NOTE_ACTIONS[group].map(action => [action, this.#noteBindings.get(`${group}.${action}`)]));
+	}
+
+	#defaultScrubBinding(name) {
+		const controller = this.#settings.scrub?.[`${name}_CC`];
+		// Static scrub CCs have always matched on every channel
+		return isIntegerInRange(controller, MAX_MIDI_DATA_VALUE) ? { channel: null, controller } : null;
+	}
+
+	#defaultBPMBinding() {
+		const { controlCC, controlChannel } = this.#settings.bpm;
+		const binding = { channel: controlChannel, controller: controlCC };
+		return isValidBinding(binding) ? binding : null;
+	}
+
+	#defaultNoteBinding(target) {
+		const [group, action] = target.split('.');
+		const binding = this.#settings[group]?.notes?.[action];
+		return isValidNoteBinding(binding) ? { channel: binding.channel, note: binding.note } : null;
+	}
+
+	#unbindControlChange(channel, controller) {
+		for (const [name, binding] of this.#scrubBindings) {
+			if (bindingMatches(binding, channel, controller)) {
+				this.#scrubBindings.set(name, null);
+			}
+		}
+		if (bindingMatches(this.#bpmBinding, channel, controller)) {
+			this.#bpmBinding = null;
+		}
+	}
+
+	#load() {
+		this.#apply(this.#readStorage());
+	}
+
+	/**
+	 * Take over bindings from a toJSON() snapshot; entries that are missing or invalid keep their current binding.
+	 * @param {Object|null} stored
+	 */
+	#apply(stored) {
+		if (!stored) {
+			return;
+		}
+		for (const name of SCRUB_TARGETS) {
+			const binding = stored.scrub?.[name];
+			if (binding === null || isValidBinding(binding)) {
+				this.#scrubBindings.set(name, binding && { channel: binding.channel, controller: binding.controller });
+			}
+		}
+		if (stored.bpm === null || isValidBinding(stored.bpm)) {
+			this.#bpmBinding = stored.bpm && { channel: stored.bpm.channel, controller: stored.bpm.controller };
+		}
+		for (const [source, destination] of Object.entries(stored.channels ?? {})) {
+			const sourceChannel = Number(source);
+			if (isIntegerInRange(sourceChannel, MIDI_CHANNEL_COUNT - 1) && isIntegerInRange(destination, MIDI_CHANNEL_COUNT - 1)) {
+				this.#channelRemap.set(sourceChannel, destination);
+			}
+		}
+		for (const target of NOTE_TARGETS) {
+			const [group, action] = target.split('.');
+			const binding = stored[group]?.[action];
+			if (binding === null || isValidNoteBinding(binding)) {
+				this.#noteBindings.set(target, binding && { channel: binding.channel, note: binding.note });
+			}
+		}
+	}
+
+	#readStorage() {
+		return readStoredObject(this.#storage, this.#settings.midiLearn?.storageKey, 'ControlBindings');
+	}
+
+	#save() {
+		writeStoredObject(this.#storage, this.#settings.midiLearn?.storageKey, this.toJSON(), 'ControlBindings');
+	}
+}
+
+export default ControlBindings;
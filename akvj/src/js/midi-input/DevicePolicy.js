@@ -0,0 +1,245 @@
+/**
+ * DevicePolicy - Decides which MIDI inputs are listened to and how their channels are routed.
+ *
+ * Seeded from `settings.midiDevices` (allow/deny lists and per-device channel remaps),
+ * then overridden per device from the debug overlay. Overrides are keyed by port
+ * name and persist to localStorage so a blocked echo port stays blocked after reload.
+ *
+ * Device channel routing is applied before MIDI Learn channel routing (ControlBindings),
+ * so learned routes see the channel the device is configured to send on.
+ */
+import defaultSettings from '../core/settings.js';
+import { getDefaultStorage, readStoredObject, writeStoredObject } from '../utils/storage.js';
+
+const MIDI_CHANNEL_COUNT = 16;
+
+/**
+ * @typedef {Object} MIDIPortLike
+ * @property {string} [id] - Port id
+ * @property {string} [name] - Port name
+ */
+
+/**
+ * @typedef {Object} DeviceOverride
+ * @property {boolean} [enabled] - Forces the device on/off regardless of allow/deny lists
+ * @property {number} [channelOffset] - Replaces the settings remap for this device
+ */
+
+/**
+ * @param {MIDIPortLike} port
+ * @param {unknown} pattern - Port id or case-insensitive name substring
+ * @returns {boolean}
+ */
+function portMatches(port, pattern) {
+	if (typeof pattern !== 'string' || pattern === '') {
+		return false;
+	}
+	return port.id === pattern || (port.name ?? '').toLowerCase().includes(pattern.toLowerCase());
+}
+
+/**
+ * @param {number} channel
+ * @param {number} offset
+ * @returns {number} Channel wrapped into 0-15
+ */
+function offsetChannel(channel, offset) {
+	return (((channel + offset) % MIDI_CHANNEL_COUNT) + MIDI_CHANNEL_COUNT) % MIDI_CHANNEL_COUNT;
+}
+
+/**
+ * @param {MIDIPortLike} port
+ * @returns {string} Key used for overrides
+ */
+function getPortKey(port) {
+	return port.name ?? port.id ?? 'unknown';
+}
+
+class DevicePolicy {
+	#settings;
+	#storage;
+
+	/** @type {Map<string, DeviceOverride>} Port name → override */
+	#overrides = new Map();
+
+	/**
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 * @param {Storage|null} [storage] - Injected for testing; defaults to localStorage
+	 */
+	constructor(settings = defaultSettings, storage = getDefaultStorage()) {
+		this.#settings = settings;
+		this.#storage = storage;
+		this.#load();
+	}
+
+	/**
+	 * Whether messages from this input should be handled at all.
+	 * @param {MIDIPortLike} port
+	 * @returns {boolean}
+	 */
+	isAllowed(port) {
+		const enabled = this.#overrides.get(getPortKey(port))?.enabled;
+		if (enabled !== undefined) {
+			return enabled;
+		}
+		const { allow = [], deny = [] } = this.#settings.midiDevices ?? {};
+		if (deny.some(pattern => portMatches(port, pattern))) {
+			return false;
+		}
+		return allow.length === 0 || allow.some(pattern => portMatches(port, pattern));
+	}
+
+	/**
+	 * Route a channel message from this input to the channel the rest of the app sees.
+	 * @param {MIDIPortLike} port
+	 * @param {number} channel - Channel from the status byte (0-15)
+	 * @returns {number} Routed channel (0-15)
+	 */
+	resolveChannel(port, channel) {
+		const overrideOffset = this.#overrides.get(getPortKey(port))?.channelOffset;
+		if (overrideOffset !== undefined) {
+			return offsetChannel(channel, overrideOffset);
+		}
+		const rule = this.#findRemapRule(port);
+		if (!rule) {
+			return channel;
+		}
+		const mapped = rule.channels?.[channel];
+		if (Number.isInteger(mapped) && mapped >= 0 && mapped < MIDI_CHANNEL_COUNT) {
+			return mapped;
+		}
+		return offsetChannel(channel, Number.isInteger(rule.channelOffset) ? rule.channelOffset : 0);
+	}
+
+	/**
+	 * Inverse of resolveChannel: every channel this device sends on that is routed to `channel`.
+	 * @param {MIDIPortLike} port
+	 * @param {number} channel - Routed channel (0-15)
+	 * @returns {number[]}
+	 */
+	getSourceChannels(port, channel) {
+		const sources = [];
+		for (let source = 0; source < MIDI_CHANNEL_COUNT; source++) {
+			if (this.resolveChannel(port, source) === channel) {
+				sources.push(source);
+			}
+		}
+		return sources;
+	}
+
+	/**
+	 * Current channel offset for a device (overlay override, else settings rule, else 0).
+	 * Per-channel `channels` maps are not reflected here.
+	 * @param {MIDIPortLike} port
+	 * @returns {number}
+	 */
+	getChannelOffset(port) {
+		const overrideOffset = this.#overrides.get(getPortKey(port))?.channelOffset;
+		if (overrideOffset !== undefined) {
+			return overrideOffset;
+		}
+		const ruleOffset = this.#findRemapRule(port)?.channelOffset;
+		return Number.isInteger(ruleOffset) ? offsetChannel(0, ruleOffset) : 0;
+	}
+
+	/**
+	 * Force a device on or off, overriding the allow/deny lists.
+	 * @param {MIDIPortLike} port
+	 * @param {boolean} enabled
+	 */
+	setEnabled(port, enabled) {
+		this.#updateOverride(port, { enabled: Boolean(enabled) });
+	}
+
+	/**
+	 * Route every channel of a device by a fixed offset, replacing its settings remap.
+	 * @param {MIDIPortLike} port
+	 * @param {number} offset - Any integer; wrapped into 0-15
+	 * @returns {boolean} True if the offset was stored
+	 */
+	setChannelOffset(port, offset) {
+		if (!Number.isInteger(offset)) {
+			return false;
+		}
+		this.#updateOverride(port, { channelOffset: offsetChannel(0, offset) });
+		return true;
+	}
+
+	/**
+	 * Drop overlay overrides for a device, reverting it to the settings policy.
+	 * @param {MIDIPortLike} port
+	 */
+	clear(port) {
+		if (this.#overrides.delete(getPortKey(port))) {
+			this.#save();
+		}
+	}
+
+	/**
+	 * Describe how a device is handled (for overlays and logs), e.g. 'blocked', 'ch+5', 'ch map', 'ok'.
+	 * @param {MIDIPortLike} port
+	 * @returns {string}
+	 */
+	describe(port) {
+		if (!this.isAllowed(port)) {
+			return 'blocked';
+		}
+		const hasOverrideOffset = this.#overrides.get(getPortKey(port))?.channelOffset !== undefined;
+		if (!hasOverrideOffset && this.#findRemapRule(port)?.channels) {
+			return 'ch map';
+		}
+		const offset = this.getChannelOffset(port);
+		return offset === 0 ? 'ok' : `ch+${offset}`;
+	}
+
+	/**
+	 * Forget overrides in memory without touching persisted ones.
+	 * Used by AppState.reset() for test isolation.
+	 */
+	restoreDefaults() {
+		this.#overrides.clear();
+	}
+
+	/**
+	 * Plain-object snapshot of the overrides (the persisted format).
+	 * @returns {{ overrides: Object<string, DeviceOverride> }}
+	 */
+	toJSON() {
+		return { overrides: Object.fromEntries(this.#overrides) };
+	}
+
+	#findRemapRule(port) {
+		const rules = this.#settings.midiDevices?.channelRemap ?? [];
+		return rules.find(rule => portMatches(port, rule?.device)) ?? null;
+	}
+
+	#updateOverride(port, changes) {
+		const key = getPortKey(port);
+		this.#overrides.set(key, { ...this.#overrides.get(key), ...changes });
+		this.#save();
+	}
+
+	#load() {
+		const stored = readStoredObject(this.#storage, this.#settings.midiDevices?.storageKey, 'DevicePolicy');
+		for (const [key, override] of Object.entries(stored?.overrides ?? {})) {
+			if (!override || typeof override !== 'object') {
+				continue;
+			}
+			const sanitized = {};
+			if (typeof override.enabled === 'boolean') {
+				sanitized.enabled = override.enabled;
+			}
+			if (Number.isInteger(override.channelOffset)) {
+				sanitized.channelOffset = offsetChannel(0, override.channelOffset);
+			}
+			if (Object.keys(sanitized).length > 0) {
+				this.#overrides.set(key, sanitized);
+			}
+		}
+	}
+
+	#save() {
+		writeStoredObject(this.#storage, this.#settings.midiDevices?.storageKey, this.toJSON(), 'DevicePolicy');
+	}
+}
+
+export default DevicePolicy;
@@ -1,18 +1,28 @@
-import appState from '../core/AppState.js';
+import appState, { EVENT_MIDI_FEEDBACK, EVENT_MIDI_DEVICE_POLICY_CHANGED } from '../core/AppState.js';
 import settings from '../core/settings.js';
 
 const SYSTEM_REAL_TIME_THRESHOLD = 0xf8;
 const CHANNEL_NIBBLE_MASK = 0xf;
+const DATA_BITS = 7;
+const SONG_POSITION_MESSAGE_LENGTH = 3;
+const CHANNEL_PRESSURE_MESSAGE_LENGTH = 2;
 
 /**
  * MIDI module - Handles Web MIDI API and device management only
  * Dispatches parsed MIDI events through app state for loose coupling
  * Supports hot-plug: devices can be connected/disconnected at runtime
+ * Inputs are filtered and channel-routed by appState.devicePolicy (settings.midiDevices)
+ * Mirrors pad LED feedback (see PadFeedback) to outputs listed in settings.midiFeedback
  */
 class Midi {
 	#midiAccess = null;
 	#connectedInputs = new Map();
-	#boundHandleMIDIMessage = this.#handleMIDIMessage.bind(this);
+	/** @type {Map<string, Function>} Input id → midimessage handler bound to that input */
+	#inputHandlers = new Map();
+	#connectedOutputs = new Map();
+	/** @type {Map<string, {channel: number, note: number, velocity: number}>} Lit LEDs, replayed to outputs that connect later */
+	#ledState = new Map();
+	#unsubscribers = [];
 	#boundHandleStateChange = this.#handleStateChange.bind(this);
 	#setupPromise = Promise.resolve();
 	#destroyed = false;
@@ -32,6 +42,7 @@ class Midi {
 			if (import.meta.env.DEV) {
 				console.log('WebMIDI is not supported in this browser.');
 			}
+			appState.midiAvailable = false;
 		}
 	}
 
@@ -59,7 +70,12 @@ class Midi {
 			console.log('WebMIDI supported');
 		}
 		this.#setupMIDIInputs(midiAccess);
+		this.#setupMIDIOutputs(midiAccess);
 		this.#setupStateChangeListener(midiAccess);
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_FEEDBACK, event => this.#handleFeedback(event.detail.updates)),
+			appState.subscribe(EVENT_MIDI_DEVICE_POLICY_CHANGED, () => this.#updateConnectionState())
+		);
 		this.#updateConnectionState();
 	}
 
@@ -70,7 +86,8 @@ class Midi {
 		} catch (error) {
 			console.warn('Failed to set appState.midiConnected = false on MIDI failure:', error);
 		}
-		appState.error(`MIDI access failed: ${error?.message ?? 'Unknown error'}. Use Chrome/Chromium with MIDI enabled.`);
+		appState.midiAvailable = false;
+		appState.error(`MIDI access failed: ${error?.message ?? 'Unknown error'}. Use Chrome/Chromium with MIDI enabled, or the on-screen controller (${settings.virtualController.toggleKey.toUpperCase()}).`);
 	}
 
 	/**
@@ -97,6 +114,12 @@ class Midi {
 			} else if (port.state === 'disconnected') {
 				this.#disconnectInput(port);
 			}
+		} else if (port && port.type === 'output') {
+			if (port.state === 'connected') {
+				this.#connectOutput(port);
+			} else if (port.state === 'disconnected') {
+				this.#connectedOutputs.delete(port.id);
+			}
 		}
 
 		this.#updateConnectionState();
@@ -119,11 +142,13 @@ class Midi {
 			return; // Already connected
 		}
 
+		const handleMessage = message => this.#handleMIDIMessage(message, input);
+		this.#inputHandlers.set(input.id, handleMessage);
 		try {
 			if (typeof input.addEventListener === 'function') {
-				input.addEventListener('midimessage', this.#boundHandleMIDIMessage);
+				input.addEventListener('midimessage', handleMessage);
 			} else {
-				input.onmidimessage = this.#boundHandleMIDIMessage;
+				input.onmidimessage = handleMessage;
 			}
 		} catch (error) {
 			console.warn('Failed to attach midimessage handler for input:', input?.id, error);
@@ -144,7 +169,7 @@ class Midi {
 
 		try {
 			if (typeof input.removeEventListener === 'function') {
-				input.removeEventListener('midimessage', this.#boundHandleMIDIMessage);
+				input.removeEventListener('midimessage', this.#inputHandlers.get(input.id));
 			} else {
 				input.onmidimessage = null;
 			}
@@ -152,17 +177,104 @@ class Midi {
 			console.warn('Failed to clear midimessage handler for input:', input?.id, error);
 		}
 		this.#connectedInputs.delete(input.id);
+		this.#inputHandlers.delete(input.id);
 		if (import.meta.env.DEV) {
 			console.log(`MIDI disconnected: ${input.name}`);
 		}
 	}
 
 	/**
-	 * Update app state based on connected devices
+	 * Set up all currently available MIDI outputs that are configured for LED feedback
+	 */
+	#setupMIDIOutputs(midiAccess) {
+		for (const output of midiAccess.outputs?.values() ?? []) {
+			this.#connectOutput(output);
+		}
+	}
+
+	/**
+	 * Whether an output port was opted in via settings.midiFeedback.outputNames
+	 */
+	#isFeedbackOutput(output) {
+		const name = (output.name ?? '').toLowerCase();
+		return settings.midiFeedback.outputNames.some(pattern => name.includes(pattern.toLowerCase()));
+	}
+
+	/**
+	 * Connect a single feedback output and bring its LEDs up to date
+	 */
+	#connectOutput(output) {
+		if (this.#connectedOutputs.has(output.id) || !this.#isFeedbackOutput(output)) {
+			return;
+		}
+		this.#connectedOutputs.set(output.id, output);
+		for (const { channel, note, velocity } of this.#ledState.values()) {
+			this.#sendLED(output, channel, note, velocity);
+		}
+		if (import.meta.env.DEV) {
+			console.log(`MIDI feedback output connected: ${output.name}`);
+		}
+	}
+
+	/**
+	 * @param {Array<{channel: number, note: number, velocity: number}>} updates
+	 */
+	#handleFeedback(updates) {
+		for (const update of updates) {
+			const key = `${update.channel}:${update.note}`;
+			if (update.velocity === settings.midiFeedback.velocities.off) {
+				this.#ledState.delete(key);
+			} else {
+				this.#ledState.set(key, update);
+			}
+			for (const output of this.#connectedOutputs.values()) {
+				this.#sendLED(output, update.channel, update.note, update.velocity);
+			}
+		}
+	}
+
+	/**
+	 * Send an LED note-on on every device channel that is routed to the code channel,
+	 * so device channel remaps and learned channel remaps light the pad that was actually pressed.
+	 */
+	#sendLED(output, channel, note, velocity) {
+		const noteOnStatus = settings.midi.commands.noteOn << 4;
+		const devicePort = this.#findMatchingInput(output) ?? output;
+		for (const learnedChannel of appState.controlBindings.getSourceChannels(channel)) {
+			for (const deviceChannel of appState.devicePolicy.getSourceChannels(devicePort, learnedChannel)) {
+				try {
+					output.send([noteOnStatus | deviceChannel, note, velocity]);
+				} catch (error) {
+					console.warn('Failed to send MIDI feedback to output:', output?.id, error);
+				}
+			}
+		}
+	}
+
+	/**
+	 * The input port of the same device as an output, which controllers name alike.
+	 * The device policy routes that input; without one, its rules are matched against the output.
+	 * @param {MIDIOutput} output
+	 * @returns {MIDIInput|undefined}
+	 */
+	#findMatchingInput(output) {
+		for (const input of this.#connectedInputs.values()) {
+			if (input.name === output.name) {
+				return input;
+			}
+		}
+		return undefined;
+	}
+
+	/**
+	 * Update app state based on connected devices. Blocked devices are listed
+	 * in appState.midiInputs but do not count as a MIDI connection.
 	 */
 	#updateConnectionState() {
 		try {
-			appState.midiConnected = this.#connectedInputs.size > 0;
+			const inputs = Array.from(this.#connectedInputs.values());
+			appState.midiInputs = inputs.map(input => ({ id: input.id, name: input.name ?? input.id }));
+			appState.midiConnected = inputs.some(input => appState.devicePolicy.isAllowed(input));
 		} catch (error) {
 			console.warn('Failed to update appState.midiConnected state:', error);
 		}
@@ -182,8 +294,18 @@ class Midi {
 		return Array.from(this.#connectedInputs.values()).map(input => input.name ?? input.id ?? 'unknown');
 	}
 
-	#handleMIDIMessage(message) {
-		if (!message?.data || message.data.length === 0) {
+	/**
+	 * Returns a list of names of MIDI outputs currently receiving LED feedback.
+	 *
+	 * @public
+	 * @returns {string[]} Array of connected feedback output names.
+	 */
+	getConnectedOutputs() {
+		return Array.from(this.#connectedOutputs.values()).map(output => output.name ?? output.id ?? 'unknown');
+	}
+
+	#handleMIDIMessage(message, input) {
+		if (!message?.data || message.data.length === 0 || !appState.devicePolicy.isAllowed(input)) {
 			return;
 		}
 
@@ -194,7 +316,12 @@ class Midi {
 			return;
 		}
 
-		this.#handleChannelMessage(message.data);
+		if (statusByte === settings.midi.systemCommon.songPosition) {
+			this.#handleSongPosition(message.data);
+			return;
+		}
+
+		this.#handleChannelMessage(message.data, input);
 	}
 
 	#handleSystemRealTime(statusByte) {
@@ -217,16 +344,28 @@ class Midi {
 		}
 	}
 
-	#handleChannelMessage(messageData) {
-		const { channelMessageMinLength: minimumMessageLength } = settings.midi;
-		if (messageData.length < minimumMessageLength) {
+	/**
+	 * Song Position Pointer: 14-bit value, LSB first.
+	 */
+	#handleSongPosition(messageData) {
+		if (messageData.length < SONG_POSITION_MESSAGE_LENGTH) {
 			return;
 		}
+		const [, leastSignificantBits, mostSignificantBits] = messageData;
+		appState.dispatchMIDISongPosition(leastSignificantBits | (mostSignificantBits << DATA_BITS));
+	}
 
+	#handleChannelMessage(messageData, input) {
 		const statusByte = messageData[0];
-		const [, firstDataByte, secondDataByte] = messageData;
 		const command = statusByte >> 4;
-		const channel = statusByte & CHANNEL_NIBBLE_MASK;
+		// Channel pressure is the only handled channel message with a single data byte
+		const minimumMessageLength = command === settings.midi.commands.channelPressure ? CHANNEL_PRESSURE_MESSAGE_LENGTH : settings.midi.channelMessageMinLength;
+		if (messageData.length < minimumMessageLength) {
+			return;
+		}
+
+		const [, firstDataByte, secondDataByte] = messageData;
+		const channel = appState.devicePolicy.resolveChannel(input, statusByte & CHANNEL_NIBBLE_MASK);
 
 		this.#dispatchChannelMessage(command, channel, firstDataByte, secondDataByte);
 	}
@@ -238,20 +377,43 @@ class Midi {
 				this.#handleNoteOn(channel, firstDataByte, secondDataByte);
 				break;
 			case commands.noteOff:
-				appState.dispatchMIDINoteOff(channel, firstDataByte);
+				this.#handleNoteOff(channel, firstDataByte);
 				break;
 			case commands.controlChange:
 				appState.dispatchMIDIControlChange(channel, firstDataByte, secondDataByte);
 				break;
+			case commands.polyPressure:
+				appState.dispatchMIDIPolyPressure(appState.controlBindings.resolveChannel(channel), firstDataByte, secondDataByte);
+				break;
+			case commands.channelPressure:
+				appState.dispatchMIDIChannelPressure(appState.controlBindings.resolveChannel(channel), firstDataByte);
+				break;
+			case commands.pitchBend:
+				// 14-bit value, LSB first; 8192 is centre
+				appState.dispatchMIDIPitchBend(appState.controlBindings.resolveChannel(channel), firstDataByte | (secondDataByte << DATA_BITS));
+				break;
 			default:
 				break;
 		}
 	}
 
-	#handleNoteOn(channel, note, velocity) {
+	#handleNoteOn(inputChannel, note, velocity) {
+		if (velocity > 0 && appState.captureMidiLearnNote(inputChannel, note)) {
+			return;
+		}
+		if (appState.controlBindings.isActionNote(inputChannel, note)) {
+			// Tempo and setlist notes never reach the visuals; their note-off is dropped too
+			if (velocity > 0) {
+				this.#triggerNoteAction(inputChannel, note);
+			}
+			return;
+		}
+		const channel = appState.controlBindings.resolveChannel(inputChannel);
 		if (velocity > 0) {
 			if (channel === settings.channelMapping.projectSelection) {
 				this.#handleProjectSelection(note);
+			} else if (channel === settings.channelMapping.sceneSelection) {
+				appState.dispatchSceneSelection(note);
 			} else {
 				appState.dispatchMIDINoteOn(channel, note, velocity);
 			}
@@ -260,6 +422,22 @@ class Midi {
 		}
 	}
 
+	#triggerNoteAction(inputChannel, note) {
+		const tempoAction = appState.controlBindings.getTempoAction(inputChannel, note);
+		if (tempoAction !== null) {
+			appState.triggerTempoAction(tempoAction, performance.now());
+		} else {
+			appState.triggerSetlistAction(appState.controlBindings.getSetlistAction(inputChannel, note));
+		}
+	}
+
+	#handleNoteOff(inputChannel, note) {
+		if (appState.controlBindings.isActionNote(inputChannel, note)) {
+			return;
+		}
+		appState.dispatchMIDINoteOff(appState.controlBindings.resolveChannel(inputChannel), note);
+	}
+
 	/**
 	 * Handle project selection via MIDI note on the project selection channel.
 	 * The note number maps to a project index in the projects index array.
@@ -275,8 +453,9 @@ class Midi {
 	 * @public
 	 * @returns {void}
 	 * @description
-	 * Removes midimessage handlers from all connected inputs, clears the
-	 * statechange listener from midiAccess, and resets appState.midiConnected.
+	 * Removes midimessage handlers from all connected inputs, turns off any lit
+	 * feedback LEDs, clears the statechange listener from midiAccess, and resets
+	 * appState.midiConnected.
 	 * Safe to call multiple times. Used for teardown in tests and HMR.
 	 */
 	destroy() {
@@ -285,10 +464,17 @@ class Midi {
 			this.#disconnectInput(input);
 		}
 		this.#connectedInputs.clear();
+		for (const unsubscribe of this.#unsubscribers) {
+			unsubscribe();
+		}
+		this.#unsubscribers = [];
+		this.#handleFeedback(Array.from(this.#ledState.values(), led => ({ ...led, velocity: settings.midiFeedback.velocities.off })));
+		this.#connectedOutputs.clear();
 		this.#removeStateChangeListener();
 
 		try {
 			appState.midiConnected = false;
+			appState.midiInputs = [];
 		} catch (error) {
 			console.warn('Failed to reset appState.midiConnected during cleanup:', error);
 		}
@@ -0,0 +1,131 @@
+/**
+ * PadFeedback - Derives controller LED state from the LayerManager
+ *
+ * Every mapped note lights up so the performer can see which pads do something;
+ * playing clips/effects and latched clips/masks get their own colors. Only pads
+ * whose state changed are sent, via appState.dispatchMIDIFeedback, which Midi.js
+ * forwards to the outputs configured in settings.midiFeedback.
+ *
+ * State is recomputed after note on/off and whenever a new clip set is loaded.
+ * One-shot clips that finish on their own keep their "active" color until the
+ * next refresh.
+ */
+import appState, { EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_CLIPS_LOADED_CHANGED, EVENT_PROJECT_LOAD_COMPLETE } from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+
+/**
+ * @typedef {import('../visuals/LayerManager.js').default} LayerManager
+ */
+class PadFeedback {
+	/** @type {LayerManager} */
+	#layerManager;
+
+	#appState;
+	#velocities;
+
+	/** @type {Map<string, {channel: number, note: number, velocity: number}>} Last state sent per `${channel}:${note}` */
+	#sent = new Map();
+
+	#unsubscribers = [];
+	#isRefreshQueued = false;
+	#destroyed = false;
+
+	/**
+	 * @param {LayerManager} layerManager - Source of mapped and active notes
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(layerManager, state = appState, settings = defaultSettings) {
+		this.#layerManager = layerManager;
+		this.#appState = state;
+		this.#velocities = settings.midiFeedback.velocities;
+
+		const queueRefresh = () => this.#queueRefresh();
+		for (const eventName of [EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_CLIPS_LOADED_CHANGED, EVENT_PROJECT_LOAD_COMPLETE]) {
+			this.#unsubscribers.push(this.#appState.subscribe(eventName, queueRefresh));
+		}
+	}
+
+	/**
+	 * Follow another LayerManager, e.g. a new project's. The LEDs catch up on the next refresh.
+	 * @param {LayerManager} layerManager
+	 */
+	setLayerManager(layerManager) {
+		this.#layerManager = layerManager;
+	}
+
+	/**
+	 * Batch refreshes so a burst of notes (or the LayerManager handling the same
+	 * event after us) produces a single diff.
+	 */
+	#queueRefresh() {
+		if (this.#isRefreshQueued) {
+			return;
+		}
+		this.#isRefreshQueued = true;
+		queueMicrotask(() => {
+			this.#isRefreshQueued = false;
+			if (!this.#destroyed) {
+				this.refresh();
+			}
+		});
+	}
+
+	/**
+	 * Recompute pad state and dispatch the LEDs that changed.
+	 */
+	refresh() {
+		const next = this.#computeState();
+		const updates = [];
+
+		for (const [key, pad] of next) {
+			if (this.#sent.get(key)?.velocity !== pad.velocity) {
+				updates.push(pad);
+			}
+		}
+		for (const [key, pad] of this.#sent) {
+			if (!next.has(key)) {
+				updates.push({ channel: pad.channel, note: pad.note, velocity: this.#velocities.off });
+			}
+		}
+
+		this.#sent = next;
+		this.#appState.dispatchMIDIFeedback(updates);
+	}
+
+	/**
+	 * @returns {Map<string, {channel: number, note: number, velocity: number}>}
+	 */
+	#computeState() {
+		const state = new Map();
+		for (const { channel, note } of this.#layerManager.getMappedNotes()) {
+			state.set(`${channel}:${note}`, { channel, note, velocity: this.#velocities.mapped });
+		}
+		for (const { channel, note, isLatched } of this.#layerManager.getActiveNotes()) {
+			const key = `${channel}:${note}`;
+			const current = state.get(key);
+			// Latched wins when a note is reported twice (e.g. the same note on both effect channels)
+			if (current?.velocity === this.#velocities.latched) {
+				continue;
+			}
+			state.set(key, { channel, note, velocity: isLatched ? this.#velocities.latched : this.#velocities.active });
+		}
+		return state;
+	}
+
+	/**
+	 * Turn off every LED this instance lit and stop listening.
+	 */
+	destroy() {
+		this.#destroyed = true;
+		for (const unsubscribe of this.#unsubscribers) {
+			unsubscribe();
+		}
+		this.#unsubscribers = [];
+		const updates = Array.from(this.#sent.values(), ({ channel, note }) => ({ channel, note, velocity: this.#velocities.off }));
+		this.#sent.clear();
+		this.#appState.dispatchMIDIFeedback(updates);
+	}
+}
+
+export default PadFeedback;
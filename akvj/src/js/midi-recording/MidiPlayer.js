@@ -0,0 +1,153 @@
+/**
+ * MidiPlayer - Replays a recorded MIDI performance into AppState
+ *
+ * Events are dispatched through the same AppState methods Midi.js uses, so
+ * the visuals cannot tell a replay from live hardware. Clock pulses keep
+ * their recorded timing, so a replay reproduces the clock BPM as well.
+ */
+import appState from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+import { dispatchRecordedEvent, parseRecording } from './recordingFormat.js';
+
+class MidiPlayer {
+	#appState;
+	#settings;
+	#recording = null;
+	#startTime = 0;
+	#nextIndex = 0;
+	#timeoutId = null;
+	#resolveFinished = null;
+
+	/** @type {Map<string, {channel: number, note: number}>} Notes on without their note-off yet */
+	#heldNotes = new Map();
+
+	/**
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(state = appState, settings = defaultSettings) {
+		this.#appState = state;
+		this.#settings = settings;
+	}
+
+	/**
+	 * Load a recording, stopping any replay in progress.
+	 * @param {import('./recordingFormat.js').Recording|string|ArrayBuffer|Uint8Array} input - Recording JSON (object or text) or Standard MIDI File bytes
+	 * @returns {number} Number of playable events
+	 * @throws {Error} If the input is neither a recording nor a Standard MIDI File
+	 */
+	load(input) {
+		this.stop();
+		this.#recording = parseRecording(input, this.#settings);
+		return this.#recording.events.length;
+	}
+
+	/**
+	 * Whether a recording is loaded.
+	 * @returns {boolean}
+	 */
+	get isLoaded() {
+		return this.#recording !== null;
+	}
+
+	/**
+	 * Whether a replay is running.
+	 * @returns {boolean}
+	 */
+	get isPlaying() {
+		return this.#resolveFinished !== null;
+	}
+
+	/**
+	 * Time of the last event of the loaded recording in ms.
+	 * @returns {number}
+	 */
+	get duration() {
+		return this.#recording?.events.at(-1)?.time ?? 0;
+	}
+
+	/**
+	 * Replay the loaded recording from the start.
+	 * @param {number} [startTime] - performance.now() time the recording's time 0 plays at
+	 * @returns {Promise<void>} Resolves when the replay ends or is stopped
+	 */
+	play(startTime = performance.now()) {
+		this.stop();
+		if (!this.#recording) {
+			return Promise.resolve();
+		}
+		this.#startTime = startTime;
+		this.#nextIndex = 0;
+		const finished = new Promise(resolve => {
+			this.#resolveFinished = resolve;
+		});
+		this.#appState.dispatchMIDIRecorderState('replaying', this.#recording.events.length);
+		this.#dispatchDueEvents();
+		return finished;
+	}
+
+	/**
+	 * Stop the replay. Notes still held by the replay are released.
+	 */
+	stop() {
+		if (!this.isPlaying) {
+			return;
+		}
+		if (this.#timeoutId !== null) {
+			clearTimeout(this.#timeoutId);
+			this.#timeoutId = null;
+		}
+		this.#finish();
+	}
+
+	#dispatchDueEvents() {
+		this.#timeoutId = null;
+		const { events } = this.#recording;
+		const elapsed = performance.now() - this.#startTime;
+		while (this.#nextIndex < events.length && events[this.#nextIndex].time <= elapsed) {
+			const event = events[this.#nextIndex++];
+			this.#trackHeldNote(event);
+			dispatchRecordedEvent(this.#appState, event, this.#startTime + event.time);
+		}
+
+		if (this.#nextIndex >= events.length) {
+			this.#finish();
+			return;
+		}
+		this.#timeoutId = setTimeout(() => this.#dispatchDueEvents(), Math.max(0, events[this.#nextIndex].time - elapsed));
+	}
+
+	#trackHeldNote(event) {
+		const key = `${event.channel}:${event.note}`;
+		if (event.type === 'noteOn') {
+			this.#heldNotes.set(key, { channel: event.channel, note: event.note });
+		} else if (event.type === 'noteOff') {
+			this.#heldNotes.delete(key);
+		}
+	}
+
+	#finish() {
+		// A recording stopped mid-note would otherwise leave clips latched on
+		for (const { channel, note } of this.#heldNotes.values()) {
+			this.#appState.dispatchMIDINoteOff(channel, note);
+		}
+		this.#heldNotes.clear();
+		const resolve = this.#resolveFinished;
+		this.#resolveFinished = null;
+		this.#appState.dispatchMIDIRecorderState('idle', this.#recording?.events.length ?? 0);
+		resolve?.();
+	}
+
+	/**
+	 * Stop the replay and release timers
+	 */
+	destroy() {
+		try {
+			this.stop();
+		} catch (error) {
+			console.error('Error destroying MidiPlayer:', error);
+		}
+	}
+}
+
+export default MidiPlayer;
@@ -0,0 +1,145 @@
+/**
+ * MidiRecorder - Captures a MIDI performance from AppState events
+ *
+ * Records notes, CCs, pitch bend, aftertouch, project selection, clock and
+ * transport with performance.now() timestamps, for export as JSON or a
+ * Standard MIDI File and replay through MidiPlayer.
+ */
+import appState, { EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_MIDI_CHANNEL_PRESSURE, EVENT_MIDI_POLY_PRESSURE, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_MIDI_CLOCK, EVENT_MIDI_START, EVENT_MIDI_CONTINUE, EVENT_MIDI_STOP, EVENT_MIDI_SONG_POSITION } from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+import { createRecording, recordingToStandardMidiFile } from './recordingFormat.js';
+
+class MidiRecorder {
+	#appState;
+	#settings;
+	#events = [];
+	#startTime = null;
+	#startBPM;
+	#unsubscribers = [];
+
+	/**
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(state = appState, settings = defaultSettings) {
+		this.#appState = state;
+		this.#settings = settings;
+		this.#startBPM = settings.bpm.default;
+	}
+
+	/**
+	 * Whether events are being captured.
+	 * @returns {boolean}
+	 */
+	get isRecording() {
+		return this.#startTime !== null;
+	}
+
+	/**
+	 * Number of captured events.
+	 * @returns {number}
+	 */
+	get eventCount() {
+		return this.#events.length;
+	}
+
+	/**
+	 * Start a new recording, discarding the previous one.
+	 * @param {number} [startTime] - performance.now() time that event times are measured from
+	 */
+	start(startTime = performance.now()) {
+		this.#unsubscribe();
+		this.#events = [];
+		this.#startTime = startTime;
+		this.#startBPM = this.#appState.bpm;
+		this.#subscribe();
+		this.#appState.dispatchMIDIRecorderState('recording', 0);
+	}
+
+	/**
+	 * Stop capturing. The recording is kept until the next start().
+	 * @returns {import('./recordingFormat.js').Recording} The finished recording
+	 */
+	stop() {
+		if (this.isRecording) {
+			this.#unsubscribe();
+			this.#startTime = null;
+			this.#appState.dispatchMIDIRecorderState('idle', this.#events.length);
+		}
+		return this.toJSON();
+	}
+
+	/**
+	 * The recording as a JSON-serializable object.
+	 * @returns {import('./recordingFormat.js').Recording}
+	 */
+	toJSON() {
+		return createRecording(
+			this.#events.map(event => ({ ...event })),
+			this.#startBPM
+		);
+	}
+
+	/**
+	 * The recording as a Standard MIDI File.
+	 * @returns {Uint8Array}
+	 */
+	toStandardMidiFile() {
+		return recordingToStandardMidiFile(this.toJSON(), this.#settings);
+	}
+
+	#subscribe() {
+		const { clocksPerSongPositionUnit } = this.#settings.midi;
+		const recorders = [
+			[EVENT_MIDI_NOTE_ON, 'noteOn', ({ channel, note, velocity }) => ({ channel, note, velocity })],
+			[EVENT_MIDI_NOTE_OFF, 'noteOff', ({ channel, note }) => ({ channel, note })],
+			// Replayed CCs are routed again, so they keep the channel the controller sent on
+			[EVENT_MIDI_CONTROL_CHANGE, 'controlChange', ({ channel, controller, value, sourceChannel = channel }) => ({ channel: sourceChannel, controller, value })],
+			[EVENT_MIDI_PITCH_BEND, 'pitchBend', ({ channel, value }) => ({ channel, value })],
+			[EVENT_MIDI_CHANNEL_PRESSURE, 'channelPressure', ({ channel, pressure }) => ({ channel, pressure })],
+			[EVENT_MIDI_POLY_PRESSURE, 'polyPressure', ({ channel, note, pressure }) => ({ channel, note, pressure })],
+			// Project switches without a note come from the app itself, not from MIDI
+			[EVENT_PROJECT_SWITCH, 'projectSelection', ({ note }) => (note === undefined ? null : { note })],
+			[EVENT_SCENE_SELECT, 'sceneSelection', ({ note }) => ({ note })],
+			[EVENT_MIDI_CLOCK, 'clock', () => ({})],
+			[EVENT_MIDI_START, 'start', () => ({})],
+			[EVENT_MIDI_CONTINUE, 'continue', () => ({})],
+			[EVENT_MIDI_STOP, 'stop', () => ({})],
+			[EVENT_MIDI_SONG_POSITION, 'songPosition', ({ position }) => ({ songPosition: position / clocksPerSongPositionUnit })]
+		];
+		for (const [eventName, type, getFields] of recorders) {
+			this.#unsubscribers.push(
+				this.#appState.subscribe(eventName, event => {
+					const fields = getFields(event.detail);
+					if (fields !== null) {
+						// Clock pulses carry their MIDI timestamp; everything else is stamped on arrival
+						this.#record(type, fields, event.detail.timestamp ?? performance.now());
+					}
+				})
+			);
+		}
+	}
+
+	#record(type, fields, timestamp) {
+		this.#events.push({ time: Math.max(0, timestamp - this.#startTime), type, ...fields });
+	}
+
+	#unsubscribe() {
+		this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+		this.#unsubscribers = [];
+	}
+
+	/**
+	 * Stop recording and release AppState subscriptions
+	 */
+	destroy() {
+		try {
+			this.#unsubscribe();
+			this.#startTime = null;
+		} catch (error) {
+			console.error('Error destroying MidiRecorder:', error);
+		}
+	}
+}
+
+export default MidiRecorder;
@@ -0,0 +1,266 @@
+/**
+ * Recorded MIDI performance format shared by MidiRecorder and MidiPlayer.
+ *
+ * A recording is plain JSON:
+ *   { format: 'akvj-midi-recording', version: 1, bpm, events: [{ time, type, ...fields }] }
+ * `time` is milliseconds since the recording started. Channels are code channels
+ * (after device policy and MIDI Learn routing), exactly as AppState dispatched them.
+ *
+ * Recordings convert to and from Standard MIDI Files. Clock and transport messages
+ * travel as SMF escape (0xF7) events, so a replayed file still drives the clock BPM.
+ */
+import { createTempoEvent, createTickToMilliseconds, encodeStandardMidiFile, parseStandardMidiFile } from '../utils/standardMidiFile.js';
+import { MS_PER_MINUTE, msPerBeat } from '../utils/timing.js';
+
+const RECORDING_FORMAT = 'akvj-midi-recording';
+const RECORDING_VERSION = 1;
+
+const ESCAPE_EVENT = 0xf7;
+const DATA_BITS = 7;
+const DATA_MASK = 0x7f;
+const CHANNEL_NIBBLE_MASK = 0x0f;
+
+/**
+ * Fields stored for each recorded event type (besides `time` and `type`).
+ * @type {Object<string, string[]>}
+ */
+const RECORDED_EVENT_FIELDS = {
+	noteOn: ['channel', 'note', 'velocity'],
+	noteOff: ['channel', 'note'],
+	controlChange: ['channel', 'controller', 'value'],
+	pitchBend: ['channel', 'value'],
+	channelPressure: ['channel', 'pressure'],
+	polyPressure: ['channel', 'note', 'pressure'],
+	projectSelection: ['note'],
+	sceneSelection: ['note'],
+	clock: [],
+	start: [],
+	continue: [],
+	stop: [],
+	songPosition: ['songPosition']
+};
+
+/**
+ * @typedef {Object} RecordedEvent
+ * @property {number} time - Milliseconds since recording start
+ * @property {string} type - One of the RECORDED_EVENT_FIELDS keys
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {string} format - RECORDING_FORMAT
+ * @property {number} version - RECORDING_VERSION
+ * @property {number} bpm - BPM when the recording started (SMF export tempo)
+ * @property {RecordedEvent[]} events - Sorted by time
+ */
+
+/**
+ * @param {RecordedEvent[]} events
+ * @param {number} bpm
+ * @returns {Recording}
+ */
+export function createRecording(events, bpm) {
+	return { format: RECORDING_FORMAT, version: RECORDING_VERSION, bpm, events };
+}
+
+function isValidEvent(event) {
+	const fields = RECORDED_EVENT_FIELDS[event?.type];
+	return fields !== undefined && Number.isFinite(event.time) && event.time >= 0 && fields.every(field => Number.isInteger(event[field]));
+}
+
+function toSmfEvent(event, tick, settings) {
+	const { commands, systemRealTime, systemCommon } = settings.midi;
+	const status = command => (command << 4) | event.channel;
+	switch (event.type) {
+		case 'noteOn':
+			return { tick, type: 'channel', bytes: [status(commands.noteOn), event.note, event.velocity] };
+		case 'noteOff':
+			return { tick, type: 'channel', bytes: [status(commands.noteOff), event.note, 0] };
+		case 'controlChange':
+			return { tick, type: 'channel', bytes: [status(commands.controlChange), event.controller, event.value] };
+		case 'pitchBend':
+			return { tick, type: 'channel', bytes: [status(commands.pitchBend), event.value & DATA_MASK, event.value >> DATA_BITS] };
+		case 'channelPressure':
+			return { tick, type: 'channel', bytes: [status(commands.channelPressure), event.pressure] };
+		case 'polyPressure':
+			return { tick, type: 'channel', bytes: [status(commands.polyPressure), event.note, event.pressure] };
+		case 'projectSelection':
+			// Project selection is a note on its dedicated channel, as sent by the controller
+			return { tick, type: 'channel', bytes: [(commands.noteOn << 4) | settings.channelMapping.projectSelection, event.note, DATA_MASK] };
+		case 'sceneSelection':
+			return { tick, type: 'channel', bytes: [(commands.noteOn << 4) | settings.channelMapping.sceneSelection, event.note, DATA_MASK] };
+		case 'songPosition':
+			return { tick, type: 'sysex', status: ESCAPE_EVENT, data: new Uint8Array([systemCommon.songPosition, event.songPosition & DATA_MASK, event.songPosition >> DATA_BITS]) };
+		default:
+			return { tick, type: 'sysex', status: ESCAPE_EVENT, data: new Uint8Array([systemRealTime[event.type]]) };
+	}
+}
+
+/**
+ * Convert a Standard MIDI File channel message into an event (without `time`).
+ * Note-ons on the project and scene selection channels become project and scene selections.
+ * @param {number[]} bytes - Channel message bytes (status first)
+ * @param {Object} settings - Runtime configuration
+ * @returns {Object|null} Event fields, or null for messages AKVJ does not handle
+ */
+export function eventFromChannelMessage([status, firstDataByte, secondDataByte], settings) {
+	const { commands } = settings.midi;
+	const command = status >> 4;
+	const channel = status & CHANNEL_NIBBLE_MASK;
+	switch (command) {
+		case commands.noteOn:
+			if (secondDataByte === 0) {
+				return { type: 'noteOff', channel, note: firstDataByte };
+			}
+			if (channel === settings.channelMapping.projectSelection) {
+				return { type: 'projectSelection', note: firstDataByte };
+			}
+			if (channel === settings.channelMapping.sceneSelection) {
+				return { type: 'sceneSelection', note: firstDataByte };
+			}
+			return { type: 'noteOn', channel, note: firstDataByte, velocity: secondDataByte };
+		case commands.noteOff:
+			return channel === settings.channelMapping.projectSelection || channel === settings.channelMapping.sceneSelection ? null : { type: 'noteOff', channel, note: firstDataByte };
+		case commands.controlChange:
+			return { type: 'controlChange', channel, controller: firstDataByte, value: secondDataByte };
+		case commands.pitchBend:
+			return { type: 'pitchBend', channel, value: firstDataByte | (secondDataByte << DATA_BITS) };
+		case commands.channelPressure:
+			return { type: 'channelPressure', channel, pressure: firstDataByte };
+		case commands.polyPressure:
+			return { type: 'polyPressure', channel, note: firstDataByte, pressure: secondDataByte };
+		default:
+			return null;
+	}
+}
+
+function fromEscapeEvent(data, settings) {
+	const { systemRealTime, systemCommon } = settings.midi;
+	if (data.length === 3 && data[0] === systemCommon.songPosition) {
+		return { type: 'songPosition', songPosition: data[1] | (data[2] << DATA_BITS) };
+	}
+	const type = data.length === 1 ? Object.keys(systemRealTime).find(key => systemRealTime[key] === data[0]) : undefined;
+	return type ? { type } : null;
+}
+
+/**
+ * Encode a recording as a single-track (format 0) Standard MIDI File.
+ * Event times are quantized to `settings.recording.ticksPerBeat` at the recording's BPM.
+ * @param {Recording} recording
+ * @param {Object} settings - Runtime configuration
+ * @returns {Uint8Array}
+ */
+export function recordingToStandardMidiFile(recording, settings) {
+	const { ticksPerBeat } = settings.recording;
+	const msPerTick = msPerBeat(recording.bpm) / ticksPerBeat;
+	const track = [createTempoEvent(0, recording.bpm), ...recording.events.map(event => toSmfEvent(event, Math.round(event.time / msPerTick), settings))];
+	return encodeStandardMidiFile({ ticksPerBeat, tracks: [track] });
+}
+
+/**
+ * Read a Standard MIDI File into a recording. Tracks are merged; events the
+ * player cannot dispatch (program changes, sysex, meta) are dropped.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @param {Object} settings - Runtime configuration
+ * @returns {Recording}
+ * @throws {Error} If the data is not a supported Standard MIDI File
+ */
+export function recordingFromStandardMidiFile(bytes, settings) {
+	const file = parseStandardMidiFile(bytes);
+	const tickToMilliseconds = createTickToMilliseconds(file);
+	const events = [];
+	for (const smfEvent of file.tracks.flat()) {
+		let event = null;
+		if (smfEvent.type === 'channel') {
+			event = eventFromChannelMessage(smfEvent.bytes, settings);
+		} else if (smfEvent.type === 'sysex' && smfEvent.status === ESCAPE_EVENT) {
+			event = fromEscapeEvent(smfEvent.data, settings);
+		}
+		if (event) {
+			events.push({ time: tickToMilliseconds(smfEvent.tick), ...event });
+		}
+	}
+	// Stable sort keeps same-tick events in file order
+	events.sort((a, b) => a.time - b.time);
+	// The tempo of the first beat stands in for the recording's starting BPM
+	return createRecording(events, MS_PER_MINUTE / tickToMilliseconds(file.ticksPerBeat));
+}
+
+/**
+ * Read a recording from JSON (object or text) or Standard MIDI File bytes.
+ * Invalid events are dropped.
+ * @param {Recording|string|ArrayBuffer|Uint8Array} input
+ * @param {Object} settings - Runtime configuration
+ * @returns {Recording}
+ * @throws {Error} If the input is neither a recording nor a Standard MIDI File
+ */
+export function parseRecording(input, settings) {
+	let data = input;
+	if (data instanceof ArrayBuffer || data instanceof Uint8Array) {
+		const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+		if (String.fromCharCode(...bytes.subarray(0, 4)) === 'MThd') {
+			return recordingFromStandardMidiFile(bytes, settings);
+		}
+		data = new TextDecoder().decode(bytes);
+	}
+	if (typeof data === 'string') {
+		data = JSON.parse(data);
+	}
+	if (data?.format !== RECORDING_FORMAT || data.version !== RECORDING_VERSION || !Array.isArray(data.events)) {
+		throw new Error('Not an AKVJ MIDI recording');
+	}
+	const events = data.events.filter(isValidEvent).sort((a, b) => a.time - b.time);
+	return createRecording(events, Number.isFinite(data.bpm) ? data.bpm : settings.bpm.default);
+}
+
+/**
+ * Dispatch a recorded event into AppState, as Midi.js would for live input.
+ * @param {import('../core/AppState.js').AppState} state
+ * @param {RecordedEvent} event
+ * @param {number} timestamp - performance.now() time the event plays at (used by clock pulses)
+ */
+export function dispatchRecordedEvent(state, event, timestamp) {
+	switch (event.type) {
+		case 'noteOn':
+			state.dispatchMIDINoteOn(event.channel, event.note, event.velocity);
+			break;
+		case 'noteOff':
+			state.dispatchMIDINoteOff(event.channel, event.note);
+			break;
+		case 'controlChange':
+			state.dispatchMIDIControlChange(event.channel, event.controller, event.value);
+			break;
+		case 'pitchBend':
+			state.dispatchMIDIPitchBend(event.channel, event.value);
+			break;
+		case 'channelPressure':
+			state.dispatchMIDIChannelPressure(event.channel, event.pressure);
+			break;
+		case 'polyPressure':
+			state.dispatchMIDIPolyPressure(event.channel, event.note, event.pressure);
+			break;
+		case 'projectSelection':
+			state.dispatchProjectSelection(event.note);
+			break;
+		case 'sceneSelection':
+			state.dispatchSceneSelection(event.note);
+			break;
+		case 'clock':
+			state.dispatchMIDIClock(timestamp);
+			break;
+		case 'start':
+			state.dispatchMIDIStart();
+			break;
+		case 'continue':
+			state.dispatchMIDIContinue();
+			break;
+		case 'stop':
+			state.dispatchMIDIStop();
+			break;
+		case 'songPosition':
+			state.dispatchMIDISongPosition(event.songPosition);
+			break;
+		default:
+			break;
+	}
+}
@@ -0,0 +1,397 @@
+/**
+ * MidiFileSequencer - Plays a project's Standard MIDI File through AppState
+ *
+ * The notes, CCs, pitch bend and aftertouch of every track are dispatched
+ * through the same AppState methods Midi.js uses, so LayerManager receives
+ * exactly the events live hardware would send.
+ *
+ * The sequence position is kept in beats, so it can follow either clock:
+ * - MIDI clock: DAW Start/Continue/Stop start and stop the sequence, Song
+ *   Position Pointer locates it, and each clock pulse plays up to its position.
+ * - Internal: start() plays it at the current BPM (tap, nudge, CC or default),
+ *   following tempo changes while it plays.
+ */
+import appState, { EVENT_BPM_CHANGED, EVENT_MIDI_CLOCK, EVENT_MIDI_CONTINUE, EVENT_MIDI_SONG_POSITION, EVENT_MIDI_START, EVENT_MIDI_STOP, EVENT_PROJECT_LOAD_COMPLETE, EVENT_VIDEO_JOCKEY_READY } from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+import { parseStandardMidiFile } from '../utils/standardMidiFile.js';
+import { dispatchRecordedEvent, eventFromChannelMessage } from '../midi-recording/recordingFormat.js';
+import { msPerBeat } from '../utils/timing.js';
+
+const SYNC_CLOCK = 'clock';
+const SYNC_INTERNAL = 'internal';
+const HTTP_NOT_FOUND = 404;
+
+class MidiFileSequencer {
+	#appState;
+	#settings;
+	#unsubscribers = [];
+	#loadGeneration = 0;
+
+	/** @type {Array<{beat: number, type: string}>} Sorted by beat */
+	#events = [];
+	#lengthInBeats = 0;
+	#channels = [];
+	#url = null;
+
+	/** @type {'clock'|'internal'|null} Clock the sequence is playing to, null while stopped */
+	#sync = null;
+	#position = 0; // Beats since the sequence started, across loops
+	#cycleStart = 0; // Position of the current loop's first beat
+	#nextIndex = 0;
+	#lastTickTime = 0;
+	#tickBPM = 0; // BPM the internal clock ran at since #lastTickTime
+	#timeoutId = null;
+
+	/** @type {Map<string, {channel: number, note: number}>} Notes on without their note-off yet */
+	#heldNotes = new Map();
+
+	/**
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(state = appState, settings = defaultSettings) {
+		this.#appState = state;
+		this.#settings = settings;
+	}
+
+	/**
+	 * Follow the DAW transport and load each project's sequence as it becomes active.
+	 */
+	setup() {
+		const subscriptions = {
+			[EVENT_MIDI_START]: () => this.#play(SYNC_CLOCK, 0),
+			[EVENT_MIDI_CONTINUE]: () => this.#play(SYNC_CLOCK, this.#appState.transportBeat),
+			[EVENT_MIDI_STOP]: () => this.#handleTransportStop(),
+			[EVENT_MIDI_SONG_POSITION]: event => this.#handleSongPosition(event.detail),
+			[EVENT_MIDI_CLOCK]: event => this.#handleClockPulse(event.detail),
+			[EVENT_BPM_CHANGED]: () => this.#handleBPMChange(),
+			[EVENT_VIDEO_JOCKEY_READY]: () => this.loadProject(this.#appState.activeProjectId),
+			[EVENT_PROJECT_LOAD_COMPLETE]: event => this.loadProject(event.detail.projectId)
+		};
+		for (const [eventName, handler] of Object.entries(subscriptions)) {
+			this.#unsubscribers.push(this.#appState.subscribe(eventName, handler));
+		}
+	}
+
+	/**
+	 * Load a Standard MIDI File. A playing sequence carries on from its current
+	 * position in the new file, so switching projects does not drop the beat.
+	 * @param {ArrayBuffer|Uint8Array} bytes
+	 * @returns {number} Number of playable events
+	 * @throws {Error} If the data is not a supported Standard MIDI File
+	 */
+	load(bytes) {
+		const file = parseStandardMidiFile(bytes);
+		const events = [];
+		for (const smfEvent of file.tracks.flat()) {
+			const event = smfEvent.type === 'channel' ? eventFromChannelMessage(smfEvent.bytes, this.#settings) : null;
+			if (event) {
+				events.push({ beat: smfEvent.tick / file.ticksPerBeat, ...event });
+			}
+		}
+		// Stable sort keeps same-tick events in file order
+		events.sort((a, b) => a.beat - b.beat);
+
+		this.#releaseHeldNotes();
+		this.#events = events;
+		this.#lengthInBeats = Math.max(file.endTick / file.ticksPerBeat, events.at(-1)?.beat ?? 0);
+		this.#channels = [...new Set(events.filter(event => event.channel !== undefined).map(event => event.channel))].sort((a, b) => a - b);
+		this.#locate(this.position);
+		if (this.#sync === SYNC_INTERNAL) {
+			this.#lastTickTime = performance.now();
+			this.#tick();
+		}
+		return events.length;
+	}
+
+	/**
+	 * Fetch and load the sequence of a project. A project without a sequence
+	 * file unloads the previous project's sequence.
+	 * @param {string|null} projectId - Active project, or null for the default sequence
+	 * @returns {Promise<boolean>} True if a sequence was loaded
+	 */
+	async loadProject(projectId) {
+		const { projectSequenceUrlTemplate, defaultSequenceUrl } = this.#settings.sequencer;
+		const url = projectId ? projectSequenceUrlTemplate.replace('{projectId}', projectId) : defaultSequenceUrl;
+		const generation = ++this.#loadGeneration;
+		try {
+			const response = await fetch(url);
+			// The dev server answers missing files with its index.html
+			const isMissing = response.status === HTTP_NOT_FOUND || !!response.headers.get('content-type')?.includes('text/html');
+			if (!isMissing && !response.ok) {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+			const bytes = isMissing ? null : new Uint8Array(await response.arrayBuffer());
+			if (generation !== this.#loadGeneration) {
+				return false;
+			}
+			if (!bytes) {
+				this.unload();
+				return false;
+			}
+			this.load(bytes);
+			this.#url = url;
+			if (import.meta.env.DEV) {
+				console.log(`MIDI sequence loaded: ${url} (${this.#events.length} events, ${this.#lengthInBeats} beats)`);
+			}
+			return true;
+		} catch (error) {
+			if (generation !== this.#loadGeneration) {
+				return false;
+			}
+			console.error(`Failed to load MIDI sequence ${url}:`, error);
+			this.unload();
+			this.#appState.warn(`Failed to load MIDI sequence ${url}: ${error.message}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Remove the loaded sequence. Its held notes are released; the transport state is kept.
+	 */
+	unload() {
+		this.#releaseHeldNotes();
+		this.#events = [];
+		this.#lengthInBeats = 0;
+		this.#channels = [];
+		this.#url = null;
+		this.#nextIndex = 0;
+	}
+
+	/**
+	 * Whether a sequence is loaded.
+	 * @returns {boolean}
+	 */
+	get isLoaded() {
+		return this.#events.length > 0;
+	}
+
+	/**
+	 * Whether the sequence is playing.
+	 * @returns {boolean}
+	 */
+	get isPlaying() {
+		return this.#sync !== null;
+	}
+
+	/**
+	 * Clock the sequence is playing to.
+	 * @returns {'clock'|'internal'|null} Null while stopped
+	 */
+	get sync() {
+		return this.#sync;
+	}
+
+	/**
+	 * Sequence position in beats since it started (keeps counting across loops).
+	 * @returns {number}
+	 */
+	get position() {
+		if (this.#sync === SYNC_INTERNAL) {
+			return this.#position + (performance.now() - this.#lastTickTime) / msPerBeat(this.#tickBPM);
+		}
+		return this.#position;
+	}
+
+	/**
+	 * Length of the sequence in beats (up to its End of Track).
+	 * @returns {number}
+	 */
+	get lengthInBeats() {
+		return this.#lengthInBeats;
+	}
+
+	/**
+	 * Code channels the sequence plays on.
+	 * @returns {number[]}
+	 */
+	get channels() {
+		return [...this.#channels];
+	}
+
+	/**
+	 * URL of the loaded project sequence, or null.
+	 * @returns {string|null}
+	 */
+	get url() {
+		return this.#url;
+	}
+
+	/**
+	 * Play the sequence from the start at the current BPM.
+	 * Ignored while the DAW transport runs, since MIDI clock owns the sequence then.
+	 * @returns {boolean} True if the sequence started
+	 */
+	start() {
+		if (this.#appState.isTransportRunning || !this.isLoaded) {
+			return false;
+		}
+		this.#play(SYNC_INTERNAL, 0);
+		return true;
+	}
+
+	/**
+	 * Stop the sequence. Notes still held by it are released.
+	 */
+	stop() {
+		this.#clearTimer();
+		this.#sync = null;
+		this.#releaseHeldNotes();
+	}
+
+	#play(sync, beat) {
+		this.stop();
+		this.#sync = sync;
+		this.#locate(beat);
+		if (sync === SYNC_INTERNAL) {
+			this.#lastTickTime = performance.now();
+			this.#tickBPM = this.#appState.bpm;
+			this.#tick();
+		}
+	}
+
+	/**
+	 * Move to a position without playing the events before it.
+	 * @param {number} beat - Beats since the sequence started
+	 */
+	#locate(beat) {
+		this.#releaseHeldNotes();
+		this.#position = beat;
+		this.#cycleStart = this.#isLooping() ? Math.floor(beat / this.#lengthInBeats) * this.#lengthInBeats : 0;
+		const cycleBeat = beat - this.#cycleStart;
+		const index = this.#events.findIndex(event => event.beat >= cycleBeat);
+		this.#nextIndex = index === -1 ? this.#events.length : index;
+	}
+
+	#isLooping() {
+		return this.#settings.sequencer.loop && this.#lengthInBeats > 0;
+	}
+
+	#handleTransportStop() {
+		if (this.#sync === SYNC_CLOCK) {
+			this.stop();
+		}
+	}
+
+	/**
+	 * @param {{beat: number}} detail - midiSongPosition event detail
+	 */
+	#handleSongPosition({ beat }) {
+		// The DAW locates its own transport; a sequence started with start() keeps its position
+		if (this.#sync !== SYNC_INTERNAL) {
+			this.#locate(beat);
+		}
+	}
+
+	#handleBPMChange() {
+		if (this.#sync === SYNC_INTERNAL) {
+			this.#tick();
+		}
+	}
+
+	/**
+	 * @param {{timestamp: number, position: number, isTransportRunning: boolean}} detail - midiClock event detail
+	 */
+	#handleClockPulse({ timestamp, position, isTransportRunning }) {
+		if (this.#sync !== SYNC_CLOCK || !isTransportRunning) {
+			return;
+		}
+		this.#advanceTo(position / this.#settings.midi.ppqn, timestamp);
+	}
+
+	/**
+	 * Internal clock: advance by the time elapsed at the current BPM and
+	 * schedule the next wake-up for the next event.
+	 */
+	#tick() {
+		this.#clearTimer();
+		const now = performance.now();
+		this.#advanceTo(this.position, now);
+		this.#lastTickTime = now;
+		this.#tickBPM = this.#appState.bpm;
+		if (this.#sync !== SYNC_INTERNAL) {
+			return;
+		}
+
+		const beatMs = msPerBeat(this.#tickBPM);
+		const nextEvent = this.#events[this.#nextIndex];
+		const nextBeat = nextEvent ? this.#cycleStart + nextEvent.beat : this.#cycleStart + this.#lengthInBeats;
+		this.#timeoutId = setTimeout(() => this.#tick(), Math.max(0, (nextBeat - this.#position) * beatMs));
+	}
+
+	/**
+	 * Dispatch every event up to a position, wrapping at the end of the sequence when looping.
+	 * @param {number} beat - Beats since the sequence started
+	 * @param {number} timestamp - performance.now() time of the position
+	 */
+	#advanceTo(beat, timestamp) {
+		if (this.#isLooping() && beat - this.#cycleStart >= 2 * this.#lengthInBeats) {
+			// Timers were throttled (background tab) for whole loops; skip them instead of replaying them in a burst
+			this.#locate(beat);
+		}
+		this.#position = beat;
+		for (;;) {
+			const cycleBeat = beat - this.#cycleStart;
+			while (this.#nextIndex < this.#events.length && this.#events[this.#nextIndex].beat <= cycleBeat) {
+				const event = this.#events[this.#nextIndex++];
+				this.#trackHeldNote(event);
+				dispatchRecordedEvent(this.#appState, event, timestamp);
+			}
+			if (cycleBeat < this.#lengthInBeats) {
+				return;
+			}
+			if (!this.#isLooping()) {
+				// A file that ran out stops by itself on the internal clock; the DAW stops its own transport
+				if (this.#sync === SYNC_INTERNAL) {
+					this.stop();
+				}
+				return;
+			}
+			// Notes held over the loop point would otherwise stay latched
+			this.#releaseHeldNotes();
+			this.#cycleStart += this.#lengthInBeats;
+			this.#nextIndex = 0;
+		}
+	}
+
+	#trackHeldNote(event) {
+		const key = `${event.channel}:${event.note}`;
+		if (event.type === 'noteOn') {
+			this.#heldNotes.set(key, { channel: event.channel, note: event.note });
+		} else if (event.type === 'noteOff') {
+			this.#heldNotes.delete(key);
+		}
+	}
+
+	#releaseHeldNotes() {
+		for (const { channel, note } of this.#heldNotes.values()) {
+			this.#appState.dispatchMIDINoteOff(channel, note);
+		}
+		this.#heldNotes.clear();
+	}
+
+	#clearTimer() {
+		if (this.#timeoutId !== null) {
+			clearTimeout(this.#timeoutId);
+			this.#timeoutId = null;
+		}
+	}
+
+	/**
+	 * Stop the sequence, release timers and unsubscribe from AppState
+	 */
+	destroy() {
+		try {
+			this.stop();
+			this.#loadGeneration++;
+			for (const unsubscribe of this.#unsubscribers) {
+				unsubscribe();
+			}
+			this.#unsubscribers = [];
+		} catch (error) {
+			console.error('Error destroying MidiFileSequencer:', error);
+		}
+	}
+}
+
+export default MidiFileSequencer;
@@ -2,16 +2,19 @@
  * AkvjLoadingOverlay - Simple centered loading bar overlay.
  *
  * Subscribes to AppState PROJECT_LOAD_* events (show on start, hide on complete/error).
+ * With a setlist, the entry being loaded and the one after it are shown under the bar.
  * Styles are scoped under the `akvj-loading-overlay` host tag in
  * `akvj/src/css/loading-overlay.css` (light DOM, no Shadow DOM).
  *
  * @element akvj-loading-overlay
  */
-import appState, { EVENT_PROJECT_LOAD_START, EVENT_PROJECT_LOAD_COMPLETE, EVENT_PROJECT_LOAD_ERROR } from '../core/AppState.js';
+import appState, { EVENT_PROJECT_LOAD_START, EVENT_PROJECT_LOAD_COMPLETE, EVENT_PROJECT_LOAD_ERROR, EVENT_SETLIST_CHANGED } from '../core/AppState.js';
 
 class AkvjLoadingOverlay extends HTMLElement {
 	#progressBar = null;
 	#progressFill = null;
+	#setlistCurrent = null;
+	#setlistNext = null;
 	#isVisible = false;
 	#unsubscribers = [];
 
@@ -23,11 +26,18 @@ class AkvjLoadingOverlay extends HTMLElement {
 		this.#progressFill = document.createElement('div');
 		this.#progressFill.className = 'progress-fill';
 		this.#progressBar.appendChild(this.#progressFill);
+
+		this.#setlistCurrent = document.createElement('div');
+		this.#setlistCurrent.className = 'setlist-current';
+		this.#setlistNext = document.createElement('div');
+		this.#setlistNext.className = 'setlist-next';
 	}
 
 	connectedCallback() {
 		this.#render();
+		this.#updateSetlist(appState.setlistStatus);
 		this.#unsubscribers.push(appState.subscribe(EVENT_PROJECT_LOAD_START, () => this.#show()));
+		this.#unsubscribers.push(appState.subscribe(EVENT_SETLIST_CHANGED, event => this.#updateSetlist(event.detail.status)));
 		this.#unsubscribers.push(appState.subscribe(EVENT_PROJECT_LOAD_COMPLETE, () => this.#hide()));
 		this.#unsubscribers.push(appState.subscribe(EVENT_PROJECT_LOAD_ERROR, () => this.#hide()));
 	}
@@ -43,6 +53,16 @@ class AkvjLoadingOverlay extends HTMLElement {
 	#render() {
 		this.replaceChildren();
 		this.appendChild(this.#progressBar);
+		this.appendChild(this.#setlistCurrent);
+		this.appendChild(this.#setlistNext);
+	}
+
+	/**
+	 * @param {import('../core/Setlist.js').SetlistStatus|null} status
+	 */
+	#updateSetlist(status) {
+		this.#setlistCurrent.textContent = status?.current ?? '';
+		this.#setlistNext.textContent = status?.next ? `Next: ${status.next}` : '';
 	}
 
 	#show() {
@@ -0,0 +1,307 @@
+/**
+ * AkvjVirtualController - On-screen MIDI controller for when Web MIDI is unavailable.
+ *
+ * A 16-pad grid for one channel and note bank, a velocity slider and faders for
+ * the scrub/BPM CCs. Pads and faders dispatch the same AppState events as
+ * Midi.js, so clips, masks and effects behave exactly as with hardware.
+ *
+ * Opens by itself when `appState.midiAvailable` turns false and toggles with
+ * `settings.virtualController.toggleKey`. While open, the pad, channel and bank
+ * keys play the controller and are not passed on to other key handlers.
+ * Styles live in `akvj/src/css/virtual-controller.css` (light DOM, no Shadow DOM).
+ *
+ * @element akvj-virtual-controller
+ */
+import appState, { EVENT_MIDI_AVAILABILITY_CHANGED } from '../core/AppState.js';
+import settings from '../core/settings.js';
+
+const MIDI_CHANNEL_COUNT = 16;
+const PADS_PER_BANK = 16;
+const BANK_COUNT = 8; // 128 notes
+const MAX_MIDI_DATA_VALUE = 127;
+
+class AkvjVirtualController extends HTMLElement {
+	#channel = 0;
+	#bank = 0;
+	#velocity = settings.virtualController.velocity;
+	#pads = [];
+	#channelLabel = null;
+	#bankLabel = null;
+	#isVisible = false;
+	#unsubscribe = null;
+
+	/** @type {Map<string, {channel: number, note: number, index: number}>} Held pads (pointer id or key) → the note they started */
+	#heldNotes = new Map();
+
+	#padIndexByKey = new Map(settings.virtualController.padKeys.map((key, index) => [key.toLowerCase(), index]));
+	#boundKeydown = this.#handleKeydown.bind(this);
+	#boundKeyup = this.#handleKeyup.bind(this);
+
+	connectedCallback() {
+		this.#render();
+		this.#setVisible(!appState.midiAvailable);
+		this.#unsubscribe = appState.subscribe(EVENT_MIDI_AVAILABILITY_CHANGED, event => {
+			if (!event.detail.available) {
+				this.#setVisible(true);
+			}
+		});
+		// Capture phase, so pad keys are not also taken as debug/tempo/recording shortcuts
+		document.addEventListener('keydown', this.#boundKeydown, true);
+		document.addEventListener('keyup', this.#boundKeyup, true);
+	}
+
+	disconnectedCallback() {
+		this.#unsubscribe?.();
+		this.#unsubscribe = null;
+		document.removeEventListener('keydown', this.#boundKeydown, true);
+		document.removeEventListener('keyup', this.#boundKeyup, true);
+		this.#releaseAll();
+		this.replaceChildren();
+		this.#pads = [];
+	}
+
+	/**
+	 * Whether the controller is shown.
+	 * @returns {boolean}
+	 */
+	get isVisible() {
+		return this.#isVisible;
+	}
+
+	/**
+	 * Code channel the pads play on.
+	 * @returns {number}
+	 */
+	get channel() {
+		return this.#channel;
+	}
+
+	/**
+	 * First note of the pad grid.
+	 * @returns {number}
+	 */
+	get firstNote() {
+		return this.#bank * PADS_PER_BANK;
+	}
+
+	/**
+	 * Show or hide the controller.
+	 */
+	toggle() {
+		this.#setVisible(!this.#isVisible);
+	}
+
+	#setVisible(visible) {
+		this.#isVisible = visible;
+		this.toggleAttribute('visible', visible);
+		if (!visible) {
+			this.#releaseAll();
+		}
+	}
+
+	#render() {
+		this.replaceChildren();
+
+		const bar = document.createElement('div');
+		bar.className = 'virtual-controller-bar';
+		this.#channelLabel = document.createElement('span');
+		this.#bankLabel = document.createElement('span');
+		const velocityInput = this.#createSlider('Velocity', 1, MAX_MIDI_DATA_VALUE, this.#velocity, value => {
+			this.#velocity = value;
+		});
+		bar.append(
+			this.#createButton('◀', () => this.#shiftChannel(-1)),
+			this.#channelLabel,
+			this.#createButton('▶', () => this.#shiftChannel(1)),
+			this.#createButton('▼', () => this.#shiftBank(-1)),
+			this.#bankLabel,
+			this.#createButton('▲', () => this.#shiftBank(1)),
+			velocityInput.parentElement
+		);
+
+		const grid = document.createElement('div');
+		grid.className = 'virtual-controller-pads';
+		this.#pads = settings.virtualController.padKeys.slice(0, PADS_PER_BANK).map((key, index) => {
+			const pad = document.createElement('button');
+			pad.type = 'button';
+			pad.className = 'virtual-controller-pad';
+			pad.dataset.key = key.toUpperCase();
+			pad.addEventListener('pointerdown', event => this.#handlePadDown(event, index));
+			pad.addEventListener('pointerup', event => this.#releaseHeld(`pointer:${event.pointerId}`));
+			pad.addEventListener('pointercancel', event => this.#releaseHeld(`pointer:${event.pointerId}`));
+			grid.appendChild(pad);
+			return pad;
+		});
+
+		const faders = document.createElement('div');
+		faders.className = 'virtual-controller-faders';
+		for (const target of settings.virtualController.faders) {
+			faders.appendChild(this.#createSlider(target, 0, MAX_MIDI_DATA_VALUE, 0, value => this.#sendFader(target, value)).parentElement);
+		}
+
+		this.append(bar, grid, faders);
+		this.#updateLabels();
+	}
+
+	#createButton(text, onClick) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.textContent = text;
+		button.addEventListener('click', onClick);
+		return button;
+	}
+
+	#createSlider(labelText, min, max, value, onInput) {
+		const label = document.createElement('label');
+		label.textContent = labelText;
+		const input = document.createElement('input');
+		input.type = 'range';
+		input.min = String(min);
+		input.max = String(max);
+		input.value = String(value);
+		input.addEventListener('input', () => onInput(Number(input.value)));
+		label.appendChild(input);
+		return input;
+	}
+
+	#describeChannel(channel) {
+		const mapping = settings.channelMapping;
+		if (mapping.layerGroupA.includes(channel)) {
+			return 'Layer A';
+		}
+		if (mapping.layerGroupB.includes(channel)) {
+			return 'Layer B';
+		}
+		if (mapping.layerGroupC.includes(channel)) {
+			return 'Layer C';
+		}
+		const roles = { [mapping.mixer]: 'Mixer', [mapping.mixedOutputEffects]: 'Mixed FX', [mapping.globalEffects]: 'Global FX', [mapping.projectSelection]: 'Projects', [mapping.sceneSelection]: 'Scenes' };
+		return roles[channel] ?? 'Reserved';
+	}
+
+	#updateLabels() {
+		this.#channelLabel.textContent = `CH${this.#channel + 1} ${this.#describeChannel(this.#channel)}`;
+		this.#bankLabel.textContent = `N${this.firstNote}–${this.firstNote + PADS_PER_BANK - 1}`;
+		this.#pads.forEach((pad, index) => {
+			pad.textContent = String(this.firstNote + index);
+		});
+	}
+
+	#shiftChannel(direction) {
+		this.#channel = (this.#channel + direction + MIDI_CHANNEL_COUNT) % MIDI_CHANNEL_COUNT;
+		this.#updateLabels();
+	}
+
+	#shiftBank(direction) {
+		this.#bank = Math.min(BANK_COUNT - 1, Math.max(0, this.#bank + direction));
+		this.#updateLabels();
+	}
+
+	#handlePadDown(event, index) {
+		event.preventDefault();
+		// Keep receiving pointerup when the finger slides off the pad
+		event.target.setPointerCapture?.(event.pointerId);
+		this.#press(`pointer:${event.pointerId}`, index);
+	}
+
+	#press(holdId, index) {
+		this.#releaseHeld(holdId);
+		const channel = this.#channel;
+		const note = this.firstNote + index;
+		this.#heldNotes.set(holdId, { channel, note, index });
+		this.#pads[index]?.classList.add('active');
+		if (channel === settings.channelMapping.projectSelection) {
+			appState.dispatchProjectSelection(note);
+		} else if (channel === settings.channelMapping.sceneSelection) {
+			appState.dispatchSceneSelection(note);
+		} else {
+			appState.dispatchMIDINoteOn(channel, note, this.#velocity);
+		}
+	}
+
+	#releaseHeld(holdId) {
+		const held = this.#heldNotes.get(holdId);
+		if (!held) {
+			return;
+		}
+		this.#heldNotes.delete(holdId);
+		const isStillHeld = [...this.#heldNotes.values()].some(other => other.channel === held.channel && other.note === held.note);
+		if (!isStillHeld) {
+			this.#pads[held.index]?.classList.remove('active');
+			if (held.channel !== settings.channelMapping.projectSelection && held.channel !== settings.channelMapping.sceneSelection) {
+				appState.dispatchMIDINoteOff(held.channel, held.note);
+			}
+		}
+	}
+
+	#releaseAll() {
+		for (const holdId of [...this.#heldNotes.keys()]) {
+			this.#releaseHeld(holdId);
+		}
+	}
+
+	#sendFader(target, value) {
+		const binding = appState.controlBindings.getControlChange(target);
+		if (binding) {
+			// "Any channel" bindings are sent on the pad channel
+			appState.dispatchMIDIControlChange(binding.channel ?? this.#channel, binding.controller, value);
+		}
+	}
+
+	#isTypingTarget(target) {
+		const targetTag = target?.tagName?.toUpperCase();
+		return targetTag === 'INPUT' || targetTag === 'TEXTAREA' || !!target?.isContentEditable;
+	}
+
+	#handleKeydown(event) {
+		// Range inputs are this controller's own faders; arrow keys must still move them
+		if ((this.#isTypingTarget(event.target) && event.target.type !== 'range') || event.ctrlKey || event.metaKey || event.altKey) {
+			return;
+		}
+		const { toggleKey, channelKeys, bankKeys } = settings.virtualController;
+		const key = event.key.toLowerCase();
+		if (key === toggleKey.toLowerCase()) {
+			if (!event.repeat) {
+				this.toggle();
+			}
+			this.#consume(event);
+			return;
+		}
+		if (!this.#isVisible) {
+			return;
+		}
+
+		const padIndex = this.#padIndexByKey.get(key);
+		if (padIndex !== undefined) {
+			if (!event.repeat) {
+				this.#press(`key:${key}`, padIndex);
+			}
+			this.#consume(event);
+			return;
+		}
+		const shifts = { [channelKeys.down]: () => this.#shiftChannel(-1), [channelKeys.up]: () => this.#shiftChannel(1), [bankKeys.down]: () => this.#shiftBank(-1), [bankKeys.up]: () => this.#shiftBank(1) };
+		if (shifts[event.key] && event.target?.type !== 'range') {
+			shifts[event.key]();
+			this.#consume(event);
+		}
+	}
+
+	#handleKeyup(event) {
+		const key = event.key.toLowerCase();
+		if (this.#heldNotes.has(`key:${key}`)) {
+			this.#releaseHeld(`key:${key}`);
+			this.#consume(event);
+		}
+	}
+
+	#consume(event) {
+		event.preventDefault();
+		event.stopPropagation();
+	}
+}
+
+if (!customElements.get('akvj-virtual-controller')) {
+	customElements.define('akvj-virtual-controller', AkvjVirtualController);
+}
+
+export default AkvjVirtualController;
@@ -1,15 +1,25 @@
 /**
  * DebugOverlay - Displays real-time MIDI and timing information
  * Toggle visibility with 'D' key
+ * MIDI Learn: 'L' arms the next learn target (cycling, then off); Backspace/Delete
+ * reverts the armed target to its settings default
+ * Devices: 'I' selects the next MIDI input, 'X' blocks/unblocks it, '[' / ']' shift
+ * its channel offset; Backspace/Delete (with nothing armed) reverts it to settings
+ * Tempo: taps and phase resets (see TempoKeys) are shown next to the BPM source and in the log
+ * Recorder: MIDI recording/replay state (see RecordingKeys)
+ * Setlist: position, current and next entry (see SetlistKeys)
+ * Clips: sprite memory and cache hits/misses with lazy clip loading (see SpriteCache)
  */
-import appState, { EVENT_BPM_CHANGED, EVENT_MIDI_CONNECTION_CHANGED, EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE } from '../core/AppState.js';
+import appState, { EVENT_BPM_CHANGED, EVENT_MIDI_CONNECTION_CHANGED, EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_LEARN_ARMED, EVENT_MIDI_LEARN_COMPLETE, EVENT_MIDI_INPUTS_CHANGED, EVENT_MIDI_DEVICE_POLICY_CHANGED, EVENT_TEMPO_TAP, EVENT_TEMPO_PHASE_RESET, EVENT_MIDI_RECORDER_CHANGED, EVENT_SETLIST_CHANGED, EVENT_CLIP_CACHE_CHANGED } from '../core/AppState.js';
+import ControlBindings from '../midi-input/ControlBindings.js';
 
 const MAX_LOG_ENTRIES = 8;
 const NOTES_PER_OCTAVE = 12;
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const BYTES_PER_MEGABYTE = 1024 * 1024;
 
 const OVERLAY_HTML = `
-		<div class="debug-header">DEBUG <span class="debug-hint">(D to toggle)</span></div>
+		<div class="debug-header">DEBUG <span class="debug-hint">(D to toggle, L to learn, I/X/[ ] devices, T tap, C rec, P replay, M seq, PgUp/PgDn setlist)</span></div>
 		<div class="debug-section">
 			<div class="debug-label">BPM</div>
 			<div class="debug-value" id="debug-bpm">--</div>
@@ -22,6 +32,26 @@ const OVERLAY_HTML = `
 			<div class="debug-label">MIDI</div>
 			<div class="debug-value" id="debug-midi-status">--</div>
 		</div>
+		<div class="debug-section">
+			<div class="debug-label">Learn</div>
+			<div class="debug-value" id="debug-midi-learn">off</div>
+		</div>
+		<div class="debug-section">
+			<div class="debug-label">Recorder</div>
+			<div class="debug-value" id="debug-recorder">idle</div>
+		</div>
+		<div class="debug-section">
+			<div class="debug-label">Setlist</div>
+			<div class="debug-value" id="debug-setlist">none</div>
+		</div>
+		<div class="debug-section">
+			<div class="debug-label">Clips</div>
+			<div class="debug-value" id="debug-clip-cache">all loaded</div>
+		</div>
+		<div class="debug-section">
+			<div class="debug-label">Devices</div>
+			<div class="debug-log" id="debug-midi-devices"></div>
+		</div>
 		<div class="debug-section">
 			<div class="debug-label">Input</div>
 			<div class="debug-log" id="debug-midi-log"></div>
@@ -34,6 +64,12 @@ class DebugOverlay {
 	#bpmSourceElement = null;
 	#midiStatusElement = null;
 	#midiLogElement = null;
+	#midiLearnElement = null;
+	#midiDevicesElement = null;
+	#recorderElement = null;
+	#setlistElement = null;
+	#clipCacheElement = null;
+	#selectedInputIndex = 0;
 	#midiLog = [];
 	#unsubscribers = [];
 	#boundHandleKeydown;
@@ -56,21 +92,93 @@ class DebugOverlay {
 		this.#bpmSourceElement = this.#element.querySelector('#debug-bpm-source');
 		this.#midiStatusElement = this.#element.querySelector('#debug-midi-status');
 		this.#midiLogElement = this.#element.querySelector('#debug-midi-log');
+		this.#midiLearnElement = this.#element.querySelector('#debug-midi-learn');
+		this.#midiDevicesElement = this.#element.querySelector('#debug-midi-devices');
+		this.#recorderElement = this.#element.querySelector('#debug-recorder');
+		this.#setlistElement = this.#element.querySelector('#debug-setlist');
+		this.#clipCacheElement = this.#element.querySelector('#debug-clip-cache');
+	}
+
+	#isTypingTarget(target) {
+		const targetTag = target?.tagName?.toUpperCase();
+		return targetTag === 'INPUT' || targetTag === 'TEXTAREA' || !!target?.isContentEditable;
 	}
 
 	#handleKeydown(event) {
+		// Don't react if user is typing in an input or contenteditable element
+		if (this.#isTypingTarget(event.target)) {
+			return;
+		}
 		if (event.key === 'd' || event.key === 'D') {
-			// Don't toggle if user is typing in an input or contenteditable element
-			const target = event.target;
-			const targetTag = target?.tagName?.toUpperCase();
-			if (targetTag === 'INPUT' || targetTag === 'TEXTAREA' || target?.isContentEditable) {
-				return;
-			}
 			this.#isVisible = !this.#isVisible;
 			this.#element.classList.toggle('visible', this.#isVisible);
+		} else if (event.key === 'l' || event.key === 'L') {
+			this.#armNextLearnTarget();
+		} else if ((event.key === 'Backspace' || event.key === 'Delete') && appState.midiLearnTarget !== null) {
+			const target = appState.midiLearnTarget;
+			appState.controlBindings.clear(target);
+			appState.cancelMidiLearn();
+			this.#addLogEntry('learn', `${target} → ${appState.controlBindings.describe(target)}`);
+		} else {
+			this.#handleDeviceKey(event.key);
 		}
 	}
 
+	#handleDeviceKey(key) {
+		const inputs = appState.midiInputs;
+		if (key === 'i' || key === 'I') {
+			this.#selectedInputIndex = inputs.length > 0 ? (this.#selectedInputIndex + 1) % inputs.length : 0;
+			this.#renderDevices();
+			return;
+		}
+		const input = inputs[this.#selectedInputIndex];
+		if (!input) {
+			return;
+		}
+		if (key === 'x' || key === 'X') {
+			appState.setMidiInputEnabled(input, !appState.devicePolicy.isAllowed(input));
+		} else if (key === '[' || key === ']') {
+			appState.setMidiInputChannelOffset(input, appState.devicePolicy.getChannelOffset(input) + (key === ']' ? 1 : -1));
+		} else if (key === 'Backspace' || key === 'Delete') {
+			appState.clearMidiInputPolicy(input);
+		}
+	}
+
+	#renderDevices() {
+		if (!this.#midiDevicesElement) {
+			return;
+		}
+		const inputs = appState.midiInputs;
+		if (this.#selectedInputIndex >= inputs.length) {
+			this.#selectedInputIndex = 0;
+		}
+		this.#midiDevicesElement.textContent = inputs.length === 0 ? 'none' : '';
+		for (const [index, input] of inputs.entries()) {
+			const policy = appState.devicePolicy.describe(input);
+			const div = document.createElement('div');
+			div.className = `debug-log-entry device${policy === 'blocked' ? ' blocked' : ''}`;
+			div.textContent = `${index === this.#selectedInputIndex ? '>' : ' '} ${input.name}: ${policy}`;
+			this.#midiDevicesElement.appendChild(div);
+		}
+	}
+
+	#armNextLearnTarget() {
+		const targets = ControlBindings.listLearnTargets();
+		const nextIndex = targets.indexOf(appState.midiLearnTarget) + 1;
+		if (nextIndex >= targets.length) {
+			appState.cancelMidiLearn();
+		} else {
+			appState.armMidiLearn(targets[nextIndex]);
+		}
+	}
+
+	#updateMidiLearn(target) {
+		if (!this.#midiLearnElement) {
+			return;
+		}
+		this.#midiLearnElement.textContent = target === null ? 'off' : `${target} (${appState.controlBindings.describe(target)}) — move a control`;
+	}
+
 	#updateBPM(bpm, source) {
 		if (this.#bpmElement) {
 			this.#bpmElement.textContent = bpm.toFixed(1);
@@ -120,12 +228,21 @@ class DebugOverlay {
 		this.#subscribeToEvents();
 		this.#updateBPM(appState.bpm, appState.bpmSource);
 		this.#updateMIDIStatus(appState.midiConnected);
+		this.#updateMidiLearn(appState.midiLearnTarget);
+		this.#renderDevices();
+		this.#updateSetlist(appState.setlistStatus);
+		this.#updateClipCache(appState.clipCacheStats);
 	}
 
 	#subscribeToEvents() {
 		this.#subscribeBPMEvents();
 		this.#subscribeNoteEvents();
 		this.#subscribeControlChangeEvents();
+		this.#subscribeMidiLearnEvents();
+		this.#subscribeDeviceEvents();
+		this.#subscribeRecorderEvents();
+		this.#unsubscribers.push(appState.subscribe(EVENT_SETLIST_CHANGED, event => this.#updateSetlist(event.detail.status)));
+		this.#unsubscribers.push(appState.subscribe(EVENT_CLIP_CACHE_CHANGED, event => this.#updateClipCache(event.detail.stats)));
 	}
 
 	#subscribeBPMEvents() {
@@ -134,6 +251,14 @@ class DebugOverlay {
 				this.#updateBPM(event.detail.bpm, event.detail.source);
 			})
 		);
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_TEMPO_TAP, event => {
+				if (this.#bpmSourceElement) {
+					this.#bpmSourceElement.textContent = `${appState.bpmSource} (tap ${event.detail.count})`;
+				}
+			})
+		);
+		this.#unsubscribers.push(appState.subscribe(EVENT_TEMPO_PHASE_RESET, () => this.#addLogEntry('tempo', 'phase reset')));
 		this.#unsubscribers.push(
 			appState.subscribe(EVENT_MIDI_CONNECTION_CHANGED, event => {
 				this.#updateMIDIStatus(event.detail.connected);
@@ -165,6 +290,73 @@ class DebugOverlay {
 		);
 	}
 
+	#subscribeMidiLearnEvents() {
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_LEARN_ARMED, event => {
+				this.#updateMidiLearn(event.detail.target);
+			})
+		);
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_LEARN_COMPLETE, event => {
+				const { target, binding } = event.detail;
+				this.#addLogEntry('learn', `${target} → ${binding}`);
+			})
+		);
+	}
+
+	#subscribeDeviceEvents() {
+		this.#unsubscribers.push(appState.subscribe(EVENT_MIDI_INPUTS_CHANGED, () => this.#renderDevices()));
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_DEVICE_POLICY_CHANGED, event => {
+				const { input, policy } = event.detail;
+				this.#addLogEntry('device', `${input.name} → ${policy}`);
+				this.#renderDevices();
+			})
+		);
+	}
+
+	#subscribeRecorderEvents() {
+		this.#unsubscribers.push(
+			appState.subscribe(EVENT_MIDI_RECORDER_CHANGED, event => {
+				const { mode, eventCount } = event.detail;
+				if (this.#recorderElement) {
+					this.#recorderElement.textContent = mode === 'recording' ? 'recording' : `${mode} (${eventCount} events)`;
+				}
+			})
+		);
+	}
+
+	/**
+	 * @param {import('../core/Setlist.js').SetlistStatus|null} status
+	 */
+	#updateSetlist(status) {
+		if (!this.#setlistElement) {
+			return;
+		}
+		if (!status) {
+			this.#setlistElement.textContent = 'none';
+			return;
+		}
+		const position = status.position === -1 ? '-' : status.position + 1;
+		this.#setlistElement.textContent = `${position}/${status.length} ${status.current ?? ''} → ${status.next ?? 'end'}`;
+	}
+
+	/**
+	 * @param {import('../visuals/SpriteCache.js').SpriteCacheStats|null} stats
+	 */
+	#updateClipCache(stats) {
+		if (!this.#clipCacheElement) {
+			return;
+		}
+		if (!stats) {
+			this.#clipCacheElement.textContent = 'all loaded';
+			return;
+		}
+		const toMegabytes = bytes => Math.round(bytes / BYTES_PER_MEGABYTE);
+		const { usedBytes, budgetBytes, loaded, total, hits, misses, evictions } = stats;
+		this.#clipCacheElement.textContent = `${toMegabytes(usedBytes)}/${toMegabytes(budgetBytes)} MB, ${loaded}/${total} loaded, ${hits} hit ${misses} miss, ${evictions} evicted`;
+	}
+
 	destroy() {
 		this.#removeKeydownListener();
 		this.#unsubscribeAll();
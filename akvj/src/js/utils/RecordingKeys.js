@@ -0,0 +1,160 @@
+/**
+ * RecordingKeys - Keyboard control for MIDI performance recording and replay
+ * Keys are configured in settings.recording.keys ('C' record, 'P' replay, 'E' export by default).
+ * Dropping a recorded .json or .mid file on the page loads it for replay.
+ */
+import appState from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+import MidiRecorder from '../midi-recording/MidiRecorder.js';
+import MidiPlayer from '../midi-recording/MidiPlayer.js';
+
+const MIME_TYPES = { mid: 'audio/midi', json: 'application/json' };
+
+class RecordingKeys {
+	#appState;
+	#settings;
+	#recorder;
+	#player;
+	#actionsByKey;
+	#boundHandleKeydown;
+	#boundHandleDragOver;
+	#boundHandleDrop;
+
+	/**
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(state = appState, settings = defaultSettings) {
+		this.#appState = state;
+		this.#settings = settings;
+		this.#recorder = new MidiRecorder(state, settings);
+		this.#player = new MidiPlayer(state, settings);
+		this.#actionsByKey = new Map(Object.entries(settings.recording.keys).map(([action, key]) => [String(key).toLowerCase(), action]));
+		this.#boundHandleKeydown = this.#handleKeydown.bind(this);
+		this.#boundHandleDragOver = this.#handleDragOver.bind(this);
+		this.#boundHandleDrop = this.#handleDrop.bind(this);
+	}
+
+	/**
+	 * @returns {MidiRecorder}
+	 */
+	get recorder() {
+		return this.#recorder;
+	}
+
+	/**
+	 * @returns {MidiPlayer}
+	 */
+	get player() {
+		return this.#player;
+	}
+
+	#isTypingTarget(target) {
+		const targetTag = target?.tagName?.toUpperCase();
+		return targetTag === 'INPUT' || targetTag === 'TEXTAREA' || !!target?.isContentEditable;
+	}
+
+	/**
+	 * Handle keydown events for recording actions
+	 */
+	#handleKeydown(event) {
+		if (event.repeat || this.#isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) {
+			return;
+		}
+		switch (this.#actionsByKey.get(event.key.toLowerCase())) {
+			case 'record':
+				this.#toggleRecording();
+				break;
+			case 'replay':
+				this.#toggleReplay();
+				break;
+			case 'export':
+				this.#export();
+				break;
+			default:
+				break;
+		}
+	}
+
+	#toggleRecording() {
+		if (!this.#recorder.isRecording) {
+			this.#player.stop();
+			this.#recorder.start();
+			return;
+		}
+		const recording = this.#recorder.stop();
+		if (recording.events.length > 0) {
+			// The last take is ready to replay straight away
+			this.#player.load(recording);
+		}
+	}
+
+	#toggleReplay() {
+		if (this.#player.isPlaying) {
+			this.#player.stop();
+		} else if (this.#player.isLoaded && !this.#recorder.isRecording) {
+			this.#player.play();
+		}
+	}
+
+	#export() {
+		if (this.#recorder.isRecording || this.#recorder.eventCount === 0) {
+			return;
+		}
+		const format = this.#settings.recording.exportFormat === 'json' ? 'json' : 'mid';
+		const content = format === 'json' ? JSON.stringify(this.#recorder.toJSON()) : this.#recorder.toStandardMidiFile();
+		const url = URL.createObjectURL(new Blob([content], { type: MIME_TYPES[format] }));
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `akvj-recording-${new Date().toISOString().replaceAll(':', '-')}.${format}`;
+		link.click();
+		URL.revokeObjectURL(url);
+	}
+
+	#handleDragOver(event) {
+		if (event.dataTransfer?.types?.includes('Files')) {
+			event.preventDefault();
+		}
+	}
+
+	async #handleDrop(event) {
+		const file = event.dataTransfer?.files?.[0];
+		if (!file) {
+			return;
+		}
+		event.preventDefault();
+		try {
+			const eventCount = this.#player.load(await file.arrayBuffer());
+			this.#appState.info(`Loaded recording "${file.name}" (${eventCount} events). Press ${this.#settings.recording.keys.replay.toUpperCase()} to replay.`);
+		} catch (error) {
+			console.error('RecordingKeys: could not load recording', error);
+			this.#appState.error(`Could not load "${file.name}": ${error.message}`);
+		}
+	}
+
+	/**
+	 * Initialize key and file drop listeners
+	 */
+	setup() {
+		document.addEventListener('keydown', this.#boundHandleKeydown);
+		document.addEventListener('dragover', this.#boundHandleDragOver);
+		document.addEventListener('drop', this.#boundHandleDrop);
+	}
+
+	/**
+	 * Remove listeners and stop any recording or replay
+	 */
+	destroy() {
+		try {
+			document.removeEventListener('keydown', this.#boundHandleKeydown);
+			document.removeEventListener('dragover', this.#boundHandleDragOver);
+			document.removeEventListener('drop', this.#boundHandleDrop);
+			this.#recorder.destroy();
+			this.#player.destroy();
+		} catch (error) {
+			console.error('Error removing listeners in RecordingKeys:', error);
+		}
+	}
+}
+
+export default RecordingKeys;
@@ -0,0 +1,75 @@
+/**
+ * SequencerKeys - Keyboard start/stop for the project's MIDI sequence
+ * The key is configured in settings.sequencer.toggleKey ('M' by default). The sequence
+ * plays at the current BPM; with a DAW connected, its transport starts and stops it instead.
+ */
+import appState from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+import MidiFileSequencer from '../midi-sequencer/MidiFileSequencer.js';
+
+class SequencerKeys {
+	#sequencer;
+	#toggleKey;
+	#boundHandleKeydown;
+
+	/**
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(state = appState, settings = defaultSettings) {
+		this.#sequencer = new MidiFileSequencer(state, settings);
+		this.#toggleKey = String(settings.sequencer.toggleKey).toLowerCase();
+		this.#boundHandleKeydown = this.#handleKeydown.bind(this);
+	}
+
+	/**
+	 * @returns {MidiFileSequencer}
+	 */
+	get sequencer() {
+		return this.#sequencer;
+	}
+
+	#isTypingTarget(target) {
+		const targetTag = target?.tagName?.toUpperCase();
+		return targetTag === 'INPUT' || targetTag === 'TEXTAREA' || !!target?.isContentEditable;
+	}
+
+	/**
+	 * Handle keydown events for the sequencer toggle
+	 */
+	#handleKeydown(event) {
+		if (event.repeat || this.#isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) {
+			return;
+		}
+		if (event.key.toLowerCase() !== this.#toggleKey) {
+			return;
+		}
+		if (this.#sequencer.isPlaying) {
+			this.#sequencer.stop();
+		} else {
+			this.#sequencer.start();
+		}
+	}
+
+	/**
+	 * Initialize the sequencer and its key listener
+	 */
+	setup() {
+		this.#sequencer.setup();
+		document.addEventListener('keydown', this.#boundHandleKeydown);
+	}
+
+	/**
+	 * Remove the key listener and stop the sequencer
+	 */
+	destroy() {
+		try {
+			document.removeEventListener('keydown', this.#boundHandleKeydown);
+		} catch (error) {
+			console.error('Error removing keydown listener in SequencerKeys:', error);
+		}
+		this.#sequencer.destroy();
+	}
+}
+
+export default SequencerKeys;
@@ -0,0 +1,63 @@
+/**
+ * SetlistKeys - Keyboard previous/next setlist entry
+ * Keys are configured in settings.setlist.keys (Page Up / Page Down by default)
+ */
+import appState from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+
+class SetlistKeys {
+	#appState;
+	#actionsByKey;
+	#boundHandleKeydown;
+
+	/**
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(state = appState, settings = defaultSettings) {
+		this.#appState = state;
+		this.#actionsByKey = new Map(Object.entries(settings.setlist.keys).map(([action, key]) => [String(key).toLowerCase(), action]));
+		this.#boundHandleKeydown = this.#handleKeydown.bind(this);
+	}
+
+	#isTypingTarget(target) {
+		const targetTag = target?.tagName?.toUpperCase();
+		return targetTag === 'INPUT' || targetTag === 'TEXTAREA' || !!target?.isContentEditable;
+	}
+
+	/**
+	 * Handle keydown events for setlist steps
+	 */
+	#handleKeydown(event) {
+		if (this.#isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) {
+			return;
+		}
+		const action = this.#actionsByKey.get(event.key.toLowerCase());
+		// A held key steps once, so the show never skips an entry by accident
+		if (!action || event.repeat) {
+			return;
+		}
+		event.preventDefault();
+		this.#appState.triggerSetlistAction(action);
+	}
+
+	/**
+	 * Initialize setlist key listener
+	 */
+	setup() {
+		document.addEventListener('keydown', this.#boundHandleKeydown);
+	}
+
+	/**
+	 * Remove setlist key listener
+	 */
+	destroy() {
+		try {
+			document.removeEventListener('keydown', this.#boundHandleKeydown);
+		} catch (error) {
+			console.error('Error removing keydown listener in SetlistKeys:', error);
+		}
+	}
+}
+
+export default SetlistKeys;
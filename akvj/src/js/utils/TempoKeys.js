@@ -0,0 +1,62 @@
+/**
+ * TempoKeys - Keyboard tap tempo, nudge and phase reset
+ * Keys are configured in settings.tempo.keys (tap 'T', nudge ',' / '.', phase reset 'R' by default)
+ */
+import appState from '../core/AppState.js';
+import defaultSettings from '../core/settings.js';
+
+class TempoKeys {
+	#appState;
+	#actionsByKey;
+	#boundHandleKeydown;
+
+	/**
+	 * @param {import('../core/AppState.js').AppState} [state=appState] - Injected for testing
+	 * @param {Object} [settings=defaultSettings] - Runtime configuration
+	 */
+	constructor(state = appState, settings = defaultSettings) {
+		this.#appState = state;
+		this.#actionsByKey = new Map(Object.entries(settings.tempo.keys).map(([action, key]) => [String(key).toLowerCase(), action]));
+		this.#boundHandleKeydown = this.#handleKeydown.bind(this);
+	}
+
+	#isTypingTarget(target) {
+		const targetTag = target?.tagName?.toUpperCase();
+		return targetTag === 'INPUT' || targetTag === 'TEXTAREA' || !!target?.isContentEditable;
+	}
+
+	/**
+	 * Handle keydown events for tempo actions
+	 */
+	#handleKeydown(event) {
+		if (this.#isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) {
+			return;
+		}
+		const action = this.#actionsByKey.get(event.key.toLowerCase());
+		// Holding a nudge key keeps nudging; a held tap/phase reset key fires once
+		if (!action || (event.repeat && action !== 'nudgeDown' && action !== 'nudgeUp')) {
+			return;
+		}
+		this.#appState.triggerTempoAction(action, event.timeStamp);
+	}
+
+	/**
+	 * Initialize tempo key listener
+	 */
+	setup() {
+		document.addEventListener('keydown', this.#boundHandleKeydown);
+	}
+
+	/**
+	 * Remove tempo key listener
+	 */
+	destroy() {
+		try {
+			document.removeEventListener('keydown', this.#boundHandleKeydown);
+		} catch (error) {
+			console.error('Error removing keydown listener in TempoKeys:', error);
+		}
+	}
+}
+
+export default TempoKeys;
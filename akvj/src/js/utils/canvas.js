@@ -0,0 +1,18 @@
+/** Canvas creation shared by the main thread and the render worker. */
+
+/**
+ * Create an off-screen canvas: a canvas element on the main thread, an OffscreenCanvas in the
+ * render worker, which has no document.
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+	if (typeof document === 'undefined') {
+		return new OffscreenCanvas(width, height);
+	}
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+	return canvas;
+}
@@ -0,0 +1,260 @@
+/**
+ * Standard MIDI File (SMF) reading and writing.
+ * Supports format 0 and 1 files with metrical timing (ticks per quarter note).
+ * Event ticks are absolute; channel messages keep their raw bytes.
+ */
+import { MS_PER_MINUTE } from './timing.js';
+
+const HEADER_CHUNK = 'MThd';
+const TRACK_CHUNK = 'MTrk';
+const HEADER_LENGTH = 6;
+const CHUNK_HEADER_LENGTH = 8;
+const SMPTE_DIVISION_FLAG = 0x8000;
+const STATUS_BIT = 0x80;
+const SYSEX_EVENT = 0xf0;
+const ESCAPE_EVENT = 0xf7;
+const META_EVENT = 0xff;
+const META_END_OF_TRACK = 0x2f;
+const VLQ_DATA_BITS = 7;
+const VLQ_DATA_MASK = 0x7f;
+const MICROSECONDS_PER_MILLISECOND = 1000;
+
+const META_SET_TEMPO = 0x51;
+const DEFAULT_MICROSECONDS_PER_BEAT = 500000; // 120 BPM, the SMF default
+
+// Data bytes per channel message, by command (upper nibble of the status byte)
+const CHANNEL_DATA_LENGTHS = { 0x8: 2, 0x9: 2, 0xa: 2, 0xb: 2, 0xc: 1, 0xd: 1, 0xe: 2 };
+
+/**
+ * @typedef {Object} SmfEvent
+ * @property {number} tick - Absolute tick
+ * @property {'channel'|'meta'|'sysex'} type
+ * @property {number[]} [bytes] - Channel message bytes (status first)
+ * @property {number} [metaType] - Meta event type (e.g. META_SET_TEMPO)
+ * @property {number} [status] - 0xF0 (sysex) or 0xF7 (escape, e.g. real-time messages)
+ * @property {Uint8Array} [data] - Meta or sysex payload
+ */
+
+/**
+ * @typedef {Object} StandardMidiFile
+ * @property {number} format - 0 (single track) or 1 (parallel tracks)
+ * @property {number} ticksPerBeat
+ * @property {SmfEvent[][]} tracks
+ * @property {number} endTick - Tick of the last End of Track event (the length of the file)
+ */
+
+function readText(bytes, offset, length) {
+	return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function readUint32(bytes, offset) {
+	return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readUint16(bytes, offset) {
+	return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+/**
+ * @returns {{value: number, offset: number}} The value and the offset after it
+ */
+function readVariableLength(bytes, offset) {
+	let value = 0;
+	let byte;
+	do {
+		if (offset >= bytes.length) {
+			throw new Error('Truncated variable-length quantity');
+		}
+		byte = bytes[offset++];
+		value = (value << VLQ_DATA_BITS) | (byte & VLQ_DATA_MASK);
+	} while (byte & STATUS_BIT);
+	return { value, offset };
+}
+
+function writeVariableLength(value) {
+	const bytes = [value & VLQ_DATA_MASK];
+	let remaining = value >>> VLQ_DATA_BITS;
+	while (remaining > 0) {
+		bytes.unshift((remaining & VLQ_DATA_MASK) | STATUS_BIT);
+		remaining >>>= VLQ_DATA_BITS;
+	}
+	return bytes;
+}
+
+function parseTrack(bytes) {
+	const events = [];
+	let offset = 0;
+	let tick = 0;
+	let runningStatus = null;
+
+	while (offset < bytes.length) {
+		const delta = readVariableLength(bytes, offset);
+		tick += delta.value;
+		offset = delta.offset;
+
+		let status = bytes[offset];
+		if (status & STATUS_BIT) {
+			offset++;
+		} else if (runningStatus === null) {
+			throw new Error('Data byte without running status');
+		} else {
+			status = runningStatus;
+		}
+
+		if (status === META_EVENT) {
+			const metaType = bytes[offset++];
+			const length = readVariableLength(bytes, offset);
+			const data = bytes.slice(length.offset, length.offset + length.value);
+			offset = length.offset + length.value;
+			if (metaType === META_END_OF_TRACK) {
+				return { events, endTick: tick };
+			}
+			events.push({ tick, type: 'meta', metaType, data });
+		} else if (status === SYSEX_EVENT || status === ESCAPE_EVENT) {
+			// Sysex and escape events cancel running status
+			runningStatus = null;
+			const length = readVariableLength(bytes, offset);
+			events.push({ tick, type: 'sysex', status, data: bytes.slice(length.offset, length.offset + length.value) });
+			offset = length.offset + length.value;
+		} else {
+			const dataLength = CHANNEL_DATA_LENGTHS[status >> 4];
+			if (dataLength === undefined) {
+				throw new Error(`Unexpected status byte 0x${status.toString(16)}`);
+			}
+			runningStatus = status;
+			events.push({ tick, type: 'channel', bytes: [status, ...bytes.subarray(offset, offset + dataLength)] });
+			offset += dataLength;
+		}
+	}
+	// End of Track is mandatory, but tolerate files that omit it
+	return { events, endTick: tick };
+}
+
+/**
+ * Parse a Standard MIDI File.
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {StandardMidiFile}
+ * @throws {Error} If the data is not a supported Standard MIDI File
+ */
+export function parseStandardMidiFile(input) {
+	const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+	if (bytes.length < CHUNK_HEADER_LENGTH + HEADER_LENGTH || readText(bytes, 0, 4) !== HEADER_CHUNK) {
+		throw new Error('Not a Standard MIDI File');
+	}
+	const headerLength = readUint32(bytes, 4);
+	const format = readUint16(bytes, 8);
+	const trackCount = readUint16(bytes, 10);
+	const division = readUint16(bytes, 12);
+	if (format > 1) {
+		throw new Error(`Unsupported MIDI file format ${format}`);
+	}
+	if (division & SMPTE_DIVISION_FLAG) {
+		throw new Error('SMPTE-timed MIDI files are not supported');
+	}
+
+	const tracks = [];
+	let endTick = 0;
+	let offset = CHUNK_HEADER_LENGTH + headerLength;
+	while (tracks.length < trackCount && offset + CHUNK_HEADER_LENGTH <= bytes.length) {
+		const chunkType = readText(bytes, offset, 4);
+		const chunkLength = readUint32(bytes, offset + 4);
+		const chunkStart = offset + CHUNK_HEADER_LENGTH;
+		if (chunkStart + chunkLength > bytes.length) {
+			throw new Error('Truncated track chunk');
+		}
+		// Unknown chunk types must be skipped (SMF spec)
+		if (chunkType === TRACK_CHUNK) {
+			const track = parseTrack(bytes.subarray(chunkStart, chunkStart + chunkLength));
+			tracks.push(track.events);
+			endTick = Math.max(endTick, track.endTick);
+		}
+		offset = chunkStart + chunkLength;
+	}
+	return { format, ticksPerBeat: division, tracks, endTick };
+}
+
+function encodeTrack(events, endTick) {
+	const bytes = [];
+	let previousTick = 0;
+	for (const event of [...events].sort((a, b) => a.tick - b.tick)) {
+		bytes.push(...writeVariableLength(Math.max(0, event.tick - previousTick)));
+		previousTick = Math.max(previousTick, event.tick);
+		if (event.type === 'meta') {
+			bytes.push(META_EVENT, event.metaType, ...writeVariableLength(event.data.length), ...event.data);
+		} else if (event.type === 'sysex') {
+			bytes.push(event.status, ...writeVariableLength(event.data.length), ...event.data);
+		} else {
+			bytes.push(...event.bytes);
+		}
+	}
+	bytes.push(...writeVariableLength(Math.max(0, endTick - previousTick)), META_EVENT, META_END_OF_TRACK, 0);
+	return bytes;
+}
+
+function chunk(type, body) {
+	const length = body.length;
+	return [...type].map(character => character.charCodeAt(0)).concat([(length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff], body);
+}
+
+/**
+ * Write a Standard MIDI File. Events are sorted by tick and an end-of-track
+ * meta event is appended to every track.
+ * @param {Object} file
+ * @param {number} file.ticksPerBeat
+ * @param {SmfEvent[][]} file.tracks
+ * @param {number} [file.format] - Defaults to 0 for one track, 1 otherwise
+ * @param {number} [file.endTick] - Tick of the end-of-track events (the length of the file); defaults to each track's last event
+ * @returns {Uint8Array}
+ */
+export function encodeStandardMidiFile({ ticksPerBeat, tracks, format = tracks.length > 1 ? 1 : 0, endTick = 0 }) {
+	const header = chunk(HEADER_CHUNK, [0, format, (tracks.length >> 8) & 0xff, tracks.length & 0xff, (ticksPerBeat >> 8) & 0xff, ticksPerBeat & 0xff]);
+	return new Uint8Array(header.concat(...tracks.map(track => chunk(TRACK_CHUNK, encodeTrack(track, endTick)))));
+}
+
+/**
+ * Build a Set Tempo meta event.
+ * @param {number} tick
+ * @param {number} bpm
+ * @returns {SmfEvent}
+ */
+export function createTempoEvent(tick, bpm) {
+	const microsecondsPerBeat = Math.round((MS_PER_MINUTE * MICROSECONDS_PER_MILLISECOND) / bpm);
+	return { tick, type: 'meta', metaType: META_SET_TEMPO, data: new Uint8Array([(microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff]) };
+}
+
+/**
+ * Create a tick → milliseconds converter that follows the file's tempo map
+ * (Set Tempo events from every track; 120 BPM until the first one).
+ * @param {StandardMidiFile} file
+ * @returns {(tick: number) => number}
+ */
+export function createTickToMilliseconds(file) {
+	const tempoChanges = file.tracks
+		.flat()
+		.filter(event => event.type === 'meta' && event.metaType === META_SET_TEMPO && event.data.length === 3)
+		.map(event => ({ tick: event.tick, microsecondsPerBeat: (event.data[0] << 16) | (event.data[1] << 8) | event.data[2] }))
+		.sort((a, b) => a.tick - b.tick);
+
+	// Each segment starts at a tempo change, with the elapsed time up to it
+	const segments = [{ tick: 0, time: 0, msPerTick: DEFAULT_MICROSECONDS_PER_BEAT / MICROSECONDS_PER_MILLISECOND / file.ticksPerBeat }];
+	for (const { tick, microsecondsPerBeat } of tempoChanges) {
+		const previous = segments.at(-1);
+		const segment = { tick, time: previous.time + (tick - previous.tick) * previous.msPerTick, msPerTick: microsecondsPerBeat / MICROSECONDS_PER_MILLISECOND / file.ticksPerBeat };
+		if (tick === previous.tick) {
+			segments[segments.length - 1] = segment;
+		} else {
+			segments.push(segment);
+		}
+	}
+
+	return tick => {
+		let segment = segments[0];
+		for (const candidate of segments) {
+			if (candidate.tick > tick) {
+				break;
+			}
+			segment = candidate;
+		}
+		return segment.time + (tick - segment.tick) * segment.msPerTick;
+	};
+}
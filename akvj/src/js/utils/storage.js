@@ -0,0 +1,52 @@
+/** Shared localStorage helpers for runtime-editable settings (MIDI Learn, device policy). */
+
+/**
+ * Resolve the browser storage, tolerating environments where access throws.
+ * @returns {Storage|null}
+ */
+export function getDefaultStorage() {
+	try {
+		return globalThis.localStorage ?? null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Read a JSON object from storage. Missing, unreadable or non-object values yield null.
+ * @param {Storage|null} storage
+ * @param {string|null} key - Storage key (null disables persistence)
+ * @param {string} owner - Module name used in warnings
+ * @returns {Object|null}
+ */
+export function readStoredObject(storage, key, owner) {
+	if (!storage || !key) {
+		return null;
+	}
+	try {
+		const raw = storage.getItem(key);
+		const parsed = raw ? JSON.parse(raw) : null;
+		return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+	} catch (error) {
+		console.warn(`${owner}: ignoring unreadable stored data:`, error);
+		return null;
+	}
+}
+
+/**
+ * Write a JSON-serializable value to storage, warning (not throwing) on failure.
+ * @param {Storage|null} storage
+ * @param {string|null} key - Storage key (null disables persistence)
+ * @param {unknown} value
+ * @param {string} owner - Module name used in warnings
+ */
+export function writeStoredObject(storage, key, value, owner) {
+	if (!storage || !key) {
+		return;
+	}
+	try {
+		storage.setItem(key, JSON.stringify(value));
+	} catch (error) {
+		console.warn(`${owner}: failed to persist data:`, error);
+	}
+}
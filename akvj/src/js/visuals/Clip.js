@@ -3,6 +3,8 @@
  *
  * Delegates timing to ClipTiming and frame advancement to PlaybackController.
  * Manages image dimensions, canvas drawing, and clip lifecycle (reset/stop/destroy).
+ * A clip loaded on demand holds a sprite from SpriteCache instead of an image: triggering it
+ * asks for the sprite, and it draws once the image is in memory.
  */
 import settings from '../core/settings.js';
 import ClipTiming from './ClipTiming.js';
@@ -16,6 +18,8 @@ function snapToPixel(value) {
 class Clip {
 	// Configuration (immutable after construction)
 	#image;
+	/** @type {import('./SpriteCache.js').Sprite|null} */
+	#sprite;
 	#numberOfFrames;
 	#framesPerRow;
 	#frameWidth;
@@ -26,6 +30,8 @@ class Clip {
 	#canvasHeight;
 	#scaleMode;
 	#placement;
+	#blendMode;
+	#opacity;
 
 	// Trigger behavior (private, accessed via getters)
 	#triggerType = 'momentary';
@@ -41,7 +47,8 @@ class Clip {
 	/**
 	 * @param {Object} options
 	 * @param {CanvasRenderingContext2D} options.displayContext - Unused (kept for API compat)
-	 * @param {HTMLImageElement} options.image
+	 * @param {ImageBitmap|HTMLImageElement|null} [options.image] - Sprite sheet, or null when `sprite` supplies it
+	 * @param {import('./SpriteCache.js').Sprite|null} [options.sprite=null] - Sprite sheet loaded on demand (see SpriteCache)
 	 * @param {number} options.frames
 	 * @param {number} options.framesPerRow
 	 * @param {string} [options.playback='loop']
@@ -53,13 +60,18 @@ class Clip {
 	 * @param {string|number|null} [options.triggerGroup=null]
 	 * @param {string} [options.scaleMode='fit']
 	 * @param {{ x: number, y: number }} [options.placement={ x: 0, y: 0 }]
+	 * @param {string} [options.blendMode='normal'] - How the clip draws over lower slots (see BLEND_MODES)
+	 * @param {number} [options.opacity=1]
 	 * @param {() => number} [options.bpmProvider] - Injected BPM provider for testability
 	 * @param {{ bpmSource: string, subscribe: Function }} [options.clockSource] - Injected clock source for testability
 	 */
-	constructor({ displayContext: _displayContext, image, frames, framesPerRow, playback = 'loop', frameRatesForFrames = { 0: 1 }, frameDurationBeats = null, retrigger = true, bitDepth = null, triggerType = 'momentary', triggerGroup = null, scaleMode = 'fit', placement = { x: 0, y: 0 }, bpmProvider, clockSource }) {
+	constructor({ displayContext: _displayContext, image = null, sprite = null, frames, framesPerRow, playback = 'loop', frameRatesForFrames = { 0: 1 }, frameDurationBeats = null, retrigger = true, bitDepth = null, triggerType = 'momentary', triggerGroup = null, scaleMode = 'fit', placement = { x: 0, y: 0 }, blendMode = 'normal', opacity = 1, bpmProvider, clockSource }) {
 		this.#validateConstructorParams(frames, framesPerRow);
 		this.#initCoreFields(image, frames, framesPerRow, bitDepth);
-		this.#initDimensions(image, frames, framesPerRow);
+		this.#sprite = sprite;
+		if (!sprite) {
+			this.#initDimensions(image, frames, framesPerRow);
+		}
 		this.#shouldRetrigger = retrigger;
 		this.#triggerType = triggerType;
 		this.#triggerGroup = triggerGroup;
@@ -67,6 +79,8 @@ class Clip {
 		this.#canvasHeight = settings.canvas.height;
 		this.#scaleMode = scaleMode;
 		this.#placement = placement;
+		this.#blendMode = blendMode;
+		this.#opacity = opacity;
 
 		this.#timing = new ClipTiming({ frameRatesForFrames, frameDurationBeats, frames, bpmProvider, clockSource });
 		this.#playback = new PlaybackController({ frames, playback });
@@ -103,17 +117,39 @@ class Clip {
 	 * @param {number} timestamp
 	 */
 	#renderFrame(ctx, timestamp) {
-		if (this.#playback.isFinished || !this.#image) {
+		const image = this.#resolveImage(timestamp);
+		if (this.#playback.isFinished || !image) {
 			return;
 		}
 		if (this.#lastRenderTimestamp === timestamp) {
 			return;
 		}
 		this.#advanceFrame(timestamp);
-		this.#drawToContext(ctx);
+		this.#drawToContext(ctx, image);
 		this.#lastRenderTimestamp = timestamp;
 	}
 
+	/**
+	 * The image to draw: the clip's own, or its sprite's while that is in memory. A sprite is
+	 * marked as used on every drawn frame, so the cache never evicts a clip on screen.
+	 * @param {number} timestamp
+	 * @returns {ImageBitmap|HTMLImageElement|null}
+	 */
+	#resolveImage(timestamp) {
+		if (!this.#sprite) {
+			return this.#image;
+		}
+		const { image } = this.#sprite;
+		if (image) {
+			this.#sprite.lastUsed = timestamp;
+			// Frame size is known once the sheet first loads
+			if (this.#frameWidth === undefined) {
+				this.#initDimensions(image, this.#numberOfFrames, this.#framesPerRow);
+			}
+		}
+		return image;
+	}
+
 	/**
 	 * Render the current clip frame to a specific context.
 	 * @param {CanvasRenderingContext2D} ctx
@@ -142,6 +178,25 @@ class Clip {
 		return continues;
 	}
 
+	/**
+	 * Derive the frame from the DAW song position (loop, reverse and pingpong clips only).
+	 * @param {number} pulse - Song position in clock pulses
+	 * @returns {boolean} True if the clip followed the transport
+	 */
+	#seekToSongPosition(pulse) {
+		const cycleFrames = this.#playback.getCycleFrames();
+		if (!cycleFrames) {
+			return false;
+		}
+		const cycleIndex = this.#timing.getCycleIndexAtPulse(pulse, cycleFrames);
+		if (cycleIndex === null) {
+			return false;
+		}
+		this.#playback.seekCycle(cycleIndex);
+		this.#timing.setCurrentFrameIndex(this.#playback.frame);
+		return true;
+	}
+
 	/**
 	 * Advance playback and handle clock unsubscribe on finish.
 	 * @returns {boolean}
@@ -157,9 +212,10 @@ class Clip {
 	/**
 	 * Draw the current frame to a canvas context using scaleMode + placement.
 	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {ImageBitmap|HTMLImageElement} image
 	 */
-	#drawToContext(ctx) {
-		if (!this.#image || !ctx || this.#playback.isFinished) {
+	#drawToContext(ctx, image) {
+		if (!image || !ctx || this.#playback.isFinished) {
 			return;
 		}
 
@@ -170,25 +226,26 @@ class Clip {
 		const sourceY = this.#frameHeight * posY;
 
 		if (this.#scaleMode === 'pattern') {
-			this.#drawPattern(ctx, sourceX, sourceY);
+			this.#drawPattern(ctx, image, sourceX, sourceY);
 		} else if (this.#scaleMode === 'stretch') {
-			ctx.drawImage(this.#image, sourceX, sourceY, this.#frameWidth, this.#frameHeight, 0, 0, this.#canvasWidth, this.#canvasHeight);
+			ctx.drawImage(image, sourceX, sourceY, this.#frameWidth, this.#frameHeight, 0, 0, this.#canvasWidth, this.#canvasHeight);
 		} else {
-			this.#drawScaled(ctx, sourceX, sourceY);
+			this.#drawScaled(ctx, image, sourceX, sourceY);
 		}
 	}
 
 	/**
 	 * Draw clip with fit/cover/none scaling and placement offset.
 	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {ImageBitmap|HTMLImageElement} image
 	 * @param {number} sourceX
 	 * @param {number} sourceY
 	 */
-	#drawScaled(ctx, sourceX, sourceY) {
+	#drawScaled(ctx, image, sourceX, sourceY) {
 		const { dx, dy, dWidth, dHeight, sx, sy, sWidth, sHeight } = this.#computeDrawRect();
 		const placedX = snapToPixel(dx + this.#placement.x);
 		const placedY = snapToPixel(dy + this.#placement.y);
-		ctx.drawImage(this.#image, sourceX + sx, sourceY + sy, sWidth, sHeight, placedX, placedY, dWidth, dHeight);
+		ctx.drawImage(image, sourceX + sx, sourceY + sy, sWidth, sHeight, placedX, placedY, dWidth, dHeight);
 	}
 
 	/**
@@ -251,10 +308,11 @@ class Clip {
 	/**
 	 * Draw clip as a tiled pattern to fill the canvas.
 	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {ImageBitmap|HTMLImageElement} image
 	 * @param {number} sourceX
 	 * @param {number} sourceY
 	 */
-	#drawPattern(ctx, sourceX, sourceY) {
+	#drawPattern(ctx, image, sourceX, sourceY) {
 		const tileWidth = this.#frameWidth;
 		const tileHeight = this.#frameHeight;
 		const offsetX = snapToPixel(this.#placement.x % tileWidth);
@@ -262,7 +320,7 @@ class Clip {
 
 		for (let y = offsetY - tileHeight; y < this.#canvasHeight; y += tileHeight) {
 			for (let x = offsetX - tileWidth; x < this.#canvasWidth; x += tileWidth) {
-				ctx.drawImage(this.#image, sourceX, sourceY, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+				ctx.drawImage(image, sourceX, sourceY, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
 			}
 		}
 	}
@@ -299,6 +357,22 @@ class Clip {
 		return this.#triggerGroup;
 	}
 
+	/**
+	 * Get the blend mode used to draw this clip over lower slots.
+	 * @returns {string}
+	 */
+	get blendMode() {
+		return this.#blendMode;
+	}
+
+	/**
+	 * Get the opacity this clip is drawn with (0–1).
+	 * @returns {number}
+	 */
+	get opacity() {
+		return this.#opacity;
+	}
+
 	/**
 	 * Get the current playback mode.
 	 * @returns {string}
@@ -319,13 +393,18 @@ class Clip {
 
 	/**
 	 * Reset clip to first frame if retrigger is enabled.
+	 * A clip loaded on demand asks for its sprite here, on every trigger.
 	 */
 	reset() {
+		this.#sprite?.request();
 		if (!this.#shouldRetrigger && !this.#playback.isFinished) {
 			return;
 		}
 		this.#resetState();
-		this.#timing.subscribeToClock(() => this.#advanceNextFrame());
+		this.#timing.subscribeToClock(
+			() => this.#advanceNextFrame(),
+			pulse => this.#seekToSongPosition(pulse)
+		);
 	}
 
 	#resetState() {
@@ -349,6 +428,8 @@ class Clip {
 	destroy() {
 		this.#timing.unsubscribeFromClock();
 		this.#image = null;
+		this.#sprite?.release();
+		this.#sprite = null;
 	}
 }
 
@@ -1,27 +1,150 @@
 /**
  * ClipLoader - Loads clip assets via key-map.json + flat clips.json catalog,
  * then builds the nested {channel: {note: {velocity: Clip}}} tree used by LayerGroup.
- * Project resolution is delegated to ProjectCatalog.
+ * Project resolution is delegated to ProjectCatalog. A project's scenes (see loadScenes) build
+ * their own trees from the images already loaded for it.
+ *
+ * Given a SpriteCache (settings.clipLoading.strategy 'lazy'), only resident sprites load with
+ * the project; the rest load on their clip's first trigger and may be evicted again.
  */
 import Clip from './Clip.js';
 import settings from '../core/settings.js';
 import { normalizeClipMetadata } from './clipMetadata.js';
 import ProjectCatalog from './ProjectCatalog.js';
+import { BYTES_PER_PIXEL } from './SpriteCache.js';
 
 const DEFAULT_MAX_CONCURRENT_LOADS = 8;
 const CLIP_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
 
+/**
+ * Each eagerly loaded clip's image. A project's clips and scenes share images, and are destroyed
+ * through whichever loader is at hand, so clips are counted per image here rather than per
+ * loader: the last clip destroyed closes the image.
+ * @type {WeakMap<Clip, ImageBitmap|HTMLImageElement>}
+ */
+const clipImages = new WeakMap();
+/** @type {WeakMap<ImageBitmap|HTMLImageElement, number>} How many clips draw each image */
+const imageClipCounts = new WeakMap();
+
+/**
+ * @param {Clip} clip
+ * @param {ImageBitmap|HTMLImageElement} image
+ */
+function retainClipImage(clip, image) {
+	clipImages.set(clip, image);
+	imageClipCounts.set(image, (imageClipCounts.get(image) ?? 0) + 1);
+}
+
+/**
+ * Close a destroyed clip's ImageBitmap unless another clip still draws it.
+ * @param {Clip} clip
+ */
+function releaseClipImage(clip) {
+	const image = clipImages.get(clip);
+	if (!image) {
+		return;
+	}
+	clipImages.delete(clip);
+	const count = imageClipCounts.get(image) - 1;
+	if (count > 0) {
+		imageClipCounts.set(image, count);
+		return;
+	}
+	imageClipCounts.delete(image);
+	image.close?.();
+}
+
+/**
+ * A scene of a project (an entry of its settings.json `scenes`), ready to select.
+ * @typedef {Object} Scene
+ * @property {string} name
+ * @property {Object|null} clips - Clip tree from the scene's key-map, or null to keep the project's
+ * @property {Object|null} settings - Overlay on the project's settings.json (see overlaySceneSettings)
+ */
+
+/**
+ * Load a clip's sprite sheet. Where the browser supports it (always in the render worker) the image
+ * is fetched and decoded off the main thread to an ImageBitmap, ready to draw without a decode on
+ * first use; otherwise it loads as an HTMLImageElement.
+ * @param {string} imageUrl
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+export function loadClipImage(imageUrl) {
+	return typeof createImageBitmap === 'function' ? decodeClipImage(imageUrl) : loadImageElement(imageUrl);
+}
+
+/**
+ * Fetch options for decoding: images from other origins always need CORS here (an opaque response
+ * can't be decoded); settings.performance.imageCrossOrigin 'use-credentials' sends credentials.
+ * @returns {RequestInit}
+ */
+function getImageFetchOptions() {
+	return { credentials: settings.performance?.imageCrossOrigin === 'use-credentials' ? 'include' : 'same-origin' };
+}
+
+/**
+ * @param {string} imageUrl
+ * @returns {Promise<ImageBitmap>}
+ */
+async function decodeClipImage(imageUrl) {
+	let response;
+	try {
+		response = await fetch(imageUrl, getImageFetchOptions());
+	} catch (error) {
+		throw new Error(`Failed to load image: ${imageUrl}`, { cause: error });
+	}
+	if (!response.ok) {
+		throw new Error(`Failed to load image: ${imageUrl} (HTTP ${response.status})`);
+	}
+	try {
+		return await createImageBitmap(await response.blob());
+	} catch (error) {
+		throw new Error(`Failed to decode image: ${imageUrl}`, { cause: error });
+	}
+}
+
+/**
+ * @param {string} imageUrl
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImageElement(imageUrl) {
+	return new Promise((resolve, reject) => {
+		const image = new Image();
+		const crossOrigin = settings.performance?.imageCrossOrigin;
+		if (crossOrigin !== null && crossOrigin !== undefined) {
+			image.crossOrigin = crossOrigin;
+		}
+		image.onload = () => resolve(image);
+		image.onerror = () => reject(new Error(`Failed to load image: ${imageUrl}`));
+		image.src = imageUrl;
+	});
+}
+
 class ClipLoader {
 	#displayContext;
 	#projectCatalog;
 
+	/** @type {import('./SpriteCache.js').default|null} Set for lazy loading */
+	#spriteCache;
+
+	/** @type {Map<string, import('./SpriteCache.js').Sprite>} Sprites of the loaded project by clip ID (lazy loading) */
+	#sprites = new Map();
+
+	/** @type {Map<string, Promise<ImageBitmap|HTMLImageElement>>} Images of the loaded project by path, shared by its key-map and scenes */
+	#images = new Map();
+
+	/** @type {number} Decoded size of the images in #images */
+	#imageBytes = 0;
+
 	/**
 	 * @param {CanvasRenderingContext2D} displayContext
-	 * @param {ProjectCatalog} [projectCatalog] - Injected for testing; created internally by default
+	 * @param {ProjectCatalog|null} [projectCatalog] - Injected for testing; created internally by default
+	 * @param {import('./SpriteCache.js').default|null} [spriteCache=null] - Load sprites on demand through this cache
 	 */
-	constructor(displayContext, projectCatalog) {
+	constructor(displayContext, projectCatalog, spriteCache = null) {
 		this.#displayContext = displayContext;
 		this.#projectCatalog = projectCatalog ?? new ProjectCatalog();
+		this.#spriteCache = spriteCache;
 	}
 
 	/**
@@ -66,30 +189,102 @@ class ClipLoader {
 	}
 
 	/**
-	 * Load an image from a source URL
+	 * Load an image once per project: later clips with the same path share it.
+	 * @param {string} imageUrl
+	 * @returns {Promise<ImageBitmap|HTMLImageElement>}
+	 */
+	#loadSharedImage(imageUrl) {
+		let image = this.#images.get(imageUrl);
+		if (!image) {
+			image = loadClipImage(imageUrl);
+			this.#images.set(imageUrl, image);
+			image.then(
+				loaded => {
+					this.#imageBytes += loaded.width * loaded.height * BYTES_PER_PIXEL;
+				},
+				// Let a later load retry instead of sharing the failure
+				() => this.#images.delete(imageUrl)
+			);
+		}
+		return image;
+	}
+
+	/**
+	 * Get a clip's sprite from the sprite cache. Resident sprites load now; the rest load when
+	 * the clip is first triggered (or warmed, see warmClips).
+	 * @param {string} imagePath
+	 * @param {Object} clipMetadata - With key-map overrides; `resident: true` keeps the sprite loaded
+	 * @returns {Promise<import('./SpriteCache.js').Sprite>}
 	 */
-	#loadImage(imageUrl) {
-		return new Promise((resolve, reject) => {
-			const image = new Image();
-			const crossOrigin = settings.performance?.imageCrossOrigin;
-			if (crossOrigin !== null && crossOrigin !== undefined) {
-				image.crossOrigin = crossOrigin;
+	async #acquireSprite(imagePath, clipMetadata) {
+		const sprite = this.#spriteCache.acquire(imagePath, { isResident: clipMetadata.resident === true });
+		if (sprite.isResident) {
+			try {
+				await this.#spriteCache.load(sprite);
+			} catch (error) {
+				sprite.release();
+				throw error;
 			}
-			image.onload = () => resolve(image);
-			image.onerror = () => reject(new Error(`Failed to load image: ${imageUrl}`));
-			image.src = imageUrl;
-		});
+		}
+		return sprite;
+	}
+
+	/**
+	 * Decoded size of the images loaded for the current project, in bytes (an estimate of the
+	 * memory its clips and scenes hold). With lazy loading, only the sprites in memory count.
+	 * @returns {number}
+	 */
+	get imageBytes() {
+		if (!this.#spriteCache) {
+			return this.#imageBytes;
+		}
+		let imageBytes = 0;
+		for (const { image } of new Set(this.#sprites.values())) {
+			imageBytes += image ? image.width * image.height * BYTES_PER_PIXEL : 0;
+		}
+		return imageBytes;
+	}
+
+	/**
+	 * Load the sprites of these clips in the background (lazy loading only), in order, while the
+	 * sprite cache has room. Unknown clip IDs are skipped.
+	 * @param {unknown} clipIds - A project's settings.json `warmClips`, or settings.clipLoading.warmClips
+	 * @returns {Promise<void>}
+	 */
+	async warmClips(clipIds) {
+		if (!this.#spriteCache || !Array.isArray(clipIds)) {
+			return;
+		}
+		const sprites = clipIds.map(clipId => this.#sprites.get(clipId)).filter(Boolean);
+		await this.#spriteCache.warm(sprites);
+	}
+
+	/**
+	 * Drop the loader's own references to the current project's images once its clips and
+	 * scenes are built, so destroying those clips frees them. Scenes loaded afterwards fetch
+	 * their images again.
+	 */
+	releaseImages() {
+		this.#images.clear();
+	}
+
+	#resetImages() {
+		this.#images.clear();
+		this.#imageBytes = 0;
+		this.#sprites.clear();
 	}
 
 	/**
-	 * Create a Clip from clip metadata and loaded image
+	 * Create a Clip from clip metadata and its loaded image or sprite
+	 * @param {{image: ImageBitmap|HTMLImageElement}|{sprite: import('./SpriteCache.js').Sprite}} source
+	 * @param {Object} clipMetadata
 	 */
-	#createClip(image, clipMetadata) {
+	#createClip(source, clipMetadata) {
 		try {
 			const normalized = normalizeClipMetadata(clipMetadata);
-			return new Clip({
+			const clip = new Clip({
 				displayContext: this.#displayContext,
-				image,
+				...source,
 				frames: normalized.frames,
 				framesPerRow: normalized.framesPerRow,
 				playback: normalized.playback,
@@ -100,8 +295,14 @@ class ClipLoader {
 				triggerType: normalized.triggerType,
 				triggerGroup: normalized.triggerGroup,
 				scaleMode: normalized.scaleMode,
-				placement: normalized.placement
+				placement: normalized.placement,
+				blendMode: normalized.blendMode,
+				opacity: normalized.opacity
 			});
+			if (source.image) {
+				retainClipImage(clip, source.image);
+			}
+			return clip;
 		} catch (error) {
 			console.error(`ClipLoader: invalid clip metadata for image ${clipMetadata.png}:`, error);
 			return null;
@@ -119,12 +320,17 @@ class ClipLoader {
 		const { safeClipId, imagePath, codeChannel } = validation;
 
 		try {
-			const image = await this.#loadImage(imagePath);
 			const mergedMetadata = overrides ? { ...clipMetadata, ...overrides } : clipMetadata;
-			const clip = this.#createClip(image, mergedMetadata);
+			const source = this.#spriteCache ? { sprite: await this.#acquireSprite(imagePath, mergedMetadata) } : { image: await this.#loadSharedImage(imagePath) };
+			const clip = this.#createClip(source, mergedMetadata);
 			if (!clip) {
+				source.sprite?.release();
 				return null;
 			}
+			if (source.sprite) {
+				// Only clips that were built can be warmed
+				this.#sprites.set(safeClipId, source.sprite);
+			}
 			return {
 				channel: codeChannel,
 				note: String(note),
@@ -203,6 +409,33 @@ class ClipLoader {
 		return this.#projectCatalog.fetchProjectsIndex();
 	}
 
+	/**
+	 * Fetch the setlist. Delegates to ProjectCatalog.
+	 * @returns {Promise<{name: string|null, entries: import('./ProjectCatalog.js').SetlistEntry[]}|null>}
+	 */
+	async fetchSetlist() {
+		return this.#projectCatalog.fetchSetlist();
+	}
+
+	/**
+	 * Fetch a project's settings.json overrides. Delegates to ProjectCatalog.
+	 * @param {string} [projectId] - Defaults to the project whose clips were loaded last
+	 * @returns {Promise<Object|null>}
+	 */
+	async fetchProjectSettings(projectId = this.#projectCatalog.activeProjectId ?? 'default') {
+		return this.#projectCatalog.fetchProjectSettings(projectId);
+	}
+
+	/**
+	 * Load a project's effect plugins. Delegates to ProjectCatalog.
+	 * @param {unknown} pluginEntries - The `effectPlugins` list of the project's settings.json
+	 * @param {string} [projectId] - Defaults to the project whose clips were loaded last
+	 * @returns {Promise<import('./ProjectCatalog.js').EffectPlugin[]>}
+	 */
+	async loadEffectPlugins(pluginEntries, projectId = this.#projectCatalog.activeProjectId ?? 'default') {
+		return this.#projectCatalog.loadEffectPlugins(projectId, pluginEntries);
+	}
+
 	/**
 	 * Build the key-map URL for a specific project. Delegates to ProjectCatalog.
 	 * @param {string} projectId
@@ -233,6 +466,7 @@ class ClipLoader {
 	async setupClips(clipsJsonUrl = settings.performance.clipsJsonUrl, keyMapJsonUrl = settings.performance.keyMapJsonUrl) {
 		const activeProjectId = await this.fetchActiveProjectId();
 		this.#projectCatalog.setActiveProjectId(activeProjectId ?? 'default');
+		this.#resetImages();
 		const effectiveKeyMapUrl = activeProjectId ? this.buildProjectKeyMapUrl(activeProjectId) : keyMapJsonUrl;
 		const effectiveClipsUrl = activeProjectId ? this.buildProjectClipsJsonUrl(activeProjectId) : clipsJsonUrl;
 		return this.#loadClipsFromKeyMap(effectiveClipsUrl, effectiveKeyMapUrl);
@@ -246,11 +480,57 @@ class ClipLoader {
 	 */
 	async setupClipsFromProject(projectId) {
 		this.#projectCatalog.setActiveProjectId(projectId);
+		this.#resetImages();
 		const keyMapUrl = this.buildProjectKeyMapUrl(projectId);
 		const catalogUrl = this.buildProjectClipsJsonUrl(projectId);
 		return this.#loadClipsFromKeyMap(catalogUrl, keyMapUrl);
 	}
 
+	/**
+	 * Load the scenes listed in a project's settings.json `scenes`, indexed by selection note.
+	 * Each entry is `{ "name": "Drop", "keyMap": "drop.json", "settings": { … } }`: the key-map lives in
+	 * the project's scenes folder and maps clips of the project's clips.json, and a scene without one
+	 * keeps the project key-map. Images already loaded for the project are shared, not fetched again.
+	 * Invalid entries and scenes that fail to load are null, with a warning.
+	 * @param {unknown} sceneEntries - The `scenes` list of the project's settings.json
+	 * @param {string} [projectId] - Defaults to the project whose clips were loaded last
+	 * @returns {Promise<Array<Scene|null>>}
+	 */
+	async loadScenes(sceneEntries, projectId = this.#projectCatalog.activeProjectId ?? 'default') {
+		if (!Array.isArray(sceneEntries)) {
+			return [];
+		}
+		const catalogUrl = this.buildProjectClipsJsonUrl(projectId);
+		const scenes = [];
+		// One scene at a time, so each stays within maxConcurrentClipLoads
+		for (const [index, entry] of sceneEntries.entries()) {
+			scenes.push(await this.#loadScene(projectId, catalogUrl, entry, index));
+		}
+		return scenes;
+	}
+
+	/**
+	 * @returns {Promise<Scene|null>}
+	 */
+	async #loadScene(projectId, catalogUrl, entry, index) {
+		const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+		if (!isObject(entry) || (entry.settings !== undefined && !isObject(entry.settings))) {
+			console.warn(`ClipLoader: ignoring invalid scene ${index}`, entry);
+			return null;
+		}
+		const scene = { name: typeof entry.name === 'string' ? entry.name : `Scene ${index}`, clips: null, settings: entry.settings ?? null };
+		if (entry.keyMap === undefined) {
+			return scene;
+		}
+		try {
+			scene.clips = await this.#loadClipsFromKeyMap(catalogUrl, this.#projectCatalog.buildProjectSceneKeyMapUrl(projectId, entry.keyMap));
+			return scene;
+		} catch (error) {
+			console.warn(`ClipLoader: failed to load scene ${index} (${scene.name}):`, error);
+			return null;
+		}
+	}
+
 	/**
 	 * Shared clip-loading path: fetch catalog + key-map, validate, build clip tree.
 	 * @param {string} clipsJsonUrl
@@ -281,7 +561,7 @@ class ClipLoader {
 	 * Build load tasks from the nested key map and the clip catalog.
 	 * Supports two mapping value formats:
 	 * - String: `"clipId"` (backward compatible)
-	 * - Object: `{ clipId, triggerType?, triggerGroup?, sync?, syncLength?, syncBeats?, beatsPerBar? }`
+	 * - Object: `{ clipId, triggerType?, triggerGroup?, blendMode?, opacity?, sync?, syncLength?, syncBeats?, beatsPerBar? }`
 	 * @param {Object} keyMap - Nested {channel: {note: {velocity: clipId|mappingObject}}}
 	 * @param {Object} clipsCatalog - Flat clip metadata catalog
 	 * @returns {Function[]} Array of async load functions
@@ -356,7 +636,7 @@ class ClipLoader {
 	}
 
 	/**
-	 * Destroy loaded image resources from clips object.
+	 * Destroy loaded image resources from clips object. Images no other clip draws are closed.
 	 * @param {Object} clips
 	 */
 	destroy(clips) {
@@ -370,6 +650,7 @@ class ClipLoader {
 					try {
 						if (clip && typeof clip.destroy === 'function') {
 							clip.destroy();
+							releaseClipImage(clip);
 						}
 					} catch (error) {
 						console.error('Failed to destroy clip:', error);
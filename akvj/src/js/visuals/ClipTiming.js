@@ -5,13 +5,16 @@
  * 1. frameRatesForFrames (FPS) — frame timing in frames-per-second (default)
  * 2. frameDurationBeats (BPM sync) — frame timing in beats, synced to current BPM
  *    When MIDI clock is active, uses real-time clock pulses (24 PPQN)
+ *    While the DAW transport runs, the frame is derived from the song position so
+ *    clips stay in phase after a locate (Song Position Pointer) or continue
  *    When no clock, falls back to time-based BPM calculation
+ *    A tempo phase reset (tap tempo controls) restarts the cycle on the downbeat
  *
  * BPM and clock sources are injected for testability.
  */
 
 import settings from '../core/settings.js';
-import appState, { BPM_SOURCE_CLOCK, EVENT_MIDI_CLOCK } from '../core/AppState.js';
+import appState, { BPM_SOURCE_CLOCK, EVENT_MIDI_CLOCK, EVENT_MIDI_SONG_POSITION, EVENT_TEMPO_PHASE_RESET } from '../core/AppState.js';
 import { MS_PER_MINUTE } from '../utils/timing.js';
 
 const MS_PER_SECOND = 1000;
@@ -51,6 +54,8 @@ class ClipTiming {
 	#pulseCount = 0;
 	#lastTime = null;
 	#unsubscribeClock = null;
+	#unsubscribeSongPosition = null;
+	#unsubscribePhaseReset = null;
 	#bpmProvider;
 	#clockSource;
 	#currentFrameIndex = 0;
@@ -138,14 +143,48 @@ class ClipTiming {
 		this.#currentFrameIndex = frameIndex;
 	}
 
+	/**
+	 * Find where a song position falls within one playback cycle.
+	 * @param {number} pulse - Song position in clock pulses
+	 * @param {number[]} cycleFrames - Frame order of one cycle (see PlaybackController.getCycleFrames)
+	 * @returns {number|null} Index into cycleFrames, or null if the cycle has no duration
+	 */
+	getCycleIndexAtPulse(pulse, cycleFrames) {
+		if (!this.#pulsesPerFrame || cycleFrames.length === 0) {
+			return null;
+		}
+		let cyclePulses = 0;
+		for (const frame of cycleFrames) {
+			cyclePulses += this.#getPulsesForFrame(frame);
+		}
+		if (cyclePulses <= 0) {
+			return null;
+		}
+
+		let remaining = pulse % cyclePulses;
+		for (let index = 0; index < cycleFrames.length; index++) {
+			remaining -= this.#getPulsesForFrame(cycleFrames[index]);
+			if (remaining < 0) {
+				return index;
+			}
+		}
+		return cycleFrames.length - 1;
+	}
+
 	/**
 	 * Subscribe to MIDI clock events for BPM-synced playback.
 	 * Only subscribes if this clip uses BPM sync.
 	 * @param {() => boolean} onAdvance - Callback for clock-driven frame advance
+	 * @param {(pulse: number) => boolean} [onSeek] - Jump to a song position (in clock pulses);
+	 *   returns false if the clip cannot follow the transport
 	 */
-	subscribeToClock(onAdvance) {
+	subscribeToClock(onAdvance, onSeek) {
 		if (this.#isUsingBPMSync && !this.#unsubscribeClock) {
-			this.#unsubscribeClock = this.#clockSource.subscribe(EVENT_MIDI_CLOCK, () => this.#handleClockPulse(onAdvance));
+			this.#unsubscribeClock = this.#clockSource.subscribe(EVENT_MIDI_CLOCK, event => this.#handleClockPulse(event, onAdvance, onSeek));
+			if (onSeek) {
+				this.#unsubscribeSongPosition = this.#clockSource.subscribe(EVENT_MIDI_SONG_POSITION, event => onSeek(event.detail.position));
+				this.#unsubscribePhaseReset = this.#clockSource.subscribe(EVENT_TEMPO_PHASE_RESET, () => this.#handlePhaseReset(onSeek));
+			}
 		}
 	}
 
@@ -156,10 +195,14 @@ class ClipTiming {
 		if (this.#unsubscribeClock) {
 			try {
 				this.#unsubscribeClock();
+				this.#unsubscribeSongPosition?.();
+				this.#unsubscribePhaseReset?.();
 			} catch (error) {
 				console.error('Error unsubscribing from clock events in ClipTiming:', error);
 			}
 			this.#unsubscribeClock = null;
+			this.#unsubscribeSongPosition = null;
+			this.#unsubscribePhaseReset = null;
 		}
 	}
 
@@ -222,17 +265,41 @@ class ClipTiming {
 		this.#defaultFrameRate = typeof maybeDefault === 'number' && maybeDefault > 0 ? maybeDefault : 1;
 	}
 
+	#getPulsesForFrame(frameIndex) {
+		return this.#pulsesPerFrame[frameIndex] ?? this.#pulsesPerFrame[0] ?? DEFAULT_PULSES_PER_FRAME;
+	}
+
+	/**
+	 * Jump to the start of the cycle and restart frame timing from now.
+	 * @param {(pulse: number) => boolean} onSeek - Callback for transport-derived frame
+	 */
+	#handlePhaseReset(onSeek) {
+		if (onSeek(0)) {
+			this.reset();
+		}
+	}
+
 	/**
 	 * Handle MIDI clock pulse for real-time sync mode.
+	 * Follows the transport position when the clip can; otherwise counts pulses
+	 * from the moment the clip was triggered.
+	 * @param {CustomEvent} event - midiClock event ({ position, isTransportRunning })
 	 * @param {() => boolean} onAdvance - Callback for frame advance
+	 * @param {(pulse: number) => boolean} [onSeek] - Callback for transport-derived frame
 	 */
-	#handleClockPulse(onAdvance) {
+	#handleClockPulse(event, onAdvance, onSeek) {
 		if (this.#clockSource.bpmSource !== BPM_SOURCE_CLOCK) {
 			return;
 		}
 
+		const detail = event?.detail;
+		if (detail?.isTransportRunning && onSeek?.(detail.position)) {
+			this.#pulseCount = 0;
+			return;
+		}
+
 		this.#pulseCount++;
-		const pulsesNeeded = this.#pulsesPerFrame[this.#currentFrameIndex] ?? this.#pulsesPerFrame[0] ?? DEFAULT_PULSES_PER_FRAME;
+		const pulsesNeeded = this.#getPulsesForFrame(this.#currentFrameIndex);
 
 		if (this.#pulseCount >= pulsesNeeded) {
 			this.#pulseCount = 0;
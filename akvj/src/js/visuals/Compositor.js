@@ -1,4 +1,5 @@
 import { RGBA_CHANNEL_COUNT, RGB_CHANNEL_COUNT } from './effects/effectConstants.js';
+import { createCanvas } from '../utils/canvas.js';
 
 /**
  * Bit depth mixing constants.
@@ -26,6 +27,8 @@ const BIT_DEPTH_MIXING = {
  * - Create and own off-screen canvases for Layer Group A, Layer Group B, Mask, and Mixed output.
  * - Clear layer group canvases each frame.
  * - Mix Layer Group A and Layer Group B using the active mask (supporting 1/2/4/8-bit masks).
+ *   Generated masks (ProceduralMask) write straight into a reused mask buffer; mask clips draw to ctxMask.
+ * - Apply the crossfader: a straight dissolve, or a shift of the mask threshold.
  *
  * The Renderer drives the Compositor: it renders layer groups into ctxA/ctxB,
  * then asks the Compositor to produce the mixed result.
@@ -37,13 +40,13 @@ class Compositor {
 	/** @type {number} */
 	#canvasHeight;
 
-	/** @type {HTMLCanvasElement} */
+	/** @type {HTMLCanvasElement|OffscreenCanvas} */
 	#canvasA;
 
 	/** @type {CanvasRenderingContext2D} */
 	#ctxA;
 
-	/** @type {HTMLCanvasElement} */
+	/** @type {HTMLCanvasElement|OffscreenCanvas} */
 	#canvasB;
 
 	/** @type {CanvasRenderingContext2D} */
@@ -52,7 +55,7 @@ class Compositor {
 	/** @type {CanvasRenderingContext2D} */
 	#ctxMask;
 
-	/** @type {HTMLCanvasElement} */
+	/** @type {HTMLCanvasElement|OffscreenCanvas} */
 	#canvasMixed;
 
 	/** @type {CanvasRenderingContext2D} */
@@ -61,6 +64,9 @@ class Compositor {
 	/** @type {ImageData|null} */
 	#mixedImageData = null;
 
+	/** @type {ImageData|null} Mask buffer for generated masks */
+	#generatedMaskImageData = null;
+
 	/** @type {{layerGroupA: Uint8ClampedArray, layerGroupB: Uint8ClampedArray, mask: Uint8ClampedArray, output: Uint8ClampedArray}} Reused every frame to avoid GC allocation */
 	#pixelBuffers = { layerGroupA: null, layerGroupB: null, mask: null, output: null };
 
@@ -101,12 +107,10 @@ class Compositor {
 
 	/**
 	 * Create an off-screen canvas with the configured dimensions and settings.
-	 * @returns {{ canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D }} The canvas and its 2D context
+	 * @returns {{ canvas: HTMLCanvasElement|OffscreenCanvas, ctx: CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D }} The canvas and its 2D context
 	 */
 	#createOffscreenCanvas() {
-		const canvas = document.createElement('canvas');
-		canvas.width = this.#canvasWidth;
-		canvas.height = this.#canvasHeight;
+		const canvas = createCanvas(this.#canvasWidth, this.#canvasHeight);
 		const ctx = canvas.getContext('2d');
 		if (ctx) {
 			ctx.imageSmoothingEnabled = this.#renderingConfig.imageSmoothingEnabled;
@@ -152,9 +156,11 @@ class Compositor {
 	 * @param {number} compositingInput.bitDepth - Mask bit depth (1, 2, 4, or 8)
 	 * @param {boolean} compositingInput.isLayerGroupAEmpty - Whether Layer Group A has no active clips
 	 * @param {boolean} compositingInput.isLayerGroupBEmpty - Whether Layer Group B has no active clips
+	 * @param {number|null} [compositingInput.crossfade=null] - Crossfader amount (0 = A, 1 = B), or null when untouched
+	 * @param {'threshold'|'dissolve'} [compositingInput.crossfadeMode='threshold'] - How the crossfader treats a mask
 	 * @param {number} timestamp - Current RAF timestamp
 	 */
-	mixLayerGroups({ mask, bitDepth, isLayerGroupAEmpty, isLayerGroupBEmpty }, timestamp) {
+	mixLayerGroups({ mask, bitDepth, isLayerGroupAEmpty, isLayerGroupBEmpty, crossfade = null, crossfadeMode = 'threshold' }, timestamp) {
 		if (!this.#ctxA || !this.#ctxB || !this.#ctxMask || !this.#ctxMixed) {
 			return;
 		}
@@ -165,13 +171,19 @@ class Compositor {
 			return;
 		}
 
+		if (crossfade !== null && (!mask || crossfadeMode === 'dissolve')) {
+			this.#dissolveLayerGroups(crossfade);
+			return;
+		}
+
 		if (!mask) {
 			this.#drawUnmaskedLayerGroups(isLayerGroupAEmpty, isLayerGroupBEmpty);
 			return;
 		}
 
-		this.#renderMask(mask, timestamp);
-		this.#mixWithMask(bitDepth);
+		const maskPixels = this.#renderMask(mask, timestamp);
+		// The crossfader shifts the mask by up to a full level either way (centre = no shift)
+		this.#mixWithMask(maskPixels, bitDepth, crossfade === null ? 0 : 2 * crossfade - 1);
 	}
 
 	#clearMixedCanvas() {
@@ -187,35 +199,69 @@ class Compositor {
 		}
 	}
 
+	/**
+	 * Dissolve from Layer Group A to Layer Group B.
+	 * @param {number} crossfade - 0 (A only) to 1 (B only)
+	 */
+	#dissolveLayerGroups(crossfade) {
+		if (crossfade < 1) {
+			this.#ctxMixed.drawImage(this.#canvasA, 0, 0);
+		}
+		if (crossfade > 0) {
+			this.#ctxMixed.globalAlpha = crossfade;
+			this.#ctxMixed.drawImage(this.#canvasB, 0, 0);
+			this.#ctxMixed.globalAlpha = 1;
+		}
+	}
+
+	/**
+	 * Render the mask and return its pixels.
+	 * @param {Object} mask - Mask clip, or a generated mask exposing renderToMask()
+	 * @param {number} timestamp
+	 * @returns {Uint8ClampedArray}
+	 */
 	#renderMask(mask, timestamp) {
+		if (typeof mask.renderToMask === 'function') {
+			this.#ensureGeneratedMaskImageData();
+			mask.renderToMask(this.#generatedMaskImageData.data, this.#canvasWidth, this.#canvasHeight, timestamp);
+			return this.#generatedMaskImageData.data;
+		}
 		this.#ctxMask.fillStyle = this.#renderingConfig.backgroundColor;
 		this.#ctxMask.fillRect(0, 0, this.#canvasWidth, this.#canvasHeight);
 		if (!mask.isFinished) {
 			mask.renderToContext(this.#ctxMask, timestamp);
 		}
+		return this.#ctxMask.getImageData(0, 0, this.#canvasWidth, this.#canvasHeight).data;
 	}
 
 	/**
 	 * Mix Layer Group A (ctxA) and Layer Group B (ctxB) using the current mask data and write to ctxMixed.
+	 * @param {Uint8ClampedArray} maskPixels - Rendered mask (grayscale RGBA)
 	 * @param {number} bitDepth - Mask bit depth (1, 2, 4, or 8)
+	 * @param {number} maskShift - -1 (all A) to 1 (all B); 0 mixes the mask as drawn
 	 */
-	#mixWithMask(bitDepth) {
+	#mixWithMask(maskPixels, bitDepth, maskShift) {
 		const layerGroupAImageData = this.#ctxA.getImageData(0, 0, this.#canvasWidth, this.#canvasHeight);
 		const layerGroupBImageData = this.#ctxB.getImageData(0, 0, this.#canvasWidth, this.#canvasHeight);
-		const maskImageData = this.#ctxMask.getImageData(0, 0, this.#canvasWidth, this.#canvasHeight);
 
 		this.#ensureMixedImageData();
 
 		this.#pixelBuffers.layerGroupA = layerGroupAImageData.data;
 		this.#pixelBuffers.layerGroupB = layerGroupBImageData.data;
-		this.#pixelBuffers.mask = maskImageData.data;
+		this.#pixelBuffers.mask = maskPixels;
 		this.#pixelBuffers.output = this.#mixedImageData.data;
 
 		const pixelCount = this.#canvasWidth * this.#canvasHeight;
-		this.#mixPixels(this.#pixelBuffers, pixelCount, bitDepth);
+		this.#mixPixels(this.#pixelBuffers, pixelCount, bitDepth, maskShift);
 		this.#ctxMixed.putImageData(this.#mixedImageData, 0, 0);
 	}
 
+	#ensureGeneratedMaskImageData() {
+		if (!this.#generatedMaskImageData || this.#generatedMaskImageData.width !== this.#canvasWidth || this.#generatedMaskImageData.height !== this.#canvasHeight) {
+			this.#generatedMaskImageData = this.#ctxMask.createImageData(this.#canvasWidth, this.#canvasHeight);
+		}
+	}
+
 	#ensureMixedImageData() {
 		if (!this.#mixedImageData || this.#mixedImageData.width !== this.#canvasWidth || this.#mixedImageData.height !== this.#canvasHeight) {
 			this.#mixedImageData = this.#ctxMixed.createImageData(this.#canvasWidth, this.#canvasHeight);
@@ -227,42 +273,45 @@ class Compositor {
 	 * @param {{layerGroupA: Uint8ClampedArray, layerGroupB: Uint8ClampedArray, mask: Uint8ClampedArray, output: Uint8ClampedArray}} buffers
 	 * @param {number} pixelCount - Total number of pixels to process
 	 * @param {number} bitDepth - Mask bit depth (1, 2, 4, or 8)
+	 * @param {number} maskShift - Crossfader shift, -1 to 1
 	 */
-	#mixPixels(buffers, pixelCount, bitDepth) {
+	#mixPixels(buffers, pixelCount, bitDepth, maskShift) {
 		if (bitDepth === 1) {
-			this.#mixPixels1Bit(buffers, pixelCount);
+			// Raising the threshold shows more of Layer Group A; at either end the mask no longer matters
+			const threshold = BIT_DEPTH_MIXING.THRESHOLD_1BIT * (1 - maskShift);
+			this.#mixPixels1Bit(buffers, pixelCount, threshold);
 		} else {
 			const { divisor, maxLevel } = this.#getBitDepthParams(bitDepth);
-			this.#mixPixelsMultiBit(buffers, pixelCount, divisor, maxLevel);
+			this.#mixPixelsMultiBit(buffers, pixelCount, divisor, maxLevel, maskShift);
 		}
 	}
 
-	#mixPixels1Bit(buffers, pixelCount) {
+	#mixPixels1Bit(buffers, pixelCount, threshold) {
 		for (let i = 0; i < pixelCount; i++) {
 			const idx = i * RGBA_CHANNEL_COUNT;
 			const maskValue = buffers.mask[idx];
-			this.#mix1Bit(buffers, idx, maskValue);
+			this.#mix1Bit(buffers, idx, maskValue, threshold);
 		}
 	}
 
-	#mixPixelsMultiBit(buffers, pixelCount, divisor, maxLevel) {
+	#mixPixelsMultiBit(buffers, pixelCount, divisor, maxLevel, maskShift) {
 		for (let i = 0; i < pixelCount; i++) {
 			const idx = i * RGBA_CHANNEL_COUNT;
 			const maskValue = buffers.mask[idx];
-			this.#mixMultiBit(buffers, idx, maskValue, divisor, maxLevel);
+			this.#mixMultiBit(buffers, idx, maskValue, divisor, maxLevel, maskShift);
 		}
 	}
 
-	#mix1Bit(buffers, idx, maskValue) {
-		const sourcePixels = maskValue < BIT_DEPTH_MIXING.THRESHOLD_1BIT ? buffers.layerGroupA : buffers.layerGroupB;
+	#mix1Bit(buffers, idx, maskValue, threshold) {
+		const sourcePixels = maskValue < threshold ? buffers.layerGroupA : buffers.layerGroupB;
 		buffers.output[idx] = sourcePixels[idx];
 		buffers.output[idx + 1] = sourcePixels[idx + 1];
 		buffers.output[idx + 2] = sourcePixels[idx + 2];
 		buffers.output[idx + 3] = Math.max(buffers.layerGroupA[idx + 3], buffers.layerGroupB[idx + 3]);
 	}
 
-	#mixMultiBit(buffers, idx, maskValue, divisor, maxLevel) {
-		const alpha = Math.floor(maskValue / divisor) / maxLevel;
+	#mixMultiBit(buffers, idx, maskValue, divisor, maxLevel, maskShift) {
+		const alpha = Math.min(1, Math.max(0, Math.floor(maskValue / divisor) / maxLevel + maskShift));
 		this.#blendPixel(buffers, idx, alpha);
 	}
 
@@ -313,6 +362,7 @@ class Compositor {
 	#releaseMaskAndMixed() {
 		try {
 			this.#ctxMask = null;
+			this.#generatedMaskImageData = null;
 		} catch (error) {
 			console.error('Error releasing ctxMask reference in Compositor:', error);
 		}
@@ -6,17 +6,25 @@
  * - Channel 12 (globalEffects): Effects applied to entire output (after Layer Group C)
  *
  * Key behaviors:
- * - Effects are NOT latched - Note Off immediately disables the effect
+ * - Effects are NOT latched - Note Off disables the effect, straight away or at the end of
+ *   its envelope's release (see settings.effectEnvelopes)
  * - Multiple effects from different note ranges can stack
- * - Within the same range, only the last note wins
- * - Velocity (0-127) controls effect intensity
+ * - Within the same range, the range's stacking policy decides: only the last note wins
+ *   ('last', the default), every held note applies ('stack'), or the strongest does ('max')
+ * - Effects apply by note, lowest first, unless the channel has a chain order (see settings.effectChain)
+ * - Velocity (0-127) controls effect intensity; aftertouch/pitch bend can replace it
+ *   while the note is held (see settings.modulation)
+ * - CCs on the effect channels set named parameters of the held effects (see settings.effectControls)
+ * - A project's effect plugins take over the notes they are registered on (see setPluginRanges)
  */
 import settings from '../core/settings.js';
-import { MAX_MIDI_NOTE } from './effects/effectConstants.js';
+import appState from '../core/AppState.js';
+import { MAX_MIDI_NOTE, MAX_MIDI_VELOCITY } from './effects/effectConstants.js';
+import { msPerBeat } from '../utils/timing.js';
 
 /**
- * Effect type based on note range
- * @typedef {'split'|'mirror'|'offset'|'color'|'glitch'|'strobe'|'reserved'} EffectType
+ * Effect type based on note range (or the type of a project effect plugin)
+ * @typedef {'split'|'mirror'|'offset'|'color'|'glitch'|'strobe'|'palette'|'feedback'|'reserved'|string} EffectType
  */
 
 /**
@@ -25,8 +33,35 @@ import { MAX_MIDI_NOTE } from './effects/effectConstants.js';
  * @property {number} note - MIDI note that triggered this effect
  * @property {number} velocity - Effect intensity (1-127)
  * @property {EffectType} type - Effect type based on note range
+ * @property {Object<string, number>} controls - Live parameter values set by CC, by name
+ * @property {number} level - Envelope level (0-1) the effect is mixed in at
  */
 
+/**
+ * Held effect entry: an ActiveEffect without its level, plus the envelope timing
+ * @typedef {Object} HeldEffect
+ * @property {number} note
+ * @property {number} velocity
+ * @property {EffectType} type
+ * @property {Object<string, number>} controls
+ * @property {number} startTime - When the note went on (ms)
+ * @property {number|null} releaseTime - When the note went off (ms), null while held
+ */
+
+/**
+ * Attack/hold/release times of an effect type
+ * @typedef {{attack?: number, hold?: number, release?: number, unit?: 'ms'|'beats'}} EffectEnvelope
+ */
+
+/**
+ * How simultaneous notes of one range combine
+ * @typedef {'last'|'stack'|'max'} StackingPolicy
+ */
+
+/** Shared by effects with no live parameter set yet */
+const NO_CONTROLS = Object.freeze({});
+const DEFAULT_STACKING = 'last';
+
 class EffectsManager {
 	/** @type {number} */
 	#mixedOutputEffectsChannel = settings.channelMapping.mixedOutputEffects;
@@ -37,26 +72,48 @@ class EffectsManager {
 	/** @type {Object} */
 	#effectRanges = settings.effectRanges;
 
+	/** @type {Object<string, Object<string, {cc: number, min: number, max: number}>>} */
+	#effectControls = settings.effectControls;
+
 	/**
-	 * Active effects for mixed Layer Group A and Layer Group B output (channel 9)
-	 * Key: effect type, Value: {note, velocity}
-	 * @type {Map<EffectType, ActiveEffect>}
+	 * Held effects for mixed Layer Group A and Layer Group B output (channel 9),
+	 * including released ones whose envelope is still fading out
+	 * Key: MIDI note, Value: {note, velocity, type, controls, startTime, releaseTime}
+	 * @type {Map<number, HeldEffect>}
 	 */
 	#activeMixedOutputEffects = new Map();
 
-	/** @type {ActiveEffect[]|null} Cached sorted array, invalidated on change */
+	/** @type {ActiveEffect[]|null} Cached chain, invalidated on change and never kept while an envelope moves */
 	#cachedMixedOutputEffects = null;
 
 	/**
-	 * Active global effects (channel 12)
-	 * Key: effect type, Value: {note, velocity}
-	 * @type {Map<EffectType, ActiveEffect>}
+	 * Held global effects (channel 12), including released ones still fading out
+	 * Key: MIDI note, Value: {note, velocity, type, controls, startTime, releaseTime}
+	 * @type {Map<number, HeldEffect>}
 	 */
 	#activeGlobalEffects = new Map();
 
-	/** @type {ActiveEffect[]|null} Cached sorted array, invalidated on change */
+	/** @type {ActiveEffect[]|null} Cached chain, invalidated on change and never kept while an envelope moves */
 	#cachedGlobalEffects = null;
 
+	/**
+	 * Chain position of each effect type, per effect channel; null applies effects by note
+	 * @type {Map<number, Map<EffectType, number>|null>}
+	 */
+	#chainPositions = new Map();
+
+	/** @type {Object<string, StackingPolicy>} Project overrides of the ranges' stacking policies */
+	#effectStacking = {};
+
+	/** @type {Object<string, EffectEnvelope>} Envelopes by effect type */
+	#effectEnvelopes = settings.effectEnvelopes;
+
+	/** @type {() => number} */
+	#bpmProvider;
+
+	/** @type {() => number} */
+	#now;
+
 	/**
 	 * Precomputed map of MIDI note (0-127) to effect type.
 	 * Excludes reserved notes so callers can treat a missing type as "no effect".
@@ -64,9 +121,114 @@ class EffectsManager {
 	 */
 	#effectTypeByNote;
 
-	constructor() {
+	/**
+	 * @param {Object} [options]
+	 * @param {() => number} [options.bpmProvider] - Injected BPM provider for testability (envelopes in beats)
+	 * @param {() => number} [options.now] - Injected clock (ms) for testability
+	 */
+	constructor({ bpmProvider, now } = {}) {
+		this.#bpmProvider = bpmProvider ?? (() => appState.bpm);
+		this.#now = now ?? (() => performance.now());
 		this.#effectTypeByNote = new Map();
-		for (const [type, range] of Object.entries(this.#effectRanges)) {
+		this.#mapNoteRanges(this.#effectRanges);
+		this.setEffectChain(settings.effectChain);
+	}
+
+	/**
+	 * Set the chain order of each effect channel and the stacking policy overrides
+	 * (the merged project settings, see mergeProjectSettings).
+	 * @param {{mixedOutputEffects?: EffectType[]|null, globalEffects?: EffectType[]|null}} [effectChain]
+	 * @param {Object<string, StackingPolicy>} [effectStacking] - Policy by effect type, over `settings.effectRanges`
+	 */
+	setEffectChain(effectChain = {}, effectStacking = {}) {
+		const toPositions = order => (Array.isArray(order) ? new Map(order.map((type, position) => [type, position])) : null);
+		this.#chainPositions.set(this.#mixedOutputEffectsChannel, toPositions(effectChain.mixedOutputEffects));
+		this.#chainPositions.set(this.#globalEffectsChannel, toPositions(effectChain.globalEffects));
+		this.#effectStacking = { ...effectStacking };
+
+		// Ranges that are now last-wins keep only their latest held note
+		for (const activeEffects of [this.#activeMixedOutputEffects, this.#activeGlobalEffects]) {
+			const latestByType = new Map();
+			for (const [note, effect] of activeEffects) {
+				latestByType.set(effect.type, note);
+			}
+			for (const [note, effect] of activeEffects) {
+				if (this.#getStacking(effect.type) === 'last' && latestByType.get(effect.type) !== note) {
+					activeEffects.delete(note);
+				}
+			}
+		}
+		this.#cachedMixedOutputEffects = null;
+		this.#cachedGlobalEffects = null;
+	}
+
+	/**
+	 * Use a project's effect envelopes (the merged project settings, see mergeProjectSettings).
+	 * Effects already fading in or out continue with the new times.
+	 * @param {Object<string, EffectEnvelope>} effectEnvelopes - Envelope by effect type
+	 */
+	setEnvelopes(effectEnvelopes) {
+		this.#effectEnvelopes = effectEnvelopes ?? {};
+		this.#cachedMixedOutputEffects = null;
+		this.#cachedGlobalEffects = null;
+	}
+
+	/**
+	 * Envelope times of an effect type in ms (all 0 without an envelope)
+	 * @param {EffectType} effectType
+	 * @returns {{attack: number, hold: number, release: number}}
+	 */
+	#getEnvelope(effectType) {
+		const { attack = 0, hold = 0, release = 0, unit = 'ms' } = this.#effectEnvelopes?.[effectType] ?? {};
+		const msPerUnit = unit === 'beats' ? msPerBeat(Math.max(settings.bpm.min, this.#bpmProvider() || settings.bpm.default)) : 1;
+		return { attack: Math.max(0, attack) * msPerUnit, hold: Math.max(0, hold) * msPerUnit, release: Math.max(0, release) * msPerUnit };
+	}
+
+	/**
+	 * Envelope level of a held effect: ramps 0→1 over the attack, stays at 1 while the note is
+	 * held (and for at least `hold` after the attack), then ramps 1→0 over the release.
+	 * @param {{type: EffectType, startTime: number, releaseTime: number|null}} heldEffect
+	 * @param {number} now
+	 * @returns {number|null} Level 0-1, or null once the release has completed
+	 */
+	#getLevel(heldEffect, now) {
+		const { attack, hold, release } = this.#getEnvelope(heldEffect.type);
+		if (heldEffect.releaseTime !== null) {
+			const releaseStart = Math.max(heldEffect.releaseTime, heldEffect.startTime + attack + hold);
+			if (now >= releaseStart) {
+				const level = release > 0 ? 1 - (now - releaseStart) / release : 0;
+				return level > 0 ? level : null;
+			}
+		}
+		const elapsed = now - heldEffect.startTime;
+		return elapsed < attack ? Math.max(0, elapsed / attack) : 1;
+	}
+
+	/**
+	 * Drop released effects whose envelope has completed
+	 * @param {number} channel
+	 * @param {number} now
+	 */
+	#removeFinishedEffects(channel, now) {
+		const activeEffects = this.#getActiveEffectsForChannel(channel);
+		for (const [note, heldEffect] of activeEffects) {
+			if (heldEffect.releaseTime !== null && this.#getLevel(heldEffect, now) === null) {
+				activeEffects.delete(note);
+				this.#invalidateCache(channel);
+			}
+		}
+	}
+
+	/**
+	 * @param {EffectType} effectType
+	 * @returns {StackingPolicy}
+	 */
+	#getStacking(effectType) {
+		return this.#effectStacking[effectType] ?? this.#effectRanges[effectType]?.stacking ?? DEFAULT_STACKING;
+	}
+
+	#mapNoteRanges(ranges) {
+		for (const [type, range] of Object.entries(ranges)) {
 			if (type === 'reserved') {
 				continue;
 			}
@@ -76,6 +238,27 @@ class EffectsManager {
 		}
 	}
 
+	/**
+	 * Register a project's effect plugins on their notes, replacing the previous project's.
+	 * Held effects whose note now triggers something else are released.
+	 * @param {Array<{type: string, range: {min: number, max: number}}>} plugins
+	 */
+	setPluginRanges(plugins) {
+		this.#effectTypeByNote.clear();
+		this.#mapNoteRanges(this.#effectRanges);
+		this.#mapNoteRanges(Object.fromEntries(plugins.map(({ type, range }) => [type, range])));
+
+		for (const channel of [this.#mixedOutputEffectsChannel, this.#globalEffectsChannel]) {
+			const activeEffects = this.#getActiveEffectsForChannel(channel);
+			for (const [note, effect] of activeEffects) {
+				if (this.#effectTypeByNote.get(note) !== effect.type) {
+					activeEffects.delete(note);
+					this.#invalidateCache(channel);
+				}
+			}
+		}
+	}
+
 	/**
 	 * Check if this manager handles a specific channel
 	 * @param {number} channel - MIDI channel
@@ -98,6 +281,14 @@ class EffectsManager {
 		return this.#effectTypeByNote.get(note) ?? null;
 	}
 
+	/**
+	 * All notes that trigger an effect (reserved notes excluded), ascending.
+	 * @returns {number[]}
+	 */
+	getEffectNotes() {
+		return [...this.#effectTypeByNote.keys()].sort((a, b) => a - b);
+	}
+
 	#getActiveEffectsForChannel(channel) {
 		return channel === this.#mixedOutputEffectsChannel ? this.#activeMixedOutputEffects : this.#activeGlobalEffects;
 	}
@@ -130,7 +321,76 @@ class EffectsManager {
 
 	#activateEffect(channel, effectType, note, velocity) {
 		const activeEffects = this.#getActiveEffectsForChannel(channel);
-		activeEffects.set(effectType, { note, velocity, type: effectType });
+		if (this.#getStacking(effectType) === 'last') {
+			for (const [heldNote, effect] of activeEffects) {
+				if (effect.type === effectType) {
+					activeEffects.delete(heldNote);
+				}
+			}
+		}
+		// Re-insert so a retriggered note counts as the latest; its envelope starts over
+		activeEffects.delete(note);
+		activeEffects.set(note, { note, velocity, type: effectType, controls: NO_CONTROLS, startTime: this.#now(), releaseTime: null });
+	}
+
+	/**
+	 * Set the live parameters bound to a CC on the held effects of a channel
+	 * @param {number} channel - MIDI channel
+	 * @param {number} controller - CC number
+	 * @param {number} value - CC value (0-127), mapped onto each parameter's min-max
+	 * @returns {boolean} True if any effect was updated
+	 */
+	setControl(channel, controller, value) {
+		if (!this.handlesChannel(channel)) {
+			return false;
+		}
+
+		const normalizedValue = Math.max(0, Math.min(1, value / MAX_MIDI_VELOCITY));
+		const activeEffects = this.#getActiveEffectsForChannel(channel);
+		let isUpdated = false;
+		for (const [heldNote, effect] of activeEffects) {
+			let controls = effect.controls;
+			for (const [name, { cc, min, max }] of Object.entries(this.#effectControls?.[effect.type] ?? {})) {
+				if (cc === controller) {
+					controls = { ...controls, [name]: min + normalizedValue * (max - min) };
+				}
+			}
+			if (controls !== effect.controls) {
+				activeEffects.set(heldNote, { ...effect, controls });
+				isUpdated = true;
+			}
+		}
+		if (isUpdated) {
+			this.#invalidateCache(channel);
+		}
+		return isUpdated;
+	}
+
+	/**
+	 * Replace the intensity of active effects (aftertouch/pitch bend modulation)
+	 * @param {number} channel - MIDI channel
+	 * @param {number|null} note - Only the effect triggered by this note, or null for every active effect on the channel
+	 * @param {number} velocity - New intensity (clamped to 1-127 so the effect stays active)
+	 * @returns {boolean} True if any effect was updated
+	 */
+	setIntensity(channel, note, velocity) {
+		if (!this.handlesChannel(channel)) {
+			return false;
+		}
+
+		const clampedVelocity = Math.max(1, Math.min(MAX_MIDI_VELOCITY, Math.round(velocity)));
+		const activeEffects = this.#getActiveEffectsForChannel(channel);
+		let isUpdated = false;
+		for (const [heldNote, effect] of activeEffects) {
+			if ((note === null || heldNote === note) && effect.velocity !== clampedVelocity) {
+				activeEffects.set(heldNote, { ...effect, velocity: clampedVelocity });
+				isUpdated = true;
+			}
+		}
+		if (isUpdated) {
+			this.#invalidateCache(channel);
+		}
+		return isUpdated;
 	}
 
 	/**
@@ -144,58 +404,100 @@ class EffectsManager {
 			return false;
 		}
 
-		const effectType = this.#getEffectType(note);
-		if (!effectType) {
+		if (!this.#getEffectType(note)) {
 			return false;
 		}
 
+		// A note already replaced under the 'last' policy is no longer held
 		const activeEffects = this.#getActiveEffectsForChannel(channel);
-
-		const currentEffect = activeEffects.get(effectType);
-		if (currentEffect && currentEffect.note === note) {
-			activeEffects.delete(effectType);
-			this.#invalidateCache(channel);
-			return true;
+		const heldEffect = activeEffects.get(note);
+		if (!heldEffect || heldEffect.releaseTime !== null) {
+			return false;
 		}
 
-		return false;
+		// Effects with a release (or an unfinished hold) stay active until it completes
+		const now = this.#now();
+		const releasedEffect = { ...heldEffect, releaseTime: now };
+		if (this.#getLevel(releasedEffect, now) === null) {
+			activeEffects.delete(note);
+		} else {
+			activeEffects.set(note, releasedEffect);
+		}
+		this.#invalidateCache(channel);
+		return true;
 	}
 
 	/**
 	 * Get all active mixed output effects
-	 * @returns {ActiveEffect[]} Array of active effects, sorted by note (ascending)
+	 * @returns {ActiveEffect[]} Array of active effects in chain order (by default by note, ascending)
 	 */
 	getActiveMixedOutputEffects() {
-		if (this.#cachedMixedOutputEffects === null) {
-			this.#cachedMixedOutputEffects = [...this.#activeMixedOutputEffects.values()].sort((a, b) => a.note - b.note);
-		}
-		return this.#cachedMixedOutputEffects;
+		return this.#cachedMixedOutputEffects ?? this.#buildChain(this.#mixedOutputEffectsChannel);
 	}
 
 	/**
 	 * Get all active global effects
-	 * @returns {ActiveEffect[]} Array of active effects, sorted by note (ascending)
+	 * @returns {ActiveEffect[]} Array of active effects in chain order (by default by note, ascending)
 	 */
 	getActiveGlobalEffects() {
-		if (this.#cachedGlobalEffects === null) {
-			this.#cachedGlobalEffects = [...this.#activeGlobalEffects.values()].sort((a, b) => a.note - b.note);
+		return this.#cachedGlobalEffects ?? this.#buildChain(this.#globalEffectsChannel);
+	}
+
+	/**
+	 * Effects that apply at their envelope level (the strongest note of 'max' ranges), in chain
+	 * order. Types missing from the channel's chain order follow it, by note. The chain is
+	 * cached until the next change unless an envelope is still moving.
+	 * @param {number} channel
+	 * @returns {ActiveEffect[]}
+	 */
+	#buildChain(channel) {
+		const now = this.#now();
+		this.#removeFinishedEffects(channel, now);
+		const activeEffects = this.#getActiveEffectsForChannel(channel);
+
+		let isSettled = true;
+		const effects = [];
+		const strongestByType = new Map();
+		for (const { note, velocity, type, controls, startTime, releaseTime } of activeEffects.values()) {
+			const level = this.#getLevel({ type, startTime, releaseTime }, now);
+			const effect = { note, velocity, type, controls, level };
+			isSettled &&= releaseTime === null && level === 1;
+			effects.push(effect);
+			// Fading notes count at their level; later notes win ties as they were inserted last
+			if (this.#getStacking(type) === 'max' && velocity * level >= (strongestByType.get(type)?.strength ?? 0)) {
+				strongestByType.set(type, { effect, strength: velocity * level });
+			}
+		}
+		const applied = effects.filter(effect => !strongestByType.has(effect.type) || strongestByType.get(effect.type).effect === effect);
+
+		const positions = this.#chainPositions.get(channel);
+		const positionOf = effect => positions?.get(effect.type) ?? positions?.size ?? 0;
+		const chain = applied.sort((a, b) => positionOf(a) - positionOf(b) || a.note - b.note);
+		if (isSettled) {
+			if (channel === this.#mixedOutputEffectsChannel) {
+				this.#cachedMixedOutputEffects = chain;
+			} else {
+				this.#cachedGlobalEffects = chain;
+			}
 		}
-		return this.#cachedGlobalEffects;
+		return chain;
 	}
 
 	/**
-	 * Check if any mixed output effects are active
+	 * Check if any mixed output effects are active (held or fading out)
 	 * @returns {boolean}
 	 */
 	hasMixedOutputEffects() {
+		this.#removeFinishedEffects(this.#mixedOutputEffectsChannel, this.#now());
 		return this.#activeMixedOutputEffects.size > 0;
 	}
 
 	/**
-	 * Check if any global effects are active
+	 * Check if any global effects are active (held or fading out)
 	 * @returns {boolean}
 	 */
 	hasGlobalEffects() {
+		this.#removeFinishedEffects(this.#globalEffectsChannel, this.#now());
 		return this.#activeGlobalEffects.size > 0;
 	}
 
@@ -5,6 +5,9 @@
  * Compositing order within a group:
  * - Lower channel renders first (bottom)
  * - Within a channel, lower note number renders first (bottom)
+ *
+ * Each channel is a slot with its own opacity and optional blend mode override, so the
+ * slots can be mixed (by CC) rather than just stacked. Clips bring their own defaults.
  */
 import { buildVelocityCache, resolveClip } from '../utils/velocitySelection.js';
 import { TRIGGER_TYPES } from './clipMetadata.js';
@@ -28,6 +31,12 @@ class LayerGroup {
 	/** @type {Clip[]|null} Cached sorted active clips array */
 	#cachedActiveClips = null;
 
+	/** @type {number[]} Channel of each clip in the cached active clips array */
+	#cachedActiveChannels = [];
+
+	/** @type {Map<number, {opacity: number, blendMode: string|null}>} Per-slot mix set by CC */
+	#slotMix = new Map();
+
 	/** @type {boolean} Flag indicating cache needs rebuild */
 	#isClipsDirty = true;
 
@@ -44,6 +53,13 @@ class LayerGroup {
 		for (const channel of channels) {
 			this.#activeClips.set(channel, new Map());
 		}
+		this.#resetSlotMix();
+	}
+
+	#resetSlotMix() {
+		for (const channel of this.#channels) {
+			this.#slotMix.set(channel, { opacity: 1, blendMode: null });
+		}
 	}
 
 	/**
@@ -179,6 +195,7 @@ class LayerGroup {
 	 */
 	#buildActiveClipsCache() {
 		const clips = [];
+		this.#cachedActiveChannels = [];
 		const sortedChannels = [...this.#channels].sort((a, b) => a - b);
 		for (const channel of sortedChannels) {
 			this.#collectClipsFromChannel(channel, clips);
@@ -186,6 +203,15 @@ class LayerGroup {
 		return clips;
 	}
 
+	/**
+	 * Channels of the clips returned by getActiveClips(), index for index.
+	 * Only valid right after getActiveClips() — the two are rebuilt together.
+	 * @returns {number[]}
+	 */
+	getActiveClipChannels() {
+		return this.#cachedActiveChannels;
+	}
+
 	#collectClipsFromChannel(channel, clips) {
 		const noteClips = this.#activeClips.get(channel);
 		if (!noteClips || noteClips.size === 0) {
@@ -196,6 +222,7 @@ class LayerGroup {
 			const clip = noteClips.get(note);
 			if (clip && !clip.isFinished) {
 				clips.push(clip);
+				this.#cachedActiveChannels.push(channel);
 			}
 		}
 	}
@@ -219,13 +246,47 @@ class LayerGroup {
 		}
 	}
 
+	/**
+	 * List the notes currently holding an active clip (for controller LED feedback).
+	 * @returns {Array<{channel: number, note: number, isLatched: boolean}>}
+	 */
+	getActiveNotes() {
+		const activeNotes = [];
+		for (const [channel, noteClips] of this.#activeClips) {
+			for (const [note, clip] of noteClips) {
+				if (clip && !clip.isFinished) {
+					activeNotes.push({ channel, note, isLatched: clip.triggerType === TRIGGER_TYPES.LATCH });
+				}
+			}
+		}
+		return activeNotes;
+	}
+
+	/**
+	 * Check if this group handles a specific channel
+	 * @param {number} channel - MIDI channel
+	 * @returns {boolean}
+	 */
+	handlesChannel(channel) {
+		return this.#activeClips.has(channel);
+	}
+
 	/**
 	 * Set scrub position for any active scrub-mode clips
 	 * @param {number} normalizedValue - Value from 0.0 to 1.0
+	 * @param {Object} [scope] - Limit scrubbing (e.g. to the pad sending pressure)
+	 * @param {number} [scope.channel] - Only clips on this channel
+	 * @param {number} [scope.note] - Only the clip on this note
 	 */
-	setScrubPosition(normalizedValue) {
-		for (const channelClips of this.#activeClips.values()) {
-			for (const clip of channelClips.values()) {
+	setScrubPosition(normalizedValue, { channel, note } = {}) {
+		for (const [clipChannel, channelClips] of this.#activeClips) {
+			if (channel !== undefined && clipChannel !== channel) {
+				continue;
+			}
+			for (const [clipNote, clip] of channelClips) {
+				if (note !== undefined && clipNote !== note) {
+					continue;
+				}
 				if (clip && !clip.isFinished && clip.playbackMode === 'scrub') {
 					clip.setScrubPosition(normalizedValue);
 				}
@@ -233,6 +294,45 @@ class LayerGroup {
 		}
 	}
 
+	/**
+	 * Scale the opacity of every clip on a slot.
+	 * @param {number} channel - Slot channel
+	 * @param {number} opacity - 0.0 (hidden) to 1.0 (the clips' own opacity)
+	 * @returns {boolean} True if this group handles the channel
+	 */
+	setSlotOpacity(channel, opacity) {
+		const slotMix = this.#slotMix.get(channel);
+		if (!slotMix) {
+			return false;
+		}
+		slotMix.opacity = Math.min(1, Math.max(0, opacity));
+		return true;
+	}
+
+	/**
+	 * Override the blend mode of every clip on a slot.
+	 * @param {number} channel - Slot channel
+	 * @param {string|null} blendMode - One of BLEND_MODES, or null for the clips' own modes
+	 * @returns {boolean} True if this group handles the channel
+	 */
+	setSlotBlendMode(channel, blendMode) {
+		const slotMix = this.#slotMix.get(channel);
+		if (!slotMix) {
+			return false;
+		}
+		slotMix.blendMode = blendMode;
+		return true;
+	}
+
+	/**
+	 * Get the mix settings of a slot.
+	 * @param {number} channel - Slot channel
+	 * @returns {{opacity: number, blendMode: string|null}|null} Null if this group does not handle the channel
+	 */
+	getSlotMix(channel) {
+		return this.#slotMix.get(channel) ?? null;
+	}
+
 	/**
 	 * Check if the group has any active clips
 	 * @returns {boolean}
@@ -348,8 +448,10 @@ class LayerGroup {
 			console.error('Error clearing velocityCache in LayerGroup:', error);
 		}
 		this.#cachedActiveClips = null;
+		this.#cachedActiveChannels = [];
 		this.#isClipsDirty = true;
 		this.#triggerGroups.clear();
+		this.#resetSlotMix();
 	}
 }
 
@@ -10,12 +10,20 @@
  * - Layer Group C (channels 10-11): Overlay layer (logos, persistent graphics)
  * - Global effects (channel 12): Effects applied to entire output
  * - Reserved (channels 13-15): Ignored
+ *
+ * Beat-synced LFOs (see settings.lfos) modulate effect intensity, scrub, mask progress and
+ * slot opacity once per frame (updateLfos).
  */
 import settings from '../core/settings.js';
+import appState from '../core/AppState.js';
 import LayerGroup from './LayerGroup.js';
 import MaskManager from './MaskManager.js';
 import EffectsManager from './EffectsManager.js';
+import LfoModulator from './LfoModulator.js';
 import { MAX_MIDI_VELOCITY } from './effects/effectConstants.js';
+import { BLEND_MODES } from './clipMetadata.js';
+
+const MAX_PITCH_BEND = 0x3fff;
 
 /**
  * @typedef {import('./Clip.js').default} Clip
@@ -36,14 +44,29 @@ class LayerManager {
 	/** @type {EffectsManager} */
 	#effectsManager;
 
+	/** @type {LfoModulator} */
+	#lfoModulator;
+
 	/** @type {Set<number>} */
 	#reservedChannels;
 
 	/** @type {Array<{name: string, noteOn: Function, noteOff: Function}>} */
 	#handlers;
 
-	constructor() {
+	/** @type {import('../midi-input/ControlBindings.js').default} */
+	#controlBindings;
+
+	/** @type {Object} */
+	#clips = {};
+
+	/**
+	 * @param {Object} [options]
+	 * @param {import('../midi-input/ControlBindings.js').default} [options.controlBindings] - Live binding table (defaults to appState's)
+	 * @param {LfoModulator} [options.lfoModulator] - Injected for testability
+	 */
+	constructor({ controlBindings = appState.controlBindings, lfoModulator = new LfoModulator() } = {}) {
 		const { channelMapping } = settings;
+		this.#controlBindings = controlBindings;
 
 		this.#layerGroupA = new LayerGroup(channelMapping.layerGroupA);
 		this.#layerGroupB = new LayerGroup(channelMapping.layerGroupB);
@@ -51,6 +74,8 @@ class LayerManager {
 
 		this.#maskManager = new MaskManager();
 		this.#effectsManager = new EffectsManager();
+		this.#lfoModulator = lfoModulator;
+		this.#lfoModulator.setLfos(settings.lfos);
 
 		this.#reservedChannels = new Set(channelMapping.reserved);
 
@@ -60,27 +85,150 @@ class LayerManager {
 	}
 
 	/**
-	 * Apply MIDI CC scrub (same entry path as noteOn/noteOff from AdventureKidVideoJockey).
-	 * @param {{detail: {controller: number, value: number}}} event
+	 * Apply MIDI CC scrub (same entry path as noteOn/noteOff from VisualEngine).
+	 * The CC → target lookup goes through the live binding table so MIDI Learn takes effect immediately.
+	 * @param {{detail: {channel: number, controller: number, value: number, sourceChannel?: number}}} event - `sourceChannel` is the channel before learned channel routing
 	 */
 	handleControlChange(event) {
-		const { controller, value } = event.detail;
-		const { scrub } = settings;
-
-		if (!scrub) {
+		const { channel, controller, value, sourceChannel = channel } = event.detail;
+		// Scrub bindings were learned on the channel the controller sends on
+		const scrubTarget = this.#controlBindings.getScrubTarget(sourceChannel, controller);
+
+		if (!scrubTarget) {
+			if (this.#effectsManager.handlesChannel(channel)) {
+				this.#effectsManager.setControl(channel, controller, value);
+			} else {
+				this.#handleSlotBlend(channel, controller, value);
+			}
 			return;
 		}
 
 		const normalizedValue = value / MAX_MIDI_VELOCITY;
 
-		if (controller === scrub.layerGroupA_CC) {
+		if (scrubTarget === 'layerGroupA') {
 			this.#layerGroupA.setScrubPosition(normalizedValue);
-		} else if (controller === scrub.layerGroupB_CC) {
+		} else if (scrubTarget === 'layerGroupB') {
 			this.#layerGroupB.setScrubPosition(normalizedValue);
-		} else if (controller === scrub.layerGroupC_CC) {
+		} else if (scrubTarget === 'layerGroupC') {
 			this.#layerGroupC.setScrubPosition(normalizedValue);
-		} else if (controller === scrub.mixer_CC) {
+		} else if (scrubTarget === 'mixer') {
 			this.#maskManager.setScrubPosition(normalizedValue);
+		} else if (scrubTarget === 'crossfader') {
+			this.#maskManager.setCrossfaderPosition(normalizedValue);
+		}
+	}
+
+	/**
+	 * Apply the per-slot opacity/blend mode CCs (see settings.layerBlend).
+	 * @param {number} channel - Slot channel
+	 * @param {number} controller
+	 * @param {number} value - 0-127
+	 */
+	#handleSlotBlend(channel, controller, value) {
+		const { opacityCC, blendModeCC } = settings.layerBlend;
+		if (controller !== opacityCC && controller !== blendModeCC) {
+			return;
+		}
+		const layerGroup = [this.#layerGroupA, this.#layerGroupB, this.#layerGroupC].find(group => group.handlesChannel(channel));
+		if (!layerGroup) {
+			return;
+		}
+		if (controller === opacityCC) {
+			layerGroup.setSlotOpacity(channel, value / MAX_MIDI_VELOCITY);
+			return;
+		}
+		// Zone 0 restores the clips' own blend modes, the rest select BLEND_MODES in order
+		const zone = Math.floor((value * (BLEND_MODES.length + 1)) / (MAX_MIDI_VELOCITY + 1));
+		layerGroup.setSlotBlendMode(channel, zone === 0 ? null : BLEND_MODES[zone - 1]);
+	}
+
+	/**
+	 * Apply MIDI Pitch Bend as a modulation source (see settings.modulation)
+	 * @param {{detail: {channel: number, value: number}}} event
+	 */
+	handlePitchBend(event) {
+		const { channel, value } = event.detail;
+		this.#modulate('pitchBend', channel, null, value / MAX_PITCH_BEND);
+	}
+
+	/**
+	 * Apply MIDI Channel Pressure as a modulation source (see settings.modulation)
+	 * @param {{detail: {channel: number, pressure: number}}} event
+	 */
+	handleChannelPressure(event) {
+		const { channel, pressure } = event.detail;
+		this.#modulate('channelPressure', channel, null, pressure / MAX_MIDI_VELOCITY);
+	}
+
+	/**
+	 * Apply MIDI Polyphonic Key Pressure as a modulation source, scoped to its note (see settings.modulation)
+	 * @param {{detail: {channel: number, note: number, pressure: number}}} event
+	 */
+	handlePolyPressure(event) {
+		const { channel, note, pressure } = event.detail;
+		this.#modulate('polyPressure', channel, note, pressure / MAX_MIDI_VELOCITY);
+	}
+
+	/**
+	 * Route a normalized modulation value to effect intensity on effect channels,
+	 * or to the scrub position of whatever owns the channel otherwise.
+	 * @param {string} source - 'pitchBend' | 'channelPressure' | 'polyPressure'
+	 * @param {number} channel - MIDI channel (0-15)
+	 * @param {number|null} note - Note for per-note sources, null for channel-wide ones
+	 * @param {number} normalizedValue - Value from 0.0 to 1.0
+	 */
+	#modulate(source, channel, note, normalizedValue) {
+		const { effectIntensity = [], scrub = [] } = settings.modulation ?? {};
+
+		if (this.#effectsManager.handlesChannel(channel)) {
+			if (effectIntensity.includes(source)) {
+				this.#effectsManager.setIntensity(channel, note, normalizedValue * MAX_MIDI_VELOCITY);
+			}
+			return;
+		}
+
+		if (!scrub.includes(source)) {
+			return;
+		}
+
+		if (this.#maskManager.handlesChannel(channel)) {
+			if (note === null || note === this.#maskManager.getCurrentNote()) {
+				this.#maskManager.setScrubPosition(normalizedValue);
+			}
+			return;
+		}
+
+		const scope = note === null ? { channel } : { channel, note };
+		const layerGroup = [this.#layerGroupA, this.#layerGroupB, this.#layerGroupC].find(group => group.handlesChannel(channel));
+		layerGroup?.setScrubPosition(normalizedValue, scope);
+	}
+
+	/**
+	 * Run a project's LFOs (see mergeProjectSettings), replacing the previous ones.
+	 * @param {import('./LfoModulator.js').LfoDefinition[]} lfos
+	 */
+	setLfos(lfos) {
+		this.#lfoModulator.setLfos(lfos);
+	}
+
+	/**
+	 * Write the LFOs' values for this frame to their targets. Called once per frame by the Renderer.
+	 * @param {number} timestamp - Current RAF timestamp
+	 */
+	updateLfos(timestamp) {
+		for (const { target, channel, value } of this.#lfoModulator.update(timestamp)) {
+			if (target === 'maskProgress') {
+				this.#maskManager.setScrubPosition(value);
+			} else if (target === 'effectIntensity') {
+				this.#effectsManager.setIntensity(channel, null, value * MAX_MIDI_VELOCITY);
+			} else {
+				const layerGroup = [this.#layerGroupA, this.#layerGroupB, this.#layerGroupC].find(group => group.handlesChannel(channel));
+				if (target === 'scrub') {
+					layerGroup?.setScrubPosition(value, { channel });
+				} else {
+					layerGroup?.setSlotOpacity(channel, value);
+				}
+			}
 		}
 	}
 
@@ -121,6 +269,7 @@ class LayerManager {
 	 *   Nested object: clips[channel][note][velocityThreshold] = Clip
 	 */
 	setClips(clips) {
+		this.#clips = clips;
 		this.#layerGroupA.setClips(clips);
 		this.#layerGroupB.setClips(clips);
 		this.#layerGroupC.setClips(clips);
@@ -163,6 +312,55 @@ class LayerManager {
 		}
 	}
 
+	/**
+	 * List every channel/note that does something when played: mapped clips and masks,
+	 * plus effect notes on both effect channels. Used for controller LED feedback.
+	 * @returns {Array<{channel: number, note: number}>}
+	 */
+	getMappedNotes() {
+		const mappedNotes = [];
+		for (const [channel, notes] of Object.entries(this.#clips)) {
+			const channelNumber = Number(channel);
+			if (this.#reservedChannels.has(channelNumber) || channelNumber === settings.channelMapping.projectSelection || channelNumber === settings.channelMapping.sceneSelection) {
+				continue;
+			}
+			for (const note of Object.keys(notes)) {
+				mappedNotes.push({ channel: channelNumber, note: Number(note) });
+			}
+		}
+		for (const note of this.#maskManager.getGeneratedMaskNotes()) {
+			mappedNotes.push({ channel: settings.channelMapping.mixer, note });
+		}
+		const { mixedOutputEffects, globalEffects } = settings.channelMapping;
+		for (const note of this.#effectsManager.getEffectNotes()) {
+			mappedNotes.push({ channel: mixedOutputEffects, note }, { channel: globalEffects, note });
+		}
+		return mappedNotes;
+	}
+
+	/**
+	 * List every channel/note that is currently active. Masks always latch; clips latch
+	 * when their trigger type is 'latch'; effects never latch.
+	 * @returns {Array<{channel: number, note: number, isLatched: boolean}>}
+	 */
+	getActiveNotes() {
+		const activeNotes = [...this.#layerGroupA.getActiveNotes(), ...this.#layerGroupB.getActiveNotes(), ...this.#layerGroupC.getActiveNotes()];
+
+		const maskNote = this.#maskManager.getCurrentNote();
+		if (maskNote !== null) {
+			activeNotes.push({ channel: settings.channelMapping.mixer, note: maskNote, isLatched: true });
+		}
+
+		const { mixedOutputEffects, globalEffects } = settings.channelMapping;
+		for (const effect of this.#effectsManager.getActiveMixedOutputEffects()) {
+			activeNotes.push({ channel: mixedOutputEffects, note: effect.note, isLatched: false });
+		}
+		for (const effect of this.#effectsManager.getActiveGlobalEffects()) {
+			activeNotes.push({ channel: globalEffects, note: effect.note, isLatched: false });
+		}
+		return activeNotes;
+	}
+
 	/**
 	 * Get Layer Group A
 	 * @returns {LayerGroup}
@@ -225,6 +423,7 @@ class LayerManager {
 		}
 		this.#destroyLayerGroups();
 		this.#destroyManagers();
+		this.#clips = {};
 	}
 
 	#destroyLayerGroups() {
@@ -256,6 +455,11 @@ class LayerManager {
 		} catch (error) {
 			console.error('Error destroying effectsManager:', error);
 		}
+		try {
+			this.#lfoModulator.destroy();
+		} catch (error) {
+			console.error('Error destroying lfoModulator:', error);
+		}
 	}
 }
 
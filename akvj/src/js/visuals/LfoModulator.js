@@ -0,0 +1,210 @@
+/**
+ * LfoModulator - Beat-synced low-frequency oscillators (see settings.lfos).
+ *
+ * Each LFO runs its shape over a cycle of `beats` beats and yields a value between its `min`
+ * and `max` every frame, for LayerManager to write to its target. The beat position follows
+ * the tempo and locks to appState's clock: the DAW's song position while the transport runs,
+ * MIDI Start and tempo phase resets restart it on the downbeat.
+ *
+ * BPM and clock sources are injected for testability.
+ */
+import settings from '../core/settings.js';
+import appState, { EVENT_MIDI_CLOCK, EVENT_MIDI_SONG_POSITION, EVENT_MIDI_START, EVENT_TEMPO_PHASE_RESET } from '../core/AppState.js';
+import { MS_PER_MINUTE } from '../utils/timing.js';
+
+const LFO_SHAPES = Object.freeze(['sine', 'square', 'saw', 'random']);
+const LFO_TARGETS = Object.freeze(['effectIntensity', 'scrub', 'maskProgress', 'opacity']);
+
+/**
+ * LFO definition (an entry of settings.lfos or a project's `lfos`)
+ * @typedef {Object} LfoDefinition
+ * @property {'effectIntensity'|'scrub'|'maskProgress'|'opacity'} target
+ * @property {number} [channel] - Code channel of the target (all targets but maskProgress)
+ * @property {'sine'|'square'|'saw'|'random'} [shape='sine']
+ * @property {number} [beats=1] - Cycle length in beats (0.25 = a sixteenth, 4 = a bar in 4/4)
+ * @property {number} [phase=0] - Offset into the cycle (0-1)
+ * @property {number} [min=0] - Value at the bottom of the shape (0-1)
+ * @property {number} [max=1] - Value at the top of the shape (0-1)
+ */
+
+/**
+ * Value of an LFO for the current frame
+ * @typedef {{target: string, channel: number|null, value: number}} LfoValue
+ */
+
+const SHAPE_FUNCTIONS = {
+	// Starts at the bottom on the downbeat
+	sine: phase => 0.5 - 0.5 * Math.cos(phase * 2 * Math.PI),
+	square: phase => (phase < 0.5 ? 1 : 0),
+	saw: phase => phase,
+	// Sample and hold: a new value every cycle, the same one for the same cycle every run
+	random: (_phase, cycle) => hashCycle(cycle)
+};
+
+class LfoModulator {
+	/** @type {Array<Required<LfoDefinition>>} */
+	#lfos = [];
+
+	/** @type {LfoValue[]} Reused across update() calls to avoid per-frame allocation */
+	#values = [];
+
+	/** @type {number} Position in beats */
+	#beat = 0;
+
+	/** @type {number|null} */
+	#lastTimestamp = null;
+
+	/** @type {Function[]} */
+	#unsubscribers = [];
+
+	/** @type {() => number} */
+	#bpmProvider;
+
+	/** @type {{subscribe: (event: string, handler: (event: CustomEvent) => void) => () => void}} */
+	#clockSource;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {() => number} [options.bpmProvider] - Injected BPM provider for testability
+	 * @param {{subscribe: Function}} [options.clockSource] - Injected clock events for testability
+	 */
+	constructor({ bpmProvider, clockSource } = {}) {
+		this.#bpmProvider = bpmProvider ?? (() => appState.bpm);
+		this.#clockSource = clockSource ?? appState;
+	}
+
+	/**
+	 * Position of the LFOs' clock, in beats.
+	 * @returns {number}
+	 */
+	get beat() {
+		return this.#beat;
+	}
+
+	/**
+	 * Replace the running LFOs (a project's `lfos`, see mergeProjectSettings).
+	 * Invalid entries are skipped with a warning.
+	 * @param {LfoDefinition[]} lfos
+	 */
+	setLfos(lfos) {
+		this.#lfos = (Array.isArray(lfos) ? lfos : []).map(lfo => this.#normalize(lfo)).filter(Boolean);
+		this.#values = this.#lfos.map(({ target, channel }) => ({ target, channel, value: 0 }));
+		if (this.#lfos.length > 0 && this.#unsubscribers.length === 0) {
+			this.#subscribeToClock();
+		} else if (this.#lfos.length === 0) {
+			this.#unsubscribeFromClock();
+		}
+	}
+
+	/**
+	 * @param {LfoDefinition} lfo
+	 * @returns {Required<LfoDefinition>|null}
+	 */
+	#normalize(lfo) {
+		const { target, channel = null, shape = 'sine', beats = 1, phase = 0, min = 0, max = 1 } = lfo ?? {};
+		if (!LFO_TARGETS.includes(target) || !LFO_SHAPES.includes(shape)) {
+			console.warn('LfoModulator: ignoring LFO with unknown target or shape', lfo);
+			return null;
+		}
+		if (target !== 'maskProgress' && !Number.isInteger(channel)) {
+			console.warn(`LfoModulator: ignoring "${target}" LFO without a channel`, lfo);
+			return null;
+		}
+		if (!(beats > 0) || ![phase, min, max].every(Number.isFinite)) {
+			console.warn('LfoModulator: ignoring LFO with invalid beats, phase, min or max', lfo);
+			return null;
+		}
+		return { target, channel: target === 'maskProgress' ? null : channel, shape, beats, phase, min, max };
+	}
+
+	/**
+	 * Advance the clock to a frame and evaluate every LFO.
+	 * @param {number} timestamp - Current RAF timestamp
+	 * @returns {LfoValue[]} One value per LFO, in definition order (reused between calls)
+	 */
+	update(timestamp) {
+		if (this.#lfos.length === 0) {
+			return this.#values;
+		}
+		this.#advance(timestamp);
+
+		for (const [index, lfo] of this.#lfos.entries()) {
+			const position = this.#beat / lfo.beats + lfo.phase;
+			const cycle = Math.floor(position);
+			const level = SHAPE_FUNCTIONS[lfo.shape](position - cycle, cycle + index);
+			this.#values[index].value = Math.min(1, Math.max(0, lfo.min + (lfo.max - lfo.min) * level));
+		}
+		return this.#values;
+	}
+
+	#advance(timestamp) {
+		if (this.#lastTimestamp === null) {
+			this.#lastTimestamp = timestamp;
+			return;
+		}
+		// A clock pulse may have locked the position after this frame started
+		const elapsed = timestamp - this.#lastTimestamp;
+		if (elapsed > 0) {
+			const bpm = Math.max(settings.bpm.min, this.#bpmProvider());
+			this.#beat += (elapsed * bpm) / MS_PER_MINUTE;
+			this.#lastTimestamp = timestamp;
+		}
+	}
+
+	#restart() {
+		this.#beat = 0;
+		this.#lastTimestamp = null;
+	}
+
+	#subscribeToClock() {
+		this.#unsubscribers = [
+			this.#clockSource.subscribe(EVENT_MIDI_CLOCK, event => {
+				const { timestamp, position, isTransportRunning } = event.detail;
+				if (isTransportRunning) {
+					this.#beat = position / settings.midi.ppqn;
+					this.#lastTimestamp = timestamp;
+				}
+			}),
+			this.#clockSource.subscribe(EVENT_MIDI_SONG_POSITION, event => {
+				this.#beat = event.detail.beat;
+				this.#lastTimestamp = null;
+			}),
+			this.#clockSource.subscribe(EVENT_MIDI_START, () => this.#restart()),
+			this.#clockSource.subscribe(EVENT_TEMPO_PHASE_RESET, () => this.#restart())
+		];
+	}
+
+	#unsubscribeFromClock() {
+		for (const unsubscribe of this.#unsubscribers) {
+			try {
+				unsubscribe();
+			} catch (error) {
+				console.error('Error unsubscribing from clock events in LfoModulator:', error);
+			}
+		}
+		this.#unsubscribers = [];
+	}
+
+	/**
+	 * Stop all LFOs and release clock subscriptions
+	 */
+	destroy() {
+		this.#unsubscribeFromClock();
+		this.#lfos = [];
+		this.#values = [];
+	}
+}
+
+/**
+ * Deterministic pseudo-random value in [0, 1) for a cycle number.
+ * @param {number} cycle
+ * @returns {number}
+ */
+function hashCycle(cycle) {
+	let hash = Math.imul(cycle ^ 0x9e3779b9, 0x85ebca6b);
+	hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+	hash ^= hash >>> 16;
+	return (hash >>> 0) / 0x100000000;
+}
+
+export default LfoModulator;
@@ -8,20 +8,51 @@
  * - Before first trigger, returns null (show Layer Group A only)
  * - Each note = different transition type
  * - Velocity = variant/intensity of the transition
+ * - A CC crossfader can take over from (or wipe through) the mask (see settings.crossfader)
+ * - Notes without an authored mask clip can select a generated mask (see settings.proceduralMasks)
  */
 import settings from '../core/settings.js';
 import { buildVelocityCache, resolveClip } from '../utils/velocitySelection.js';
+import ProceduralMask from './ProceduralMask.js';
+import { MAX_MIDI_VELOCITY } from './effects/effectConstants.js';
+
+/**
+ * Crossfader curves, mapping fader position (0-1) to crossfade amount (0-1).
+ */
+const CROSSFADER_CURVES = Object.freeze({
+	linear: position => position,
+	smooth: position => position * position * (3 - 2 * position),
+	cut: position => (position < 0.5 ? 0 : 1)
+});
+
+/**
+ * Build the generated masks keyed by note: one held and one beat-synced bank of generators.
+ * @param {Object} config - settings.proceduralMasks
+ * @returns {Map<number, ProceduralMask>}
+ */
+function buildGeneratedMasks({ firstNote, generators, bitDepth, softness, cellSize, beatsPerCycle }) {
+	const generatedMasks = new Map();
+	generators.forEach((generator, index) => {
+		const options = { generator, bitDepth, softness, cellSize, beatsPerCycle };
+		generatedMasks.set(firstNote + index, new ProceduralMask({ ...options, sync: 'hold' }));
+		generatedMasks.set(firstNote + generators.length + index, new ProceduralMask({ ...options, sync: 'beat' }));
+	});
+	return generatedMasks;
+}
 
 /**
  * @typedef {import('./Clip.js').default} Clip
  */
 class MaskManager {
-	/** @type {Clip|null} */
+	/** @type {Clip|ProceduralMask|null} */
 	#currentMask = null;
 
 	/** @type {number|null} */
 	#currentBitDepth = null;
 
+	/** @type {number|null} */
+	#currentNote = null;
+
 	/** @type {Object} */
 	#maskClips = {};
 
@@ -31,6 +62,12 @@ class MaskManager {
 	/** @type {number} */
 	#mixerChannel = settings.channelMapping.mixer;
 
+	/** @type {number|null} Fader position (0-1), null until the crossfader is first moved */
+	#crossfaderPosition = null;
+
+	/** @type {Map<number, ProceduralMask>} */
+	#generatedMasks = buildGeneratedMasks(settings.proceduralMasks);
+
 	/**
 	 * Set the loaded mask clips
 	 * @param {Object} clips - All clip data keyed by channel/note/velocity
@@ -62,15 +99,38 @@ class MaskManager {
 			return false;
 		}
 
-		const clip = resolveClip(this.#maskClips, note, velocity, this.#velocityCache);
+		const clip = resolveClip(this.#maskClips, note, velocity, this.#velocityCache) ?? this.#resolveGeneratedMask(note, velocity);
 		if (!clip || typeof clip.reset !== 'function') {
 			return false;
 		}
 
 		this.#applyNewMask(clip);
+		this.#currentNote = note;
 		return true;
 	}
 
+	/**
+	 * A held generated mask starts at the progress given by the velocity.
+	 * Authored mask clips take precedence over generated masks on the same note.
+	 * @returns {ProceduralMask|null}
+	 */
+	#resolveGeneratedMask(note, velocity) {
+		const generatedMask = this.#generatedMasks.get(note);
+		if (!generatedMask || this.#maskClips[note]) {
+			return null;
+		}
+		generatedMask.setScrubPosition(velocity / MAX_MIDI_VELOCITY);
+		return generatedMask;
+	}
+
+	/**
+	 * Notes that select a generated mask (no authored mask clip on the same note).
+	 * @returns {number[]}
+	 */
+	getGeneratedMaskNotes() {
+		return [...this.#generatedMasks.keys()].filter(note => !this.#maskClips[note]);
+	}
+
 	#applyNewMask(clip) {
 		if (this.#currentMask && this.#currentMask !== clip) {
 			this.#currentMask.stop();
@@ -100,6 +160,14 @@ class MaskManager {
 		return this.#currentMask;
 	}
 
+	/**
+	 * Get the note that triggered the current mask
+	 * @returns {number|null} MIDI note or null if no mask
+	 */
+	getCurrentNote() {
+		return this.#currentNote;
+	}
+
 	/**
 	 * Get the current mask's bit depth
 	 * @returns {number|null} Bit depth (1, 2, 4, 8) or null if no mask
@@ -118,6 +186,34 @@ class MaskManager {
 		}
 	}
 
+	/**
+	 * Move the crossfader.
+	 * @param {number} normalizedValue - 0.0 (Layer Group A) to 1.0 (Layer Group B)
+	 */
+	setCrossfaderPosition(normalizedValue) {
+		this.#crossfaderPosition = Math.min(1, Math.max(0, normalizedValue));
+	}
+
+	/**
+	 * Get the crossfade amount with the configured curve applied.
+	 * @returns {number|null} 0 (Layer Group A) to 1 (Layer Group B), or null while the crossfader is untouched
+	 */
+	getCrossfade() {
+		if (this.#crossfaderPosition === null) {
+			return null;
+		}
+		const curve = CROSSFADER_CURVES[settings.crossfader.curve] ?? CROSSFADER_CURVES.linear;
+		return curve(this.#crossfaderPosition);
+	}
+
+	/**
+	 * Get how the crossfader mixes while a mask is latched.
+	 * @returns {'threshold'|'dissolve'}
+	 */
+	getCrossfadeMode() {
+		return settings.crossfader.mode === 'dissolve' ? 'dissolve' : 'threshold';
+	}
+
 	/**
 	 * Clear the current mask
 	 * Note: This is mainly for testing/reset purposes
@@ -129,6 +225,7 @@ class MaskManager {
 		}
 		this.#currentMask = null;
 		this.#currentBitDepth = null;
+		this.#currentNote = null;
 	}
 
 	/**
@@ -141,6 +238,7 @@ class MaskManager {
 			console.error('Error clearing mask in MaskManager:', error);
 		}
 		this.#maskClips = {};
+		this.#crossfaderPosition = null;
 		try {
 			this.#velocityCache.clear();
 		} catch (error) {
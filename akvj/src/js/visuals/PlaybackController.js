@@ -14,6 +14,8 @@ class PlaybackController {
 	#pingpongDirection = 1;
 	#lastRandomFrame = -1;
 	#unplayedShuffleFrames = [];
+	/** @type {number[]|null|undefined} Lazily built frame order of one cycle (undefined = not built yet) */
+	#cycleFrames;
 
 	/**
 	 * @param {Object} options
@@ -63,6 +65,35 @@ class PlaybackController {
 		this.#isFinished = false;
 	}
 
+	/**
+	 * Frame order of one full cycle for modes whose position is a pure function of
+	 * elapsed time (loop, reverse, pingpong). Null for once/random/shuffle/scrub,
+	 * which cannot be derived from a transport position.
+	 * @returns {number[]|null}
+	 */
+	getCycleFrames() {
+		if (this.#cycleFrames === undefined) {
+			this.#cycleFrames = this.#buildCycleFrames();
+		}
+		return this.#cycleFrames;
+	}
+
+	/**
+	 * Jump to a position within the cycle returned by getCycleFrames().
+	 * @param {number} cycleIndex - Index into getCycleFrames()
+	 */
+	seekCycle(cycleIndex) {
+		const cycleFrames = this.getCycleFrames();
+		if (!cycleFrames || cycleFrames.length === 0) {
+			return;
+		}
+		const index = ((cycleIndex % cycleFrames.length) + cycleFrames.length) % cycleFrames.length;
+		this.#frame = cycleFrames[index];
+		// Pingpong: first half of the cycle moves forward, second half backward
+		this.#pingpongDirection = index < this.#numberOfFrames - 1 ? 1 : -1;
+		this.#isFinished = false;
+	}
+
 	/**
 	 * Reset to initial state for the current playback mode.
 	 */
@@ -148,6 +179,21 @@ class PlaybackController {
 		this.#unplayedShuffleFrames = [];
 	}
 
+	#buildCycleFrames() {
+		const forward = Array.from({ length: this.#numberOfFrames }, (_, index) => index);
+		if (this.#playbackMode === 'loop') {
+			return forward;
+		}
+		if (this.#playbackMode === 'reverse') {
+			return forward.reverse();
+		}
+		if (this.#playbackMode === 'pingpong') {
+			// 0 … n-1 … 1, endpoints shown once per cycle
+			return this.#numberOfFrames > 1 ? [...forward, ...forward.slice(1, -1).reverse()] : forward;
+		}
+		return null;
+	}
+
 	/**
 	 * Draw the next frame for true shuffle mode.
 	 * Guarantees every frame is shown exactly once before any frame repeats.
@@ -0,0 +1,181 @@
+/**
+ * ProceduralMask - A generated transition mask for the mixer channel.
+ *
+ * Stands in for a mask clip (reset/stop/setScrubPosition/bitDepth) but draws straight into
+ * the Compositor's mask buffer instead of a canvas. Progress 0 shows Layer Group A, 1 shows
+ * Layer Group B. Held masks keep the progress they are given (the trigger velocity, then the
+ * mixer scrub CC or pitch bend); beat-synced masks sweep A→B→A every `beatsPerCycle` beats.
+ */
+import appState from '../core/AppState.js';
+import { buildMaskField } from './maskGenerators.js';
+import { MAX_COLOR_VALUE, RGBA_CHANNEL_COUNT } from './effects/effectConstants.js';
+import { MS_PER_MINUTE } from '../utils/timing.js';
+
+class ProceduralMask {
+	#generator;
+	#sync;
+	#bitDepth;
+	#softness;
+	#cellSize;
+	#beatsPerCycle;
+	#bpmProvider;
+
+	/** @type {Float32Array|null} Switch point per pixel, built on first render */
+	#field = null;
+	#fieldWidth = 0;
+	#fieldHeight = 0;
+
+	#progress = 0;
+	#cyclePhase = 0;
+	#lastTimestamp = null;
+
+	/**
+	 * @param {Object} options
+	 * @param {string} options.generator - One of MASK_GENERATORS
+	 * @param {'hold'|'beat'} [options.sync='hold']
+	 * @param {number} [options.bitDepth=1] - 1 draws a hard edge; 2/4/8 draw a soft edge
+	 * @param {number} [options.softness=0.1] - Width of the soft edge as a fraction of the transition
+	 * @param {number} [options.cellSize=15] - Cell/band size in pixels for checkerboard and blinds
+	 * @param {number} [options.beatsPerCycle=4] - Length of an A→B→A sweep when beat-synced
+	 * @param {() => number} [options.bpmProvider] - Injected BPM provider for testability
+	 */
+	constructor({ generator, sync = 'hold', bitDepth = 1, softness = 0.1, cellSize = 15, beatsPerCycle = 4, bpmProvider }) {
+		this.#generator = generator;
+		this.#sync = sync;
+		this.#bitDepth = bitDepth;
+		this.#softness = softness;
+		this.#cellSize = cellSize;
+		this.#beatsPerCycle = beatsPerCycle;
+		this.#bpmProvider = bpmProvider ?? (() => appState.bpm);
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	get generator() {
+		return this.#generator;
+	}
+
+	/**
+	 * @returns {'hold'|'beat'}
+	 */
+	get sync() {
+		return this.#sync;
+	}
+
+	/**
+	 * @returns {number}
+	 */
+	get bitDepth() {
+		return this.#bitDepth;
+	}
+
+	/**
+	 * Generated masks never finish; they stay latched like mask clips.
+	 * @returns {boolean}
+	 */
+	get isFinished() {
+		return false;
+	}
+
+	/**
+	 * Held masks accept scrub input; beat-synced masks run on their own.
+	 * @returns {string}
+	 */
+	get playbackMode() {
+		return this.#sync === 'beat' ? 'loop' : 'scrub';
+	}
+
+	/**
+	 * Current transition progress, 0 (Layer Group A) to 1 (Layer Group B).
+	 * @returns {number}
+	 */
+	get progress() {
+		return this.#progress;
+	}
+
+	/**
+	 * Set the progress of a held mask.
+	 * @param {number} normalizedValue - Value from 0.0 to 1.0
+	 */
+	setScrubPosition(normalizedValue) {
+		if (this.#sync === 'hold') {
+			this.#progress = Math.min(1, Math.max(0, normalizedValue));
+		}
+	}
+
+	/**
+	 * Restart the beat cycle (called when the mask is triggered).
+	 */
+	reset() {
+		this.#cyclePhase = 0;
+		this.#lastTimestamp = null;
+		if (this.#sync === 'beat') {
+			this.#progress = 0;
+		}
+	}
+
+	/**
+	 * Pause the beat cycle until the mask is triggered again.
+	 */
+	stop() {
+		this.#lastTimestamp = null;
+	}
+
+	/**
+	 * Draw the mask at its current progress into an RGBA buffer (gray: 0 = A, 255 = B).
+	 * @param {Uint8ClampedArray} pixels - width × height × 4 bytes
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {number} timestamp - Current RAF timestamp
+	 */
+	renderToMask(pixels, width, height, timestamp) {
+		if (this.#sync === 'beat') {
+			this.#advanceCycle(timestamp);
+		}
+		const field = this.#ensureField(width, height);
+		const pixelCount = width * height;
+
+		if (this.#bitDepth === 1) {
+			for (let i = 0; i < pixelCount; i++) {
+				this.#writeGray(pixels, i * RGBA_CHANNEL_COUNT, field[i] < this.#progress ? MAX_COLOR_VALUE : 0);
+			}
+			return;
+		}
+
+		// Stretch the edge so that progress 0 and 1 are still fully A and fully B
+		const softness = Math.max(this.#softness, 1 / MAX_COLOR_VALUE);
+		const edge = this.#progress * (1 + softness);
+		for (let i = 0; i < pixelCount; i++) {
+			const amount = Math.min(1, Math.max(0, (edge - field[i]) / softness));
+			this.#writeGray(pixels, i * RGBA_CHANNEL_COUNT, amount * MAX_COLOR_VALUE);
+		}
+	}
+
+	#writeGray(pixels, idx, gray) {
+		pixels[idx] = gray;
+		pixels[idx + 1] = gray;
+		pixels[idx + 2] = gray;
+		pixels[idx + 3] = MAX_COLOR_VALUE;
+	}
+
+	#advanceCycle(timestamp) {
+		if (this.#lastTimestamp !== null) {
+			const elapsedBeats = ((timestamp - this.#lastTimestamp) * this.#bpmProvider()) / MS_PER_MINUTE;
+			this.#cyclePhase = (this.#cyclePhase + elapsedBeats / this.#beatsPerCycle) % 1;
+		}
+		this.#lastTimestamp = timestamp;
+		this.#progress = this.#cyclePhase < 0.5 ? this.#cyclePhase * 2 : 2 - this.#cyclePhase * 2;
+	}
+
+	#ensureField(width, height) {
+		if (!this.#field || this.#fieldWidth !== width || this.#fieldHeight !== height) {
+			this.#field = buildMaskField(this.#generator, width, height, this.#cellSize);
+			this.#fieldWidth = width;
+			this.#fieldHeight = height;
+		}
+		return this.#field;
+	}
+}
+
+export default ProceduralMask;
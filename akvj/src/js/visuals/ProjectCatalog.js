@@ -7,13 +7,44 @@
  */
 
 import settings from '../core/settings.js';
+import effectRegistry from './effects/index.js';
 
 const PROJECT_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+const EFFECT_MODULE_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*\.js$/;
+const SCENE_KEY_MAP_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*\.json$/;
+const MAX_MIDI_NOTE = 127;
+
+/**
+ * A project effect plugin, ready to register.
+ * @typedef {Object} EffectPlugin
+ * @property {string} type - The module's own `type`
+ * @property {{min: number, max: number}} range - Notes that trigger it on the effect channels
+ * @property {{type: string, apply: Function, requiresNote?: boolean}} effect - The module's default export
+ */
+
+/**
+ * An entry of the setlist, in running order.
+ * @typedef {Object} SetlistEntry
+ * @property {string} project - Project ID
+ * @property {number|null} note - Note on the project selection channel that jumps to this entry
+ * @property {number|null} scene - Scene (note on the scene channel) to start the project on
+ * @property {string|null} label - Shown instead of the project name
+ */
 
 class ProjectCatalog {
 	/** @type {string|null} */
 	#activeProjectId = null;
 
+	/** @type {(url: string) => Promise<Object>} */
+	#importModule;
+
+	/**
+	 * @param {(url: string) => Promise<Object>} [importModule] - Injected for testing; dynamic import() by default
+	 */
+	constructor(importModule = url => import(/* @vite-ignore */ url)) {
+		this.#importModule = importModule;
+	}
+
 	/**
 	 * Load and parse JSON from URL.
 	 * @param {string} jsonUrl
@@ -61,6 +92,41 @@ class ProjectCatalog {
 		return [];
 	}
 
+	/**
+	 * Fetch the setlist: the running order of projects for a show.
+	 * Accepts `{ "name": "…", "entries": [...] }` or a bare entries array; each entry is a
+	 * project ID or `{ "project": "…", "note": 0, "scene": 2, "label": "…" }`.
+	 * Invalid entries and notes already taken are skipped with a warning.
+	 * @returns {Promise<{name: string|null, entries: SetlistEntry[]}|null>} Null without a setlist
+	 */
+	async fetchSetlist() {
+		let setlist;
+		try {
+			setlist = await this.#loadJson(settings.performance.setlistUrl);
+		} catch {
+			// No setlist — projects are selected by their index position
+			return null;
+		}
+		const rawEntries = Array.isArray(setlist) ? setlist : setlist?.entries;
+		if (!Array.isArray(rawEntries)) {
+			console.warn('ProjectCatalog: setlist has no entries list');
+			return null;
+		}
+
+		const entries = [];
+		for (const rawEntry of rawEntries) {
+			const entry = parseSetlistEntry(rawEntry);
+			if (!entry) {
+				console.warn('ProjectCatalog: skipping invalid setlist entry', rawEntry);
+			} else if (entry.note !== null && entries.some(({ note }) => note === entry.note)) {
+				console.warn('ProjectCatalog: skipping setlist entry with a note already in use', rawEntry);
+			} else {
+				entries.push(entry);
+			}
+		}
+		return { name: typeof setlist?.name === 'string' ? setlist.name : null, entries };
+	}
+
 	/**
 	 * Build the key-map URL for a specific project.
 	 * @param {string} projectId
@@ -85,6 +151,108 @@ class ProjectCatalog {
 		return settings.performance.projectClipsJsonUrlTemplate.replace('{projectId}', projectId);
 	}
 
+	/**
+	 * Build the URL of a scene key-map in a project's scenes folder.
+	 * @param {string} projectId
+	 * @param {string} keyMapFile - File name from a scene's `keyMap`, e.g. 'drop.json'
+	 * @returns {string}
+	 */
+	buildProjectSceneKeyMapUrl(projectId, keyMapFile) {
+		if (!PROJECT_ID_PATTERN.test(projectId)) {
+			throw new Error(`Invalid project ID: ${projectId}`);
+		}
+		if (typeof keyMapFile !== 'string' || !SCENE_KEY_MAP_PATTERN.test(keyMapFile)) {
+			throw new Error(`Invalid scene key-map: ${keyMapFile}`);
+		}
+		return `${settings.performance.projectScenesPathTemplate.replace('{projectId}', projectId)}/${keyMapFile}`;
+	}
+
+	/**
+	 * Fetch a project's settings.json (per-project overrides of `projectDefaults`).
+	 * Falls back to null if the project has none or it is invalid.
+	 * @param {string} projectId
+	 * @returns {Promise<Object|null>}
+	 */
+	async fetchProjectSettings(projectId) {
+		if (!PROJECT_ID_PATTERN.test(projectId)) {
+			throw new Error(`Invalid project ID: ${projectId}`);
+		}
+		try {
+			const projectSettings = await this.#loadJson(settings.performance.projectSettingsUrlTemplate.replace('{projectId}', projectId));
+			if (projectSettings && typeof projectSettings === 'object' && !Array.isArray(projectSettings)) {
+				return projectSettings;
+			}
+		} catch {
+			// No settings.json — the project uses the defaults
+		}
+		return null;
+	}
+
+	/**
+	 * Load the effect plugins listed in a project's settings.json `effectPlugins`.
+	 * Each entry names a module in the project's effects folder and the notes it takes:
+	 * `{ "module": "sparkle.js", "notes": { "min": 120, "max": 127 } }`.
+	 * Invalid entries and modules that fail to load are skipped with a warning.
+	 * @param {string} projectId
+	 * @param {unknown} pluginEntries
+	 * @returns {Promise<EffectPlugin[]>}
+	 */
+	async loadEffectPlugins(projectId, pluginEntries) {
+		if (!Array.isArray(pluginEntries) || pluginEntries.length === 0) {
+			return [];
+		}
+		if (!PROJECT_ID_PATTERN.test(projectId)) {
+			throw new Error(`Invalid project ID: ${projectId}`);
+		}
+		const effectsPath = settings.performance.projectEffectsPathTemplate.replace('{projectId}', projectId);
+		const loaded = await Promise.all(pluginEntries.map(entry => this.#loadEffectPlugin(effectsPath, entry)));
+
+		const plugins = [];
+		for (const plugin of loaded) {
+			if (plugin && plugins.some(({ type }) => type === plugin.type)) {
+				console.warn('ProjectCatalog: skipping duplicate effect plugin type', plugin.type);
+			} else if (plugin) {
+				plugins.push(plugin);
+			}
+		}
+		return plugins;
+	}
+
+	/**
+	 * @param {string} effectsPath
+	 * @param {unknown} entry
+	 * @returns {Promise<EffectPlugin|null>}
+	 */
+	async #loadEffectPlugin(effectsPath, entry) {
+		const { module: moduleName, notes } = entry ?? {};
+		if (typeof moduleName !== 'string' || !EFFECT_MODULE_PATTERN.test(moduleName)) {
+			console.warn('ProjectCatalog: invalid effect plugin module', moduleName);
+			return null;
+		}
+		const isNoteValid = note => Number.isInteger(note) && note >= 0 && note <= MAX_MIDI_NOTE;
+		if (!notes || !isNoteValid(notes.min) || !isNoteValid(notes.max) || notes.min > notes.max) {
+			console.warn('ProjectCatalog: invalid note range for effect plugin', moduleName);
+			return null;
+		}
+
+		let effect;
+		try {
+			effect = (await this.#importModule(`${effectsPath}/${moduleName}`)).default;
+		} catch (error) {
+			console.warn(`ProjectCatalog: failed to load effect plugin ${moduleName}:`, error);
+			return null;
+		}
+		if (!effect || typeof effect.type !== 'string' || typeof effect.apply !== 'function') {
+			console.warn('ProjectCatalog: effect plugin must export { type, apply }', moduleName);
+			return null;
+		}
+		if (Object.hasOwn(effectRegistry, effect.type) || effect.type === 'reserved') {
+			console.warn('ProjectCatalog: effect plugin type is taken by a built-in effect', effect.type);
+			return null;
+		}
+		return { type: effect.type, range: { min: notes.min, max: notes.max }, effect };
+	}
+
 	/**
 	 * Get the currently active project ID (set by setActiveProjectId).
 	 * @returns {string|null}
@@ -102,4 +270,17 @@ class ProjectCatalog {
 	}
 }
 
+/**
+ * @param {unknown} rawEntry
+ * @returns {SetlistEntry|null}
+ */
+function parseSetlistEntry(rawEntry) {
+	const { project, note = null, scene = null, label = null } = typeof rawEntry === 'string' ? { project: rawEntry } : (rawEntry ?? {});
+	const isNoteValid = value => value === null || (Number.isInteger(value) && value >= 0 && value <= MAX_MIDI_NOTE);
+	if (typeof project !== 'string' || !PROJECT_ID_PATTERN.test(project) || !isNoteValid(note) || !isNoteValid(scene)) {
+		return null;
+	}
+	return { project, note, scene, label: typeof label === 'string' ? label : null };
+}
+
 export default ProjectCatalog;
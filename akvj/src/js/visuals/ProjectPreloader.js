@@ -0,0 +1,182 @@
+/**
+ * ProjectPreloader - Loads projects in the background so a live switch to one of them is
+ * instant (see settings.projectSwitching.preload).
+ *
+ * Projects load one at a time, in the order asked for, until their decoded images would pass
+ * the memory budget. Loading and releasing a project are injected: VisualEngine
+ * builds each with its own ClipLoader and destroys its clips once it is no longer wanted.
+ */
+
+/**
+ * A loaded project, ready to switch to.
+ * @typedef {Object} LoadedProject
+ * @property {string} projectId
+ * @property {Object} clips - Nested clips object keyed by code channel/note/velocity
+ * @property {Object|null} projectSettings - The project's settings.json
+ * @property {import('./ProjectCatalog.js').EffectPlugin[]} plugins
+ * @property {Array<import('./ClipLoader.js').Scene|null>} scenes
+ * @property {number} imageBytes - Decoded size of the project's images
+ */
+
+/**
+ * @typedef {Object} PreloadEntry
+ * @property {Promise<LoadedProject>} promise
+ * @property {LoadedProject|null} project - Set once loaded
+ * @property {boolean} isDropped - No longer wanted: release it as soon as it loads
+ */
+
+class ProjectPreloader {
+	/** @type {Map<string, PreloadEntry>} */
+	#entries = new Map();
+
+	/** @type {(projectId: string) => Promise<LoadedProject>} */
+	#loadProject;
+
+	/** @type {(project: LoadedProject) => void} */
+	#releaseProject;
+
+	#budgetBytes;
+
+	/** @type {number} Bumped by every preload() call, so an older call stops loading */
+	#generation = 0;
+
+	/**
+	 * @param {Object} options
+	 * @param {(projectId: string) => Promise<LoadedProject>} options.loadProject
+	 * @param {(project: LoadedProject) => void} options.releaseProject
+	 * @param {number} options.budgetBytes - Decoded image memory all preloaded projects may take
+	 */
+	constructor({ loadProject, releaseProject, budgetBytes }) {
+		this.#loadProject = loadProject;
+		this.#releaseProject = releaseProject;
+		this.#budgetBytes = budgetBytes;
+	}
+
+	/**
+	 * IDs of the projects loaded and waiting, in load order.
+	 * @returns {string[]}
+	 */
+	get preloadedProjectIds() {
+		return [...this.#entries].filter(([, entry]) => entry.project).map(([projectId]) => projectId);
+	}
+
+	/**
+	 * @param {string} projectId
+	 * @returns {boolean} Whether the project is loaded and waiting
+	 */
+	isReady(projectId) {
+		return Boolean(this.#entries.get(projectId)?.project);
+	}
+
+	/**
+	 * Hand over a preloaded project, or one still loading. The caller owns it from then on.
+	 * @param {string} projectId
+	 * @returns {Promise<LoadedProject>|null} Null when the project is not being preloaded
+	 */
+	take(projectId) {
+		const entry = this.#entries.get(projectId);
+		this.#entries.delete(projectId);
+		return entry?.promise ?? null;
+	}
+
+	/**
+	 * Preload these projects, in order and within the budget, and release any other.
+	 * @param {string[]} projectIds
+	 * @returns {Promise<void>} Resolves when done, or when a later call takes over
+	 */
+	async preload(projectIds) {
+		const generation = ++this.#generation;
+		for (const [projectId, entry] of this.#entries) {
+			if (!projectIds.includes(projectId)) {
+				this.#drop(projectId, entry);
+			}
+		}
+
+		for (const projectId of projectIds) {
+			if (generation !== this.#generation) {
+				return;
+			}
+			const entry = this.#entries.get(projectId);
+			if (entry) {
+				// Still loading for an earlier call: wait for it, to keep loading one at a time
+				await entry.promise.catch(() => {});
+				continue;
+			}
+			if (this.#getUsedBytes() >= this.#budgetBytes || !(await this.#load(projectId))) {
+				return;
+			}
+		}
+	}
+
+	/**
+	 * @param {string} projectId
+	 * @returns {Promise<boolean>} Whether the project loaded and fits the budget
+	 */
+	async #load(projectId) {
+		/** @type {PreloadEntry} */
+		const entry = { promise: this.#loadProject(projectId), project: null, isDropped: false };
+		this.#entries.set(projectId, entry);
+		let project;
+		try {
+			project = await entry.promise;
+		} catch (error) {
+			console.warn(`ProjectPreloader: failed to preload project "${projectId}":`, error);
+			if (this.#entries.get(projectId) === entry) {
+				this.#entries.delete(projectId);
+			}
+			return false;
+		}
+
+		if (entry.isDropped) {
+			this.#release(project);
+			return false;
+		}
+		if (this.#entries.get(projectId) !== entry) {
+			// Taken while loading
+			return true;
+		}
+		entry.project = project;
+		if (this.#getUsedBytes() > this.#budgetBytes) {
+			this.#drop(projectId, entry);
+			return false;
+		}
+		return true;
+	}
+
+	#getUsedBytes() {
+		let usedBytes = 0;
+		for (const { project } of this.#entries.values()) {
+			usedBytes += project?.imageBytes ?? 0;
+		}
+		return usedBytes;
+	}
+
+	#drop(projectId, entry) {
+		this.#entries.delete(projectId);
+		if (entry.project) {
+			this.#release(entry.project);
+		} else {
+			entry.isDropped = true;
+		}
+	}
+
+	#release(project) {
+		try {
+			this.#releaseProject(project);
+		} catch (error) {
+			console.error(`Error releasing preloaded project "${project.projectId}":`, error);
+		}
+	}
+
+	/**
+	 * Stop preloading and release every preloaded project
+	 */
+	destroy() {
+		this.#generation++;
+		for (const [projectId, entry] of [...this.#entries]) {
+			this.#drop(projectId, entry);
+		}
+	}
+}
+
+export default ProjectPreloader;
@@ -0,0 +1,145 @@
+/**
+ * ProjectTransition - Crossfade or mask wipe from the old project's output to the new one's,
+ * over a set time (see settings.projectSwitching).
+ *
+ * Both projects keep playing: the Renderer draws the old one to a second context every frame, and
+ * apply() blends that frame over the new project's until the transition has run its course.
+ */
+import { buildMaskField } from './maskGenerators.js';
+import { RGBA_CHANNEL_COUNT } from './effects/effectConstants.js';
+
+const PROJECT_TRANSITIONS = Object.freeze(['cut', 'crossfade', 'wipe']);
+
+class ProjectTransition {
+	#width;
+	#height;
+
+	#isActive = false;
+
+	/** @type {'crossfade'|'wipe'} */
+	#type = 'crossfade';
+
+	#durationMs = 0;
+
+	/** @type {number|null} Timestamp of the first frame of the transition */
+	#startTime = null;
+
+	/** @type {{generator: string, field: Float32Array}|null} Built once per generator */
+	#wipe = null;
+
+	/**
+	 * @param {number} width
+	 * @param {number} height
+	 */
+	constructor(width, height) {
+		this.#width = width;
+		this.#height = height;
+	}
+
+	/**
+	 * @returns {boolean} Whether a transition is running
+	 */
+	get isActive() {
+		return this.#isActive;
+	}
+
+	/**
+	 * Start a transition; it begins with the next apply().
+	 * A 'cut', or a duration of 0, switches straight away.
+	 * @param {{type: 'cut'|'crossfade'|'wipe', durationMs: number, generator?: string}} options - `generator` is a mask generator for 'wipe'
+	 * @returns {boolean} Whether a transition is running (false for a cut)
+	 */
+	start({ type, durationMs, generator = 'linearWipe' }) {
+		this.cancel();
+		if (!PROJECT_TRANSITIONS.includes(type)) {
+			console.warn('ProjectTransition: unknown transition, cutting instead', type);
+			return false;
+		}
+		if (type === 'cut' || !(durationMs > 0)) {
+			return false;
+		}
+		if (type === 'wipe' && !this.#prepareWipe(generator)) {
+			return false;
+		}
+		this.#type = type;
+		this.#durationMs = durationMs;
+		this.#isActive = true;
+		return true;
+	}
+
+	#prepareWipe(generator) {
+		if (this.#wipe?.generator === generator) {
+			return true;
+		}
+		try {
+			this.#wipe = { generator, field: buildMaskField(generator, this.#width, this.#height) };
+			return true;
+		} catch (error) {
+			console.warn('ProjectTransition: cutting instead of wiping:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Blend the old project's frame over the new project's frame for the same timestamp.
+	 * @param {CanvasRenderingContext2D} ctx - Context holding the new project's frame
+	 * @param {CanvasRenderingContext2D} fromCtx - Context holding the old project's frame
+	 * @param {number} timestamp - Current RAF timestamp
+	 */
+	apply(ctx, fromCtx, timestamp) {
+		if (!this.#isActive) {
+			return;
+		}
+		this.#startTime ??= timestamp;
+		const progress = (timestamp - this.#startTime) / this.#durationMs;
+		if (progress >= 1) {
+			this.cancel();
+			return;
+		}
+
+		const imageData = ctx.getImageData(0, 0, this.#width, this.#height);
+		const fromPixels = fromCtx.getImageData(0, 0, this.#width, this.#height).data;
+		if (this.#type === 'wipe') {
+			wipePixels(imageData.data, fromPixels, this.#wipe.field, progress);
+		} else {
+			crossfadePixels(imageData.data, fromPixels, progress);
+		}
+		ctx.putImageData(imageData, 0, 0);
+	}
+
+	/**
+	 * Stop a running transition and show the new project as it is
+	 */
+	cancel() {
+		this.#isActive = false;
+		this.#startTime = null;
+	}
+
+	destroy() {
+		this.cancel();
+		this.#wipe = null;
+	}
+}
+
+function crossfadePixels(pixels, fromPixels, progress) {
+	for (let i = 0; i < pixels.length; i++) {
+		pixels[i] = fromPixels[i] + (pixels[i] - fromPixels[i]) * progress;
+	}
+}
+
+/**
+ * Pixels whose switch point the wipe has not reached yet keep the old frame.
+ */
+function wipePixels(pixels, fromPixels, field, progress) {
+	for (let pixel = 0; pixel < field.length; pixel++) {
+		if (field[pixel] >= progress) {
+			const idx = pixel * RGBA_CHANNEL_COUNT;
+			pixels[idx] = fromPixels[idx];
+			pixels[idx + 1] = fromPixels[idx + 1];
+			pixels[idx + 2] = fromPixels[idx + 2];
+			pixels[idx + 3] = fromPixels[idx + 3];
+		}
+	}
+}
+
+export default ProjectTransition;
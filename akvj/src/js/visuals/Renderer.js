@@ -2,16 +2,22 @@
  * Renderer - Drives the render loop and delegates compositing/effects.
  *
  * Rendering order:
- * 1. Render Layer Group A (4 slots) → Compositor canvas A
+ * 1. Render Layer Group A (4 slots, each with its own blend mode/opacity) → Compositor canvas A
  * 2. Render Layer Group B (4 slots) → Compositor canvas B
- * 3. Composite Layer Group A and Layer Group B using the mask → mixed canvas (Compositor)
+ * 3. Composite Layer Group A and Layer Group B using the mask and crossfader → mixed canvas (Compositor)
  * 4. Apply Mixed output effects to mixed canvas (EffectsPipeline)
  * 5. Render Layer Group C (2 slots) on top of main canvas
  * 6. Apply Global effects to main canvas (EffectsPipeline)
  * 7. Output to visible canvas
+ * 8. While a project transition runs, render the old project the same way to a second canvas and
+ *    blend it in (ProjectTransition)
  */
 import Compositor from './Compositor.js';
 import EffectsPipeline from './effects/EffectsPipeline.js';
+import LayerBlender from './LayerBlender.js';
+import ProjectTransition from './ProjectTransition.js';
+import { DEFAULT_BLEND_MODE, DEFAULT_OPACITY } from './clipMetadata.js';
+import { createCanvas } from '../utils/canvas.js';
 
 class Renderer {
 	#displayContext;
@@ -23,6 +29,12 @@ class Renderer {
 	#canvasHeight;
 	#compositor;
 	#effectsPipeline;
+	#layerBlender;
+	#projectTransition;
+	/** @type {{layerManager: LayerManager, effectsPipeline: EffectsPipeline, onReleased: Function}|null} The old project while transitioning */
+	#outgoing = null;
+	/** @type {CanvasRenderingContext2D|null} The old project renders here while transitioning */
+	#outgoingContext = null;
 	#effectRenderContext;
 	#compositingInput;
 	#layerReferences = { layerGroupA: null, layerGroupB: null, layerGroupC: null, effectsManager: null };
@@ -39,6 +51,8 @@ class Renderer {
 		this.#canvasHeight = settings.canvas.height;
 		this.#compositor = new Compositor(this.#canvasWidth, this.#canvasHeight, settings.rendering);
 		this.#effectsPipeline = new EffectsPipeline(settings.effectParams, settings.effectRanges);
+		this.#layerBlender = new LayerBlender(this.#canvasWidth, this.#canvasHeight, settings.rendering);
+		this.#projectTransition = new ProjectTransition(this.#canvasWidth, this.#canvasHeight);
 		this.#effectRenderContext = this.#buildEffectRenderContext();
 		this.#compositingInput = this.#buildCompositingInput();
 	}
@@ -59,7 +73,9 @@ class Renderer {
 			mask: null,
 			bitDepth: 1,
 			isLayerGroupAEmpty: true,
-			isLayerGroupBEmpty: true
+			isLayerGroupBEmpty: true,
+			crossfade: null,
+			crossfadeMode: 'threshold'
 		};
 	}
 
@@ -125,6 +141,8 @@ class Renderer {
 		} catch (error) {
 			console.error('Error stopping renderer:', error);
 		}
+		this.#releaseOutgoing();
+		this.#outgoingContext = null;
 		this.#displayContext = null;
 		this.#layerManager = null;
 		try {
@@ -139,6 +157,30 @@ class Renderer {
 			console.error('Error destroying effectsPipeline:', error);
 		}
 		this.#effectsPipeline = null;
+		try {
+			this.#layerBlender?.destroy();
+		} catch (error) {
+			console.error('Error destroying layerBlender:', error);
+		}
+		this.#layerBlender = null;
+		this.#projectTransition?.destroy();
+		this.#projectTransition = null;
+	}
+
+	/**
+	 * Use a project's effect parameters (see mergeProjectSettings).
+	 * @param {Object} effectParams
+	 */
+	setEffectParams(effectParams) {
+		this.#effectsPipeline?.setEffectParams(effectParams);
+	}
+
+	/**
+	 * Use a project's effect plugins (see ProjectCatalog.loadEffectPlugins).
+	 * @param {import('./ProjectCatalog.js').EffectPlugin[]} plugins
+	 */
+	setPluginEffects(plugins) {
+		this.#effectsPipeline?.setPluginEffects(plugins);
 	}
 
 	/**
@@ -156,6 +198,60 @@ class Renderer {
 		this.#isFrozen = false;
 	}
 
+	/**
+	 * Render another layer manager (a new project's) from now on, transitioning from the current
+	 * one, which keeps playing until the transition is over; see ProjectTransition.start for the
+	 * options. The new layer manager gets fresh effects (set its project's with setEffectParams and
+	 * setPluginEffects). A transition still running from an earlier call is ended first.
+	 * @param {LayerManager} layerManager
+	 * @param {{type: 'cut'|'crossfade'|'wipe', durationMs: number, generator?: string}} options
+	 * @param {(layerManager: LayerManager) => void} onReleased - Called with the old layer manager
+	 *   once nothing renders it any more: straight away for a cut, else when the transition ends
+	 */
+	transitionTo(layerManager, options, onReleased) {
+		this.#releaseOutgoing();
+		this.#outgoing = { layerManager: this.#layerManager, effectsPipeline: this.#effectsPipeline, onReleased };
+		this.#layerManager = layerManager;
+		this.#effectsPipeline = new EffectsPipeline(this.#settings.effectParams, this.#settings.effectRanges);
+		if (!this.#ensureOutgoingContext() || !this.#projectTransition?.start(options)) {
+			this.#releaseOutgoing();
+		}
+	}
+
+	#ensureOutgoingContext() {
+		if (!this.#outgoingContext) {
+			const canvas = createCanvas(this.#canvasWidth, this.#canvasHeight);
+			this.#outgoingContext = canvas.getContext('2d', { willReadFrequently: true });
+			if (this.#outgoingContext) {
+				this.#outgoingContext.imageSmoothingEnabled = this.#settings.rendering.imageSmoothingEnabled;
+				this.#outgoingContext.imageSmoothingQuality = this.#settings.rendering.imageSmoothingQuality;
+			}
+		}
+		return this.#outgoingContext;
+	}
+
+	/**
+	 * End a project transition and hand the old layer manager back
+	 */
+	#releaseOutgoing() {
+		if (!this.#outgoing) {
+			return;
+		}
+		const { layerManager, effectsPipeline, onReleased } = this.#outgoing;
+		this.#outgoing = null;
+		this.#projectTransition?.cancel();
+		try {
+			effectsPipeline?.destroy();
+		} catch (error) {
+			console.error('Error destroying effectsPipeline:', error);
+		}
+		try {
+			onReleased(layerManager);
+		} catch (error) {
+			console.error('Error releasing the previous project:', error);
+		}
+	}
+
 	/**
 	 * Main rendering loop - renders all layer groups with proper compositing
 	 * @param {number} timestamp - Timestamp provided by requestAnimationFrame
@@ -171,68 +267,105 @@ class Renderer {
 			return;
 		}
 
-		this.#clearCanvas(this.#displayContext);
-		const layerReferences = this.#collectLayerReferences();
+		this.#renderOutput(this.#layerManager, this.#effectsPipeline, this.#displayContext, timestamp);
+		if (this.#outgoing) {
+			this.#renderTransition(timestamp);
+		}
+
+		this.#renderFrameId = requestAnimationFrame(this.#renderLoop);
+	};
+
+	/**
+	 * Render a layer manager's frame (steps 1-6) to a context.
+	 * @param {LayerManager} layerManager
+	 * @param {EffectsPipeline} effectsPipeline - The layer manager's own, as effects keep state between frames
+	 * @param {CanvasRenderingContext2D} ctx - Target context
+	 * @param {number} timestamp
+	 */
+	#renderOutput(layerManager, effectsPipeline, ctx, timestamp) {
+		this.#clearCanvas(ctx);
+		layerManager?.updateLfos?.(timestamp);
+		const layerReferences = this.#collectLayerReferences(layerManager);
 		if (!layerReferences.layerGroupA || !this.#compositor?.ctxA) {
-			this.#renderFrameId = requestAnimationFrame(this.#renderLoop);
 			return;
 		}
 
 		this.#compositor.clearLayerGroupCanvases();
 		this.#renderLayerGroup(this.#compositor.ctxA, layerReferences.layerGroupA, timestamp);
 		this.#renderLayerGroup(this.#compositor.ctxB, layerReferences.layerGroupB, timestamp);
-		this.#compositeLayerGroups(layerReferences.layerGroupA, layerReferences.layerGroupB, timestamp);
-		this.#applyEffectsAndOverlay(layerReferences.effectsManager, layerReferences.layerGroupC, timestamp);
+		this.#compositeLayerGroups(layerManager, layerReferences.layerGroupA, layerReferences.layerGroupB, timestamp);
+		this.#applyEffectsAndOverlay(effectsPipeline, ctx, layerReferences.effectsManager, layerReferences.layerGroupC, timestamp);
+	}
 
-		this.#renderFrameId = requestAnimationFrame(this.#renderLoop);
-	};
+	/**
+	 * Render the old project and blend it over the new project's frame (step 8).
+	 * @param {number} timestamp
+	 */
+	#renderTransition(timestamp) {
+		const { layerManager, effectsPipeline } = this.#outgoing;
+		this.#renderOutput(layerManager, effectsPipeline, this.#outgoingContext, timestamp);
+		this.#projectTransition.apply(this.#displayContext, this.#outgoingContext, timestamp);
+		if (!this.#projectTransition.isActive) {
+			this.#releaseOutgoing();
+		}
+	}
 
-	#collectLayerReferences() {
-		this.#layerReferences.layerGroupA = this.#layerManager?.getLayerGroupA();
-		this.#layerReferences.layerGroupB = this.#layerManager?.getLayerGroupB();
-		this.#layerReferences.layerGroupC = this.#layerManager?.getLayerGroupC();
-		this.#layerReferences.effectsManager = this.#layerManager?.getEffectsManager();
+	#collectLayerReferences(layerManager) {
+		this.#layerReferences.layerGroupA = layerManager?.getLayerGroupA();
+		this.#layerReferences.layerGroupB = layerManager?.getLayerGroupB();
+		this.#layerReferences.layerGroupC = layerManager?.getLayerGroupC();
+		this.#layerReferences.effectsManager = layerManager?.getEffectsManager();
 		return this.#layerReferences;
 	}
 
 	/**
-	 * Mix Layer Group A and Layer Group B using the active mask.
+	 * Mix Layer Group A and Layer Group B using the active mask and the crossfader.
+	 * @param {LayerManager} layerManager
 	 * @param {LayerGroup} layerGroupA
 	 * @param {LayerGroup} layerGroupB
 	 * @param {number} timestamp
 	 */
-	#compositeLayerGroups(layerGroupA, layerGroupB, timestamp) {
-		const maskManager = this.#layerManager?.getMaskManager();
+	#compositeLayerGroups(layerManager, layerGroupA, layerGroupB, timestamp) {
+		const maskManager = layerManager?.getMaskManager();
 		const mask = maskManager?.getCurrentMask() ?? null;
 		this.#compositingInput.mask = mask;
 		this.#compositingInput.bitDepth = mask ? (maskManager.getBitDepth() ?? 1) : 1;
 		this.#compositingInput.isLayerGroupAEmpty = !layerGroupA?.hasActiveClips();
 		this.#compositingInput.isLayerGroupBEmpty = !layerGroupB?.hasActiveClips();
+		this.#compositingInput.crossfade = maskManager?.getCrossfade?.() ?? null;
+		this.#compositingInput.crossfadeMode = maskManager?.getCrossfadeMode?.() ?? 'threshold';
 		this.#compositor.mixLayerGroups(this.#compositingInput, timestamp);
 		this.#effectRenderContext.bpm = this.#bpmProvider.bpm;
 	}
 
 	/**
-	 * Apply mixed output effects, draw to main canvas, render Layer Group C, and apply global effects.
+	 * Apply mixed output effects, draw to the target canvas, render Layer Group C, and apply global effects.
+	 * @param {EffectsPipeline} effectsPipeline
+	 * @param {CanvasRenderingContext2D} ctx - Target context
 	 * @param {EffectsManager} effectsManager
 	 * @param {LayerGroup} layerGroupC
 	 * @param {number} timestamp
 	 */
-	#applyEffectsAndOverlay(effectsManager, layerGroupC, timestamp) {
+	#applyEffectsAndOverlay(effectsPipeline, ctx, effectsManager, layerGroupC, timestamp) {
 		if (effectsManager?.hasMixedOutputEffects()) {
-			this.#effectsPipeline.apply(this.#compositor.ctxMixed, effectsManager.getActiveMixedOutputEffects(), timestamp, this.#effectRenderContext);
+			effectsPipeline.apply(this.#compositor.ctxMixed, effectsManager.getActiveMixedOutputEffects(), timestamp, this.#effectRenderContext);
+		} else {
+			effectsPipeline.invalidateFeedback(this.#compositor.ctxMixed);
 		}
 
-		this.#displayContext.drawImage(this.#compositor.canvasMixed, 0, 0);
-		this.#renderLayerGroup(this.#displayContext, layerGroupC, timestamp);
+		ctx.drawImage(this.#compositor.canvasMixed, 0, 0);
+		this.#renderLayerGroup(ctx, layerGroupC, timestamp);
 
 		if (effectsManager?.hasGlobalEffects()) {
-			this.#effectsPipeline.apply(this.#displayContext, effectsManager.getActiveGlobalEffects(), timestamp, this.#effectRenderContext);
+			effectsPipeline.apply(ctx, effectsManager.getActiveGlobalEffects(), timestamp, this.#effectRenderContext);
+		} else {
+			effectsPipeline.invalidateFeedback(ctx);
 		}
 	}
 
 	/**
-	 * Render a layer group to a specific canvas context
+	 * Render a layer group to a specific canvas context.
+	 * A slot's blend mode overrides the clip's own; slot and clip opacity multiply.
 	 * @param {CanvasRenderingContext2D} ctx - Target context
 	 * @param {LayerGroup} layerGroup - Layer group to render
 	 * @param {number} timestamp - Current timestamp
@@ -243,8 +376,14 @@ class Renderer {
 		}
 
 		// getActiveClips() already filters out finished clips
-		for (const clip of layerGroup.getActiveClips()) {
-			clip.renderToContext(ctx, timestamp);
+		const clips = layerGroup.getActiveClips();
+		const channels = layerGroup.getActiveClipChannels?.();
+		for (let index = 0; index < clips.length; index++) {
+			const clip = clips[index];
+			const slotMix = channels ? layerGroup.getSlotMix(channels[index]) : null;
+			const blendMode = slotMix?.blendMode ?? clip.blendMode ?? DEFAULT_BLEND_MODE;
+			const opacity = (clip.opacity ?? DEFAULT_OPACITY) * (slotMix?.opacity ?? 1);
+			this.#layerBlender.renderClip(ctx, clip, timestamp, blendMode, opacity);
 		}
 	}
 }
@@ -0,0 +1,250 @@
+/**
+ * SpriteCache - Sprite sheets loaded on demand within a memory budget (see settings.clipLoading).
+ *
+ * Clips built for lazy loading hold a Sprite instead of an image. Triggering a clip asks for
+ * its sprite: a miss starts loading it, and the clip draws once the image arrives. Each drawn
+ * frame marks the sprite as used. When the loaded sprites pass the budget, the least recently
+ * used ones that are neither resident nor on screen are evicted and load again on their next
+ * trigger. Sprites are shared by image path and leave the cache with the last clip using them.
+ */
+
+// Decoded images take 4 bytes (RGBA) per pixel
+export const BYTES_PER_PIXEL = 4;
+
+// A sprite used this recently is on screen (or about to be) and is never evicted
+const IN_USE_MS = 1000;
+
+/**
+ * A sprite sheet shared by the clips that draw from it.
+ * @typedef {Object} Sprite
+ * @property {string} path - Image URL
+ * @property {ImageBitmap|HTMLImageElement|null} image - Null until loaded, and again once evicted
+ * @property {boolean} isResident - Loaded up front and never evicted
+ * @property {number} lastUsed - performance.now() timestamp of the last trigger or drawn frame
+ * @property {() => void} request - Ask for the image (a hit, or a miss that starts loading it)
+ * @property {() => void} release - Called once by each clip holding the sprite when it is destroyed
+ */
+
+/**
+ * @typedef {Object} SpriteCacheStats
+ * @property {number} usedBytes - Decoded size of the sprites in memory
+ * @property {number} budgetBytes
+ * @property {number} loaded - Sprites in memory
+ * @property {number} total - Sprites known to the cache
+ * @property {number} hits - Triggers that found their sprite in memory
+ * @property {number} misses - Triggers that had to load their sprite
+ * @property {number} evictions
+ */
+
+/**
+ * @typedef {Object} SpriteEntry
+ * @property {Sprite} sprite
+ * @property {number} bytes - Decoded size while loaded, else 0
+ * @property {Promise<void>|null} loading
+ * @property {number} users - Clips holding the sprite
+ */
+
+class SpriteCache {
+	/** @type {Map<string, SpriteEntry>} By image path */
+	#entries = new Map();
+
+	/** @type {(path: string) => Promise<ImageBitmap|HTMLImageElement>} */
+	#loadImage;
+
+	#budgetBytes;
+
+	/** @type {() => number} */
+	#now;
+
+	#usedBytes = 0;
+	#loadedCount = 0;
+	#hits = 0;
+	#misses = 0;
+	#evictions = 0;
+
+	/** @type {((stats: SpriteCacheStats) => void)|null} */
+	#changeListener = null;
+
+	/**
+	 * @param {Object} options
+	 * @param {(path: string) => Promise<ImageBitmap|HTMLImageElement>} options.loadImage
+	 * @param {number} options.budgetBytes - Decoded image memory the sprites may take together
+	 * @param {() => number} [options.now] - Injected for testing; performance.now() by default
+	 */
+	constructor({ loadImage, budgetBytes, now = () => performance.now() }) {
+		this.#loadImage = loadImage;
+		this.#budgetBytes = budgetBytes;
+		this.#now = now;
+	}
+
+	/**
+	 * Get the sprite for an image path, for a new clip that draws from it.
+	 * The clip must call `sprite.release()` when it is destroyed.
+	 * @param {string} path
+	 * @param {{isResident?: boolean}} [options] - A resident sprite is never evicted
+	 * @returns {Sprite}
+	 */
+	acquire(path, { isResident = false } = {}) {
+		let entry = this.#entries.get(path);
+		if (!entry) {
+			entry = { sprite: this.#createSprite(path), bytes: 0, loading: null, users: 0 };
+			this.#entries.set(path, entry);
+		}
+		entry.users++;
+		entry.sprite.isResident ||= isResident;
+		return entry.sprite;
+	}
+
+	#createSprite(path) {
+		return {
+			path,
+			image: null,
+			isResident: false,
+			lastUsed: -Infinity,
+			request: () => this.#request(path),
+			release: () => this.#release(path)
+		};
+	}
+
+	/**
+	 * Load a sprite now (resident sprites, and warm ones, before they are played).
+	 * @param {Sprite} sprite
+	 * @returns {Promise<void>} Rejects if the image fails to load
+	 */
+	load(sprite) {
+		const entry = this.#entries.get(sprite.path);
+		if (!entry || entry.sprite.image) {
+			return Promise.resolve();
+		}
+		entry.loading ??= this.#loadEntry(entry);
+		return entry.loading;
+	}
+
+	/**
+	 * Load sprites in the background, in order, while the budget has room. Warm sprites are
+	 * evictable like any other.
+	 * @param {Sprite[]} sprites
+	 * @returns {Promise<void>}
+	 */
+	async warm(sprites) {
+		for (const sprite of sprites) {
+			if (this.#usedBytes >= this.#budgetBytes) {
+				return;
+			}
+			try {
+				await this.load(sprite);
+			} catch (error) {
+				console.warn(`SpriteCache: failed to warm ${sprite.path}:`, error);
+			}
+		}
+	}
+
+	#request(path) {
+		const entry = this.#entries.get(path);
+		if (!entry) {
+			return;
+		}
+		entry.sprite.lastUsed = this.#now();
+		if (entry.sprite.image) {
+			this.#hits++;
+		} else {
+			this.#misses++;
+			this.load(entry.sprite).catch(error => console.warn(`SpriteCache: failed to load ${path}:`, error));
+		}
+		this.#notify();
+	}
+
+	async #loadEntry(entry) {
+		try {
+			const image = await this.#loadImage(entry.sprite.path);
+			if (!(image.width > 0 && image.height > 0)) {
+				image.close?.();
+				throw new Error(`Invalid image dimensions: ${entry.sprite.path}`);
+			}
+			if (this.#entries.get(entry.sprite.path) !== entry) {
+				// Released while loading
+				image.close?.();
+				return;
+			}
+			entry.sprite.image = image;
+			entry.bytes = image.width * image.height * BYTES_PER_PIXEL;
+			this.#usedBytes += entry.bytes;
+			this.#loadedCount++;
+			this.#evictToBudget(entry);
+			this.#notify();
+		} finally {
+			entry.loading = null;
+		}
+	}
+
+	/**
+	 * Evict least recently used sprites until the cache fits the budget again. Resident sprites,
+	 * sprites in use and the one just loaded stay, even if that leaves the cache over budget.
+	 * @param {SpriteEntry} loadedEntry
+	 */
+	#evictToBudget(loadedEntry) {
+		if (this.#usedBytes <= this.#budgetBytes) {
+			return;
+		}
+		const now = this.#now();
+		const candidates = [...this.#entries.values()].filter(entry => entry !== loadedEntry && entry.sprite.image && !entry.sprite.isResident && now - entry.sprite.lastUsed >= IN_USE_MS).sort((a, b) => a.sprite.lastUsed - b.sprite.lastUsed);
+		for (const entry of candidates) {
+			if (this.#usedBytes <= this.#budgetBytes) {
+				return;
+			}
+			this.#unload(entry);
+			this.#evictions++;
+		}
+	}
+
+	#unload(entry) {
+		if (!entry.sprite.image) {
+			return;
+		}
+		this.#loadedCount--;
+		// An ImageBitmap's pixels can be freed now rather than at garbage collection
+		entry.sprite.image.close?.();
+		entry.sprite.image = null;
+		this.#usedBytes -= entry.bytes;
+		entry.bytes = 0;
+	}
+
+	#release(path) {
+		const entry = this.#entries.get(path);
+		if (!entry || --entry.users > 0) {
+			return;
+		}
+		this.#unload(entry);
+		this.#entries.delete(path);
+		this.#notify();
+	}
+
+	/**
+	 * Decoded size of the sprites in memory, in bytes.
+	 * @returns {number}
+	 */
+	get usedBytes() {
+		return this.#usedBytes;
+	}
+
+	/**
+	 * @returns {SpriteCacheStats}
+	 */
+	get stats() {
+		return { usedBytes: this.#usedBytes, budgetBytes: this.#budgetBytes, loaded: this.#loadedCount, total: this.#entries.size, hits: this.#hits, misses: this.#misses, evictions: this.#evictions };
+	}
+
+	/**
+	 * Call a listener with the stats whenever a sprite is requested, loaded or released.
+	 * @param {((stats: SpriteCacheStats) => void)|null} listener
+	 */
+	setChangeListener(listener) {
+		this.#changeListener = listener;
+	}
+
+	#notify() {
+		this.#changeListener?.(this.stats);
+	}
+}
+
+export default SpriteCache;
@@ -59,6 +59,19 @@ export const DEFAULT_BEATS_PER_BAR = 4;
 /** Default placement (centered). */
 export const DEFAULT_PLACEMENT = Object.freeze({ x: 0, y: 0 });
 
+/**
+ * Blend modes for drawing a clip over the slots below it in its Layer Group.
+ * `xor`, `and` and `or` combine RGB values bitwise (see LayerBlender).
+ * @type {readonly string[]}
+ */
+export const BLEND_MODES = Object.freeze(['normal', 'add', 'multiply', 'screen', 'difference', 'xor', 'and', 'or']);
+
+/** Default blend mode (plain stacking). */
+export const DEFAULT_BLEND_MODE = 'normal';
+
+/** Default opacity (fully opaque). */
+export const DEFAULT_OPACITY = 1;
+
 /**
  * Normalize raw clip metadata from meta.json into a canonical shape.
  *
@@ -96,6 +109,8 @@ export function normalizeClipMetadata(rawMeta) {
 		frameWidth: rawMeta.frameWidth ?? DEFAULT_FRAME_WIDTH,
 		frameHeight: rawMeta.frameHeight ?? DEFAULT_FRAME_HEIGHT,
 		placement: resolvePlacement(rawMeta.placement),
+		blendMode: BLEND_MODES.includes(rawMeta.blendMode) ? rawMeta.blendMode : DEFAULT_BLEND_MODE,
+		opacity: resolveOpacity(rawMeta.opacity),
 		role: rawMeta.role ?? null,
 		name: rawMeta.name ?? null
 	};
@@ -239,3 +254,15 @@ function resolvePlacement(rawPlacement) {
 	const y = Math.floor(Number(rawPlacement.y) || 0);
 	return { x, y };
 }
+
+/**
+ * Resolve opacity from raw metadata, clamped to 0–1.
+ * @param {unknown} rawOpacity
+ * @returns {number}
+ */
+function resolveOpacity(rawOpacity) {
+	if (typeof rawOpacity !== 'number' || !Number.isFinite(rawOpacity)) {
+		return DEFAULT_OPACITY;
+	}
+	return Math.min(1, Math.max(0, rawOpacity));
+}
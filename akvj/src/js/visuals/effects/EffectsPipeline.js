@@ -1,3 +1,4 @@
+import appState from '../../core/AppState.js';
 import effectRegistry from './index.js';
 
 /**
@@ -6,7 +7,11 @@ import effectRegistry from './index.js';
  * Each effect module implements:
  *   apply(imageData, effect, timestamp, effectContext) => boolean
  *
- * effectContext contains: width, height, effectParams, effectRanges, bpm, scratchBuffer
+ * effectContext contains: width, height, effectParams, effectRanges, bpm, scratchBuffer, feedbackFrame,
+ * and `controls`: the live parameters (set by CC) of the effect being applied, by name
+ *
+ * An effect with an envelope `level` below 1 (fading in or out, see EffectsManager) is mixed
+ * with the frame it was given by that level; effects at level 0 are skipped.
  *
  * Scratch buffer ownership contract:
  * - The pipeline owns the scratch buffer (a Uint8ClampedArray) and allocates it once,
@@ -18,22 +23,49 @@ import effectRegistry from './index.js';
  *   needs a pristine copy of the input pixels should copy from imageData.data into the
  *   scratch buffer before reading from it (e.g., glitch, offset, split effects).
  * - The pipeline guarantees the scratch buffer is at least as large as imageData.data.
+ *
+ * Effects come from the built-in registry or the active project's plugins (setPluginEffects).
+ * An effect that throws is disabled until the next project loads and reported via appState.error,
+ * so one broken effect cannot stop the render loop.
+ *
+ * Feedback frame contract:
+ * - Unlike the scratch buffer, the feedback frame persists across frames: it holds the last
+ *   output of a feedback effect, one per target context so each effect channel trails alone.
+ * - An effect that reads it sets `isUsed`; after a frame in which no effect used it (or the
+ *   chain was idle, see invalidateFeedback) `hasFrame` is cleared so stale output never returns.
  */
 const DEFAULT_BPM_MIN = 1;
+const NO_CONTROLS = Object.freeze({});
 const DEFAULT_BPM = 120;
 
 class EffectsPipeline {
 	/** @type {Uint8ClampedArray|null} */
 	#scratchBuffer = null;
 
+	/** @type {Uint8ClampedArray|null} The frame before an effect applied at partial level */
+	#levelBuffer = null;
+
+	/** @type {Map<CanvasRenderingContext2D, {pixels: Uint8ClampedArray, hasFrame: boolean, isUsed: boolean}>} */
+	#feedbackFrames = new Map();
+
 	/** @type {Object} Reused across apply() calls to avoid per-frame allocation */
 	#effectContext;
 
+	/** @type {Object} Built-in note ranges, extended with the plugins' */
+	#effectRanges;
+
+	/** @type {Map<string, {type: string, apply: Function, requiresNote?: boolean}>} */
+	#pluginEffects = new Map();
+
+	/** @type {Set<string>} Effect types that threw and are skipped */
+	#disabledEffectTypes = new Set();
+
 	/**
 	 * @param {Object} effectParams - Effect parameters from settings
 	 * @param {Object} effectRanges - Effect note ranges from settings
 	 */
 	constructor(effectParams, effectRanges) {
+		this.#effectRanges = effectRanges;
 		this.#effectContext = {
 			width: 0,
 			height: 0,
@@ -42,7 +74,9 @@ class EffectsPipeline {
 			bpm: 0,
 			bpmMin: DEFAULT_BPM_MIN,
 			bpmDefault: DEFAULT_BPM,
-			scratchBuffer: null
+			scratchBuffer: null,
+			feedbackFrame: null,
+			controls: NO_CONTROLS
 		};
 	}
 
@@ -55,6 +89,7 @@ class EffectsPipeline {
 	 */
 	apply(ctx, activeEffects, timestamp, renderContext) {
 		if (!activeEffects || activeEffects.length === 0) {
+			this.invalidateFeedback(ctx);
 			return;
 		}
 
@@ -62,8 +97,14 @@ class EffectsPipeline {
 		const imageData = ctx.getImageData(0, 0, width, height);
 		this.#ensureScratchBuffer(imageData.data.length);
 		this.#prepareEffectContext(width, height, bpm, bpmMin, bpmDefault);
+		const feedbackFrame = this.#ensureFeedbackFrame(ctx, imageData.data.length);
+		feedbackFrame.isUsed = false;
+		this.#effectContext.feedbackFrame = feedbackFrame;
 
 		const isModified = this.#applyEffects(activeEffects, imageData, timestamp);
+		if (!feedbackFrame.isUsed) {
+			feedbackFrame.hasFrame = false;
+		}
 		if (isModified) {
 			ctx.putImageData(imageData, 0, 0);
 		}
@@ -75,6 +116,33 @@ class EffectsPipeline {
 		}
 	}
 
+	#ensureLevelBuffer(pixelsLength) {
+		if (!this.#levelBuffer || this.#levelBuffer.length !== pixelsLength) {
+			this.#levelBuffer = new Uint8ClampedArray(pixelsLength);
+		}
+		return this.#levelBuffer;
+	}
+
+	#ensureFeedbackFrame(ctx, pixelsLength) {
+		let feedbackFrame = this.#feedbackFrames.get(ctx);
+		if (!feedbackFrame || feedbackFrame.pixels.length !== pixelsLength) {
+			feedbackFrame = { pixels: new Uint8ClampedArray(pixelsLength), hasFrame: false, isUsed: false };
+			this.#feedbackFrames.set(ctx, feedbackFrame);
+		}
+		return feedbackFrame;
+	}
+
+	/**
+	 * Forget the previous frame of a context's chain, e.g. on frames where it has no effects.
+	 * @param {CanvasRenderingContext2D} ctx
+	 */
+	invalidateFeedback(ctx) {
+		const feedbackFrame = this.#feedbackFrames.get(ctx);
+		if (feedbackFrame) {
+			feedbackFrame.hasFrame = false;
+		}
+	}
+
 	#prepareEffectContext(width, height, bpm, bpmMin, bpmDefault) {
 		const effectContext = this.#effectContext;
 		effectContext.width = width;
@@ -88,15 +156,57 @@ class EffectsPipeline {
 	#applyEffects(activeEffects, imageData, timestamp) {
 		let isModified = false;
 		for (const effect of activeEffects) {
-			const effectModule = effectRegistry[effect.type];
-			if (!effectModule || (effectModule.requiresNote && typeof effect.note !== 'number')) {
+			const effectModule = Object.hasOwn(effectRegistry, effect.type) ? effectRegistry[effect.type] : this.#pluginEffects.get(effect.type);
+			if (!effectModule || (effectModule.requiresNote && typeof effect.note !== 'number') || this.#disabledEffectTypes.has(effect.type)) {
+				continue;
+			}
+			const level = effect.level ?? 1;
+			if (level <= 0) {
 				continue;
 			}
-			isModified = effectModule.apply(imageData, effect, timestamp, this.#effectContext) || isModified;
+			const levelBuffer = level < 1 ? this.#ensureLevelBuffer(imageData.data.length) : null;
+			levelBuffer?.set(imageData.data);
+			this.#effectContext.controls = effect.controls ?? NO_CONTROLS;
+			try {
+				const isApplied = effectModule.apply(imageData, effect, timestamp, this.#effectContext);
+				if (isApplied && levelBuffer) {
+					mixByLevel(imageData.data, levelBuffer, level);
+				}
+				isModified = isApplied || isModified;
+			} catch (error) {
+				this.#disableEffect(effect.type, error);
+				// The effect may have written part of the frame before throwing
+				isModified = true;
+			}
 		}
 		return isModified;
 	}
 
+	#disableEffect(type, error) {
+		this.#disabledEffectTypes.add(type);
+		console.error(`Effect "${type}" threw and was disabled:`, error);
+		appState.error(`Effect "${type}" failed and was disabled: ${error?.message ?? error}`);
+	}
+
+	/**
+	 * Replace the project effect plugins. Their note ranges are passed to effects in
+	 * effectContext.effectRanges; previously disabled effects get another chance.
+	 * @param {Array<{type: string, range: {min: number, max: number}, effect: {type: string, apply: Function, requiresNote?: boolean}}>} plugins
+	 */
+	setPluginEffects(plugins) {
+		this.#pluginEffects = new Map(plugins.map(({ type, effect }) => [type, effect]));
+		this.#disabledEffectTypes.clear();
+		this.#effectContext.effectRanges = { ...this.#effectRanges, ...Object.fromEntries(plugins.map(({ type, range }) => [type, range])) };
+	}
+
+	/**
+	 * Replace the effect parameters, e.g. with a project's overrides merged in.
+	 * @param {Object} effectParams
+	 */
+	setEffectParams(effectParams) {
+		this.#effectContext.effectParams = effectParams;
+	}
+
 	/**
 	 * Release allocated resources for garbage collection.
 	 */
@@ -106,6 +216,22 @@ class EffectsPipeline {
 		} catch (error) {
 			console.error('Error releasing scratchBuffer in EffectsPipeline:', error);
 		}
+		try {
+			this.#levelBuffer = null;
+		} catch (error) {
+			console.error('Error releasing levelBuffer in EffectsPipeline:', error);
+		}
+		try {
+			this.#pluginEffects.clear();
+			this.#disabledEffectTypes.clear();
+		} catch (error) {
+			console.error('Error releasing plugin effects in EffectsPipeline:', error);
+		}
+		try {
+			this.#feedbackFrames.clear();
+		} catch (error) {
+			console.error('Error releasing feedbackFrames in EffectsPipeline:', error);
+		}
 		try {
 			this.#effectContext = null;
 		} catch (error) {
@@ -114,4 +240,16 @@ class EffectsPipeline {
 	}
 }
 
+/**
+ * Move each byte of the frame before an effect towards the effect's output by `level`.
+ * @param {Uint8ClampedArray} pixels - The effect's output, mixed in place
+ * @param {Uint8ClampedArray} inputPixels - The frame the effect was given
+ * @param {number} level - 0-1
+ */
+function mixByLevel(pixels, inputPixels, level) {
+	for (let i = 0; i < pixels.length; i++) {
+		pixels[i] = inputPixels[i] + (pixels[i] - inputPixels[i]) * level;
+	}
+}
+
 export default EffectsPipeline;
@@ -9,7 +9,7 @@ export default {
 	 * @param {ImageData} imageData
 	 * @param {{note: number, velocity: number}} effect
 	 * @param {number} _timestamp
-	 * @param {{effectRanges: Object, effectParams: Object}} effectContext
+	 * @param {{effectRanges: Object, effectParams: Object, controls?: {levels?: number}}} effectContext
 	 */
 	apply(imageData, effect, _timestamp, effectContext) {
 		const pixels = imageData.data;
@@ -20,7 +20,8 @@ export default {
 		if (isVariantA) {
 			invertColors(pixels);
 		} else {
-			posterizeColors(pixels, posterizeBaseLevels, posterizeIntensityScale, intensity);
+			const levels = effectContext.controls?.levels ?? posterizeBaseLevels - intensity * posterizeIntensityScale;
+			posterizeColors(pixels, levels);
 		}
 		return true;
 	},
@@ -37,8 +38,8 @@ function invertColors(pixels) {
 	}
 }
 
-function posterizeColors(pixels, posterizeBaseLevels, posterizeIntensityScale, intensity) {
-	const levels = Math.max(2, Math.floor(posterizeBaseLevels - intensity * posterizeIntensityScale));
+function posterizeColors(pixels, levelCount) {
+	const levels = Math.max(2, Math.floor(levelCount));
 	const step = MAX_COLOR_VALUE / levels;
 	for (let i = 0; i < pixels.length; i += RGBA_CHANNEL_COUNT) {
 		pixels[i] = Math.floor(pixels[i] / step) * step;
@@ -0,0 +1,107 @@
+/**
+ * Feedback effect: combine the output with the previous frame's output to leave trails.
+ *
+ * Each note of the range picks a mode (see FEEDBACK_MODES). The previous frame is kept by
+ * EffectsPipeline in `effectContext.feedbackFrame`; velocity sets how slowly it decays.
+ */
+import { MAX_MIDI_VELOCITY, RGBA_CHANNEL_COUNT } from './effectConstants.js';
+
+/**
+ * Modes by note within the range:
+ * - trail: keep the brighter of the output and the decayed previous frame
+ * - blend: mix the previous frame into the output (motion blur)
+ * - zoomIn / zoomOut: trails that grow out of or shrink into the centre
+ * - smear*: trails dragged one way across the frame
+ */
+export const FEEDBACK_MODES = Object.freeze(['trail', 'blend', 'zoomIn', 'zoomOut', 'smearLeft', 'smearRight', 'smearUp', 'smearDown']);
+
+const SMEAR_DIRECTIONS = Object.freeze({
+	smearLeft: [-1, 0],
+	smearRight: [1, 0],
+	smearUp: [0, -1],
+	smearDown: [0, 1]
+});
+
+export default {
+	/**
+	 * @param {ImageData} imageData
+	 * @param {{note: number, velocity: number}} effect
+	 * @param {number} _timestamp
+	 * @param {{width: number, height: number, effectRanges: Object, effectParams: Object, feedbackFrame: {pixels: Uint8ClampedArray, hasFrame: boolean, isUsed: boolean}|null, controls?: {decay?: number, zoom?: number, smear?: number}}} effectContext
+	 */
+	apply(imageData, effect, _timestamp, effectContext) {
+		const { feedbackFrame } = effectContext;
+		const mode = FEEDBACK_MODES[effect.note - effectContext.effectRanges.feedback.min];
+		if (!feedbackFrame || !mode) {
+			return false;
+		}
+		feedbackFrame.isUsed = true;
+
+		const pixels = imageData.data;
+		const hadFrame = feedbackFrame.hasFrame;
+		if (hadFrame) {
+			const { effectParams, controls } = effectContext;
+			const decay = controls?.decay ?? (effect.velocity / MAX_MIDI_VELOCITY) * effectParams.feedbackMaxDecay;
+			const feedbackZoomStep = controls?.zoom ?? effectParams.feedbackZoomStep;
+			const feedbackSmearPixels = Math.round(controls?.smear ?? effectParams.feedbackSmearPixels);
+			if (mode === 'blend') {
+				blendPrevious(pixels, feedbackFrame.pixels, decay);
+			} else {
+				const sourceIndex = createSourceIndex(mode, effectContext.width, effectContext.height, feedbackZoomStep, feedbackSmearPixels);
+				keepBrighter(pixels, feedbackFrame.pixels, effectContext.width, effectContext.height, decay, sourceIndex);
+			}
+		}
+
+		feedbackFrame.pixels.set(pixels);
+		feedbackFrame.hasFrame = true;
+		return hadFrame;
+	},
+
+	type: 'feedback',
+	requiresNote: true
+};
+
+/**
+ * Build (x, y) → byte index into the previous frame, or -1 outside it.
+ */
+function createSourceIndex(mode, width, height, zoomStep, smearPixels) {
+	if (mode === 'trail') {
+		return (x, y) => (y * width + x) * RGBA_CHANNEL_COUNT;
+	}
+	if (mode === 'zoomIn' || mode === 'zoomOut') {
+		const scale = mode === 'zoomIn' ? 1 / (1 + zoomStep) : 1 + zoomStep;
+		const centerX = width / 2;
+		const centerY = height / 2;
+		return (x, y) => toIndex(Math.floor(centerX + (x + 0.5 - centerX) * scale), Math.floor(centerY + (y + 0.5 - centerY) * scale), width, height);
+	}
+	const [directionX, directionY] = SMEAR_DIRECTIONS[mode];
+	return (x, y) => toIndex(x - directionX * smearPixels, y - directionY * smearPixels, width, height);
+}
+
+function toIndex(x, y, width, height) {
+	if (x < 0 || x >= width || y < 0 || y >= height) {
+		return -1;
+	}
+	return (y * width + x) * RGBA_CHANNEL_COUNT;
+}
+
+function keepBrighter(pixels, previousPixels, width, height, decay, sourceIndex) {
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const sourceIdx = sourceIndex(x, y);
+			if (sourceIdx < 0) {
+				continue;
+			}
+			const idx = (y * width + x) * RGBA_CHANNEL_COUNT;
+			for (let channel = 0; channel < RGBA_CHANNEL_COUNT; channel++) {
+				pixels[idx + channel] = Math.max(pixels[idx + channel], previousPixels[sourceIdx + channel] * decay);
+			}
+		}
+	}
+}
+
+function blendPrevious(pixels, previousPixels, decay) {
+	for (let i = 0; i < pixels.length; i++) {
+		pixels[i] += (previousPixels[i] - pixels[i]) * decay;
+	}
+}
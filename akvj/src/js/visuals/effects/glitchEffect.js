@@ -8,7 +8,7 @@ export default {
 	 * @param {ImageData} imageData
 	 * @param {{velocity: number}} effect
 	 * @param {number} _timestamp
-	 * @param {{width: number, scratchBuffer: Uint8ClampedArray|null, effectParams: Object}} effectContext
+	 * @param {{width: number, scratchBuffer: Uint8ClampedArray|null, effectParams: Object, controls?: {displacement?: number, probability?: number}}} effectContext
 	 * @returns {boolean} True if pixels were modified
 	 *
 	 * Scratch buffer usage: Copies imageData.data into the scratch buffer before
@@ -17,8 +17,9 @@ export default {
 	 */
 	apply(imageData, effect, _timestamp, effectContext) {
 		const pixels = imageData.data;
-		const { width, scratchBuffer, effectParams } = effectContext;
-		const { glitchMaxDisplacement, glitchPixelProbability } = effectParams;
+		const { width, scratchBuffer, effectParams, controls } = effectContext;
+		const glitchMaxDisplacement = controls?.displacement ?? effectParams.glitchMaxDisplacement;
+		const glitchPixelProbability = controls?.probability ?? effectParams.glitchPixelProbability;
 		const intensity = effect.velocity / MAX_MIDI_VELOCITY;
 
 		const original = !scratchBuffer || scratchBuffer.length < pixels.length ? new Uint8ClampedArray(pixels.length) : scratchBuffer;
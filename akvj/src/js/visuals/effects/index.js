@@ -4,12 +4,14 @@ import splitEffect from './splitEffect.js';
 import offsetEffect from './offsetEffect.js';
 import glitchEffect from './glitchEffect.js';
 import strobeEffect from './strobeEffect.js';
+import paletteEffect from './paletteEffect.js';
+import feedbackEffect from './feedbackEffect.js';
 
 /**
  * Effect registry keyed by each module's own `type` field.
  * Adding a new effect only requires listing its module here —
  * the registry key comes from the effect itself.
  */
-const effectRegistry = Object.fromEntries([colorEffect, mirrorEffect, splitEffect, offsetEffect, glitchEffect, strobeEffect].map(effect => [effect.type, effect]));
+const effectRegistry = Object.fromEntries([colorEffect, mirrorEffect, splitEffect, offsetEffect, glitchEffect, strobeEffect, paletteEffect, feedbackEffect].map(effect => [effect.type, effect]));
 
 export default effectRegistry;
@@ -10,7 +10,7 @@ export default {
 	 * @param {ImageData} imageData
 	 * @param {{note: number, velocity: number}} effect
 	 * @param {number} _timestamp
-	 * @param {{width: number, height: number, effectRanges: Object, effectParams: Object, scratchBuffer: Uint8ClampedArray|null}} effectContext
+	 * @param {{width: number, height: number, effectRanges: Object, effectParams: Object, scratchBuffer: Uint8ClampedArray|null, controls?: {amount?: number}}} effectContext
 	 * @returns {boolean} True if pixels were modified
 	 *
 	 * Scratch buffer usage: Copies imageData.data into the scratch buffer via
@@ -23,7 +23,7 @@ export default {
 		const { width, height, scratchBuffer } = effectContext;
 		const { effectVariantThreshold } = effectContext.effectParams;
 		const { isVariantA } = getEffectVariant(effect.note, effectContext.effectRanges.offset, effectVariantThreshold);
-		const intensity = effect.velocity / MAX_MIDI_VELOCITY;
+		const intensity = effectContext.controls?.amount ?? effect.velocity / MAX_MIDI_VELOCITY;
 
 		if (isVariantA) {
 			const offsetX = Math.floor(intensity * width);
@@ -0,0 +1,159 @@
+/**
+ * Palette effect: map each pixel to the nearest color of a palette, optionally with
+ * ordered dithering, and cycle the palette's colors in time with the BPM.
+ *
+ * The first notes of the range (below effectVariantThreshold) map straight to the nearest
+ * color, the rest dither; within each half the note picks an entry of `effectParams.palettes`.
+ * Velocities from PALETTE_CYCLE_MIN_VELOCITY up rotate the colors every `paletteCycleBeats` beats.
+ */
+import { RGBA_CHANNEL_COUNT, MAX_COLOR_VALUE } from './effectConstants.js';
+import { getEffectVariant } from './effectVariant.js';
+import { msPerBeat } from '../../utils/timing.js';
+
+/**
+ * Built-in palettes, referenced by name from `effectParams.palettes`.
+ * @type {Readonly<Object<string, string[]>>}
+ */
+export const PALETTES = Object.freeze({
+	gameboy: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'],
+	pico8: ['#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8', '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'],
+	cga: ['#000000', '#55ffff', '#ff55ff', '#ffffff']
+});
+
+const PALETTE_CYCLE_MIN_VELOCITY = 64;
+
+// Nearest-color lookup table on a 5-bit-per-channel grid (32 KB per palette)
+const LUT_BITS = 5;
+const LUT_SHIFT = 8 - LUT_BITS;
+const LUT_SIZE = 1 << LUT_BITS;
+
+// 4×4 Bayer matrix, normalised to offsets in [-0.5, 0.5)
+const BAYER_SIZE = 4;
+const BAYER_OFFSETS = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(value => value / 16 - 0.5);
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{6})$/i;
+
+/** @type {Map<string, {colors: Uint8Array, lut: Uint8Array}|null>} Resolved palettes by name or color list */
+const resolvedPalettes = new Map();
+
+export default {
+	/**
+	 * @param {ImageData} imageData
+	 * @param {{note: number, velocity: number}} effect
+	 * @param {number} timestamp
+	 * @param {{width: number, effectRanges: Object, effectParams: Object, bpm: number, bpmMin: number, bpmDefault: number, controls?: {dither?: number}}} effectContext
+	 */
+	apply(imageData, effect, timestamp, effectContext) {
+		const { effectVariantThreshold, palettes = [], paletteCycleBeats = 1, paletteDitherSpread = 48 } = effectContext.effectParams;
+		const { noteInRange, isVariantA } = getEffectVariant(effect.note, effectContext.effectRanges.palette, effectVariantThreshold);
+		const paletteIndex = isVariantA ? noteInRange : noteInRange - effectVariantThreshold;
+		const palette = resolvePalette(palettes[paletteIndex]);
+		if (!palette) {
+			return false;
+		}
+
+		const cycleOffset = effect.velocity >= PALETTE_CYCLE_MIN_VELOCITY ? getCycleOffset(timestamp, paletteCycleBeats, effectContext) : 0;
+		const ditherSpread = isVariantA ? 0 : (effectContext.controls?.dither ?? paletteDitherSpread);
+		mapToPalette(imageData.data, effectContext.width, palette, cycleOffset, ditherSpread);
+		return true;
+	},
+
+	type: 'palette',
+	requiresNote: true
+};
+
+/**
+ * Resolve a palette entry — a built-in name or a list of '#rrggbb' colors — once.
+ * @param {string|string[]|undefined} entry
+ * @returns {{colors: Uint8Array, lut: Uint8Array}|null} Null for unknown names and invalid lists
+ */
+function resolvePalette(entry) {
+	const hexColors = typeof entry === 'string' ? PALETTES[entry] : entry;
+	if (!Array.isArray(hexColors) || hexColors.length === 0) {
+		return null;
+	}
+	const key = typeof entry === 'string' ? entry : hexColors.join(',');
+	if (!resolvedPalettes.has(key)) {
+		resolvedPalettes.set(key, buildPalette(hexColors));
+	}
+	return resolvedPalettes.get(key);
+}
+
+function buildPalette(hexColors) {
+	const colors = new Uint8Array(hexColors.length * 3);
+	for (const [index, hexColor] of hexColors.entries()) {
+		const match = HEX_COLOR_PATTERN.exec(String(hexColor).trim());
+		if (!match) {
+			console.warn('paletteEffect: ignoring palette with invalid color', hexColor);
+			return null;
+		}
+		const value = parseInt(match[1], 16);
+		colors[index * 3] = value >> 16;
+		colors[index * 3 + 1] = (value >> 8) & 0xff;
+		colors[index * 3 + 2] = value & 0xff;
+	}
+
+	const lut = new Uint8Array(LUT_SIZE * LUT_SIZE * LUT_SIZE);
+	for (let cell = 0; cell < lut.length; cell++) {
+		// Centre of the grid cell
+		const red = ((cell >> (LUT_BITS * 2)) << LUT_SHIFT) + (1 << (LUT_SHIFT - 1));
+		const green = (((cell >> LUT_BITS) & (LUT_SIZE - 1)) << LUT_SHIFT) + (1 << (LUT_SHIFT - 1));
+		const blue = ((cell & (LUT_SIZE - 1)) << LUT_SHIFT) + (1 << (LUT_SHIFT - 1));
+		lut[cell] = findNearestColor(colors, red, green, blue);
+	}
+	return { colors, lut };
+}
+
+function findNearestColor(colors, red, green, blue) {
+	let nearest = 0;
+	let nearestDistance = Infinity;
+	for (let index = 0; index < colors.length / 3; index++) {
+		const dr = colors[index * 3] - red;
+		const dg = colors[index * 3 + 1] - green;
+		const db = colors[index * 3 + 2] - blue;
+		const distance = dr * dr + dg * dg + db * db;
+		if (distance < nearestDistance) {
+			nearest = index;
+			nearestDistance = distance;
+		}
+	}
+	return nearest;
+}
+
+/**
+ * How many steps the palette colors are rotated at this timestamp.
+ */
+function getCycleOffset(timestamp, paletteCycleBeats, effectContext) {
+	if (!(paletteCycleBeats > 0)) {
+		return 0;
+	}
+	const bpm = Math.max(effectContext.bpmMin, effectContext.bpm ?? effectContext.bpmDefault);
+	const effectiveTimestamp = timestamp ?? performance.now();
+	return Math.floor(effectiveTimestamp / (msPerBeat(bpm) * paletteCycleBeats));
+}
+
+function mapToPalette(pixels, width, palette, cycleOffset, ditherSpread) {
+	const { colors, lut } = palette;
+	const colorCount = colors.length / 3;
+	const shift = cycleOffset % colorCount;
+
+	for (let i = 0; i < pixels.length; i += RGBA_CHANNEL_COUNT) {
+		let red = pixels[i];
+		let green = pixels[i + 1];
+		let blue = pixels[i + 2];
+		if (ditherSpread > 0) {
+			const pixel = i / RGBA_CHANNEL_COUNT;
+			const bayerRow = Math.floor(pixel / width) % BAYER_SIZE;
+			const bayerColumn = (pixel % width) % BAYER_SIZE;
+			const offset = BAYER_OFFSETS[bayerRow * BAYER_SIZE + bayerColumn] * ditherSpread;
+			red = Math.min(MAX_COLOR_VALUE, Math.max(0, red + offset));
+			green = Math.min(MAX_COLOR_VALUE, Math.max(0, green + offset));
+			blue = Math.min(MAX_COLOR_VALUE, Math.max(0, blue + offset));
+		}
+		const nearest = lut[((red >> LUT_SHIFT) << (LUT_BITS * 2)) | ((green >> LUT_SHIFT) << LUT_BITS) | (blue >> LUT_SHIFT)];
+		const colorIdx = ((nearest + shift) % colorCount) * 3;
+		pixels[i] = colors[colorIdx];
+		pixels[i + 1] = colors[colorIdx + 1];
+		pixels[i + 2] = colors[colorIdx + 2];
+	}
+}
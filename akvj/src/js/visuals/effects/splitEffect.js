@@ -10,7 +10,7 @@ export default {
 	 * @param {ImageData} imageData
 	 * @param {{note: number, velocity: number}} effect
 	 * @param {number} _timestamp
-	 * @param {{width: number, height: number, effectRanges: Object, effectParams: Object, scratchBuffer: Uint8ClampedArray|null}} effectContext
+	 * @param {{width: number, height: number, effectRanges: Object, effectParams: Object, scratchBuffer: Uint8ClampedArray|null, controls?: {count?: number}}} effectContext
 	 * @returns {boolean} True if pixels were modified
 	 *
 	 * Scratch buffer usage: Copies imageData.data into the scratch buffer via
@@ -23,7 +23,8 @@ export default {
 		const { width, height, scratchBuffer } = effectContext;
 		const { effectVariantThreshold, splitMin, splitMax } = effectContext.effectParams;
 		const { noteInRange, isVariantA } = getEffectVariant(effect.note, effectContext.effectRanges.split, effectVariantThreshold);
-		const splits = Math.min(splitMax, Math.max(splitMin, Math.floor(noteInRange / 2) + splitMin));
+		const count = effectContext.controls?.count;
+		const splits = count === undefined ? Math.min(splitMax, Math.max(splitMin, Math.floor(noteInRange / 2) + splitMin)) : Math.max(1, Math.round(count));
 
 		if (isVariantA) {
 			applyHorizontalSplit(pixels, width, height, scratchBuffer, splits);
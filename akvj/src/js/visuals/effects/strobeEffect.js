@@ -17,7 +17,7 @@ export default {
 	 * @param {ImageData} imageData
 	 * @param {{velocity: number}} effect
 	 * @param {number} timestamp
-	 * @param {{bpm: number, bpmMin: number, bpmDefault: number}} effectContext
+	 * @param {{bpm: number, bpmMin: number, bpmDefault: number, controls?: {duty?: number}}} effectContext
 	 */
 	apply(imageData, effect, timestamp, effectContext) {
 		const pixels = imageData.data;
@@ -53,7 +53,7 @@ function applyWhiteout(pixels) {
 function isStrobeActive(velocity, timestamp, effectContext) {
 	const pulsesPerBeat = Math.max(1, Math.min(STROBE_MAX_PULSES_PER_BEAT, Math.floor((velocity - STROBE_PULSE_MIN_VELOCITY) / STROBE_VELOCITY_BUCKET_SIZE) + 1));
 	const bucketRemainder = (velocity - STROBE_PULSE_MIN_VELOCITY) % STROBE_VELOCITY_BUCKET_SIZE;
-	const duty = STROBE_DUTY_CYCLE_BASE + (bucketRemainder / (STROBE_VELOCITY_BUCKET_SIZE - 1)) * STROBE_DUTY_CYCLE_RANGE;
+	const duty = effectContext.controls?.duty ?? STROBE_DUTY_CYCLE_BASE + (bucketRemainder / (STROBE_VELOCITY_BUCKET_SIZE - 1)) * STROBE_DUTY_CYCLE_RANGE;
 	const bpm = Math.max(effectContext.bpmMin, effectContext.bpm ?? effectContext.bpmDefault);
 	const beatMs = msPerBeat(bpm);
 	const effectiveTimestamp = timestamp ?? performance.now();
@@ -0,0 +1,69 @@
+/**
+ * Mask generators — procedural transitions for the mixer channel (see ProceduralMask).
+ *
+ * Each generator maps a pixel to the point (0–1) in the transition at which it switches
+ * from Layer Group A to Layer Group B. The result is computed once per size as a field,
+ * so drawing a mask at any progress is a single threshold pass.
+ */
+
+const FULL_TURN = 2 * Math.PI;
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Deterministic per-pixel noise in [0, 1) — the same dissolve pattern on every trigger.
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function pixelNoise(x, y) {
+	let hash = Math.imul(x, 374761393) + Math.imul(y, 668265263);
+	hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+	return ((hash ^ (hash >>> 16)) >>> 0) / UINT32_RANGE;
+}
+
+/**
+ * Generator functions: (x, y, geometry) → switch point in [0, 1].
+ * `geometry` holds the size, pixel-centre offsets and the cell size for patterned masks.
+ * @type {Readonly<Object<string, (x: number, y: number, geometry: Object) => number>>}
+ */
+export const MASK_GENERATORS = Object.freeze({
+	linearWipe: (x, y, { width }) => (x + 0.5) / width,
+	verticalWipe: (x, y, { height }) => (y + 0.5) / height,
+	radialWipe: (x, y, { centerX, centerY }) => Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY) / Math.hypot(centerX, centerY),
+	diamond: (x, y, { centerX, centerY }) => (Math.abs(x + 0.5 - centerX) + Math.abs(y + 0.5 - centerY)) / (centerX + centerY),
+	// Clockwise from 12 o'clock
+	clockWipe: (x, y, { centerX, centerY }) => {
+		const angle = Math.atan2(x + 0.5 - centerX, centerY - (y + 0.5));
+		return ((angle + FULL_TURN) % FULL_TURN) / FULL_TURN;
+	},
+	// Even cells wipe in during the first half, odd cells during the second
+	checkerboard: (x, y, { cellSize }) => {
+		const parity = (Math.floor(x / cellSize) + Math.floor(y / cellSize)) % 2;
+		return (parity + ((x % cellSize) + 0.5) / cellSize) / 2;
+	},
+	blinds: (x, y, { cellSize }) => ((y % cellSize) + 0.5) / cellSize,
+	noiseDissolve: (x, y) => pixelNoise(x, y)
+});
+
+/**
+ * Build the switch-point field of a generator.
+ * @param {string} generator - One of MASK_GENERATORS
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [cellSize=15] - Cell/band size in pixels for checkerboard and blinds
+ * @returns {Float32Array} One value per pixel, row by row
+ */
+export function buildMaskField(generator, width, height, cellSize = 15) {
+	const generate = MASK_GENERATORS[generator];
+	if (!generate) {
+		throw new Error(`Unknown mask generator: ${generator}`);
+	}
+	const geometry = { width, height, centerX: width / 2, centerY: height / 2, cellSize: Math.max(1, Math.floor(cellSize)) };
+	const field = new Float32Array(width * height);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			field[y * width + x] = generate(x, y, geometry);
+		}
+	}
+	return field;
+}
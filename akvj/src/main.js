@@ -3,17 +3,38 @@ import './css/loading-overlay.css';
 import './css/debug-overlay.css';
 import './css/user-message.css';
 import './css/user-messages.css';
+import './css/virtual-controller.css';
 import './js/core/AdventureKidVideoJockey.js';
 
 import Midi from './js/midi-input/Midi.js';
 import Fullscreen from './js/utils/Fullscreen.js';
 import DebugOverlay from './js/utils/DebugOverlay.js';
+import TempoKeys from './js/utils/TempoKeys.js';
+import RecordingKeys from './js/utils/RecordingKeys.js';
+import SequencerKeys from './js/utils/SequencerKeys.js';
+import SetlistKeys from './js/utils/SetlistKeys.js';
 
 const midi = new Midi();
 
 const fullscreenManager = new Fullscreen();
 fullscreenManager.setup();
 
+// Tap tempo 'T', nudge ',' / '.', phase reset 'R'
+const tempoKeys = new TempoKeys();
+tempoKeys.setup();
+
+// Record 'C', replay 'P', export 'E'; drop a .json/.mid recording on the page to load it
+const recordingKeys = new RecordingKeys();
+recordingKeys.setup();
+
+// Plays the project's sequence.mid with the DAW transport; 'M' starts/stops it at the current BPM
+const sequencerKeys = new SequencerKeys();
+sequencerKeys.setup();
+
+// Page Up / Page Down step to the previous/next setlist entry
+const setlistKeys = new SetlistKeys();
+setlistKeys.setup();
+
 // Press 'D' to toggle
 const debugOverlay = new DebugOverlay();
 debugOverlay.setup();
@@ -26,6 +47,26 @@ if (import.meta.hot) {
 		} catch (error) {
 			console.warn('Error destroying fullscreenManager during HMR:', error);
 		}
+		try {
+			tempoKeys.destroy();
+		} catch (error) {
+			console.warn('Error destroying tempoKeys during HMR:', error);
+		}
+		try {
+			recordingKeys.destroy();
+		} catch (error) {
+			console.warn('Error destroying recordingKeys during HMR:', error);
+		}
+		try {
+			sequencerKeys.destroy();
+		} catch (error) {
+			console.warn('Error destroying sequencerKeys during HMR:', error);
+		}
+		try {
+			setlistKeys.destroy();
+		} catch (error) {
+			console.warn('Error destroying setlistKeys during HMR:', error);
+		}
 		try {
 			debugOverlay.destroy();
 		} catch (error) {
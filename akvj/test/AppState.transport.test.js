@@ -0,0 +1,72 @@
+/**
+ * Unit tests for AppState transport tracking (start/continue/stop + Song Position Pointer).
+ */
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { createAppState, EVENT_MIDI_CLOCK, EVENT_MIDI_SONG_POSITION } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import DevicePolicy from '../src/js/midi-input/DevicePolicy.js';
+import settings from '../src/js/core/settings.js';
+
+describe('AppState transport', () => {
+	let state;
+	let clockPositions;
+
+	beforeEach(() => {
+		state = createAppState(settings, new ControlBindings(settings, null), new DevicePolicy(settings, null));
+		clockPositions = [];
+		state.subscribe(EVENT_MIDI_CLOCK, event => clockPositions.push(event.detail.isTransportRunning ? event.detail.position : null));
+	});
+
+	afterEach(() => {
+		state.reset();
+	});
+
+	test('clock pulses carry no position until the transport starts', () => {
+		state.dispatchMIDIClock(0);
+		state.dispatchMIDIStart();
+		state.dispatchMIDIClock(10);
+		state.dispatchMIDIClock(20);
+
+		expect(clockPositions).toEqual([null, 0, 1]);
+		expect(state.isTransportRunning).toBe(true);
+		expect(state.transportBeat).toBe(2 / settings.midi.ppqn);
+	});
+
+	test('stop freezes the position and continue resumes from it', () => {
+		state.dispatchMIDIStart();
+		state.dispatchMIDIClock(0);
+		state.dispatchMIDIStop();
+		state.dispatchMIDIClock(10);
+		state.dispatchMIDIContinue();
+		state.dispatchMIDIClock(20);
+
+		expect(clockPositions).toEqual([0, null, 1]);
+	});
+
+	test('Song Position Pointer sets the position of the next pulse in sixteenths', () => {
+		const positions = [];
+		state.subscribe(EVENT_MIDI_SONG_POSITION, event => positions.push(event.detail));
+
+		state.dispatchMIDISongPosition(128); // bar 9 in 4/4
+		state.dispatchMIDIContinue();
+		state.dispatchMIDIClock(0);
+
+		expect(positions).toEqual([{ position: 128 * settings.midi.clocksPerSongPositionUnit, beat: 32 }]);
+		expect(clockPositions).toEqual([768]);
+	});
+
+	test('rejects out-of-range Song Position Pointer values', () => {
+		state.dispatchMIDISongPosition(4);
+		state.dispatchMIDISongPosition(0x4000);
+		state.dispatchMIDISongPosition(-1);
+
+		expect(state.transportBeat).toBe(1);
+	});
+
+	test('start rewinds to the song start', () => {
+		state.dispatchMIDISongPosition(64);
+		state.dispatchMIDIStart();
+
+		expect(state.transportBeat).toBe(0);
+	});
+});
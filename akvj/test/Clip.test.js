@@ -804,6 +804,110 @@ describe('Clip', () => {
 			const sx = ctx.drawImage.mock.calls.at(-1)[1];
 			expect(sx).toBeLessThan(120); // Less than frame 2's sx
 		});
+
+		test('loop clips follow the transport after a Song Position Pointer locate and continue', async () => {
+			const ctx = createMockDrawContext();
+			const appState = (await import('../src/js/core/AppState.js')).default;
+			appState.reset();
+
+			// 0.25 beats = 6 pulses per frame, 4 frames = 24 pulses per cycle
+			const clip = new Clip(defaultOptions({ displayContext: ctx, frames: 4, framesPerRow: 4, frameDurationBeats: 0.25 }));
+			clip.reset();
+
+			appState.dispatchMIDIStart();
+			for (let pulse = 0; pulse < 8; pulse++) {
+				appState.dispatchMIDIClock(1000 + pulse * 10);
+			}
+			expect(appState.bpmSource).toBe('clock');
+			clip.renderToContext(ctx, 1100);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(60); // pulse 7 -> frame 1
+
+			// DAW stops and locates to the 14th sixteenth (84 pulses -> 12 into the cycle -> frame 2)
+			appState.dispatchMIDIStop();
+			appState.dispatchMIDISongPosition(14);
+			clip.renderToContext(ctx, 1110);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(120);
+
+			appState.dispatchMIDIContinue();
+			for (let pulse = 0; pulse < 7; pulse++) {
+				appState.dispatchMIDIClock(1200 + pulse * 10);
+			}
+			clip.renderToContext(ctx, 1300);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(180); // pulse 90 -> frame 3
+
+			clip.destroy();
+			appState.reset();
+		});
+
+		test('pingpong clips derive frame and direction from the transport position', async () => {
+			const ctx = createMockDrawContext();
+			const appState = (await import('../src/js/core/AppState.js')).default;
+			appState.reset();
+
+			// 1 pulse per frame; pingpong cycle over 4 frames is 0 1 2 3 2 1
+			const clip = new Clip(defaultOptions({ displayContext: ctx, frames: 4, framesPerRow: 4, frameDurationBeats: 1 / 24, playback: 'pingpong' }));
+			clip.reset();
+
+			appState.dispatchMIDIStart();
+			for (let pulse = 0; pulse < 11; pulse++) {
+				appState.dispatchMIDIClock(1000 + pulse * 10);
+			}
+			clip.renderToContext(ctx, 1200);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(120); // pulse 10 -> cycle index 4 -> frame 2 (moving back)
+
+			// Transport stopped, clock keeps running: pulse counting continues in the seeked direction
+			appState.dispatchMIDIStop();
+			appState.dispatchMIDIClock(1210);
+			clip.renderToContext(ctx, 1210);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(60);
+
+			clip.destroy();
+			appState.reset();
+		});
+
+		test('tempo phase reset restarts beat-synced clips on the downbeat', async () => {
+			const ctx = createMockDrawContext();
+			const appState = (await import('../src/js/core/AppState.js')).default;
+			appState.reset();
+			appState.bpm = 120;
+
+			// 0.5 beats = 250ms per frame at 120 BPM
+			const clip = new Clip(defaultOptions({ displayContext: ctx, frames: 4, framesPerRow: 4, frameDurationBeats: 0.5 }));
+			clip.reset();
+			clip.renderToContext(ctx, 0);
+			clip.renderToContext(ctx, 600);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(120); // frame 2
+
+			appState.resetTempoPhase();
+			clip.renderToContext(ctx, 700);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(0);
+			clip.renderToContext(ctx, 950);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(60); // one frame after the reset
+
+			clip.destroy();
+			appState.reset();
+		});
+
+		test('once clips ignore the transport and keep counting from their trigger', async () => {
+			const ctx = createMockDrawContext();
+			const appState = (await import('../src/js/core/AppState.js')).default;
+			appState.reset();
+
+			const clip = new Clip(defaultOptions({ displayContext: ctx, frames: 4, framesPerRow: 4, frameDurationBeats: 1 / 24, playback: 'once' }));
+
+			appState.dispatchMIDIStart();
+			appState.dispatchMIDISongPosition(100);
+			for (let pulse = 0; pulse < 7; pulse++) {
+				appState.dispatchMIDIClock(1000 + pulse * 10);
+			}
+			clip.reset();
+			appState.dispatchMIDIClock(1100);
+			clip.renderToContext(ctx, 1100);
+			expect(ctx.drawImage.mock.calls.at(-1)[1]).toBe(60); // one pulse after trigger -> frame 1
+
+			clip.destroy();
+			appState.reset();
+		});
 	});
 });
 
@@ -1039,3 +1143,26 @@ describe('Clip — scaleMode + placement', () => {
 		expect(call[8]).toBe(135); // dHeight
 	});
 });
+
+describe('Clip with a lazily loaded sprite', () => {
+	test('asks for its sprite on trigger, draws once it is in memory and releases it when destroyed', () => {
+		const ctx = createMockDrawContext();
+		const sprite = { image: null, lastUsed: -Infinity, request: vi.fn(), release: vi.fn() };
+		const clip = new Clip(defaultOptions({ image: null, sprite }));
+
+		clip.reset();
+		expect(sprite.request).toHaveBeenCalledTimes(1);
+		clip.renderToContext(ctx, 100);
+		expect(ctx.drawImage).not.toHaveBeenCalled();
+
+		sprite.image = createMockImage(960, 135);
+		clip.renderToContext(ctx, 200);
+		expect(ctx.drawImage).toHaveBeenCalledTimes(1);
+		// 4 frames in a row: each frame is a quarter of the sheet
+		expect(ctx.drawImage.mock.calls[0].slice(3, 5)).toEqual([240, 135]);
+		expect(sprite.lastUsed).toBe(200);
+
+		clip.destroy();
+		expect(sprite.release).toHaveBeenCalledTimes(1);
+	});
+});
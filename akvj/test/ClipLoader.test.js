@@ -1,5 +1,7 @@
 import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
-import ClipLoader from '../src/js/visuals/ClipLoader.js';
+import ClipLoader, { loadClipImage } from '../src/js/visuals/ClipLoader.js';
+import ProjectCatalog from '../src/js/visuals/ProjectCatalog.js';
+import SpriteCache from '../src/js/visuals/SpriteCache.js';
 import settings from '../src/js/core/settings.js';
 
 function mockFetchCatalogAndLayout(catalog, keyMap) {
@@ -70,6 +72,237 @@ describe('ClipLoader', () => {
 		// DAW channel 1 → code channel 0
 		expect(clips[0][60]).toBeDefined();
 	});
+
+	test('fetchProjectSettings loads the project settings.json, or null without one', async () => {
+		globalThis.fetch = vi.fn(async url => {
+			if (String(url).startsWith('/projects/neon/settings.json')) {
+				return { ok: true, json: async () => ({ effectParams: { palettes: ['cga'] } }) };
+			}
+			return { ok: false, status: 404, json: async () => ({}) };
+		});
+
+		const loader = new ClipLoader({});
+		expect(await loader.fetchProjectSettings('neon')).toEqual({ effectParams: { palettes: ['cga'] } });
+		expect(await loader.fetchProjectSettings('plain')).toBeNull();
+		await expect(loader.fetchProjectSettings('../etc')).rejects.toThrow('Invalid project ID');
+	});
+
+	test('fetchSetlist keeps valid entries in order and skips invalid ones and taken notes', async () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const setlist = {
+			name: 'Friday',
+			entries: ['intro', { project: 'neon', note: 1, scene: 2, label: 'Neon drop' }, { project: '../etc' }, { project: 'outro', note: 1 }, { project: 'outro', scene: -1 }, { project: 'outro' }]
+		};
+		globalThis.fetch = vi.fn(async url => {
+			if (String(url).startsWith(settings.performance.setlistUrl)) {
+				return { ok: true, json: async () => setlist };
+			}
+			return { ok: false, status: 404, json: async () => ({}) };
+		});
+
+		const loader = new ClipLoader({});
+		expect(await loader.fetchSetlist()).toEqual({
+			name: 'Friday',
+			entries: [
+				{ project: 'intro', note: null, scene: null, label: null },
+				{ project: 'neon', note: 1, scene: 2, label: 'Neon drop' },
+				{ project: 'outro', note: null, scene: null, label: null }
+			]
+		});
+		expect(consoleWarnSpy).toHaveBeenCalledTimes(3);
+
+		globalThis.fetch = vi.fn(async () => ({ ok: false, status: 404, json: async () => ({}) }));
+		expect(await loader.fetchSetlist()).toBeNull();
+		consoleWarnSpy.mockRestore();
+	});
+
+	test('loadEffectPlugins imports the project effect modules and skips invalid ones', async () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const sparkle = { type: 'sparkle', apply: () => true };
+		const modules = {
+			'/projects/neon/effects/sparkle.js': { default: sparkle },
+			'/projects/neon/effects/sparkle-copy.js': { default: sparkle },
+			'/projects/neon/effects/builtin.js': { default: { type: 'glitch', apply: () => true } },
+			'/projects/neon/effects/no-apply.js': { default: { type: 'broken' } }
+		};
+		const importModule = vi.fn(async url => {
+			if (!modules[url]) {
+				throw new Error('Failed to fetch module');
+			}
+			return modules[url];
+		});
+		const loader = new ClipLoader({}, new ProjectCatalog(importModule));
+
+		const plugins = await loader.loadEffectPlugins(
+			[
+				{ module: 'sparkle.js', notes: { min: 120, max: 127 } },
+				{ module: 'sparkle-copy.js', notes: { min: 100, max: 101 } },
+				{ module: 'builtin.js', notes: { min: 120, max: 127 } },
+				{ module: 'no-apply.js', notes: { min: 120, max: 127 } },
+				{ module: 'missing.js', notes: { min: 120, max: 127 } },
+				{ module: '../escape.js', notes: { min: 120, max: 127 } },
+				{ module: 'sparkle.js', notes: { min: 127, max: 120 } }
+			],
+			'neon'
+		);
+
+		expect(plugins).toEqual([{ type: 'sparkle', range: { min: 120, max: 127 }, effect: sparkle }]);
+		expect(importModule).not.toHaveBeenCalledWith(expect.stringContaining('escape'));
+		expect(await loader.loadEffectPlugins(undefined, 'neon')).toEqual([]);
+		consoleWarnSpy.mockRestore();
+	});
+
+	test('loadScenes builds each scene key-map from the images already loaded for the project', async () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const catalog = {
+			skull: { png: 'skull.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 } },
+			grid: { png: 'grid.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 } }
+		};
+		const keyMaps = {
+			'/projects/neon/clips/key-map.json': { 1: { 60: { 0: 'skull' } } },
+			'/projects/neon/scenes/drop.json': { 1: { 60: { 0: 'grid' }, 61: { 0: 'skull' } } }
+		};
+		globalThis.fetch = vi.fn(async url => {
+			const path = String(url).split('?')[0];
+			if (keyMaps[path]) {
+				return { ok: true, json: async () => keyMaps[path] };
+			}
+			if (path.endsWith('clips.json')) {
+				return { ok: true, json: async () => catalog };
+			}
+			return { ok: false, status: 404, json: async () => ({}) };
+		});
+		installMockImage();
+		const imageSources = [];
+		const MockImage = globalThis.Image;
+		globalThis.Image = class extends MockImage {
+			set src(value) {
+				imageSources.push(value);
+				super.src = value;
+			}
+		};
+
+		const loader = new ClipLoader({});
+		const clips = await loader.setupClipsFromProject('neon');
+		const scenes = await loader.loadScenes([{ name: 'Drop', keyMap: 'drop.json', settings: { lfos: [] } }, { name: 'Calm', settings: { effectParams: { splitMax: 2 } } }, { keyMap: '../key-map.json' }, { keyMap: 'missing.json' }, 'intro'], 'neon');
+
+		expect(scenes.map(scene => scene?.name ?? null)).toEqual(['Drop', 'Calm', null, null, null]);
+		expect(scenes[0].settings).toEqual({ lfos: [] });
+		expect(scenes[1]).toEqual({ name: 'Calm', clips: null, settings: { effectParams: { splitMax: 2 } } });
+		expect(Object.keys(scenes[0].clips[0])).toEqual(['60', '61']);
+		expect(scenes[0].clips[0][61][0]).not.toBe(clips[0][60][0]);
+		// skull.png was loaded for the project key-map; the scene only adds grid.png
+		expect(imageSources.filter(source => source.endsWith('skull.png'))).toHaveLength(1);
+		expect(imageSources.filter(source => source.endsWith('grid.png'))).toHaveLength(1);
+		// Two decoded 240×135 RGBA images
+		expect(loader.imageBytes).toBe(2 * 240 * 135 * 4);
+		expect(await loader.loadScenes(undefined, 'neon')).toEqual([]);
+		consoleWarnSpy.mockRestore();
+	});
+
+	test('destroy closes each ImageBitmap once no other clip of the project draws it', async () => {
+		const catalog = {
+			skull: { png: 'skull.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 } },
+			grid: { png: 'grid.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 } }
+		};
+		const keyMaps = {
+			'/projects/neon/clips/key-map.json': { 1: { 60: { 0: 'skull' }, 61: { 0: 'grid' } } },
+			'/projects/neon/scenes/drop.json': { 1: { 60: { 0: 'skull' } } }
+		};
+		globalThis.fetch = vi.fn(async url => {
+			const path = String(url).split('?')[0];
+			if (keyMaps[path]) {
+				return { ok: true, json: async () => keyMaps[path] };
+			}
+			if (path.endsWith('clips.json')) {
+				return { ok: true, json: async () => catalog };
+			}
+			if (path.endsWith('.png')) {
+				return { ok: true, blob: async () => new Blob([path]) };
+			}
+			return { ok: false, status: 404, json: async () => ({}) };
+		});
+		const bitmaps = {};
+		vi.stubGlobal(
+			'createImageBitmap',
+			vi.fn(async blob => {
+				const name = (await blob.text()).split('/').at(-2);
+				bitmaps[name] = { width: 240, height: 135, close: vi.fn() };
+				return bitmaps[name];
+			})
+		);
+
+		const loader = new ClipLoader({});
+		const clips = await loader.setupClipsFromProject('neon');
+		const [scene] = await loader.loadScenes([{ name: 'Drop', keyMap: 'drop.json' }], 'neon');
+		loader.releaseImages();
+
+		loader.destroy(clips);
+		expect(bitmaps.grid.close).toHaveBeenCalledTimes(1);
+		expect(bitmaps.skull.close).not.toHaveBeenCalled();
+		loader.destroy(scene.clips);
+		loader.destroy(scene.clips);
+		expect(bitmaps.skull.close).toHaveBeenCalledTimes(1);
+		vi.unstubAllGlobals();
+	});
+
+	test('with a sprite cache only resident sprites load with the project; warmClips loads others', async () => {
+		const catalog = {
+			skull: { png: 'skull.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 }, resident: true },
+			grid: { png: 'grid.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 } },
+			wave: { png: 'wave.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 } }
+		};
+		const keyMap = { 1: { 60: { 0: 'skull' }, 61: { 0: 'grid' }, 62: { 0: { clipId: 'wave', resident: true } } } };
+		mockFetchCatalogAndLayout(catalog, keyMap);
+		installMockImage();
+		const loadImage = vi.fn(async path => ({ width: 240, height: 135, path }));
+		const spriteCache = new SpriteCache({ loadImage, budgetBytes: 10 * 240 * 135 * 4 });
+
+		const loader = new ClipLoader({}, null, spriteCache);
+		const clips = await loader.setupClipsFromProject('neon');
+		expect(loadImage.mock.calls.map(([path]) => path.split('/').at(-1))).toEqual(['skull.png', 'wave.png']);
+		expect(loader.imageBytes).toBe(2 * 240 * 135 * 4);
+
+		await loader.warmClips(['grid', 'unknown']);
+		expect(loadImage).toHaveBeenCalledTimes(3);
+		expect(spriteCache.stats).toMatchObject({ loaded: 3, total: 3 });
+
+		loader.destroy(clips);
+		expect(spriteCache.stats).toMatchObject({ usedBytes: 0, total: 0 });
+	});
+
+	test('with a sprite cache a clip that cannot be built gives its sprite back; other placements stay warmable', async () => {
+		const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+		settings.performance.maxConcurrentClipLoads = 1;
+		const catalog = { skull: { png: 'skull.png', frames: 1, framesPerRow: 1, playback: 'loop', frameRatesForFrames: { 0: 60 } } };
+		// The second placement of skull fails to build
+		mockFetchCatalogAndLayout(catalog, { 1: { 60: { 0: 'skull' }, 61: { 0: { clipId: 'skull', frames: 0 } } } });
+		const loadImage = vi.fn(async path => ({ width: 240, height: 135, path }));
+		const spriteCache = new SpriteCache({ loadImage, budgetBytes: 10 * 240 * 135 * 4 });
+
+		const loader = new ClipLoader({}, null, spriteCache);
+		const clips = await loader.setupClipsFromProject('neon');
+		expect(clips[0][61]).toBeUndefined();
+		expect(spriteCache.stats.total).toBe(1);
+
+		await loader.warmClips(['skull']);
+		expect(loadImage.mock.calls.map(([path]) => path.split('/').at(-1))).toEqual(['skull.png']);
+		consoleErrorSpy.mockRestore();
+	});
+
+	test('loadClipImage decodes to an ImageBitmap where createImageBitmap exists', async () => {
+		const blob = new Blob(['png']);
+		const bitmap = { width: 240, height: 135 };
+		const createImageBitmap = vi.fn(async () => bitmap);
+		vi.stubGlobal('createImageBitmap', createImageBitmap);
+		globalThis.fetch = vi.fn(async url => (String(url).includes('missing') ? { ok: false, status: 404 } : { ok: true, blob: async () => blob }));
+
+		await expect(loadClipImage('/clips/skull/sprite.png')).resolves.toBe(bitmap);
+		expect(globalThis.fetch).toHaveBeenCalledWith('/clips/skull/sprite.png', { credentials: 'same-origin' });
+		expect(createImageBitmap).toHaveBeenCalledWith(blob);
+		await expect(loadClipImage('/clips/missing/sprite.png')).rejects.toThrow('HTTP 404');
+		vi.unstubAllGlobals();
+	});
 });
 
 describe('ClipLoader - sanitizeFileName (indirect tests)', () => {
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for ClockTempoTracker fed with jittery USB-style clock timings,
+ * plus the AppState clock BPM it drives.
+ */
+import { describe, test, expect, afterEach } from 'vitest';
+import ClockTempoTracker from '../src/js/core/ClockTempoTracker.js';
+import { createAppState, EVENT_BPM_CHANGED } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import DevicePolicy from '../src/js/midi-input/DevicePolicy.js';
+import settings from '../src/js/core/settings.js';
+import { createJitteryClock, feedPulses } from './utils/clockTimings.js';
+
+const PULSES_PER_BEAT = 24;
+
+function track(timestamps) {
+	const tracker = new ClockTempoTracker(settings);
+	return { tracker, estimates: feedPulses(timestamps, timestamp => tracker.addPulse(timestamp)) };
+}
+
+function spread(values) {
+	return Math.max(...values) - Math.min(...values);
+}
+
+describe('ClockTempoTracker', () => {
+	test('reports nothing until lockPulses intervals were seen', () => {
+		const { estimates } = track(createJitteryClock([{ bpm: 120, pulses: 10 }], { jitterMs: 0 }));
+		const { lockPulses } = settings.bpm.clockTracking;
+
+		expect(estimates.slice(0, lockPulses)).toEqual(Array(lockPulses).fill(null));
+		expect(estimates[lockPulses]).toBeCloseTo(120, 0);
+	});
+
+	test('holds a steady tempo from a jittery clock', () => {
+		for (const seed of [1, 2, 3]) {
+			const { estimates } = track(createJitteryClock([{ bpm: 120, pulses: PULSES_PER_BEAT * 16 }], { seed }));
+			const settled = estimates.slice(PULSES_PER_BEAT * 2);
+
+			expect(Math.max(...settled.map(bpm => Math.abs(bpm - 120)))).toBeLessThan(1);
+			expect(spread(settled)).toBeLessThan(1);
+		}
+	});
+
+	test('holds a steady tempo at high BPM where jitter is a large part of a pulse', () => {
+		const { estimates } = track(createJitteryClock([{ bpm: 180, pulses: PULSES_PER_BEAT * 16 }], { jitterMs: 3, seed: 7 }));
+		const settled = estimates.slice(PULSES_PER_BEAT * 4);
+
+		expect(Math.max(...settled.map(bpm => Math.abs(bpm - 180)))).toBeLessThan(2);
+	});
+
+	test('follows a tempo jump within a beat and a half', () => {
+		const timestamps = createJitteryClock(
+			[
+				{ bpm: 120, pulses: PULSES_PER_BEAT * 8 },
+				{ bpm: 140, pulses: PULSES_PER_BEAT * 8 }
+			],
+			{ seed: 4 }
+		);
+		const { estimates } = track(timestamps);
+		const afterJump = estimates.slice(PULSES_PER_BEAT * 8 + PULSES_PER_BEAT * 1.5);
+
+		expect(Math.max(...afterJump.map(bpm => Math.abs(bpm - 140)))).toBeLessThan(1.4);
+	});
+
+	test('glides to a small tempo change', () => {
+		const timestamps = createJitteryClock(
+			[
+				{ bpm: 120, pulses: PULSES_PER_BEAT * 8 },
+				{ bpm: 122, pulses: PULSES_PER_BEAT * 16 }
+			],
+			{ seed: 5 }
+		);
+		const { estimates } = track(timestamps);
+
+		expect(estimates.at(-1)).toBeCloseTo(122, 0);
+	});
+
+	test('ignores missed pulses', () => {
+		const timestamps = createJitteryClock([{ bpm: 120, pulses: PULSES_PER_BEAT * 8 }], { seed: 6 }).filter((_, index) => index < PULSES_PER_BEAT || index % 17 !== 0);
+		const { estimates } = track(timestamps);
+
+		expect(Math.abs(estimates.at(-1) - 120)).toBeLessThan(1);
+	});
+
+	test('pause keeps the tempo and does not count the gap as an interval', () => {
+		const { tracker } = track(createJitteryClock([{ bpm: 120, pulses: PULSES_PER_BEAT * 4 }], { jitterMs: 0 }));
+		tracker.pause();
+
+		expect(tracker.addPulse(60000)).toBeCloseTo(120, 1);
+		expect(tracker.addPulse(60000 + 125 / 6)).toBeCloseTo(120, 1);
+
+		tracker.reset();
+		expect(tracker.bpm).toBeNull();
+	});
+});
+
+describe('AppState clock BPM', () => {
+	let state;
+
+	afterEach(() => {
+		state?.reset();
+	});
+
+	test('a jittery clock does not flicker the BPM', () => {
+		state = createAppState(settings, new ControlBindings(settings, null), new DevicePolicy(settings, null));
+		const bpmEvents = [];
+		state.subscribe(EVENT_BPM_CHANGED, event => bpmEvents.push(event.detail.bpm));
+
+		for (const timestamp of createJitteryClock([{ bpm: 128, pulses: PULSES_PER_BEAT * 16 }], { seed: 8 })) {
+			state.dispatchMIDIClock(timestamp);
+		}
+
+		expect(state.bpmSource).toBe('clock');
+		expect(state.bpm).toBeCloseTo(128, 0);
+		// One event on lock, then only the odd correction
+		expect(bpmEvents.length).toBeLessThan(PULSES_PER_BEAT);
+	});
+});
@@ -1,6 +1,6 @@
 /**
  * Unit tests for Compositor - mask mixing and layer group compositing.
- * Tests all bit depths (1, 2, 4, 8), no-mask fallback, empty groups, and destroy.
+ * Tests all bit depths (1, 2, 4, 8), no-mask fallback, empty groups, the crossfader, and destroy.
  */
 import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
 import Compositor from '../src/js/visuals/Compositor.js';
@@ -180,6 +180,79 @@ describe('Compositor', () => {
 		expect(outputData.data[4]).toBe(255); // Layer Group B (white)
 	});
 
+	test('crossfader dissolves from Layer Group A to Layer Group B', () => {
+		const compositor = createCompositor();
+		const [canvasA, canvasB] = canvasMock.createdCanvases;
+		const ctxMixed = compositor.ctxMixed;
+		const draws = [];
+		ctxMixed.globalAlpha = 1;
+		ctxMixed.drawImage = vi.fn(canvas => draws.push([canvas, ctxMixed.globalAlpha]));
+		const input = { mask: null, bitDepth: 1, isLayerGroupAEmpty: false, isLayerGroupBEmpty: true };
+
+		compositor.mixLayerGroups({ ...input, crossfade: 0.25 }, 0);
+		expect(draws).toEqual([
+			[canvasA, 1],
+			[canvasB, 0.25]
+		]);
+		expect(ctxMixed.globalAlpha).toBe(1);
+
+		draws.length = 0;
+		compositor.mixLayerGroups({ ...input, crossfade: 1 }, 0);
+		expect(draws).toEqual([[canvasB, 1]]);
+	});
+
+	test('crossfader moves the 1-bit mask threshold, or replaces the mask in dissolve mode', () => {
+		const compositor = createCompositor();
+		const layerGroupAPixels = new Uint8ClampedArray(BYTE_COUNT);
+		const layerGroupBPixels = new Uint8ClampedArray(BYTE_COUNT);
+		const maskPixels = new Uint8ClampedArray(BYTE_COUNT);
+		fillSolid(layerGroupAPixels, 0, 0, 0);
+		fillSolid(layerGroupBPixels, 255, 255, 255);
+		[0, 100, 200, 255].forEach((value, pixel) => fillSolid(maskPixels.subarray(pixel * 4, pixel * 4 + 4), value, value, value));
+
+		compositor.ctxA.getImageData = () => ({ data: layerGroupAPixels });
+		compositor.ctxB.getImageData = () => ({ data: layerGroupBPixels });
+		compositor.ctxMask.getImageData = () => ({ data: maskPixels });
+		let outputData = null;
+		compositor.ctxMixed.putImageData = img => {
+			outputData = img;
+		};
+		const mixAt = (crossfade, crossfadeMode) => {
+			outputData = null;
+			const mask = { isFinished: false, renderToContext: vi.fn() };
+			compositor.mixLayerGroups({ mask, bitDepth: 1, isLayerGroupAEmpty: false, isLayerGroupBEmpty: false, crossfade, crossfadeMode }, 0);
+			return outputData && [0, 1, 2, 3].map(pixel => outputData.data[pixel * 4]);
+		};
+
+		expect(mixAt(0.5)).toEqual([0, 0, 255, 255]);
+		expect(mixAt(0.75)).toEqual([0, 255, 255, 255]);
+		expect(mixAt(0)).toEqual([0, 0, 0, 0]);
+		expect(mixAt(1)).toEqual([255, 255, 255, 255]);
+		expect(mixAt(0.5, 'dissolve')).toBeNull();
+	});
+
+	test('generated masks render straight into the mask buffer', () => {
+		const compositor = createCompositor();
+		const layerGroupAPixels = new Uint8ClampedArray(BYTE_COUNT);
+		const layerGroupBPixels = new Uint8ClampedArray(BYTE_COUNT);
+		fillSolid(layerGroupAPixels, 0, 0, 0);
+		fillSolid(layerGroupBPixels, 255, 255, 255);
+		compositor.ctxA.getImageData = () => ({ data: layerGroupAPixels });
+		compositor.ctxB.getImageData = () => ({ data: layerGroupBPixels });
+		let outputData = null;
+		compositor.ctxMixed.putImageData = img => {
+			outputData = img;
+		};
+
+		const generatedMask = { isFinished: false, renderToMask: vi.fn(pixels => fillSolid(pixels.subarray(0, 4), 255, 255, 255)) };
+		compositor.mixLayerGroups({ mask: generatedMask, bitDepth: 1, isLayerGroupAEmpty: false, isLayerGroupBEmpty: false }, 42);
+
+		expect(generatedMask.renderToMask).toHaveBeenCalledWith(expect.any(Uint8ClampedArray), WIDTH, HEIGHT, 42);
+		expect(compositor.ctxMask.getImageData).not.toHaveBeenCalled();
+		expect(outputData.data[0]).toBe(255); // Layer Group B where the mask is white
+		expect(outputData.data[4]).toBe(0); // Layer Group A elsewhere
+	});
+
 	test('2-bit mask: quantizes to 4 levels with correct blend', () => {
 		const compositor = createCompositor();
 		const ctxA = compositor.ctxA;
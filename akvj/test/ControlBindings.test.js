@@ -0,0 +1,357 @@
+/**
+ * Unit tests for ControlBindings (live MIDI binding table) and the AppState MIDI Learn flow.
+ */
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import ControlBindings, { LEARN_TARGET_BPM } from '../src/js/midi-input/ControlBindings.js';
+import { createAppState, EVENT_MIDI_LEARN_ARMED, EVENT_MIDI_LEARN_COMPLETE, EVENT_MIDI_CONTROL_CHANGE, EVENT_BPM_CHANGED, EVENT_SETLIST_STEP } from '../src/js/core/AppState.js';
+import LayerManager from '../src/js/visuals/LayerManager.js';
+import settings from '../src/js/core/settings.js';
+
+function createMemoryStorage(initial = {}) {
+	const entries = new Map(Object.entries(initial));
+	return {
+		getItem: key => entries.get(key) ?? null,
+		setItem: (key, value) => entries.set(key, String(value)),
+		entries
+	};
+}
+
+describe('ControlBindings', () => {
+	let storage;
+	let bindings;
+
+	beforeEach(() => {
+		storage = createMemoryStorage();
+		bindings = new ControlBindings(settings, storage);
+	});
+
+	test('defaults to the static scrub CCs on any channel', () => {
+		expect(bindings.getScrubTarget(0, settings.scrub.layerGroupA_CC)).toBe('layerGroupA');
+		expect(bindings.getScrubTarget(9, settings.scrub.layerGroupB_CC)).toBe('layerGroupB');
+		expect(bindings.getScrubTarget(3, settings.scrub.mixer_CC)).toBe('mixer');
+		expect(bindings.getScrubTarget(0, 99)).toBeNull();
+	});
+
+	test('defaults to the static BPM CC and channel', () => {
+		expect(bindings.isBPMControl(settings.bpm.controlChannel, settings.bpm.controlCC)).toBe(true);
+		expect(bindings.isBPMControl(settings.bpm.controlChannel + 1, settings.bpm.controlCC)).toBe(false);
+	});
+
+	test('resolveChannel is identity until a channel is learned', () => {
+		for (let channel = 0; channel < 16; channel++) {
+			expect(bindings.resolveChannel(channel)).toBe(channel);
+		}
+	});
+
+	test('bindControlChange rebinds a scrub target to a channel + CC', () => {
+		expect(bindings.bindControlChange('scrub.layerGroupB', 2, 74)).toBe(true);
+
+		expect(bindings.getScrubTarget(2, 74)).toBe('layerGroupB');
+		expect(bindings.getScrubTarget(3, 74)).toBeNull();
+		expect(bindings.getScrubTarget(0, settings.scrub.layerGroupB_CC)).toBeNull();
+		expect(bindings.describe('scrub.layerGroupB')).toBe('CH3 CC74');
+	});
+
+	test('getControlChange returns a copy of the live CC binding', () => {
+		expect(bindings.getControlChange('scrub.mixer')).toEqual({ channel: null, controller: settings.scrub.mixer_CC });
+		expect(bindings.getControlChange('bpm')).toEqual({ channel: settings.bpm.controlChannel, controller: settings.bpm.controlCC });
+
+		bindings.bindControlChange('scrub.mixer', 4, 20);
+		const binding = bindings.getControlChange('scrub.mixer');
+		binding.controller = 99;
+
+		expect(bindings.getControlChange('scrub.mixer')).toEqual({ channel: 4, controller: 20 });
+		expect(bindings.getControlChange('tempo.tap')).toBeNull();
+	});
+
+	test('learning a CC already used elsewhere unbinds the previous target', () => {
+		bindings.bindControlChange(LEARN_TARGET_BPM, 0, settings.scrub.layerGroupA_CC);
+
+		expect(bindings.isBPMControl(0, settings.scrub.layerGroupA_CC)).toBe(true);
+		expect(bindings.getScrubTarget(0, settings.scrub.layerGroupA_CC)).toBeNull();
+		expect(bindings.describe('scrub.layerGroupA')).toBe('unbound');
+	});
+
+	test('bindChannel routes an input channel to the target channel', () => {
+		expect(bindings.bindChannel('channel.5', 0)).toBe(true);
+
+		expect(bindings.resolveChannel(0)).toBe(5);
+		expect(bindings.resolveChannel(1)).toBe(1);
+		expect(bindings.describe('channel.5')).toBe('CH1');
+	});
+
+	test('rejects unknown targets and out-of-range values', () => {
+		expect(bindings.bindControlChange('scrub.nope', 0, 1)).toBe(false);
+		expect(bindings.bindControlChange('channel.3', 0, 1)).toBe(false);
+		expect(bindings.bindControlChange(LEARN_TARGET_BPM, 16, 1)).toBe(false);
+		expect(bindings.bindControlChange(LEARN_TARGET_BPM, 0, 128)).toBe(false);
+		expect(bindings.bindChannel('channel.16', 0)).toBe(false);
+		expect(bindings.bindChannel(LEARN_TARGET_BPM, 0)).toBe(false);
+	});
+
+	test('clear reverts a target to its settings default', () => {
+		bindings.bindControlChange('scrub.layerGroupC', 4, 20);
+		bindings.bindChannel('channel.5', 0);
+
+		bindings.clear('scrub.layerGroupC');
+		bindings.clear('channel.5');
+
+		expect(bindings.getScrubTarget(0, settings.scrub.layerGroupC_CC)).toBe('layerGroupC');
+		expect(bindings.getScrubTarget(4, 20)).toBeNull();
+		expect(bindings.resolveChannel(0)).toBe(0);
+	});
+
+	test('persists learned bindings and reloads them in a new instance', () => {
+		bindings.bindControlChange('scrub.mixer', 1, 30);
+		bindings.bindChannel('channel.6', 2);
+
+		const reloaded = new ControlBindings(settings, storage);
+
+		expect(reloaded.getScrubTarget(1, 30)).toBe('mixer');
+		expect(reloaded.resolveChannel(2)).toBe(6);
+	});
+
+	test('restoreDefaults resets memory but keeps persisted bindings', () => {
+		bindings.bindControlChange('scrub.mixer', 1, 30);
+		bindings.restoreDefaults();
+
+		expect(bindings.getScrubTarget(1, 30)).toBeNull();
+		expect(new ControlBindings(settings, storage).getScrubTarget(1, 30)).toBe('mixer');
+	});
+
+	test('restore mirrors another table without persisting it', () => {
+		const source = new ControlBindings(settings, null);
+		source.bindControlChange('scrub.mixer', 1, 30);
+		source.bindNote('setlist.next', 2, 40);
+		bindings.bindChannel('channel.6', 2);
+
+		bindings.restore(source.toJSON());
+
+		expect(bindings.toJSON()).toEqual(source.toJSON());
+		expect(bindings.resolveChannel(2)).toBe(2);
+		expect(new ControlBindings(settings, storage).resolveChannel(2)).toBe(6);
+	});
+
+	test('ignores malformed stored data', () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const corrupt = createMemoryStorage({ [settings.midiLearn.storageKey]: '{not json' });
+		const fromCorrupt = new ControlBindings(settings, corrupt);
+		expect(fromCorrupt.getScrubTarget(0, settings.scrub.layerGroupA_CC)).toBe('layerGroupA');
+
+		const invalid = createMemoryStorage({ [settings.midiLearn.storageKey]: JSON.stringify({ scrub: { layerGroupA: { channel: 99, controller: 1 } }, channels: { 0: 42 } }) });
+		const fromInvalid = new ControlBindings(settings, invalid);
+		expect(fromInvalid.getScrubTarget(0, settings.scrub.layerGroupA_CC)).toBe('layerGroupA');
+		expect(fromInvalid.resolveChannel(0)).toBe(0);
+		warnSpy.mockRestore();
+	});
+
+	test('works without storage', () => {
+		const memoryOnly = new ControlBindings(settings, null);
+		expect(memoryOnly.bindControlChange(LEARN_TARGET_BPM, 3, 3)).toBe(true);
+		expect(memoryOnly.isBPMControl(3, 3)).toBe(true);
+	});
+
+	test('listLearnTargets covers scrub, bpm, tempo and setlist actions and all 16 channels', () => {
+		const targets = ControlBindings.listLearnTargets();
+		expect(targets).toContain('scrub.layerGroupA');
+		expect(targets).toContain('scrub.mixer');
+		expect(targets).toContain(LEARN_TARGET_BPM);
+		expect(targets).toContain('tempo.tap');
+		expect(targets).toContain('tempo.phaseReset');
+		expect(targets).toContain('setlist.previous');
+		expect(targets).toContain('setlist.next');
+		expect(targets.filter(target => target.startsWith('channel.'))).toHaveLength(16);
+	});
+
+	test('bindNote assigns a note to one tempo action and persists it', () => {
+		expect(bindings.getTempoAction(0, 60)).toBeNull();
+
+		expect(bindings.bindNote('tempo.tap', 0, 60)).toBe(true);
+		expect(bindings.getTempoAction(0, 60)).toBe('tap');
+		expect(bindings.getTempoAction(1, 60)).toBeNull();
+		expect(bindings.describe('tempo.tap')).toBe('CH1 N60');
+
+		// The same note moves to the newly learned action
+		bindings.bindNote('tempo.nudgeUp', 0, 60);
+		expect(bindings.getTempoAction(0, 60)).toBe('nudgeUp');
+		expect(bindings.describe('tempo.tap')).toBe('unbound');
+
+		const reloaded = new ControlBindings(settings, storage);
+		expect(reloaded.getTempoAction(0, 60)).toBe('nudgeUp');
+
+		expect(bindings.bindNote('tempo.nope', 0, 61)).toBe(false);
+		expect(bindings.bindNote('tempo.tap', 0, 128)).toBe(false);
+		bindings.clear('tempo.nudgeUp');
+		expect(bindings.getTempoAction(0, 60)).toBeNull();
+	});
+
+	test('a note is bound to one tempo or setlist action at a time', () => {
+		bindings.bindNote('tempo.tap', 2, 40);
+		expect(bindings.bindNote('setlist.next', 2, 40)).toBe(true);
+		expect(bindings.getSetlistAction(2, 40)).toBe('next');
+		expect(bindings.getTempoAction(2, 40)).toBeNull();
+		expect(bindings.isActionNote(2, 40)).toBe(true);
+		expect(bindings.describe('setlist.next')).toBe('CH3 N40');
+
+		const reloaded = new ControlBindings(settings, storage);
+		expect(reloaded.getSetlistAction(2, 40)).toBe('next');
+		expect(reloaded.toJSON().setlist).toEqual({ previous: null, next: { channel: 2, note: 40 } });
+	});
+
+	test('setlist CCs come from settings.setlist.controls', () => {
+		const withControls = new ControlBindings({ ...settings, setlist: { ...settings.setlist, controls: { previous: { channel: null, controller: 102 }, next: { channel: 0, controller: 103 } } } }, null);
+		expect(withControls.getSetlistControlAction(9, 102)).toBe('previous');
+		expect(withControls.getSetlistControlAction(0, 103)).toBe('next');
+		expect(withControls.getSetlistControlAction(1, 103)).toBeNull();
+		expect(bindings.getSetlistControlAction(0, 103)).toBeNull();
+	});
+});
+
+describe('AppState MIDI Learn', () => {
+	let state;
+
+	beforeEach(() => {
+		state = createAppState(settings, new ControlBindings(settings, null));
+	});
+
+	test('armMidiLearn dispatches armed event and rejects unknown targets', () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const armed = [];
+		state.subscribe(EVENT_MIDI_LEARN_ARMED, event => armed.push(event.detail.target));
+
+		expect(state.armMidiLearn('scrub.layerGroupA')).toBe(true);
+		expect(state.armMidiLearn('nonsense')).toBe(false);
+		expect(state.midiLearnTarget).toBe('scrub.layerGroupA');
+
+		state.cancelMidiLearn();
+		expect(state.midiLearnTarget).toBeNull();
+		expect(armed).toEqual(['scrub.layerGroupA', null]);
+		warnSpy.mockRestore();
+	});
+
+	test('an armed CC target binds the next CC and consumes it', () => {
+		const ccEvents = [];
+		let completed = null;
+		state.subscribe(EVENT_MIDI_CONTROL_CHANGE, event => ccEvents.push(event.detail));
+		state.subscribe(EVENT_MIDI_LEARN_COMPLETE, event => {
+			completed = event.detail;
+		});
+
+		state.armMidiLearn('scrub.layerGroupB');
+		state.dispatchMIDIControlChange(3, 21, 64);
+
+		expect(ccEvents).toEqual([]);
+		expect(completed).toEqual({ target: 'scrub.layerGroupB', binding: 'CH4 CC21' });
+		expect(state.midiLearnTarget).toBeNull();
+		expect(state.controlBindings.getScrubTarget(3, 21)).toBe('layerGroupB');
+
+		state.dispatchMIDIControlChange(3, 21, 64);
+		expect(ccEvents).toEqual([{ channel: 3, controller: 21, value: 64, sourceChannel: 3 }]);
+	});
+
+	test('CCs follow learned channel routing while CC bindings match the channel sent on', () => {
+		const ccEvents = [];
+		state.subscribe(EVENT_MIDI_CONTROL_CHANGE, event => ccEvents.push(event.detail));
+		state.controlBindings.bindChannel('channel.5', 2);
+		state.controlBindings.bindControlChange(LEARN_TARGET_BPM, 2, 50);
+
+		state.dispatchMIDIControlChange(2, 50, 127);
+		state.dispatchMIDIControlChange(2, settings.layerBlend.opacityCC, 0);
+
+		expect(state.bpm).toBe(settings.bpm.max);
+		expect(ccEvents).toEqual([
+			{ channel: 5, controller: 50, value: 127, sourceChannel: 2 },
+			{ channel: 5, controller: settings.layerBlend.opacityCC, value: 0, sourceChannel: 2 }
+		]);
+	});
+
+	test('a learned BPM CC drives BPM instead of the settings default', () => {
+		const bpmEvents = [];
+		state.subscribe(EVENT_BPM_CHANGED, event => bpmEvents.push(event.detail));
+
+		state.armMidiLearn(LEARN_TARGET_BPM);
+		state.dispatchMIDIControlChange(7, 50, 0);
+		state.dispatchMIDIControlChange(settings.bpm.controlChannel, settings.bpm.controlCC, 127);
+		expect(bpmEvents).toEqual([]);
+
+		state.dispatchMIDIControlChange(7, 50, 127);
+		expect(state.bpm).toBe(settings.bpm.max);
+		expect(state.bpmSource).toBe('cc');
+	});
+
+	test('syncTempo takes over the tempo and its source', () => {
+		const bpmEvents = [];
+		state.subscribe(EVENT_BPM_CHANGED, event => bpmEvents.push(event.detail));
+
+		state.syncTempo(settings.bpm.min + 10, 'clock');
+
+		expect(state.bpm).toBe(settings.bpm.min + 10);
+		expect(state.bpmSource).toBe('clock');
+		expect(bpmEvents).toEqual([{ bpm: settings.bpm.min + 10, source: 'clock' }]);
+	});
+
+	test('captureMidiLearnNote binds channel targets only', () => {
+		expect(state.captureMidiLearnNote(0)).toBe(false);
+
+		state.armMidiLearn('scrub.layerGroupA');
+		expect(state.captureMidiLearnNote(0)).toBe(false);
+
+		state.armMidiLearn('channel.5');
+		expect(state.captureMidiLearnNote(0)).toBe(true);
+		expect(state.controlBindings.resolveChannel(0)).toBe(5);
+		expect(state.midiLearnTarget).toBeNull();
+	});
+
+	test('captureMidiLearnNote binds the played note to an armed tempo target', () => {
+		state.armMidiLearn('tempo.tap');
+		expect(state.captureMidiLearnNote(15, 36)).toBe(true);
+		expect(state.controlBindings.getTempoAction(15, 36)).toBe('tap');
+		expect(state.midiLearnTarget).toBeNull();
+	});
+
+	test('a setlist CC steps once per press and is consumed', () => {
+		const setlistSettings = { ...settings, setlist: { ...settings.setlist, controls: { previous: null, next: { channel: 0, controller: 103 } } } };
+		const setlistState = createAppState(setlistSettings, new ControlBindings(setlistSettings, null));
+		const steps = [];
+		const ccEvents = [];
+		setlistState.subscribe(EVENT_SETLIST_STEP, event => steps.push(event.detail.step));
+		setlistState.subscribe(EVENT_MIDI_CONTROL_CHANGE, event => ccEvents.push(event.detail));
+
+		for (const value of [127, 100, 0, 127]) {
+			setlistState.dispatchMIDIControlChange(0, 103, value);
+		}
+
+		expect(steps).toEqual([1, 1]);
+		expect(ccEvents).toEqual([]);
+	});
+
+	test('reset disarms learning and restores default bindings', () => {
+		state.armMidiLearn('channel.5');
+		state.captureMidiLearnNote(0);
+		state.armMidiLearn('scrub.mixer');
+
+		state.reset();
+
+		expect(state.midiLearnTarget).toBeNull();
+		expect(state.controlBindings.resolveChannel(0)).toBe(0);
+	});
+});
+
+describe('LayerManager scrub via learned bindings', () => {
+	test('handleControlChange reads the live binding table', () => {
+		const bindings = new ControlBindings(settings, null);
+		const layerManager = new LayerManager({ controlBindings: bindings });
+		const scrubA = vi.spyOn(layerManager.getLayerGroupA(), 'setScrubPosition');
+		const scrubB = vi.spyOn(layerManager.getLayerGroupB(), 'setScrubPosition');
+
+		layerManager.handleControlChange({ detail: { channel: 0, controller: settings.scrub.layerGroupA_CC, value: 127 } });
+		expect(scrubA).toHaveBeenCalledWith(1);
+
+		bindings.bindControlChange('scrub.layerGroupB', 2, settings.scrub.layerGroupA_CC);
+		layerManager.handleControlChange({ detail: { channel: 2, controller: settings.scrub.layerGroupA_CC, value: 0 } });
+		expect(scrubB).toHaveBeenCalledWith(0);
+		expect(scrubA).toHaveBeenCalledTimes(1);
+
+		layerManager.destroy();
+	});
+});
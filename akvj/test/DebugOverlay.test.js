@@ -119,6 +119,59 @@ describe('DebugOverlay', () => {
 		expect(el.classList.contains('visible')).toBe(false);
 	});
 
+	test('keydown "l" cycles MIDI Learn targets and shows the armed target', () => {
+		overlay.setup();
+
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'l' }));
+		expect(appState.midiLearnTarget).toBe('scrub.layerGroupA');
+		expect(document.getElementById('debug-midi-learn').textContent).toContain('scrub.layerGroupA');
+
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'L' }));
+		expect(appState.midiLearnTarget).toBe('scrub.layerGroupB');
+
+		appState.cancelMidiLearn();
+		expect(document.getElementById('debug-midi-learn').textContent).toBe('off');
+	});
+
+	test('Backspace reverts the armed learn target to its default', () => {
+		overlay.setup();
+		appState.controlBindings.bindControlChange('scrub.layerGroupA', 2, 99);
+		appState.armMidiLearn('scrub.layerGroupA');
+
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace' }));
+
+		expect(appState.midiLearnTarget).toBeNull();
+		expect(appState.controlBindings.getScrubTarget(2, 99)).toBeNull();
+		localStorage.clear();
+	});
+
+	test('device keys select an input, block it and shift its channel offset', () => {
+		appState.midiInputs = [
+			{ id: 'a', name: 'Pads' },
+			{ id: 'b', name: 'Keys' }
+		];
+		overlay.setup();
+		const devicesEl = document.getElementById('debug-midi-devices');
+		expect(devicesEl.children[0].textContent).toBe('> Pads: ok');
+
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'i' }));
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'x' }));
+		expect(appState.devicePolicy.isAllowed({ id: 'b', name: 'Keys' })).toBe(false);
+		expect(devicesEl.children[1].textContent).toBe('> Keys: blocked');
+		expect(devicesEl.children[1].className).toContain('blocked');
+
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'i' }));
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: ']' }));
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: ']' }));
+		expect(devicesEl.children[0].textContent).toBe('> Pads: ch+2');
+
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace' }));
+		expect(devicesEl.children[0].textContent).toBe('> Pads: ok');
+
+		appState.reset();
+		localStorage.clear();
+	});
+
 	test('setup subscribes to bpmChanged, midiConnectionChanged, midiNoteOn, midiNoteOff, midiControlChange', () => {
 		const subscribeSpy = vi.spyOn(appState, 'subscribe');
 
@@ -172,6 +225,17 @@ describe('DebugOverlay', () => {
 		expect(sourceEl.textContent).toBe('manual');
 	});
 
+	test('taps show the tap count next to the BPM source', () => {
+		overlay.setup();
+
+		appState.tapTempo(1000);
+		appState.tapTempo(1500);
+
+		expect(document.getElementById('debug-bpm').textContent).toBe('120.0');
+		expect(document.getElementById('debug-bpm-source').textContent).toBe('manual (tap 2)');
+		appState.reset();
+	});
+
 	test('midiConnectionChanged event updates MIDI status display', () => {
 		overlay.setup();
 
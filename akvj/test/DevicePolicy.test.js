@@ -0,0 +1,127 @@
+/**
+ * Unit tests for DevicePolicy (MIDI input allow/deny lists and per-device channel routing).
+ */
+import { describe, test, expect, vi } from 'vitest';
+import DevicePolicy from '../src/js/midi-input/DevicePolicy.js';
+import { createAppState, EVENT_MIDI_DEVICE_POLICY_CHANGED } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import settings from '../src/js/core/settings.js';
+
+function createMemoryStorage(initial = {}) {
+	const entries = new Map(Object.entries(initial));
+	return {
+		getItem: key => entries.get(key) ?? null,
+		setItem: (key, value) => entries.set(key, String(value)),
+		entries
+	};
+}
+
+function createPolicy(midiDevices, storage = null) {
+	return new DevicePolicy({ ...settings, midiDevices: { ...settings.midiDevices, ...midiDevices } }, storage);
+}
+
+const pads = { id: 'port-1', name: 'Launchpad Mini MIDI 1' };
+const keys = { id: 'port-2', name: 'KeyStep 37' };
+const dawEcho = { id: 'port-3', name: 'DAW Echo Out' };
+
+describe('DevicePolicy', () => {
+	test('allows every device and leaves channels unchanged by default', () => {
+		const policy = createPolicy({});
+
+		expect(policy.isAllowed(pads)).toBe(true);
+		expect(policy.resolveChannel(pads, 3)).toBe(3);
+		expect(policy.describe(pads)).toBe('ok');
+	});
+
+	test('deny matches name substrings case-insensitively and wins over allow', () => {
+		const policy = createPolicy({ allow: ['launchpad', 'echo'], deny: ['daw echo'] });
+
+		expect(policy.isAllowed(pads)).toBe(true);
+		expect(policy.isAllowed(keys)).toBe(false);
+		expect(policy.isAllowed(dawEcho)).toBe(false);
+		expect(policy.describe(dawEcho)).toBe('blocked');
+	});
+
+	test('matches exact port ids', () => {
+		const policy = createPolicy({ deny: ['port-2'] });
+
+		expect(policy.isAllowed(keys)).toBe(false);
+		expect(policy.isAllowed(pads)).toBe(true);
+	});
+
+	test('applies channel offsets and per-channel maps from settings', () => {
+		const policy = createPolicy({
+			channelRemap: [
+				{ device: 'Launchpad', channelOffset: 5 },
+				{ device: 'KeyStep', channels: { 0: 10 } }
+			]
+		});
+
+		expect(policy.resolveChannel(pads, 0)).toBe(5);
+		expect(policy.resolveChannel(pads, 14)).toBe(3);
+		expect(policy.describe(pads)).toBe('ch+5');
+		expect(policy.resolveChannel(keys, 0)).toBe(10);
+		expect(policy.resolveChannel(keys, 1)).toBe(1);
+		expect(policy.describe(keys)).toBe('ch map');
+
+		// Inverted to address a device's LEDs
+		expect(policy.getSourceChannels(pads, 3)).toEqual([14]);
+		expect(policy.getSourceChannels(keys, 10)).toEqual([0, 10]);
+		expect(policy.getSourceChannels(keys, 0)).toEqual([]);
+	});
+
+	test('overrides win over settings and persist per device name', () => {
+		const storage = createMemoryStorage();
+		const policy = createPolicy({ deny: ['echo'], channelRemap: [{ device: 'Launchpad', channelOffset: 5 }] }, storage);
+
+		policy.setEnabled(dawEcho, true);
+		expect(policy.setChannelOffset(pads, -1)).toBe(true);
+
+		expect(policy.isAllowed(dawEcho)).toBe(true);
+		expect(policy.resolveChannel(pads, 0)).toBe(15);
+
+		const reloaded = createPolicy({ deny: ['echo'] }, storage);
+		expect(reloaded.isAllowed(dawEcho)).toBe(true);
+		expect(reloaded.getChannelOffset(pads)).toBe(15);
+
+		reloaded.clear(dawEcho);
+		expect(reloaded.isAllowed(dawEcho)).toBe(false);
+	});
+
+	test('restoreDefaults drops overrides in memory only', () => {
+		const storage = createMemoryStorage();
+		const policy = createPolicy({}, storage);
+		policy.setEnabled(pads, false);
+
+		policy.restoreDefaults();
+
+		expect(policy.isAllowed(pads)).toBe(true);
+		expect(createPolicy({}, storage).isAllowed(pads)).toBe(false);
+	});
+
+	test('ignores malformed stored overrides', () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const corrupt = createMemoryStorage({ [settings.midiDevices.storageKey]: '{nope' });
+		expect(createPolicy({}, corrupt).isAllowed(pads)).toBe(true);
+
+		const invalid = createMemoryStorage({ [settings.midiDevices.storageKey]: JSON.stringify({ overrides: { [pads.name]: { enabled: 'no', channelOffset: 1.5 } } }) });
+		const policy = createPolicy({}, invalid);
+		expect(policy.isAllowed(pads)).toBe(true);
+		expect(policy.getChannelOffset(pads)).toBe(0);
+		warnSpy.mockRestore();
+	});
+});
+
+describe('AppState device policy', () => {
+	test('policy changes dispatch with the device description', () => {
+		const state = createAppState(settings, new ControlBindings(settings, null), new DevicePolicy(settings, null));
+		const changes = [];
+		state.subscribe(EVENT_MIDI_DEVICE_POLICY_CHANGED, event => changes.push(event.detail.policy));
+
+		state.setMidiInputEnabled(pads, false);
+		state.setMidiInputChannelOffset(pads, 2);
+		state.clearMidiInputPolicy(pads);
+
+		expect(changes).toEqual(['blocked', 'blocked', 'ok']);
+	});
+});
@@ -139,9 +139,21 @@ describe('EffectsManager', () => {
 		expect(em.noteOff(channel, -1)).toBe(false);
 	});
 
-	test('reserved notes (96-127) do not activate effects', () => {
+	test('palette notes (96-111) activate the palette effect', () => {
 		const channel = settings.channelMapping.mixedOutputEffects;
-		expect(em.noteOn(channel, 100, 100)).toBe(false);
+		expect(em.noteOn(channel, 100, 100)).toBe(true);
+		expect(em.getActiveMixedOutputEffects()).toEqual([expect.objectContaining({ type: 'palette', note: 100 })]);
+	});
+
+	test('feedback notes (112-119) activate the feedback effect', () => {
+		const channel = settings.channelMapping.globalEffects;
+		expect(em.noteOn(channel, 119, 100)).toBe(true);
+		expect(em.getActiveGlobalEffects()).toEqual([expect.objectContaining({ type: 'feedback', note: 119 })]);
+	});
+
+	test('reserved notes (120-127) do not activate effects', () => {
+		const channel = settings.channelMapping.mixedOutputEffects;
+		expect(em.noteOn(channel, 120, 100)).toBe(false);
 		expect(em.noteOn(channel, 127, 100)).toBe(false);
 		expect(em.hasMixedOutputEffects()).toBe(false);
 	});
@@ -161,4 +173,143 @@ describe('EffectsManager', () => {
 		expect(em.hasMixedOutputEffects()).toBe(false);
 		expect(em.hasGlobalEffects()).toBe(true);
 	});
+
+	test('setIntensity replaces velocity for a note or the whole channel, clamped to 1-127', () => {
+		const channel = settings.channelMapping.globalEffects;
+		em.noteOn(channel, 0, 100);
+		em.noteOn(channel, 16, 100);
+
+		expect(em.setIntensity(channel, 16, 40)).toBe(true);
+		expect(em.getActiveGlobalEffects().map(effect => effect.velocity)).toEqual([100, 40]);
+
+		expect(em.setIntensity(channel, null, 0)).toBe(true);
+		expect(em.getActiveGlobalEffects().map(effect => effect.velocity)).toEqual([1, 1]);
+
+		expect(em.setIntensity(channel, 50, 127)).toBe(false);
+		expect(em.setIntensity(settings.channelMapping.mixer, null, 127)).toBe(false);
+	});
+
+	test('setPluginRanges registers plugin notes and releases held effects whose note changed type', () => {
+		const channel = settings.channelMapping.mixedOutputEffects;
+		em.noteOn(channel, 100, 100);
+		em.noteOn(channel, 0, 100);
+
+		em.setPluginRanges([{ type: 'sparkle', range: { min: 96, max: 100 } }]);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.type)).toEqual(['split']);
+		expect(em.noteOn(channel, 96, 100)).toBe(true);
+		expect(em.noteOn(channel, 127, 100)).toBe(false);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.type)).toEqual(['split', 'sparkle']);
+
+		// The next project's plugins replace this one's
+		em.setPluginRanges([]);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.type)).toEqual(['split']);
+		expect(em.noteOn(channel, 96, 100)).toBe(true);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.type)).toEqual(['split', 'palette']);
+	});
+
+	test('setControl maps a CC onto the named parameters of the held effects until note off', () => {
+		const channel = settings.channelMapping.mixedOutputEffects;
+		const { displacement, probability } = settings.effectControls.glitch;
+		em.noteOn(channel, settings.effectRanges.glitch.min, 100);
+		em.noteOn(channel, settings.effectRanges.mirror.min, 100);
+		expect(em.getActiveMixedOutputEffects()[1].controls).toEqual({});
+
+		expect(em.setControl(channel, displacement.cc, 127)).toBe(true);
+		expect(em.setControl(channel, probability.cc, 0)).toBe(true);
+		const [mirror, glitch] = em.getActiveMixedOutputEffects();
+		expect(mirror.controls).toEqual({});
+		expect(glitch.controls).toEqual({ displacement: displacement.max, probability: probability.min });
+
+		// Unbound CCs, other channels and released notes are ignored
+		expect(em.setControl(channel, 99, 64)).toBe(false);
+		expect(em.setControl(settings.channelMapping.globalEffects, displacement.cc, 64)).toBe(false);
+		em.noteOff(channel, settings.effectRanges.glitch.min);
+		em.noteOn(channel, settings.effectRanges.glitch.min, 100);
+		expect(em.getActiveMixedOutputEffects()[1].controls).toEqual({});
+	});
+
+	test('stack applies every held note of a range, max only the strongest', () => {
+		const channel = settings.channelMapping.mixedOutputEffects;
+		const glitch = settings.effectRanges.glitch.min;
+		const strobe = settings.effectRanges.strobe.min;
+		em.setEffectChain({}, { glitch: 'stack', strobe: 'max' });
+
+		em.noteOn(channel, glitch + 1, 50);
+		em.noteOn(channel, glitch, 90);
+		em.noteOn(channel, strobe, 40);
+		em.noteOn(channel, strobe + 1, 100);
+		em.noteOn(channel, strobe + 2, 70);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.note)).toEqual([glitch, glitch + 1, strobe + 1]);
+
+		// Releasing the strongest note falls back to the next strongest
+		expect(em.noteOff(channel, strobe + 1)).toBe(true);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.note)).toEqual([glitch, glitch + 1, strobe + 2]);
+		expect(em.noteOff(channel, glitch + 1)).toBe(true);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.note)).toEqual([glitch, strobe + 2]);
+
+		// Back to last-wins: each range keeps only its latest held note
+		em.setEffectChain();
+		em.noteOn(channel, glitch + 2, 100);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.note)).toEqual([glitch + 2, strobe + 2]);
+	});
+
+	test('setEffectChain orders each channel by its list, then unlisted effects by note', () => {
+		const mixed = settings.channelMapping.mixedOutputEffects;
+		const global = settings.channelMapping.globalEffects;
+		for (const channel of [mixed, global]) {
+			em.noteOn(channel, settings.effectRanges.split.min, 100);
+			em.noteOn(channel, settings.effectRanges.mirror.min, 100);
+			em.noteOn(channel, settings.effectRanges.strobe.min, 100);
+			em.noteOn(channel, settings.effectRanges.color.min, 100);
+		}
+		expect(em.getActiveGlobalEffects().map(effect => effect.type)).toEqual(['split', 'mirror', 'color', 'strobe']);
+
+		em.setEffectChain({ globalEffects: ['strobe', 'color'] });
+		expect(em.getActiveGlobalEffects().map(effect => effect.type)).toEqual(['strobe', 'color', 'split', 'mirror']);
+		expect(em.getActiveMixedOutputEffects().map(effect => effect.type)).toEqual(['split', 'mirror', 'color', 'strobe']);
+	});
+
+	test('envelopes fade effects in from note on and out after note off', () => {
+		let now = 0;
+		const channel = settings.channelMapping.globalEffects;
+		const strobe = settings.effectRanges.strobe.min;
+		em = new EffectsManager({ now: () => now, bpmProvider: () => 120 });
+		em.setEnvelopes({ strobe: { attack: 100, hold: 200, release: 400 } });
+		const levels = () => em.getActiveGlobalEffects().map(effect => effect.level);
+
+		em.noteOn(channel, strobe, 100);
+		expect(levels()).toEqual([0]);
+		now = 50;
+		expect(levels()).toEqual([0.5]);
+
+		// Released during the attack: finish it, hold, then fade out
+		expect(em.noteOff(channel, strobe)).toBe(true);
+		expect(em.noteOff(channel, strobe)).toBe(false);
+		now = 250;
+		expect(levels()).toEqual([1]);
+		now = 500;
+		expect(levels()).toEqual([0.5]);
+		expect(em.hasGlobalEffects()).toBe(true);
+		now = 700;
+		expect(em.hasGlobalEffects()).toBe(false);
+		expect(levels()).toEqual([]);
+
+		// Effects without an envelope still switch instantly; settled chains are cached
+		em.noteOn(channel, settings.effectRanges.glitch.min, 100);
+		expect(levels()).toEqual([1]);
+		expect(em.getActiveGlobalEffects()).toBe(em.getActiveGlobalEffects());
+		em.noteOff(channel, settings.effectRanges.glitch.min);
+		expect(em.hasGlobalEffects()).toBe(false);
+	});
+
+	test('envelope times can be in beats', () => {
+		let now = 0;
+		const channel = settings.channelMapping.mixedOutputEffects;
+		em = new EffectsManager({ now: () => now, bpmProvider: () => 120 });
+		em.setEnvelopes({ glitch: { attack: 1, unit: 'beats' } });
+
+		em.noteOn(channel, settings.effectRanges.glitch.min, 100);
+		now = 250;
+		expect(em.getActiveMixedOutputEffects()[0].level).toBe(0.5);
+	});
 });
@@ -1,6 +1,7 @@
 import { describe, test, expect, vi, beforeEach } from 'vitest';
 import EffectsPipeline from '../src/js/visuals/effects/EffectsPipeline.js';
 import settings from '../src/js/core/settings.js';
+import appState from '../src/js/core/AppState.js';
 
 describe('EffectsPipeline', () => {
 	let pipeline;
@@ -165,4 +166,115 @@ describe('EffectsPipeline', () => {
 		// The effect should still work (color effect uses effectParams)
 		expect(mockCtx.getImageData).toHaveBeenCalled();
 	});
+
+	test('feedback keeps the previous frame of each context until its chain goes without feedback', () => {
+		const frames = [];
+		const createFeedbackCtx = () => {
+			let frameCount = 0;
+			return {
+				getImageData: vi.fn(() => {
+					const data = new Uint8ClampedArray(4 * 2 * 4);
+					// The first frame is white, later frames are black
+					data.fill(frameCount++ === 0 ? 255 : 0);
+					return { width: 4, height: 2, data };
+				}),
+				putImageData: vi.fn(imageData => frames.push(imageData.data[0]))
+			};
+		};
+		const ctx = createFeedbackCtx();
+		const otherCtx = createFeedbackCtx();
+		const trail = [{ type: 'feedback', note: settings.effectRanges.feedback.min, velocity: 127 }];
+		const renderContext = { width: 4, height: 2, bpm: 120 };
+
+		// First frame only records the output
+		pipeline.apply(ctx, trail, 0, renderContext);
+		expect(ctx.putImageData).not.toHaveBeenCalled();
+
+		// The other context has its own (empty) previous frame
+		pipeline.apply(otherCtx, trail, 0, renderContext);
+		expect(otherCtx.putImageData).not.toHaveBeenCalled();
+
+		pipeline.apply(ctx, trail, 16, renderContext);
+		expect(frames).toEqual([Math.round(255 * settings.effectParams.feedbackMaxDecay)]);
+
+		pipeline.invalidateFeedback(ctx);
+		pipeline.apply(ctx, trail, 32, renderContext);
+		expect(ctx.putImageData).toHaveBeenCalledTimes(1);
+
+		pipeline.apply(ctx, [{ type: 'color', note: 48, velocity: 127 }], 48, renderContext);
+		pipeline.apply(ctx, trail, 64, renderContext);
+		expect(ctx.putImageData).toHaveBeenCalledTimes(2);
+	});
+
+	test('a plugin effect may share its name with an Object.prototype member', () => {
+		const plugin = { type: 'toString', apply: vi.fn(() => true) };
+		pipeline.setPluginEffects([{ type: 'toString', range: { min: 120, max: 123 }, effect: plugin }]);
+
+		pipeline.apply(mockCtx, [{ type: 'toString', note: 121, velocity: 127 }], 1000, { width: 4, height: 2, bpm: 120 });
+
+		expect(plugin.apply).toHaveBeenCalledTimes(1);
+	});
+
+	test('plugin effects run with their own note range and are disabled when they throw', () => {
+		const errorSpy = vi.spyOn(appState, 'error').mockImplementation(() => {});
+		const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const sparkle = { type: 'sparkle', requiresNote: true, apply: vi.fn(() => true) };
+		const broken = {
+			type: 'broken',
+			apply: vi.fn(() => {
+				throw new Error('boom');
+			})
+		};
+		pipeline.setPluginEffects([
+			{ type: 'sparkle', range: { min: 120, max: 123 }, effect: sparkle },
+			{ type: 'broken', range: { min: 124, max: 127 }, effect: broken }
+		]);
+		const effects = [
+			{ type: 'broken', note: 124, velocity: 127 },
+			{ type: 'sparkle', note: 121, velocity: 127 }
+		];
+		const renderContext = { width: 4, height: 2, bpm: 120 };
+
+		expect(() => pipeline.apply(mockCtx, effects, 1000, renderContext)).not.toThrow();
+		expect(sparkle.apply).toHaveBeenCalledTimes(1);
+		expect(sparkle.apply.mock.calls[0][3].effectRanges.sparkle).toEqual({ min: 120, max: 123 });
+		expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('"broken"'));
+
+		pipeline.apply(mockCtx, effects, 1016, renderContext);
+		expect(broken.apply).toHaveBeenCalledTimes(1);
+		expect(sparkle.apply).toHaveBeenCalledTimes(2);
+		expect(errorSpy).toHaveBeenCalledTimes(1);
+
+		// Loading plugins again (a project load) gives the effect another chance
+		pipeline.setPluginEffects([{ type: 'broken', range: { min: 124, max: 127 }, effect: broken }]);
+		pipeline.apply(mockCtx, effects, 1032, renderContext);
+		expect(broken.apply).toHaveBeenCalledTimes(2);
+		expect(sparkle.apply).toHaveBeenCalledTimes(2);
+
+		errorSpy.mockRestore();
+		consoleErrorSpy.mockRestore();
+	});
+
+	test('setEffectParams swaps the parameters effects receive', () => {
+		const apply = () => pipeline.apply(mockCtx, [{ type: 'palette', note: settings.effectRanges.palette.min, velocity: 1 }], 1000, { width: 4, height: 2, bpm: 120 });
+		apply();
+		expect(mockCtx.putImageData).toHaveBeenCalledTimes(1);
+
+		pipeline.setEffectParams({ ...settings.effectParams, palettes: [] });
+		apply();
+		expect(mockCtx.putImageData).toHaveBeenCalledTimes(1);
+	});
+
+	test('effects below envelope level 1 are mixed with their input; level 0 skips them', () => {
+		const frame = { width: 4, height: 2, data: new Uint8ClampedArray(4 * 2 * 4) };
+		mockCtx.getImageData = vi.fn(() => frame);
+		const invert = { type: 'color', note: settings.effectRanges.color.min, velocity: 127 };
+
+		pipeline.apply(mockCtx, [{ ...invert, level: 0 }], 1000, { width: 4, height: 2, bpm: 120 });
+		expect(mockCtx.putImageData).not.toHaveBeenCalled();
+
+		pipeline.apply(mockCtx, [{ ...invert, level: 0.5 }], 1000, { width: 4, height: 2, bpm: 120 });
+		expect(mockCtx.putImageData).toHaveBeenCalledTimes(1);
+		expect(frame.data[0]).toBe(128);
+	});
 });
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for LayerBlender - per-slot blend modes and opacity when drawing clips.
+ */
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import LayerBlender from '../src/js/visuals/LayerBlender.js';
+import { BLEND_MODES } from '../src/js/visuals/clipMetadata.js';
+import { installMockCanvas, createMockCanvasContext } from './utils/rendererFixture.js';
+
+const WIDTH = 2;
+const HEIGHT = 1;
+const RENDERING = { imageSmoothingEnabled: false, imageSmoothingQuality: 'low' };
+
+/** A clip that records the context state it was drawn with */
+function createRecordingClip() {
+	const draws = [];
+	return {
+		draws,
+		renderToContext: vi.fn(ctx => draws.push({ ctx, compositeOperation: ctx.globalCompositeOperation, alpha: ctx.globalAlpha }))
+	};
+}
+
+function createTargetContext(pixels) {
+	const ctx = createMockCanvasContext();
+	ctx.globalCompositeOperation = 'source-over';
+	ctx.globalAlpha = 1;
+	ctx.getImageData = vi.fn(() => ({ width: WIDTH, height: HEIGHT, data: new Uint8ClampedArray(pixels) }));
+	return ctx;
+}
+
+describe('LayerBlender', () => {
+	let canvasMock;
+	let blender;
+
+	beforeEach(() => {
+		canvasMock = installMockCanvas();
+		blender = new LayerBlender(WIDTH, HEIGHT, RENDERING);
+	});
+
+	afterEach(() => {
+		blender.destroy();
+		canvasMock.restore();
+	});
+
+	test('draws normal, fully opaque clips directly', () => {
+		const ctx = createTargetContext([]);
+		const clip = createRecordingClip();
+
+		blender.renderClip(ctx, clip, 0, 'normal', 1);
+
+		expect(clip.draws).toEqual([{ ctx, compositeOperation: 'source-over', alpha: 1 }]);
+		expect(canvasMock.createdCanvases).toHaveLength(0);
+	});
+
+	test('maps arithmetic modes to canvas compositing and restores the context', () => {
+		const ctx = createTargetContext([]);
+		const clip = createRecordingClip();
+
+		blender.renderClip(ctx, clip, 0, 'add', 0.5);
+		blender.renderClip(ctx, clip, 0, 'difference', 1);
+		blender.renderClip(ctx, clip, 0, 'unknown', 0);
+
+		expect(clip.draws.map(({ compositeOperation, alpha }) => [compositeOperation, alpha])).toEqual([
+			['lighter', 0.5],
+			['difference', 1],
+			['source-over', 0]
+		]);
+		expect(ctx.globalCompositeOperation).toBe('source-over');
+		expect(ctx.globalAlpha).toBe(1);
+	});
+
+	test('combines bitwise modes pixel by pixel, weighted by source alpha and opacity', () => {
+		const ctx = createTargetContext([0b1100, 0b1010, 255, 255, 40, 50, 60, 255]);
+		const clip = createRecordingClip();
+		blender.renderClip(ctx, clip, 0, 'xor', 1);
+
+		const scratchContext = canvasMock.createdCanvases[0].getContext();
+		expect(clip.renderToContext).toHaveBeenCalledWith(scratchContext, 0);
+		scratchContext.getImageData = () => ({ data: new Uint8ClampedArray([0b1010, 0b1010, 255, 255, 255, 255, 255, 0]) });
+
+		blender.renderClip(ctx, clip, 0, 'xor', 0.5);
+
+		// Second pixel is transparent in the clip and stays untouched
+		const [{ data }] = ctx.putImageData.mock.calls[1];
+		expect(Array.from(data)).toEqual([9, 5, 128, 255, 40, 50, 60, 255]);
+	});
+
+	test('and/or keep only shared or combined bits', () => {
+		const clip = createRecordingClip();
+		blender.renderClip(createTargetContext([0, 0, 0, 255]), clip, 0, 'and', 1);
+		canvasMock.createdCanvases[0].getContext().getImageData = () => ({ data: new Uint8ClampedArray([0b0110, 0b0110, 0, 255]) });
+
+		const andContext = createTargetContext([0b0011, 0b0011, 255, 255]);
+		blender.renderClip(andContext, clip, 0, 'and', 1);
+		expect(Array.from(andContext.putImageData.mock.calls[0][0].data)).toEqual([0b0010, 0b0010, 0, 255]);
+
+		const orContext = createTargetContext([0b0011, 0b0011, 255, 255]);
+		blender.renderClip(orContext, clip, 0, 'or', 1);
+		expect(Array.from(orContext.putImageData.mock.calls[0][0].data)).toEqual([0b0111, 0b0111, 255, 255]);
+	});
+
+	test('supports every blend mode in BLEND_MODES', () => {
+		for (const blendMode of BLEND_MODES) {
+			const ctx = createTargetContext([0, 0, 0, 255, 0, 0, 0, 255]);
+			expect(() => blender.renderClip(ctx, createRecordingClip(), 0, blendMode, 1)).not.toThrow();
+		}
+	});
+});
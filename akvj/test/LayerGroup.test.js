@@ -354,4 +354,38 @@ describe('LayerGroup', () => {
 			expect(clipA.stop).not.toHaveBeenCalled();
 		});
 	});
+
+	describe('slot mix', () => {
+		test('slots start fully opaque with no blend mode override', () => {
+			expect(group.getSlotMix(2)).toEqual({ opacity: 1, blendMode: null });
+			expect(group.getSlotMix(5)).toBeNull();
+		});
+
+		test('sets clamped opacity and blend mode per slot, only for its own channels', () => {
+			expect(group.setSlotOpacity(1, 1.5)).toBe(true);
+			expect(group.setSlotOpacity(0, 0.25)).toBe(true);
+			expect(group.setSlotBlendMode(0, 'xor')).toBe(true);
+			expect(group.setSlotOpacity(5, 0.5)).toBe(false);
+			expect(group.setSlotBlendMode(5, 'add')).toBe(false);
+
+			expect(group.getSlotMix(0)).toEqual({ opacity: 0.25, blendMode: 'xor' });
+			expect(group.getSlotMix(1)).toEqual({ opacity: 1, blendMode: null });
+
+			group.destroy();
+			expect(group.getSlotMix(0)).toEqual({ opacity: 1, blendMode: null });
+		});
+
+		test('getActiveClipChannels lines up with getActiveClips', () => {
+			const clipA = createMockClip('a');
+			const clipB = createMockClip('b');
+			const clipC = createMockClip('c');
+			group.setClips({ 0: { 61: { 0: clipA } }, 2: { 60: { 0: clipB }, 62: { 0: clipC } } });
+			group.noteOn(2, 62, 127);
+			group.noteOn(0, 61, 127);
+			group.noteOn(2, 60, 127);
+
+			expect(group.getActiveClips()).toEqual([clipA, clipB, clipC]);
+			expect(group.getActiveClipChannels()).toEqual([0, 2, 2]);
+		});
+	});
 });
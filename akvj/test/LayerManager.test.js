@@ -1,5 +1,7 @@
 import { describe, test, expect, vi } from 'vitest';
 import LayerManager from '../src/js/visuals/LayerManager.js';
+import settings from '../src/js/core/settings.js';
+import LfoModulator from '../src/js/visuals/LfoModulator.js';
 
 describe('LayerManager', () => {
 	test('setClips distributes to layer groups', () => {
@@ -310,3 +312,178 @@ describe('LayerManager - clearClips (expanded)', () => {
 		expect(lm.getEffectsManager().hasGlobalEffects()).toBe(false);
 	});
 });
+
+describe('LayerManager - pad feedback queries', () => {
+	test('getMappedNotes lists clip notes and effect notes, skipping reserved and project selection channels', () => {
+		const lm = new LayerManager();
+		const mockClip = { play: vi.fn(), stop: vi.fn(), reset: vi.fn() };
+		lm.setClips({ 0: { 60: { 0: mockClip } }, 4: { 61: { 0: mockClip } }, 13: { 0: { 0: mockClip } }, 14: { 62: { 0: mockClip } } });
+
+		const mapped = lm.getMappedNotes();
+
+		expect(mapped).toContainEqual({ channel: 0, note: 60 });
+		expect(mapped).toContainEqual({ channel: 4, note: 61 });
+		expect(mapped).toContainEqual({ channel: 9, note: 0 });
+		expect(mapped).toContainEqual({ channel: 12, note: 0 });
+		expect(mapped.some(({ channel }) => channel === 13 || channel === 14)).toBe(false);
+	});
+
+	test('getActiveNotes reports playing clips, the current mask and active effects', () => {
+		const lm = new LayerManager();
+		const latchClip = { play: vi.fn(), stop: vi.fn(), reset: vi.fn(), triggerType: 'latch', isFinished: false };
+		const maskClip = { play: vi.fn(), stop: vi.fn(), reset: vi.fn() };
+		lm.setClips({ 0: { 60: { 0: latchClip } }, 4: { 61: { 0: maskClip } } });
+
+		lm.noteOn(0, 60, 127);
+		lm.noteOn(4, 61, 127);
+		lm.noteOn(9, 0, 127);
+
+		expect(lm.getActiveNotes()).toEqual([
+			{ channel: 0, note: 60, isLatched: true },
+			{ channel: 4, note: 61, isLatched: true },
+			{ channel: 9, note: 0, isLatched: false }
+		]);
+	});
+});
+
+describe('LayerManager - pitch bend and pressure modulation', () => {
+	const createScrubClip = () => ({ play: vi.fn(), stop: vi.fn(), reset: vi.fn(), setScrubPosition: vi.fn(), playbackMode: 'scrub', isFinished: false });
+
+	test('pitch bend scrubs the clips on its own channel only', () => {
+		const lm = new LayerManager();
+		const ownClip = createScrubClip();
+		const otherClip = createScrubClip();
+		lm.setClips({ 0: { 60: { 0: ownClip } }, 1: { 60: { 0: otherClip } } });
+		lm.noteOn(0, 60, 127);
+		lm.noteOn(1, 60, 127);
+
+		lm.handlePitchBend({ detail: { channel: 0, value: 0x3fff } });
+
+		expect(ownClip.setScrubPosition).toHaveBeenCalledWith(1);
+		expect(otherClip.setScrubPosition).not.toHaveBeenCalled();
+	});
+
+	test('poly pressure sets the intensity of the effect on its own note', () => {
+		const lm = new LayerManager();
+		lm.noteOn(9, 0, 100);
+		lm.noteOn(9, 16, 100);
+
+		lm.handlePolyPressure({ detail: { channel: 9, note: 16, pressure: 127 } });
+
+		expect(lm.getEffectsManager().getActiveMixedOutputEffects()).toEqual([
+			{ note: 0, velocity: 100, type: 'split', controls: {}, level: 1 },
+			{ note: 16, velocity: 127, type: 'mirror', controls: {}, level: 1 }
+		]);
+	});
+
+	test('channel pressure never releases an effect and is ignored as scrub by default', () => {
+		const lm = new LayerManager();
+		const clip = createScrubClip();
+		lm.setClips({ 0: { 60: { 0: clip } } });
+		lm.noteOn(0, 60, 127);
+		lm.noteOn(12, 0, 100);
+
+		lm.handleChannelPressure({ detail: { channel: 12, pressure: 0 } });
+		lm.handleChannelPressure({ detail: { channel: 0, pressure: 64 } });
+
+		expect(lm.getEffectsManager().getActiveGlobalEffects()).toEqual([{ note: 0, velocity: 1, type: 'split', controls: {}, level: 1 }]);
+		expect(clip.setScrubPosition).not.toHaveBeenCalled();
+	});
+});
+
+describe('LayerManager - slot blend CCs', () => {
+	const { opacityCC, blendModeCC } = settings.layerBlend;
+	const controlChange = (channel, controller, value) => ({ detail: { channel, controller, value } });
+
+	test('the opacity CC sets the opacity of the slot on its channel', () => {
+		const lm = new LayerManager();
+
+		lm.handleControlChange(controlChange(1, opacityCC, 0));
+		lm.handleControlChange(controlChange(10, opacityCC, 127));
+
+		expect(lm.getLayerGroupA().getSlotMix(1).opacity).toBe(0);
+		expect(lm.getLayerGroupA().getSlotMix(0).opacity).toBe(1);
+		expect(lm.getLayerGroupC().getSlotMix(10).opacity).toBe(1);
+	});
+
+	test('the blend mode CC selects a mode from its value, with 0 restoring the clips’ own', () => {
+		const lm = new LayerManager();
+		const layerGroupB = lm.getLayerGroupB();
+
+		lm.handleControlChange(controlChange(6, blendModeCC, 127));
+		expect(layerGroupB.getSlotMix(6).blendMode).toBe('or');
+
+		lm.handleControlChange(controlChange(6, blendModeCC, 20));
+		expect(layerGroupB.getSlotMix(6).blendMode).toBe('normal');
+
+		lm.handleControlChange(controlChange(6, blendModeCC, 0));
+		expect(layerGroupB.getSlotMix(6).blendMode).toBeNull();
+	});
+
+	test('slot CCs address the routed channel; scrub bindings the channel sent on', () => {
+		const lm = new LayerManager();
+
+		lm.handleControlChange({ detail: { channel: 5, controller: opacityCC, value: 0, sourceChannel: 2 } });
+		lm.handleControlChange({ detail: { channel: 5, controller: settings.scrub.crossfader_CC, value: 127, sourceChannel: 2 } });
+
+		expect(lm.getLayerGroupB().getSlotMix(5).opacity).toBe(0);
+		expect(lm.getLayerGroupA().getSlotMix(2).opacity).toBe(1);
+		expect(lm.getMaskManager().getCrossfade()).toBe(1);
+	});
+
+	test('ignores blend CCs on non Layer Group channels', () => {
+		const lm = new LayerManager();
+		expect(() => lm.handleControlChange(controlChange(9, opacityCC, 0))).not.toThrow();
+		expect(() => lm.handleControlChange(controlChange(4, blendModeCC, 64))).not.toThrow();
+	});
+});
+
+describe('LayerManager - effect controls', () => {
+	test('CCs on an effect channel set the parameters of its held effects', () => {
+		const lm = new LayerManager();
+		const channel = settings.channelMapping.globalEffects;
+		const { count } = settings.effectControls.split;
+		lm.noteOn(channel, settings.effectRanges.split.min, 100);
+
+		lm.handleControlChange({ detail: { channel, controller: count.cc, value: 127 } });
+
+		expect(lm.getEffectsManager().getActiveGlobalEffects()[0].controls).toEqual({ count: count.max });
+	});
+});
+
+describe('LayerManager - crossfader', () => {
+	test('the crossfader CC moves the crossfader on any channel', () => {
+		const lm = new LayerManager();
+		expect(lm.getMaskManager().getCrossfade()).toBeNull();
+
+		lm.handleControlChange({ detail: { channel: 7, controller: settings.scrub.crossfader_CC, value: 127 } });
+
+		expect(lm.getMaskManager().getCrossfade()).toBe(1);
+	});
+});
+
+describe('LayerManager - LFOs', () => {
+	test('LFOs write effect intensity, scrub, mask progress and slot opacity every frame', () => {
+		const clockSource = { subscribe: () => () => {} };
+		const lm = new LayerManager({ lfoModulator: new LfoModulator({ bpmProvider: () => 120, clockSource }) });
+		const clip = { play: vi.fn(), stop: vi.fn(), reset: vi.fn(), setScrubPosition: vi.fn(), playbackMode: 'scrub', isFinished: false };
+		lm.setClips({ 1: { 60: { 0: clip } } });
+		lm.noteOn(1, 60, 127);
+		lm.noteOn(12, 0, 100);
+		lm.setLfos([
+			{ target: 'effectIntensity', channel: 12, shape: 'square' },
+			{ target: 'scrub', channel: 1, shape: 'saw' },
+			{ target: 'opacity', channel: 6, shape: 'saw', min: 0.5 },
+			{ target: 'maskProgress', shape: 'saw' }
+		]);
+		const maskSpy = vi.spyOn(lm.getMaskManager(), 'setScrubPosition');
+
+		lm.updateLfos(0);
+		lm.updateLfos(250);
+
+		expect(lm.getEffectsManager().getActiveGlobalEffects()[0].velocity).toBe(1);
+		expect(clip.setScrubPosition).toHaveBeenLastCalledWith(0.5);
+		expect(lm.getLayerGroupB().getSlotMix(6).opacity).toBe(0.75);
+		expect(maskSpy).toHaveBeenLastCalledWith(0.5);
+	});
+});
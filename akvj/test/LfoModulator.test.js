@@ -0,0 +1,110 @@
+/**
+ * Unit tests for LfoModulator - LFO shapes, beat clock and clock locking.
+ */
+import { describe, test, expect, vi } from 'vitest';
+import LfoModulator from '../src/js/visuals/LfoModulator.js';
+import { EVENT_MIDI_CLOCK, EVENT_MIDI_SONG_POSITION, EVENT_MIDI_START, EVENT_TEMPO_PHASE_RESET } from '../src/js/core/AppState.js';
+
+// 120 BPM: one beat every 500 ms
+const BPM = 120;
+
+function createClockSource() {
+	const target = new EventTarget();
+	return {
+		subscribe: vi.fn((eventName, handler) => {
+			target.addEventListener(eventName, handler);
+			return () => target.removeEventListener(eventName, handler);
+		}),
+		emit: (eventName, detail) => target.dispatchEvent(new CustomEvent(eventName, { detail }))
+	};
+}
+
+function createModulator(lfos, clockSource = createClockSource()) {
+	const modulator = new LfoModulator({ bpmProvider: () => BPM, clockSource });
+	modulator.setLfos(lfos);
+	return modulator;
+}
+
+/** Values of every LFO at each timestamp */
+const valuesAt = (modulator, timestamps) => timestamps.map(timestamp => modulator.update(timestamp).map(({ value }) => value));
+
+describe('LfoModulator', () => {
+	test('shapes follow the beat and scale to min-max', () => {
+		const modulator = createModulator([
+			{ target: 'maskProgress', shape: 'saw' },
+			{ target: 'maskProgress', shape: 'sine' },
+			{ target: 'maskProgress', shape: 'square' },
+			{ target: 'maskProgress', shape: 'saw', beats: 2, min: 0.5, max: 1 }
+		]);
+
+		expect(valuesAt(modulator, [0, 250, 500])).toEqual([
+			[0, 0, 1, 0.5],
+			[0.5, 1, 0, 0.625],
+			[0, 0, 1, 0.75]
+		]);
+	});
+
+	test('phase offsets the cycle and random holds one value per cycle', () => {
+		const modulator = createModulator([
+			{ target: 'maskProgress', shape: 'saw', phase: 0.25 },
+			{ target: 'maskProgress', shape: 'random' }
+		]);
+
+		const [[saw, first], [, sameCycle], [, nextCycle]] = valuesAt(modulator, [0, 400, 600]);
+		expect(saw).toBe(0.25);
+		expect(sameCycle).toBe(first);
+		expect(nextCycle).not.toBe(first);
+		expect(
+			valuesAt(
+				createModulator([
+					{ target: 'maskProgress', shape: 'saw' },
+					{ target: 'maskProgress', shape: 'random' }
+				]),
+				[0]
+			)[0][1]
+		).toBe(first);
+	});
+
+	test('locks to the song position while the transport runs', () => {
+		const clockSource = createClockSource();
+		const modulator = createModulator([{ target: 'maskProgress', shape: 'saw', beats: 4 }], clockSource);
+		modulator.update(0);
+		modulator.update(100);
+
+		// Pulse 36 at 24 PPQN is beat 1.5; frames advance from the pulse's own time
+		clockSource.emit(EVENT_MIDI_CLOCK, { timestamp: 1000, position: 36, isTransportRunning: true });
+		expect(valuesAt(modulator, [1000, 1250])).toEqual([[0.375], [0.5]]);
+
+		// Free-running pulses only set the tempo
+		clockSource.emit(EVENT_MIDI_CLOCK, { timestamp: 1250, position: 0, isTransportRunning: false });
+		expect(modulator.beat).toBe(2);
+
+		clockSource.emit(EVENT_MIDI_SONG_POSITION, { position: 72, beat: 3 });
+		expect(modulator.beat).toBe(3);
+		clockSource.emit(EVENT_MIDI_START, {});
+		expect(modulator.beat).toBe(0);
+		modulator.update(2000);
+		modulator.update(2500);
+		clockSource.emit(EVENT_TEMPO_PHASE_RESET, {});
+		expect(modulator.beat).toBe(0);
+	});
+
+	test('skips invalid LFOs and only listens to the clock while LFOs run', () => {
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const clockSource = createClockSource();
+		const modulator = new LfoModulator({ bpmProvider: () => BPM, clockSource });
+		modulator.setLfos([]);
+		expect(clockSource.subscribe).not.toHaveBeenCalled();
+
+		modulator.setLfos([{ target: 'hue' }, { target: 'opacity' }, { target: 'scrub', channel: 0, beats: 0 }, { target: 'opacity', channel: 5, shape: 'triangle' }, { target: 'effectIntensity', channel: 12 }]);
+		expect(warn).toHaveBeenCalledTimes(4);
+		expect(modulator.update(0)).toEqual([{ target: 'effectIntensity', channel: 12, value: 0 }]);
+		expect(clockSource.subscribe).toHaveBeenCalledTimes(4);
+
+		modulator.destroy();
+		clockSource.emit(EVENT_MIDI_SONG_POSITION, { position: 48, beat: 2 });
+		expect(modulator.beat).toBe(0);
+		expect(modulator.update(500)).toEqual([]);
+		warn.mockRestore();
+	});
+});
@@ -5,6 +5,7 @@
 import { describe, test, expect, vi, beforeEach } from 'vitest';
 import MaskManager from '../src/js/visuals/MaskManager.js';
 import settings from '../src/js/core/settings.js';
+import withSettings from './utils/withSettings.js';
 
 function createMockMaskClip(bitDepth = 1) {
 	return {
@@ -186,4 +187,73 @@ describe('MaskManager', () => {
 			expect(clip.setScrubPosition).not.toHaveBeenCalled();
 		});
 	});
+
+	describe('crossfader', () => {
+		test('is untouched (null) until first moved, then clamps its position', () => {
+			expect(mm.getCrossfade()).toBeNull();
+
+			mm.setCrossfaderPosition(0.25);
+			expect(mm.getCrossfade()).toBe(0.25);
+			mm.setCrossfaderPosition(2);
+			expect(mm.getCrossfade()).toBe(1);
+		});
+
+		test('applies the configured curve and mode', () => {
+			mm.setCrossfaderPosition(0.25);
+
+			withSettings({ crossfader: { curve: 'smooth', mode: 'dissolve' } }, () => {
+				expect(mm.getCrossfade()).toBe(0.15625);
+				expect(mm.getCrossfadeMode()).toBe('dissolve');
+			});
+			withSettings({ crossfader: { curve: 'cut', mode: 'unknown' } }, () => {
+				expect(mm.getCrossfade()).toBe(0);
+				expect(mm.getCrossfadeMode()).toBe('threshold');
+			});
+		});
+
+		test('keeps its position when the mask is cleared but not after destroy', () => {
+			mm.setCrossfaderPosition(0.5);
+			mm.clear();
+			expect(mm.getCrossfade()).toBe(0.5);
+
+			mm.destroy();
+			expect(mm.getCrossfade()).toBeNull();
+		});
+	});
+
+	describe('generated masks', () => {
+		const { firstNote, generators } = settings.proceduralMasks;
+		const mixer = settings.channelMapping.mixer;
+
+		test('a held generated mask latches with the velocity as its progress', () => {
+			expect(mm.noteOn(mixer, firstNote, 127)).toBe(true);
+
+			const mask = mm.getCurrentMask();
+			expect(mask.generator).toBe(generators[0]);
+			expect(mask.sync).toBe('hold');
+			expect(mask.progress).toBe(1);
+			expect(mm.getBitDepth()).toBe(settings.proceduralMasks.bitDepth);
+
+			mm.setScrubPosition(0.25);
+			expect(mask.progress).toBe(0.25);
+		});
+
+		test('the second bank runs the same generators beat-synced', () => {
+			mm.noteOn(mixer, firstNote + generators.length + 1, 100);
+
+			expect(mm.getCurrentMask().generator).toBe(generators[1]);
+			expect(mm.getCurrentMask().sync).toBe('beat');
+		});
+
+		test('an authored mask clip on the same note takes precedence', () => {
+			const clip = createMockMaskClip(2);
+			mm.setClips({ [mixer]: { [firstNote]: { 0: clip } } });
+
+			mm.noteOn(mixer, firstNote, 127);
+
+			expect(mm.getCurrentMask()).toBe(clip);
+			expect(mm.getGeneratedMaskNotes()).not.toContain(firstNote);
+			expect(mm.getGeneratedMaskNotes()).toHaveLength(2 * generators.length - 1);
+		});
+	});
 });
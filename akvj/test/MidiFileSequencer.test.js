@@ -0,0 +1,252 @@
+/**
+ * Unit tests for Standard MIDI File sequencing (MidiFileSequencer) and the SequencerKeys toggle.
+ */
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createAppState, EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_PROJECT_LOAD_COMPLETE } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import DevicePolicy from '../src/js/midi-input/DevicePolicy.js';
+import MidiFileSequencer from '../src/js/midi-sequencer/MidiFileSequencer.js';
+import SequencerKeys from '../src/js/utils/SequencerKeys.js';
+import { encodeStandardMidiFile } from '../src/js/utils/standardMidiFile.js';
+import settings from '../src/js/core/settings.js';
+
+const TICKS_PER_BEAT = 96;
+const BEAT_MS = 500; // 120 BPM
+
+function createState() {
+	return createAppState(settings, new ControlBindings(settings, null), new DevicePolicy(settings, null));
+}
+
+/** Collects [eventName, detail] pairs for the given AppState events */
+function collectEvents(state, eventNames) {
+	const received = [];
+	for (const eventName of eventNames) {
+		state.subscribe(eventName, event => received.push([eventName, event.detail]));
+	}
+	return received;
+}
+
+/**
+ * A one-bar, two-track sequence: a kick on beat 0 (released on beat 1), a mixer CC on
+ * beat 2 and a note on beat 3 that is still held at the end of the bar.
+ */
+const SEQUENCE = encodeStandardMidiFile({
+	ticksPerBeat: TICKS_PER_BEAT,
+	tracks: [
+		[
+			{ tick: 0, type: 'channel', bytes: [0x90, 36, 100] },
+			{ tick: TICKS_PER_BEAT, type: 'channel', bytes: [0x80, 36, 0] }
+		],
+		[
+			{ tick: 0, type: 'channel', bytes: [0xc0, 5] },
+			{ tick: 2 * TICKS_PER_BEAT, type: 'channel', bytes: [0xb4, 19, 64] },
+			{ tick: 3 * TICKS_PER_BEAT, type: 'channel', bytes: [0x91, 40, 90] }
+		]
+	],
+	endTick: 4 * TICKS_PER_BEAT
+});
+
+const KICK_ON = [EVENT_MIDI_NOTE_ON, { channel: 0, note: 36, velocity: 100 }];
+const KICK_OFF = [EVENT_MIDI_NOTE_OFF, { channel: 0, note: 36 }];
+const MIXER_CC = [EVENT_MIDI_CONTROL_CHANGE, { channel: 4, controller: 19, value: 64, sourceChannel: 4 }];
+const LEAD_ON = [EVENT_MIDI_NOTE_ON, { channel: 1, note: 40, velocity: 90 }];
+const LEAD_OFF = [EVENT_MIDI_NOTE_OFF, { channel: 1, note: 40 }];
+
+describe('MidiFileSequencer', () => {
+	let state;
+	let sequencer;
+	let received;
+
+	function sendClockPulses(count) {
+		for (let pulse = 0; pulse < count; pulse++) {
+			state.dispatchMIDIClock(performance.now());
+		}
+	}
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] });
+		state = createState();
+		state.bpm = 120;
+		sequencer = new MidiFileSequencer(state, settings);
+		sequencer.setup();
+		received = collectEvents(state, [EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE]);
+	});
+
+	afterEach(() => {
+		sequencer.destroy();
+		state.reset();
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	test('merges the tracks of a file into one sequence', () => {
+		expect(sequencer.load(SEQUENCE)).toBe(4);
+
+		expect(sequencer.isLoaded).toBe(true);
+		expect(sequencer.lengthInBeats).toBe(4);
+		expect(sequencer.channels).toEqual([0, 1, 4]);
+		expect(received).toEqual([]);
+	});
+
+	test('start() plays at the current BPM and loops at the end of the file', () => {
+		sequencer.load(SEQUENCE);
+
+		expect(sequencer.start()).toBe(true);
+		expect(sequencer.sync).toBe('internal');
+		expect(received).toEqual([KICK_ON]);
+
+		vi.advanceTimersByTime(BEAT_MS);
+		expect(received).toEqual([KICK_ON, KICK_OFF]);
+
+		vi.advanceTimersByTime(3 * BEAT_MS);
+		// The held lead note is released at the loop point, before the kick plays again
+		expect(received).toEqual([KICK_ON, KICK_OFF, MIXER_CC, LEAD_ON, LEAD_OFF, KICK_ON]);
+		expect(sequencer.position).toBe(4);
+	});
+
+	test('follows tempo changes while playing', () => {
+		sequencer.load(SEQUENCE);
+		sequencer.start();
+
+		vi.advanceTimersByTime(BEAT_MS / 2);
+		// The second half of the beat takes twice as long
+		state.bpm = 60;
+		vi.advanceTimersByTime(BEAT_MS - 1);
+		expect(received).toEqual([KICK_ON]);
+
+		vi.advanceTimersByTime(1);
+		expect(received).toEqual([KICK_ON, KICK_OFF]);
+	});
+
+	test('stop() releases held notes and a sequence without loop stops at its end', () => {
+		const noLoopSettings = { ...settings, sequencer: { ...settings.sequencer, loop: false } };
+		const oneShot = new MidiFileSequencer(state, noLoopSettings);
+		oneShot.load(SEQUENCE);
+		oneShot.start();
+
+		vi.advanceTimersByTime(4 * BEAT_MS);
+		expect(oneShot.isPlaying).toBe(false);
+		expect(received.slice(-2)).toEqual([LEAD_ON, LEAD_OFF]);
+
+		oneShot.start();
+		oneShot.stop();
+		expect(received.slice(-2)).toEqual([KICK_ON, KICK_OFF]);
+		vi.advanceTimersByTime(10 * BEAT_MS);
+		expect(received.slice(-2)).toEqual([KICK_ON, KICK_OFF]);
+		oneShot.destroy();
+	});
+
+	test('follows MIDI clock between Start and Stop', () => {
+		sequencer.load(SEQUENCE);
+
+		state.dispatchMIDIStart();
+		expect(sequencer.sync).toBe('clock');
+		expect(received).toEqual([]);
+
+		sendClockPulses(1);
+		expect(received).toEqual([KICK_ON]);
+		sendClockPulses(settings.midi.ppqn - 1);
+		expect(received).toEqual([KICK_ON]);
+		sendClockPulses(1);
+		expect(received).toEqual([KICK_ON, KICK_OFF]);
+
+		// The internal clock cannot take over while the DAW transport runs
+		expect(sequencer.start()).toBe(false);
+
+		sendClockPulses(2 * settings.midi.ppqn);
+		state.dispatchMIDIStop();
+		expect(sequencer.isPlaying).toBe(false);
+		expect(received).toEqual([KICK_ON, KICK_OFF, MIXER_CC, LEAD_ON, LEAD_OFF]);
+
+		sendClockPulses(settings.midi.ppqn);
+		expect(received).toHaveLength(5);
+	});
+
+	test('Song Position Pointer and Continue resume mid-sequence, in later loops too', () => {
+		sequencer.load(SEQUENCE);
+
+		// 8 sixteenths = beat 2 of the second bar
+		state.dispatchMIDISongPosition(24);
+		state.dispatchMIDIContinue();
+		sendClockPulses(1);
+
+		expect(received).toEqual([MIXER_CC]);
+		expect(sequencer.position).toBe(6);
+	});
+
+	test('a sequence loaded while playing carries on from the current position', () => {
+		sequencer.load(SEQUENCE);
+		sequencer.start();
+		vi.advanceTimersByTime(1.5 * BEAT_MS);
+
+		sequencer.load(SEQUENCE);
+		vi.advanceTimersByTime(BEAT_MS / 2);
+
+		expect(received).toEqual([KICK_ON, KICK_OFF, MIXER_CC]);
+	});
+
+	test('loads the active project sequence and unloads it for projects without one', async () => {
+		const fetchMock = vi.fn(async url => (url === '/projects/demo/sequence.mid' ? new Response(SEQUENCE) : new Response('', { status: 404 })));
+		vi.stubGlobal('fetch', fetchMock);
+
+		await expect(sequencer.loadProject('demo')).resolves.toBe(true);
+		expect(sequencer.url).toBe('/projects/demo/sequence.mid');
+		expect(sequencer.isLoaded).toBe(true);
+
+		state.dispatchEvent(new CustomEvent(EVENT_PROJECT_LOAD_COMPLETE, { detail: { projectId: 'other' } }));
+		await vi.waitFor(() => expect(sequencer.isLoaded).toBe(false));
+		expect(fetchMock).toHaveBeenLastCalledWith('/projects/other/sequence.mid');
+		expect(sequencer.url).toBeNull();
+
+		await expect(sequencer.loadProject(null)).resolves.toBe(false);
+		expect(fetchMock).toHaveBeenLastCalledWith(settings.sequencer.defaultSequenceUrl);
+	});
+
+	test('treats an HTML fallback page as missing and warns about broken files', async () => {
+		const warn = vi.spyOn(state, 'warn').mockImplementation(() => {});
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		vi.stubGlobal('fetch', async () => new Response('<!doctype html>', { headers: { 'content-type': 'text/html' } }));
+		await expect(sequencer.loadProject('demo')).resolves.toBe(false);
+		expect(warn).not.toHaveBeenCalled();
+
+		vi.stubGlobal('fetch', async () => new Response(new Uint8Array([1, 2, 3])));
+		await expect(sequencer.loadProject('demo')).resolves.toBe(false);
+		expect(warn).toHaveBeenCalledWith(expect.stringContaining('Not a Standard MIDI File'));
+		console.error.mockRestore();
+	});
+});
+
+describe('SequencerKeys', () => {
+	let state;
+	let sequencerKeys;
+
+	function press(key, options = {}) {
+		document.dispatchEvent(new KeyboardEvent('keydown', { key, ...options }));
+	}
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] });
+		state = createState();
+		sequencerKeys = new SequencerKeys(state, settings);
+		sequencerKeys.setup();
+		sequencerKeys.sequencer.load(SEQUENCE);
+	});
+
+	afterEach(() => {
+		sequencerKeys.destroy();
+		state.reset();
+		vi.useRealTimers();
+	});
+
+	test('toggle key starts and stops the sequence', () => {
+		press(settings.sequencer.toggleKey.toUpperCase());
+		expect(sequencerKeys.sequencer.isPlaying).toBe(true);
+
+		press(settings.sequencer.toggleKey, { repeat: true });
+		press(settings.sequencer.toggleKey, { ctrlKey: true });
+		expect(sequencerKeys.sequencer.isPlaying).toBe(true);
+
+		press(settings.sequencer.toggleKey);
+		expect(sequencerKeys.sequencer.isPlaying).toBe(false);
+	});
+});
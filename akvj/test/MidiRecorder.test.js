@@ -0,0 +1,319 @@
+/**
+ * Unit tests for MIDI performance recording (MidiRecorder), replay (MidiPlayer),
+ * the recording JSON / Standard MIDI File format and the RecordingKeys controls.
+ */
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createAppState, EVENT_BPM_CHANGED, EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_MIDI_START, EVENT_MIDI_RECORDER_CHANGED, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import DevicePolicy from '../src/js/midi-input/DevicePolicy.js';
+import MidiRecorder from '../src/js/midi-recording/MidiRecorder.js';
+import MidiPlayer from '../src/js/midi-recording/MidiPlayer.js';
+import { createRecording, parseRecording, recordingFromStandardMidiFile, recordingToStandardMidiFile } from '../src/js/midi-recording/recordingFormat.js';
+import RecordingKeys from '../src/js/utils/RecordingKeys.js';
+import settings from '../src/js/core/settings.js';
+
+const CLOCK_INTERVAL_MS = 125 / 6; // 120 BPM at 24 PPQN
+
+function createState() {
+	return createAppState(settings, new ControlBindings(settings, null), new DevicePolicy(settings, null));
+}
+
+/** Event fields without the timestamp, for comparing timings separately */
+function withoutTime(events) {
+	return events.map(event => Object.fromEntries(Object.entries(event).filter(([key]) => key !== 'time')));
+}
+
+/** Collects [eventName, detail] pairs for the given AppState events */
+function collectEvents(state, eventNames) {
+	const received = [];
+	for (const eventName of eventNames) {
+		state.subscribe(eventName, event => received.push([eventName, event.detail]));
+	}
+	return received;
+}
+
+const PERFORMANCE = createRecording(
+	[
+		{ time: 0, type: 'start' },
+		{ time: 10, type: 'noteOn', channel: 0, note: 60, velocity: 100 },
+		{ time: 20.5, type: 'controlChange', channel: 4, controller: 19, value: 64 },
+		{ time: 30, type: 'pitchBend', channel: 5, value: 12000 },
+		{ time: 40, type: 'channelPressure', channel: 9, pressure: 90 },
+		{ time: 50, type: 'polyPressure', channel: 12, note: 48, pressure: 30 },
+		{ time: 60, type: 'projectSelection', note: 2 },
+		{ time: 65, type: 'sceneSelection', note: 1 },
+		{ time: 70, type: 'noteOff', channel: 0, note: 60 },
+		{ time: 80, type: 'songPosition', songPosition: 16 },
+		{ time: 90, type: 'stop' }
+	],
+	120
+);
+
+describe('MidiRecorder', () => {
+	let state;
+	let recorder;
+
+	beforeEach(() => {
+		state = createState();
+		recorder = new MidiRecorder(state, settings);
+	});
+
+	afterEach(() => {
+		recorder.destroy();
+	});
+
+	test('records AppState MIDI events with times relative to start', () => {
+		const nowSpy = vi.spyOn(performance, 'now');
+		recorder.start(1000);
+
+		nowSpy.mockReturnValue(1010);
+		state.dispatchMIDINoteOn(1, 60, 100);
+		nowSpy.mockReturnValue(1020.25);
+		state.dispatchMIDIControlChange(4, 19, 64);
+		state.dispatchMIDIClock(1030.5);
+		nowSpy.mockReturnValue(1040);
+		state.dispatchMIDINoteOff(1, 60);
+		nowSpy.mockRestore();
+
+		expect(recorder.stop().events).toEqual([
+			{ time: 10, type: 'noteOn', channel: 1, note: 60, velocity: 100 },
+			{ time: 20.25, type: 'controlChange', channel: 4, controller: 19, value: 64 },
+			{ time: 30.5, type: 'clock' },
+			{ time: 40, type: 'noteOff', channel: 1, note: 60 }
+		]);
+	});
+
+	test('records CCs on the channel the controller sent on, as replaying routes them again', () => {
+		state.controlBindings.bindChannel('channel.5', 2);
+		recorder.start();
+		state.dispatchMIDIControlChange(2, 19, 64);
+
+		expect(withoutTime(recorder.stop().events)).toEqual([{ type: 'controlChange', channel: 2, controller: 19, value: 64 }]);
+	});
+
+	test('records transport, song position and MIDI project and scene selection only', () => {
+		recorder.start();
+		state.dispatchMIDISongPosition(16);
+		state.dispatchMIDIContinue();
+		state.dispatchProjectSelection(3);
+		state.activeProjectId = 'other';
+		state.dispatchSceneSelection(1);
+		state.dispatchMIDIStop();
+
+		expect(withoutTime(recorder.stop().events)).toEqual([{ type: 'songPosition', songPosition: 16 }, { type: 'continue' }, { type: 'projectSelection', note: 3 }, { type: 'sceneSelection', note: 1 }, { type: 'stop' }]);
+	});
+
+	test('stop() ends capturing and a new start() discards the previous take', () => {
+		recorder.start();
+		state.dispatchMIDINoteOn(0, 60, 100);
+		recorder.stop();
+		state.dispatchMIDINoteOn(0, 61, 100);
+		expect(recorder.eventCount).toBe(1);
+
+		recorder.start();
+		expect(recorder.eventCount).toBe(0);
+	});
+
+	test('stores the BPM at start and reports its state', () => {
+		const states = collectEvents(state, [EVENT_MIDI_RECORDER_CHANGED]);
+		state.bpm = 128;
+		recorder.start();
+		state.dispatchMIDINoteOn(0, 60, 100);
+
+		expect(recorder.stop().bpm).toBe(128);
+		expect(states.map(([, detail]) => detail)).toEqual([
+			{ mode: 'recording', eventCount: 0 },
+			{ mode: 'idle', eventCount: 1 }
+		]);
+	});
+});
+
+describe('recording format', () => {
+	test('JSON round-trips through text', () => {
+		expect(parseRecording(JSON.stringify(PERFORMANCE), settings)).toEqual(PERFORMANCE);
+	});
+
+	test('Standard MIDI File round-trips every event type within a tick', () => {
+		const bytes = recordingToStandardMidiFile(PERFORMANCE, settings);
+		const msPerTick = 500 / settings.recording.ticksPerBeat;
+
+		expect(String.fromCharCode(...bytes.subarray(0, 4))).toBe('MThd');
+		const recording = parseRecording(bytes, settings);
+		expect(recording.bpm).toBeCloseTo(120, 6);
+		expect(withoutTime(recording.events)).toEqual(withoutTime(PERFORMANCE.events));
+		recording.events.forEach((event, index) => expect(Math.abs(event.time - PERFORMANCE.events[index].time)).toBeLessThanOrEqual(msPerTick / 2));
+	});
+
+	test('clock pulses travel as SMF escape events', () => {
+		const recording = createRecording([{ time: 0, type: 'clock' }], 120);
+		const bytes = recordingToStandardMidiFile(recording, settings);
+
+		// Delta 0, escape (0xF7), length 1, clock (0xF8)
+		expect([...bytes]).toEqual(expect.arrayContaining([0xf7, 0x01, 0xf8]));
+		expect(recordingFromStandardMidiFile(bytes, settings).events).toEqual([{ time: 0, type: 'clock' }]);
+	});
+
+	test('drops invalid events and rejects foreign data', () => {
+		const recording = parseRecording(
+			{
+				...PERFORMANCE,
+				events: [
+					{ time: 5, type: 'noteOn', channel: 0, note: 60 },
+					{ time: -1, type: 'stop' },
+					{ time: 3, type: 'bogus' },
+					{ time: 1, type: 'start' }
+				]
+			},
+			settings
+		);
+
+		expect(recording.events).toEqual([{ time: 1, type: 'start' }]);
+		expect(() => parseRecording({ events: [] }, settings)).toThrow('Not an AKVJ MIDI recording');
+		expect(() => parseRecording(new TextEncoder().encode('{"format":"other"}'), settings)).toThrow('Not an AKVJ MIDI recording');
+	});
+});
+
+describe('MidiPlayer', () => {
+	let state;
+	let player;
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] });
+		state = createState();
+		player = new MidiPlayer(state, settings);
+	});
+
+	afterEach(() => {
+		player.destroy();
+		state.reset();
+		vi.useRealTimers();
+	});
+
+	test('dispatches events into AppState at their recorded times', async () => {
+		const received = collectEvents(state, [EVENT_MIDI_START, EVENT_MIDI_NOTE_ON, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_MIDI_NOTE_OFF]);
+		expect(player.load(PERFORMANCE)).toBe(PERFORMANCE.events.length);
+		expect(player.duration).toBe(90);
+
+		const finished = player.play();
+		expect(received.map(([eventName]) => eventName)).toEqual([EVENT_MIDI_START]);
+
+		vi.advanceTimersByTime(25);
+		expect(received.map(([eventName]) => eventName)).toEqual([EVENT_MIDI_START, EVENT_MIDI_NOTE_ON, EVENT_MIDI_CONTROL_CHANGE]);
+		expect(received[1][1]).toEqual({ channel: 0, note: 60, velocity: 100 });
+
+		vi.advanceTimersByTime(100);
+		await finished;
+		expect(player.isPlaying).toBe(false);
+		expect(received.map(([eventName]) => eventName)).toEqual([EVENT_MIDI_START, EVENT_MIDI_NOTE_ON, EVENT_MIDI_CONTROL_CHANGE, EVENT_MIDI_PITCH_BEND, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_MIDI_NOTE_OFF]);
+		expect(state.transportBeat).toBe(4);
+		expect(state.isTransportRunning).toBe(false);
+	});
+
+	test('a replayed clock drives the clock BPM', () => {
+		const events = Array.from({ length: 96 }, (_, index) => ({ time: index * CLOCK_INTERVAL_MS, type: 'clock' }));
+		const bpmChanges = collectEvents(state, [EVENT_BPM_CHANGED]);
+		player.load(createRecording(events, 120));
+
+		player.play();
+		vi.advanceTimersByTime(96 * CLOCK_INTERVAL_MS);
+
+		expect(state.bpmSource).toBe('clock');
+		expect(state.bpm).toBeCloseTo(120, 1);
+		expect(bpmChanges.length).toBeGreaterThan(0);
+	});
+
+	test('stop() releases notes the replay still holds', async () => {
+		const noteOffs = collectEvents(state, [EVENT_MIDI_NOTE_OFF]);
+		player.load(PERFORMANCE);
+
+		const finished = player.play();
+		vi.advanceTimersByTime(15);
+		player.stop();
+		await finished;
+
+		expect(noteOffs.map(([, detail]) => detail)).toEqual([{ channel: 0, note: 60 }]);
+		vi.advanceTimersByTime(200);
+		expect(noteOffs).toHaveLength(1);
+	});
+
+	test('loads a Standard MIDI File', () => {
+		const received = collectEvents(state, [EVENT_MIDI_NOTE_ON]);
+		player.load(recordingToStandardMidiFile(PERFORMANCE, settings).buffer);
+
+		player.play();
+		vi.advanceTimersByTime(100);
+
+		expect(received.map(([, detail]) => detail)).toEqual([{ channel: 0, note: 60, velocity: 100 }]);
+	});
+
+	test('play() without a recording resolves immediately', async () => {
+		await expect(player.play()).resolves.toBeUndefined();
+		expect(player.isPlaying).toBe(false);
+	});
+});
+
+describe('RecordingKeys', () => {
+	let state;
+	let recordingKeys;
+
+	function press(key) {
+		document.dispatchEvent(new KeyboardEvent('keydown', { key }));
+	}
+
+	beforeEach(() => {
+		state = createState();
+		recordingKeys = new RecordingKeys(state, settings);
+		recordingKeys.setup();
+	});
+
+	afterEach(() => {
+		recordingKeys.destroy();
+		state.reset();
+	});
+
+	test('record key toggles recording and loads the take for replay', () => {
+		press('c');
+		expect(recordingKeys.recorder.isRecording).toBe(true);
+		state.dispatchMIDINoteOn(0, 60, 100);
+
+		press('C');
+		expect(recordingKeys.recorder.isRecording).toBe(false);
+		expect(recordingKeys.player.isLoaded).toBe(true);
+
+		press('p');
+		expect(recordingKeys.player.isPlaying).toBe(true);
+		press('p');
+		expect(recordingKeys.player.isPlaying).toBe(false);
+	});
+
+	test('export key downloads the recording', () => {
+		const createObjectURL = vi.fn(() => 'blob:recording');
+		const revokeObjectURL = vi.fn();
+		vi.stubGlobal('URL', { ...URL, createObjectURL, revokeObjectURL });
+		const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+		press('e');
+		expect(createObjectURL).not.toHaveBeenCalled();
+
+		press('c');
+		state.dispatchMIDINoteOn(0, 60, 100);
+		press('c');
+		press('e');
+
+		expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+		expect(click.mock.contexts[0].download).toMatch(/^akvj-recording-.*\.mid$/);
+		expect(revokeObjectURL).toHaveBeenCalledWith('blob:recording');
+		click.mockRestore();
+		vi.unstubAllGlobals();
+	});
+
+	test('ignores keys with modifiers and while typing', () => {
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'c', ctrlKey: true }));
+		const input = document.createElement('input');
+		document.body.appendChild(input);
+		input.dispatchEvent(new KeyboardEvent('keydown', { key: 'c', bubbles: true }));
+		input.remove();
+
+		expect(recordingKeys.recorder.isRecording).toBe(false);
+	});
+});
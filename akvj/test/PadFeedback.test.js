@@ -0,0 +1,108 @@
+/**
+ * Unit tests for PadFeedback (controller LED state derived from the LayerManager).
+ */
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import PadFeedback from '../src/js/midi-output/PadFeedback.js';
+import { createAppState, EVENT_MIDI_FEEDBACK } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import settings from '../src/js/core/settings.js';
+
+const { velocities } = settings.midiFeedback;
+
+function createFakeLayerManager() {
+	return {
+		mapped: [],
+		active: [],
+		getMappedNotes() {
+			return this.mapped;
+		},
+		getActiveNotes() {
+			return this.active;
+		}
+	};
+}
+
+describe('PadFeedback', () => {
+	let state;
+	let layerManager;
+	let feedback;
+	let sent;
+
+	beforeEach(() => {
+		state = createAppState(settings, new ControlBindings(settings, null));
+		layerManager = createFakeLayerManager();
+		sent = [];
+		state.subscribe(EVENT_MIDI_FEEDBACK, event => sent.push(event.detail.updates));
+		feedback = new PadFeedback(layerManager, state, settings);
+	});
+
+	afterEach(() => {
+		feedback.destroy();
+	});
+
+	test('lights mapped pads and colors active and latched pads', () => {
+		layerManager.mapped = [
+			{ channel: 0, note: 60 },
+			{ channel: 0, note: 61 },
+			{ channel: 0, note: 62 }
+		];
+		layerManager.active = [
+			{ channel: 0, note: 61, isLatched: false },
+			{ channel: 0, note: 62, isLatched: true }
+		];
+
+		feedback.refresh();
+
+		expect(sent).toEqual([
+			[
+				{ channel: 0, note: 60, velocity: velocities.mapped },
+				{ channel: 0, note: 61, velocity: velocities.active },
+				{ channel: 0, note: 62, velocity: velocities.latched }
+			]
+		]);
+	});
+
+	test('only sends pads whose state changed and turns off pads that disappeared', () => {
+		layerManager.mapped = [
+			{ channel: 0, note: 60 },
+			{ channel: 0, note: 61 }
+		];
+		feedback.refresh();
+		sent.length = 0;
+
+		layerManager.mapped = [{ channel: 0, note: 60 }];
+		layerManager.active = [{ channel: 0, note: 60, isLatched: false }];
+		feedback.refresh();
+		feedback.refresh();
+
+		expect(sent).toEqual([
+			[
+				{ channel: 0, note: 60, velocity: velocities.active },
+				{ channel: 0, note: 61, velocity: velocities.off }
+			]
+		]);
+	});
+
+	test('note events trigger one batched refresh', async () => {
+		layerManager.mapped = [{ channel: 0, note: 60 }];
+		layerManager.active = [{ channel: 0, note: 60, isLatched: false }];
+
+		state.dispatchMIDINoteOn(0, 60, 127);
+		state.dispatchMIDINoteOn(0, 60, 127);
+		await Promise.resolve();
+
+		expect(sent).toEqual([[{ channel: 0, note: 60, velocity: velocities.active }]]);
+	});
+
+	test('destroy turns off lit pads and stops listening', async () => {
+		layerManager.mapped = [{ channel: 0, note: 60 }];
+		feedback.refresh();
+		sent.length = 0;
+
+		feedback.destroy();
+		state.dispatchMIDINoteOn(0, 60, 127);
+		await Promise.resolve();
+
+		expect(sent).toEqual([[{ channel: 0, note: 60, velocity: velocities.off }]]);
+	});
+});
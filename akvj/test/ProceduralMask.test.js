@@ -0,0 +1,105 @@
+/**
+ * Unit tests for generated masks: the mask generator fields and ProceduralMask progress/rendering.
+ */
+import { describe, test, expect } from 'vitest';
+import ProceduralMask from '../src/js/visuals/ProceduralMask.js';
+import { MASK_GENERATORS, buildMaskField } from '../src/js/visuals/maskGenerators.js';
+
+const WIDTH = 4;
+const HEIGHT = 1;
+
+/** Render a mask into a fresh buffer and return the gray value of each pixel */
+function renderGrays(mask, timestamp = 0, width = WIDTH, height = HEIGHT) {
+	const pixels = new Uint8ClampedArray(width * height * 4);
+	mask.renderToMask(pixels, width, height, timestamp);
+	return Array.from({ length: width * height }, (_, pixel) => pixels[pixel * 4]);
+}
+
+describe('maskGenerators', () => {
+	test('every generator yields switch points in [0, 1) for each pixel', () => {
+		for (const generator of Object.keys(MASK_GENERATORS)) {
+			const field = buildMaskField(generator, 24, 14, 5);
+			expect(field).toHaveLength(24 * 14);
+			for (const value of field) {
+				expect(value).toBeGreaterThanOrEqual(0);
+				expect(value).toBeLessThan(1);
+			}
+		}
+	});
+
+	test('wipes follow their direction', () => {
+		expect(Array.from(buildMaskField('linearWipe', 4, 1))).toEqual([0.125, 0.375, 0.625, 0.875]);
+
+		const clock = buildMaskField('clockWipe', 3, 3);
+		// 12 o'clock switches first, then 3, 6 and 9 o'clock
+		const [top, right, bottom, left] = [clock[1], clock[5], clock[7], clock[3]];
+		expect(top).toBe(0);
+		expect(right).toBeCloseTo(0.25);
+		expect(bottom).toBeCloseTo(0.5);
+		expect(left).toBeCloseTo(0.75);
+
+		const radial = buildMaskField('radialWipe', 3, 3);
+		expect(radial[4]).toBe(0);
+		expect(radial[0]).toBeGreaterThan(radial[1]);
+	});
+
+	test('checkerboard switches even cells in the first half and odd cells in the second', () => {
+		const field = buildMaskField('checkerboard', 4, 2, 2);
+		expect(field[0]).toBeLessThan(0.5);
+		expect(field[2]).toBeGreaterThanOrEqual(0.5);
+	});
+
+	test('noise dissolve is the same on every build', () => {
+		expect(buildMaskField('noiseDissolve', 16, 8)).toEqual(buildMaskField('noiseDissolve', 16, 8));
+	});
+
+	test('rejects unknown generators', () => {
+		expect(() => buildMaskField('spiral', 4, 4)).toThrow('Unknown mask generator');
+	});
+});
+
+describe('ProceduralMask', () => {
+	test('a held 1-bit mask draws a hard edge at its progress', () => {
+		const mask = new ProceduralMask({ generator: 'linearWipe' });
+		expect(mask.playbackMode).toBe('scrub');
+		expect(mask.isFinished).toBe(false);
+		expect(renderGrays(mask)).toEqual([0, 0, 0, 0]);
+
+		mask.setScrubPosition(0.5);
+		expect(renderGrays(mask)).toEqual([255, 255, 0, 0]);
+
+		mask.setScrubPosition(1);
+		expect(renderGrays(mask)).toEqual([255, 255, 255, 255]);
+	});
+
+	test('higher bit depths draw a soft edge that still reaches all A and all B', () => {
+		const mask = new ProceduralMask({ generator: 'linearWipe', bitDepth: 8, softness: 0.5 });
+		expect(renderGrays(mask)).toEqual([0, 0, 0, 0]);
+
+		mask.setScrubPosition(0.5);
+		expect(renderGrays(mask)).toEqual([255, 191, 64, 0]);
+
+		mask.setScrubPosition(1);
+		expect(renderGrays(mask)).toEqual([255, 255, 255, 255]);
+	});
+
+	test('a beat-synced mask sweeps A→B→A over beatsPerCycle beats and ignores scrub', () => {
+		// 120 BPM, 4 beats per cycle → 2000 ms
+		const mask = new ProceduralMask({ generator: 'linearWipe', sync: 'beat', beatsPerCycle: 4, bpmProvider: () => 120 });
+		expect(mask.playbackMode).toBe('loop');
+		mask.setScrubPosition(1);
+
+		renderGrays(mask, 1000);
+		expect(mask.progress).toBe(0);
+		renderGrays(mask, 1500);
+		expect(mask.progress).toBe(0.5);
+		renderGrays(mask, 2000);
+		expect(mask.progress).toBe(1);
+		renderGrays(mask, 2500);
+		expect(mask.progress).toBe(0.5);
+
+		mask.reset();
+		renderGrays(mask, 9000);
+		expect(mask.progress).toBe(0);
+	});
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for background project loading (ProjectPreloader).
+ */
+import { describe, test, expect, vi } from 'vitest';
+import ProjectPreloader from '../src/js/visuals/ProjectPreloader.js';
+
+const MEGABYTE = 1024 * 1024;
+
+/** A preloader whose projects take `sizes[projectId]` megabytes and load when released by hand */
+function createPreloader(sizes, budgetMB) {
+	const pending = new Map();
+	const loadProject = vi.fn(
+		projectId =>
+			new Promise((resolve, reject) => {
+				pending.set(projectId, { resolve: () => resolve({ projectId, clips: {}, scenes: [], imageBytes: sizes[projectId] * MEGABYTE }), reject });
+			})
+	);
+	const releaseProject = vi.fn();
+	const preloader = new ProjectPreloader({ loadProject, releaseProject, budgetBytes: budgetMB * MEGABYTE });
+	/** Finish loading a project and let the preloader move on */
+	const finish = async projectId => {
+		pending.get(projectId).resolve();
+		await vi.waitFor(() => expect(preloader.isReady(projectId) || releaseProject.mock.calls.some(([project]) => project.projectId === projectId)).toBe(true));
+	};
+	return { preloader, loadProject, releaseProject, pending, finish };
+}
+
+describe('ProjectPreloader', () => {
+	test('loads projects one at a time, in order, within the memory budget', async () => {
+		const { preloader, loadProject, releaseProject, finish } = createPreloader({ a: 40, b: 40, c: 40 }, 100);
+		const done = preloader.preload(['a', 'b', 'c']);
+		expect(loadProject.mock.calls.map(([projectId]) => projectId)).toEqual(['a']);
+
+		await finish('a');
+		await finish('b');
+		await finish('c');
+		await done;
+
+		// c took the total past 100 MB
+		expect(preloader.preloadedProjectIds).toEqual(['a', 'b']);
+		expect(releaseProject).toHaveBeenCalledWith(expect.objectContaining({ projectId: 'c' }));
+	});
+
+	test('take() hands over a loaded project, and a later preload releases projects no longer wanted', async () => {
+		const { preloader, loadProject, releaseProject, finish } = createPreloader({ a: 10, b: 10 }, 100);
+		const done = preloader.preload(['a', 'b']);
+		await finish('a');
+		await finish('b');
+		await done;
+
+		const project = await preloader.take('a');
+		expect(project.projectId).toBe('a');
+		expect(preloader.isReady('a')).toBe(false);
+		expect(preloader.take('a')).toBeNull();
+
+		await preloader.preload([]);
+		expect(releaseProject).toHaveBeenCalledWith(expect.objectContaining({ projectId: 'b' }));
+		expect(releaseProject).not.toHaveBeenCalledWith(expect.objectContaining({ projectId: 'a' }));
+		expect(loadProject).toHaveBeenCalledTimes(2);
+	});
+
+	test('projects dropped or destroyed while loading are released once loaded', async () => {
+		const { preloader, releaseProject, pending } = createPreloader({ a: 10 }, 100);
+		const done = preloader.preload(['a']);
+		preloader.destroy();
+		pending.get('a').resolve();
+		await done;
+
+		expect(releaseProject).toHaveBeenCalledWith(expect.objectContaining({ projectId: 'a' }));
+		expect(preloader.preloadedProjectIds).toEqual([]);
+	});
+
+	test('a project that fails to load is skipped with a warning', async () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const { preloader, pending } = createPreloader({ a: 10 }, 100);
+		const done = preloader.preload(['a']);
+		pending.get('a').reject(new Error('HTTP error! status: 404'));
+		await done;
+
+		expect(preloader.isReady('a')).toBe(false);
+		expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('"a"'), expect.any(Error));
+		consoleWarnSpy.mockRestore();
+	});
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for project switch transitions (ProjectTransition).
+ */
+import { describe, test, expect, vi } from 'vitest';
+import ProjectTransition from '../src/js/visuals/ProjectTransition.js';
+
+const WIDTH = 4;
+const HEIGHT = 1;
+
+/** A context holding a single gray value per pixel (stored in the red channel) */
+function createGrayContext(grays) {
+	let pixels = new Uint8ClampedArray(grays.flatMap(gray => [gray, 0, 0, 255]));
+	return {
+		getImageData: () => ({ data: new Uint8ClampedArray(pixels) }),
+		putImageData: imageData => {
+			pixels = new Uint8ClampedArray(imageData.data);
+		},
+		fill(gray) {
+			pixels = new Uint8ClampedArray(grays.flatMap(() => [gray, 0, 0, 255]));
+		},
+		get grays() {
+			return Array.from({ length: WIDTH * HEIGHT }, (_, pixel) => pixels[pixel * 4]);
+		}
+	};
+}
+
+describe('ProjectTransition', () => {
+	test('a crossfade blends the old frame into each new one over its duration', () => {
+		const ctx = createGrayContext([0, 0, 0, 0]);
+		const fromCtx = createGrayContext([200, 200, 200, 200]);
+		const transition = new ProjectTransition(WIDTH, HEIGHT);
+		expect(transition.start({ type: 'crossfade', durationMs: 1000 })).toBe(true);
+		expect(transition.isActive).toBe(true);
+
+		transition.apply(ctx, fromCtx, 5000);
+		expect(ctx.grays).toEqual([200, 200, 200, 200]);
+
+		ctx.fill(0);
+		transition.apply(ctx, fromCtx, 5250);
+		expect(ctx.grays).toEqual([150, 150, 150, 150]);
+
+		ctx.fill(0);
+		transition.apply(ctx, fromCtx, 6000);
+		expect(ctx.grays).toEqual([0, 0, 0, 0]);
+		expect(transition.isActive).toBe(false);
+	});
+
+	test('blends whatever the old project renders on each frame, not a still', () => {
+		const ctx = createGrayContext([0, 0, 0, 0]);
+		const fromCtx = createGrayContext([200, 200, 200, 200]);
+		const transition = new ProjectTransition(WIDTH, HEIGHT);
+		transition.start({ type: 'crossfade', durationMs: 1000 });
+
+		transition.apply(ctx, fromCtx, 0);
+		ctx.fill(0);
+		fromCtx.fill(100);
+		transition.apply(ctx, fromCtx, 500);
+		expect(ctx.grays).toEqual([50, 50, 50, 50]);
+	});
+
+	test('a wipe reveals the new frame along the mask generator', () => {
+		const ctx = createGrayContext([0, 0, 0, 0]);
+		const fromCtx = createGrayContext([200, 200, 200, 200]);
+		const transition = new ProjectTransition(WIDTH, HEIGHT);
+		transition.start({ type: 'wipe', durationMs: 1000, generator: 'linearWipe' });
+
+		transition.apply(ctx, fromCtx, 0);
+		ctx.fill(0);
+		transition.apply(ctx, fromCtx, 500);
+		expect(ctx.grays).toEqual([0, 0, 200, 200]);
+	});
+
+	test('cuts, zero durations and unknown wipes do not transition', () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const transition = new ProjectTransition(WIDTH, HEIGHT);
+
+		expect(transition.start({ type: 'cut', durationMs: 1000 })).toBe(false);
+		expect(transition.isActive).toBe(false);
+		expect(transition.start({ type: 'crossfade', durationMs: 0 })).toBe(false);
+		expect(transition.start({ type: 'wipe', durationMs: 1000, generator: 'spiral' })).toBe(false);
+		expect(transition.isActive).toBe(false);
+		expect(consoleWarnSpy).toHaveBeenCalled();
+		consoleWarnSpy.mockRestore();
+	});
+});
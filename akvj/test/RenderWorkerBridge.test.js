@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the render worker's side of the appState bridge (RenderWorkerBridge).
+ */
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import RenderWorkerBridge from '../src/js/core/RenderWorkerBridge.js';
+import { createAppState, EVENT_MIDI_CLOCK, EVENT_MIDI_START, EVENT_MIDI_CONTINUE, EVENT_MIDI_STOP, EVENT_MIDI_SONG_POSITION, EVENT_MIDI_NOTE_ON, EVENT_PROJECT_SWITCH } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import settings from '../src/js/core/settings.js';
+
+class FakeWorkerScope extends EventTarget {
+	postMessage = vi.fn();
+
+	/** Deliver a message from the main thread */
+	send(data) {
+		this.dispatchEvent(new MessageEvent('message', { data }));
+	}
+}
+
+describe('RenderWorkerBridge', () => {
+	let state;
+	let scope;
+	let engine;
+	let createEngine;
+
+	beforeEach(() => {
+		state = createAppState(settings, new ControlBindings(settings, null));
+		scope = new FakeWorkerScope();
+		engine = { start: vi.fn() };
+		createEngine = vi.fn(() => engine);
+		new RenderWorkerBridge(scope, { state, createEngine }).start();
+	});
+
+	function sendInit(overrides = {}) {
+		const context = {};
+		const bindings = new ControlBindings(settings, null);
+		bindings.bindChannel('channel.5', 2);
+		scope.send({
+			type: 'init',
+			canvas: { getContext: () => context },
+			timeOrigin: performance.timeOrigin,
+			bpm: 140,
+			bpmSource: 'clock',
+			controlBindings: bindings.toJSON(),
+			...overrides
+		});
+		return { context, controlBindings: bindings.toJSON() };
+	}
+
+	test('init takes over the tempo and MIDI Learn table, then starts the engine on the canvas', () => {
+		const { context, controlBindings } = sendInit();
+
+		expect(state.bpm).toBe(140);
+		expect(state.bpmSource).toBe('clock');
+		expect(state.controlBindings.toJSON()).toEqual(controlBindings);
+		expect(createEngine).toHaveBeenCalledWith(context);
+		expect(engine.start).toHaveBeenCalledTimes(1);
+	});
+
+	test('moves clock pulses from the main thread onto the worker clock', () => {
+		const clock = vi.fn();
+		const noteOn = vi.fn();
+		state.subscribe(EVENT_MIDI_CLOCK, clock);
+		state.subscribe(EVENT_MIDI_NOTE_ON, noteOn);
+		// The main thread started a second before the worker
+		sendInit({ timeOrigin: performance.timeOrigin - 1000 });
+
+		scope.send({ type: 'event', name: EVENT_MIDI_CLOCK, detail: { timestamp: 5000, position: 0, isTransportRunning: false } });
+		scope.send({ type: 'event', name: EVENT_MIDI_NOTE_ON, detail: { channel: 0, note: 60, velocity: 100 } });
+
+		expect(clock.mock.calls[0][0].detail.timestamp).toBeCloseTo(4000);
+		expect(noteOn.mock.calls[0][0].detail).toEqual({ channel: 0, note: 60, velocity: 100 });
+	});
+
+	test('transport events from the main thread move the worker appState transport along', () => {
+		const songPosition = vi.fn();
+		state.subscribe(EVENT_MIDI_SONG_POSITION, songPosition);
+		sendInit();
+
+		scope.send({ type: 'event', name: EVENT_MIDI_START, detail: {} });
+		expect(state.isTransportRunning).toBe(true);
+		expect(state.transportBeat).toBe(0);
+
+		scope.send({ type: 'event', name: EVENT_MIDI_STOP, detail: {} });
+		// Song Position Pointer in sixteenth notes: 8 is two beats in
+		scope.send({ type: 'event', name: EVENT_MIDI_SONG_POSITION, detail: { position: 8 * settings.midi.clocksPerSongPositionUnit, beat: 2 } });
+		expect(state.isTransportRunning).toBe(false);
+		expect(state.transportBeat).toBe(2);
+		expect(songPosition.mock.calls[0][0].detail).toEqual({ position: 8 * settings.midi.clocksPerSongPositionUnit, beat: 2 });
+
+		scope.send({ type: 'event', name: EVENT_MIDI_CONTINUE, detail: {} });
+		scope.send({ type: 'event', name: EVENT_MIDI_CLOCK, detail: { timestamp: 5000, position: 2 * settings.midi.ppqn, isTransportRunning: true } });
+		expect(state.isTransportRunning).toBe(true);
+		expect(state.transportBeat).toBe(2 + 1 / settings.midi.ppqn);
+		// The tempo still comes from the main thread
+		expect(state.bpm).toBe(140);
+		expect(state.bpmSource).toBe('clock');
+	});
+
+	test('a clock pulse takes over the main thread transport of a worker started mid-song', () => {
+		sendInit();
+
+		scope.send({ type: 'event', name: EVENT_MIDI_CLOCK, detail: { timestamp: 5000, position: 4 * settings.midi.ppqn, isTransportRunning: true } });
+
+		expect(state.isTransportRunning).toBe(true);
+		expect(state.transportBeat).toBe(4 + 1 / settings.midi.ppqn);
+	});
+
+	test('posts what the engine reports back without echoing main thread events', () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		sendInit();
+
+		scope.send({ type: 'event', name: EVENT_PROJECT_SWITCH, detail: { projectId: 1 } });
+		expect(scope.postMessage).not.toHaveBeenCalled();
+
+		state.dispatchMIDIFeedback([{ channel: 0, note: 60, velocity: 5 }]);
+		expect(scope.postMessage).toHaveBeenCalledWith({ type: 'event', name: 'midiFeedback', detail: { updates: [{ channel: 0, note: 60, velocity: 5 }] } });
+
+		scope.send({ type: 'tempo', bpm: 100, bpmSource: 'manual' });
+		expect(state.bpm).toBe(100);
+		scope.send({ type: 'unknown' });
+		expect(consoleWarnSpy).toHaveBeenCalled();
+		consoleWarnSpy.mockRestore();
+	});
+});
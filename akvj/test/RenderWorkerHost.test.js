@@ -0,0 +1,119 @@
+/**
+ * Unit tests for bridging appState to the render worker (RenderWorkerHost).
+ */
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import RenderWorkerHost from '../src/js/core/RenderWorkerHost.js';
+import { createAppState, EVENT_MIDI_FEEDBACK, EVENT_PROJECT_SWITCH, EVENT_VIDEO_JOCKEY_READY } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import settings from '../src/js/core/settings.js';
+
+class FakeWorker extends EventTarget {
+	postMessage = vi.fn();
+	terminate = vi.fn();
+
+	/** Deliver a message from the worker's side */
+	send(data) {
+		this.dispatchEvent(new MessageEvent('message', { data }));
+	}
+
+	get messages() {
+		return this.postMessage.mock.calls.map(([message]) => message);
+	}
+}
+
+describe('RenderWorkerHost', () => {
+	let state;
+	let worker;
+	let offscreenCanvas;
+	let canvas;
+	let host;
+
+	beforeEach(() => {
+		state = createAppState(settings, new ControlBindings(settings, null));
+		worker = new FakeWorker();
+		offscreenCanvas = { width: settings.canvas.width, height: settings.canvas.height };
+		canvas = { transferControlToOffscreen: vi.fn(() => offscreenCanvas) };
+		host = new RenderWorkerHost(canvas, { state, createWorker: () => worker });
+	});
+
+	test('is only supported for canvases that can be transferred', () => {
+		expect(RenderWorkerHost.isSupported({})).toBe(false);
+		expect(RenderWorkerHost.isSupported(canvas)).toBe(typeof Worker === 'function');
+	});
+
+	test('start transfers the canvas along with the tempo and MIDI Learn table', () => {
+		host.start();
+		host.start();
+
+		expect(canvas.transferControlToOffscreen).toHaveBeenCalledTimes(1);
+		expect(worker.postMessage).toHaveBeenCalledTimes(1);
+		const [init, transfer] = worker.postMessage.mock.calls[0];
+		expect(init).toMatchObject({ type: 'init', canvas: offscreenCanvas, bpm: state.bpm, bpmSource: 'default', controlBindings: state.controlBindings.toJSON() });
+		expect(transfer).toEqual([offscreenCanvas]);
+	});
+
+	test('forwards MIDI and tempo to the worker and takes over what it reports without echoing it', () => {
+		const feedback = vi.fn();
+		state.subscribe(EVENT_MIDI_FEEDBACK, feedback);
+		host.start();
+
+		state.dispatchMIDINoteOn(0, 60, 100);
+		state.nudgeTempo(1);
+		expect(worker.messages.slice(1)).toEqual([
+			{ type: 'event', name: 'midiNoteOn', detail: { channel: 0, note: 60, velocity: 100 } },
+			{ type: 'tempo', bpm: settings.bpm.default + settings.tempo.nudgeStep, bpmSource: 'manual' }
+		]);
+
+		worker.send({ type: 'event', name: EVENT_PROJECT_SWITCH, detail: { projectId: 'neon' } });
+		worker.send({ type: 'event', name: EVENT_MIDI_FEEDBACK, detail: { updates: [{ channel: 0, note: 60, velocity: 5 }] } });
+
+		expect(state.activeProjectId).toBe('neon');
+		expect(feedback).toHaveBeenCalledWith(expect.objectContaining({ detail: { updates: [{ channel: 0, note: 60, velocity: 5 }] } }));
+		expect(worker.messages.some(message => message.name === EVENT_PROJECT_SWITCH)).toBe(false);
+	});
+
+	test('a worker that fails before the engine is ready reports the error and still dispatches ready', () => {
+		const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const errorSpy = vi.spyOn(state, 'error');
+		const ready = vi.fn();
+		state.subscribe(EVENT_VIDEO_JOCKEY_READY, ready);
+		host.start();
+
+		worker.dispatchEvent(new ErrorEvent('error', { message: 'Uncaught SyntaxError' }));
+		worker.dispatchEvent(new ErrorEvent('error'));
+
+		expect(errorSpy).toHaveBeenNthCalledWith(1, 'Rendering failed: Uncaught SyntaxError');
+		expect(errorSpy).toHaveBeenNthCalledWith(2, 'Rendering failed: the render worker failed to load');
+		expect(ready).toHaveBeenCalledTimes(1);
+		consoleErrorSpy.mockRestore();
+	});
+
+	test('errors once the engine is ready are only reported', () => {
+		const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const ready = vi.fn();
+		state.subscribe(EVENT_VIDEO_JOCKEY_READY, ready);
+		host.start();
+
+		worker.send({ type: 'event', name: EVENT_VIDEO_JOCKEY_READY, detail: {} });
+		worker.dispatchEvent(new ErrorEvent('error', { message: 'Uncaught TypeError' }));
+
+		expect(ready).toHaveBeenCalledTimes(1);
+		expect(consoleErrorSpy).toHaveBeenCalledWith('Render worker error:', 'Uncaught TypeError');
+		consoleErrorSpy.mockRestore();
+	});
+
+	test('sends the MIDI Learn table when learning ends, and stops bridging once destroyed', () => {
+		host.start();
+		state.armMidiLearn('scrub.mixer');
+		state.dispatchMIDIControlChange(1, 30, 64);
+
+		expect(worker.messages.at(-1)).toEqual({ type: 'controlBindings', controlBindings: state.controlBindings.toJSON() });
+		expect(worker.messages.at(-1).controlBindings.scrub.mixer).toEqual({ channel: 1, controller: 30 });
+
+		host.destroy();
+		const messageCount = worker.postMessage.mock.calls.length;
+		state.dispatchMIDINoteOn(0, 60, 100);
+		expect(worker.terminate).toHaveBeenCalled();
+		expect(worker.postMessage).toHaveBeenCalledTimes(messageCount);
+	});
+});
@@ -2,7 +2,7 @@ import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
 import Renderer from '../src/js/visuals/Renderer.js';
 import settings from '../src/js/core/settings.js';
 import withSettings from './utils/withSettings.js';
-import { installRAFMocks, restoreRAFMocks, installMockCanvas, createMockContext } from './utils/rendererFixture.js';
+import { installRAFMocks, restoreRAFMocks, installMockCanvas, createMockContext, createMockCanvasContext } from './utils/rendererFixture.js';
 
 describe('Renderer', () => {
 	let rafMocks;
@@ -170,6 +170,36 @@ describe('Renderer', () => {
 		expect(stopSpy).toHaveBeenCalled();
 	});
 
+	test('draws each slot with its blend mode and opacity, slot overrides first', () => {
+		const displayContext = createMockContext();
+		const draws = [];
+		const createClip = (name, blendMode, opacity) => ({ blendMode, opacity, renderToContext: vi.fn(ctx => draws.push([name, ctx.globalCompositeOperation, ctx.globalAlpha])) });
+		const slotMix = { 0: { opacity: 1, blendMode: null }, 1: { opacity: 0.5, blendMode: 'screen' } };
+		const layerGroupA = {
+			hasActiveClips: () => true,
+			getActiveClips: () => [createClip('base', 'normal', 1), createClip('own', 'multiply', 0.5), createClip('slot', 'add', 0.5)],
+			getActiveClipChannels: () => [0, 0, 1],
+			getSlotMix: channel => slotMix[channel]
+		};
+		const layerManager = {
+			getLayerGroupA: () => layerGroupA,
+			getLayerGroupB: () => ({ hasActiveClips: () => false, getActiveClips: () => [] }),
+			getLayerGroupC: () => ({ getActiveClips: () => [] }),
+			getMaskManager: () => ({ getCurrentMask: () => null }),
+			getEffectsManager: () => ({ hasMixedOutputEffects: () => false, hasGlobalEffects: () => false })
+		};
+
+		const renderer = new Renderer(displayContext, layerManager, settings, { bpm: 120 });
+		renderer.start();
+
+		expect(draws).toEqual([
+			['base', undefined, undefined],
+			['own', 'multiply', 0.5],
+			['slot', 'screen', 0.25]
+		]);
+		renderer.destroy();
+	});
+
 	test('passes RAF timestamp to clip render method', () => {
 		const displayContext = createMockContext();
 		let receivedTimestamp = null;
@@ -203,6 +233,64 @@ describe('Renderer', () => {
 		renderer.destroy();
 	});
 
+	test('keeps the previous layer manager playing through a project transition, then releases it', () => {
+		const displayContext = createMockCanvasContext();
+		const createLayerManager = clip => ({
+			getLayerGroupA: () => ({ hasActiveClips: () => true, getActiveClips: () => [clip] }),
+			getLayerGroupB: () => ({ hasActiveClips: () => false, getActiveClips: () => [] }),
+			getLayerGroupC: () => ({ getActiveClips: () => [] }),
+			getMaskManager: () => ({ getCurrentMask: () => null }),
+			getEffectsManager: () => ({ hasMixedOutputEffects: () => false, hasGlobalEffects: () => false })
+		});
+		const oldClip = { renderToContext: vi.fn() };
+		const newClip = { renderToContext: vi.fn() };
+		const oldLayerManager = createLayerManager(oldClip);
+		const newLayerManager = createLayerManager(newClip);
+		const onReleased = vi.fn();
+
+		const renderer = new Renderer(displayContext, oldLayerManager, settings, { bpm: 120 });
+		renderer.start();
+		const renderLoop = rafMocks.rafSpy.mock.calls[0][0];
+		renderer.transitionTo(newLayerManager, { type: 'crossfade', durationMs: 1000 }, onReleased);
+		oldClip.renderToContext.mockClear();
+
+		renderLoop(0);
+		renderLoop(500);
+		const renderedAt = clip => clip.renderToContext.mock.calls.map(([, timestamp]) => timestamp);
+		expect(renderedAt(oldClip)).toEqual([0, 500]);
+		expect(renderedAt(newClip)).toEqual([0, 500]);
+		expect(onReleased).not.toHaveBeenCalled();
+
+		renderLoop(1000);
+		expect(onReleased).toHaveBeenCalledWith(oldLayerManager);
+		oldClip.renderToContext.mockClear();
+		renderLoop(1100);
+		expect(oldClip.renderToContext).not.toHaveBeenCalled();
+		expect(renderedAt(newClip)).toEqual([0, 500, 1000, 1100]);
+		renderer.destroy();
+	});
+
+	test('releases the previous layer manager straight away on a cut, and on destroy mid-transition', () => {
+		const layerManager = {
+			getLayerGroupA: () => ({ hasActiveClips: () => false, getActiveClips: () => [] }),
+			getLayerGroupB: () => ({ hasActiveClips: () => false, getActiveClips: () => [] }),
+			getLayerGroupC: () => ({ getActiveClips: () => [] }),
+			getMaskManager: () => ({ getCurrentMask: () => null }),
+			getEffectsManager: () => ({ hasMixedOutputEffects: () => false, hasGlobalEffects: () => false })
+		};
+		const renderer = new Renderer(createMockCanvasContext(), layerManager, settings, { bpm: 120 });
+		const onCutReleased = vi.fn();
+		const onCrossfadeReleased = vi.fn();
+
+		renderer.transitionTo({ ...layerManager }, { type: 'cut', durationMs: 1000 }, onCutReleased);
+		expect(onCutReleased).toHaveBeenCalledWith(layerManager);
+
+		renderer.transitionTo(layerManager, { type: 'crossfade', durationMs: 1000 }, onCrossfadeReleased);
+		expect(onCrossfadeReleased).not.toHaveBeenCalled();
+		renderer.destroy();
+		expect(onCrossfadeReleased).toHaveBeenCalledTimes(1);
+	});
+
 	test('skips finished non-looping clips during render', () => {
 		const displayContext = createMockContext();
 		const finishedClip = { renderToContext: vi.fn(), isFinished: true };
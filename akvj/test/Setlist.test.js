@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the setlist running order (Setlist).
+ */
+import { describe, test, expect } from 'vitest';
+import Setlist from '../src/js/core/Setlist.js';
+
+const ENTRIES = [
+	{ project: 'intro', note: null, scene: null, label: null },
+	{ project: 'neon', note: 5, scene: 2, label: 'Neon drop' },
+	{ project: 'intro', note: null, scene: 1, label: null },
+	{ project: 'outro', note: 7, scene: null, label: null }
+];
+const PROJECTS_INDEX = [
+	{ id: 'intro', name: 'Intro' },
+	{ id: 'neon', name: 'Neon' }
+];
+
+describe('Setlist', () => {
+	test('steps forward and back within the list, starting from the first entry', () => {
+		const setlist = new Setlist({ name: 'Friday', entries: ENTRIES }, PROJECTS_INDEX);
+		expect(setlist.position).toBe(-1);
+		expect(setlist.indexAfterStep(-1)).toBe(0);
+		expect(setlist.indexAfterStep(1)).toBe(0);
+
+		setlist.position = 3;
+		expect(setlist.indexAfterStep(1)).toBe(-1);
+		expect(setlist.indexAfterStep(-1)).toBe(2);
+
+		setlist.position = 99;
+		expect(setlist.position).toBe(-1);
+	});
+
+	test('finds entries by note and by project', () => {
+		const setlist = new Setlist({ name: null, entries: ENTRIES });
+		expect(setlist.indexOfNote(7)).toBe(3);
+		expect(setlist.indexOfNote(0)).toBe(-1);
+		expect(setlist.indexOfProject('intro')).toBe(0);
+		expect(setlist.indexOfProject('missing')).toBe(-1);
+	});
+
+	test('lists upcoming projects once each, in running order', () => {
+		const setlist = new Setlist({ name: null, entries: ENTRIES });
+		expect(setlist.getUpcomingProjectIds()).toEqual(['intro', 'neon', 'outro']);
+		setlist.position = 1;
+		expect(setlist.getUpcomingProjectIds()).toEqual(['intro', 'outro']);
+	});
+
+	test('status labels entries by label, then project name, then project ID', () => {
+		const setlist = new Setlist({ name: 'Friday', entries: ENTRIES }, PROJECTS_INDEX);
+		expect(setlist.getStatus()).toEqual({ name: 'Friday', position: -1, length: 4, current: null, next: 'Intro' });
+
+		setlist.position = 0;
+		expect(setlist.getStatus()).toMatchObject({ current: 'Intro', next: 'Neon drop' });
+		setlist.position = 2;
+		expect(setlist.getStatus()).toMatchObject({ current: 'Intro', next: 'outro' });
+		setlist.position = 3;
+		expect(setlist.getStatus()).toMatchObject({ current: 'outro', next: null });
+	});
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for on-demand sprite loading within a memory budget (SpriteCache).
+ */
+import { describe, test, expect, vi } from 'vitest';
+import SpriteCache, { BYTES_PER_PIXEL } from '../src/js/visuals/SpriteCache.js';
+
+// Every test image is 10×10 pixels
+const IMAGE_BYTES = 10 * 10 * BYTES_PER_PIXEL;
+
+function createCache(budgetSprites, { failingPaths = [] } = {}) {
+	let now = 0;
+	const loadImage = vi.fn(async path => {
+		if (failingPaths.includes(path)) {
+			throw new Error(`Failed to load image: ${path}`);
+		}
+		return { width: 10, height: 10, path, close: vi.fn() };
+	});
+	const cache = new SpriteCache({ loadImage, budgetBytes: budgetSprites * IMAGE_BYTES, now: () => now });
+	const advance = ms => {
+		now += ms;
+	};
+	return { cache, loadImage, advance };
+}
+
+describe('SpriteCache', () => {
+	test('a first trigger is a miss that loads the sprite; later triggers are hits', async () => {
+		const { cache, loadImage } = createCache(4);
+		const sprite = cache.acquire('/a.png');
+		const sameSprite = cache.acquire('/a.png');
+		expect(sameSprite).toBe(sprite);
+		expect(sprite.image).toBeNull();
+
+		sprite.request();
+		await vi.waitFor(() => expect(sprite.image).not.toBeNull());
+		sprite.request();
+
+		expect(loadImage).toHaveBeenCalledTimes(1);
+		expect(cache.stats).toEqual({ usedBytes: IMAGE_BYTES, budgetBytes: 4 * IMAGE_BYTES, loaded: 1, total: 1, hits: 1, misses: 1, evictions: 0 });
+	});
+
+	test('evicts least recently used sprites past the budget, never resident ones or ones in use', async () => {
+		const { cache, advance } = createCache(2);
+		advance(10000);
+		const resident = cache.acquire('/resident.png', { isResident: true });
+		const older = cache.acquire('/older.png');
+		const newer = cache.acquire('/newer.png');
+		older.lastUsed = 1000;
+		newer.lastUsed = 2000;
+
+		await cache.load(resident);
+		await cache.load(older);
+		const olderImage = older.image;
+		await cache.load(newer);
+		expect(older.image).toBeNull();
+		expect(olderImage.close).toHaveBeenCalled();
+		expect(newer.image).not.toBeNull();
+		expect(resident.image).not.toBeNull();
+
+		// A sprite drawn within the last second stays, even over budget
+		newer.lastUsed = 10000;
+		older.request();
+		await vi.waitFor(() => expect(older.image).not.toBeNull());
+		expect(newer.image).not.toBeNull();
+		expect(cache.stats).toMatchObject({ loaded: 3, misses: 1, evictions: 1 });
+	});
+
+	test('a sprite leaves the cache with its last clip', async () => {
+		const { cache } = createCache(4);
+		const sprite = cache.acquire('/a.png');
+		cache.acquire('/a.png');
+		await cache.load(sprite);
+
+		sprite.release();
+		expect(cache.stats.loaded).toBe(1);
+		sprite.release();
+		expect(cache.stats).toMatchObject({ usedBytes: 0, loaded: 0, total: 0 });
+		expect(sprite.image).toBeNull();
+	});
+
+	test('an image that finishes loading after its sprite was released is closed', async () => {
+		const { cache, loadImage } = createCache(4);
+		const sprite = cache.acquire('/a.png');
+
+		const loading = cache.load(sprite);
+		sprite.release();
+		await loading;
+
+		const image = await loadImage.mock.results[0].value;
+		expect(image.close).toHaveBeenCalledTimes(1);
+		expect(sprite.image).toBeNull();
+		expect(cache.stats).toMatchObject({ usedBytes: 0, loaded: 0, total: 0 });
+	});
+
+	test('warm loads sprites in order until the budget is used, skipping failures', async () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const { cache } = createCache(2, { failingPaths: ['/broken.png'] });
+		const sprites = ['/broken.png', '/a.png', '/b.png', '/c.png'].map(path => cache.acquire(path));
+
+		await cache.warm(sprites);
+
+		expect(sprites.map(sprite => sprite.image !== null)).toEqual([false, true, true, false]);
+		expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('/broken.png'), expect.any(Error));
+		consoleWarnSpy.mockRestore();
+	});
+});
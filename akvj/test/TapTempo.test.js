@@ -0,0 +1,152 @@
+/**
+ * Unit tests for TapTempo and the AppState tap tempo / nudge / phase reset controls.
+ */
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import TapTempo from '../src/js/core/TapTempo.js';
+import { createAppState, EVENT_BPM_CHANGED, EVENT_TEMPO_TAP, EVENT_TEMPO_PHASE_RESET } from '../src/js/core/AppState.js';
+import ControlBindings from '../src/js/midi-input/ControlBindings.js';
+import DevicePolicy from '../src/js/midi-input/DevicePolicy.js';
+import TempoKeys from '../src/js/utils/TempoKeys.js';
+import settings from '../src/js/core/settings.js';
+
+describe('TapTempo', () => {
+	test('averages the intervals of the most recent taps', () => {
+		const tapTempo = new TapTempo(settings);
+		expect(tapTempo.tap(1000)).toBeNull();
+		expect(tapTempo.tap(1500)).toBe(120);
+		expect(tapTempo.tap(2000)).toBe(120);
+		// 500 + 500 + 600 ms
+		expect(tapTempo.tap(2600)).toBeCloseTo(60000 / (1600 / 3));
+		expect(tapTempo.tapCount).toBe(4);
+	});
+
+	test('only the last tapHistory taps count', () => {
+		const tapTempo = new TapTempo(settings);
+		let bpm = null;
+		for (const timestamp of [0, 1000, 2000, 2500, 3000, 3500, 4000]) {
+			bpm = tapTempo.tap(timestamp);
+		}
+		expect(bpm).toBe(120);
+	});
+
+	test('a pause longer than tapTimeoutMs starts a new sequence', () => {
+		const tapTempo = new TapTempo(settings);
+		tapTempo.tap(0);
+		tapTempo.tap(500);
+		expect(tapTempo.tap(500 + settings.tempo.tapTimeoutMs + 1)).toBeNull();
+		expect(tapTempo.tapCount).toBe(1);
+	});
+
+	test('ignores taps that are not later than the previous one', () => {
+		const tapTempo = new TapTempo(settings);
+		tapTempo.tap(1000);
+		expect(tapTempo.tap(1000)).toBeNull();
+		expect(tapTempo.tapCount).toBe(1);
+	});
+});
+
+describe('AppState tempo controls', () => {
+	let state;
+
+	beforeEach(() => {
+		state = createAppState(settings, new ControlBindings(settings, null), new DevicePolicy(settings, null));
+	});
+
+	afterEach(() => {
+		state.reset();
+	});
+
+	test('taps set the BPM with the manual source', () => {
+		const taps = [];
+		state.subscribe(EVENT_TEMPO_TAP, event => taps.push(event.detail));
+
+		state.tapTempo(0);
+		expect(state.bpmSource).toBe('default');
+		state.tapTempo(400);
+
+		expect(state.bpm).toBe(150);
+		expect(state.bpmSource).toBe('manual');
+		expect(taps).toEqual([
+			{ count: 1, bpm: null },
+			{ count: 2, bpm: 150 }
+		]);
+	});
+
+	test('nudge moves the BPM by nudgeStep within the configured range', () => {
+		state.nudgeTempo(1);
+		expect(state.bpm).toBe(settings.bpm.default + settings.tempo.nudgeStep);
+		expect(state.bpmSource).toBe('manual');
+
+		state.bpm = settings.bpm.min;
+		state.triggerTempoAction('nudgeDown');
+		expect(state.bpm).toBe(settings.bpm.min);
+	});
+
+	test('taps and nudges are ignored while MIDI clock drives the BPM', () => {
+		for (let pulse = 0; pulse < 8; pulse++) {
+			state.dispatchMIDIClock(pulse * 20);
+		}
+		expect(state.bpmSource).toBe('clock');
+		const clockBPM = state.bpm;
+		const bpmEvents = [];
+		state.subscribe(EVENT_BPM_CHANGED, event => bpmEvents.push(event.detail));
+
+		expect(state.tapTempo(1000)).toBe(false);
+		expect(state.tapTempo(1300)).toBe(false);
+		expect(state.nudgeTempo(1)).toBe(false);
+
+		expect(bpmEvents).toEqual([]);
+		expect(state.bpm).toBe(clockBPM);
+	});
+
+	test('phase reset is dispatched unless the DAW transport owns the phase', () => {
+		const resets = vi.fn();
+		state.subscribe(EVENT_TEMPO_PHASE_RESET, resets);
+
+		expect(state.triggerTempoAction('phaseReset')).toBe(true);
+		state.dispatchMIDIStart();
+		expect(state.resetTempoPhase()).toBe(false);
+		state.dispatchMIDIStop();
+		expect(state.resetTempoPhase()).toBe(true);
+
+		expect(resets).toHaveBeenCalledTimes(2);
+	});
+});
+
+describe('TempoKeys', () => {
+	let state;
+	let tempoKeys;
+
+	beforeEach(() => {
+		state = createAppState(settings, new ControlBindings(settings, null), new DevicePolicy(settings, null));
+		tempoKeys = new TempoKeys(state, settings);
+		tempoKeys.setup();
+	});
+
+	afterEach(() => {
+		tempoKeys.destroy();
+	});
+
+	test('configured keys trigger tempo actions; held tap keys fire once', () => {
+		const actionSpy = vi.spyOn(state, 'triggerTempoAction');
+
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'T' }));
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 't', repeat: true }));
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: '.', repeat: true }));
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'r' }));
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'r', ctrlKey: true }));
+
+		expect(actionSpy.mock.calls.map(([action]) => action)).toEqual(['tap', 'nudgeUp', 'phaseReset']);
+	});
+
+	test('keys typed into an input are ignored', () => {
+		const actionSpy = vi.spyOn(state, 'triggerTempoAction');
+		const input = document.createElement('input');
+		document.body.appendChild(input);
+
+		input.dispatchEvent(new KeyboardEvent('keydown', { key: 't', bubbles: true }));
+
+		expect(actionSpy).not.toHaveBeenCalled();
+		input.remove();
+	});
+});
@@ -0,0 +1,168 @@
+// @vitest-environment jsdom
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import appState, { EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT, EVENT_MIDI_AVAILABILITY_CHANGED } from '../src/js/core/AppState.js';
+import AkvjVirtualController from '../src/js/ui/VirtualController.js';
+import settings from '../src/js/core/settings.js';
+
+// The element registry outlives a test file's module graph, so `akvj-virtual-controller` may be
+// bound to another file's appState; a local subclass always uses the one imported here.
+const TEST_ELEMENT = 'test-akvj-virtual-controller';
+if (!customElements.get(TEST_ELEMENT)) {
+	customElements.define(TEST_ELEMENT, class extends AkvjVirtualController {});
+}
+
+describe('akvj-virtual-controller', () => {
+	/** @type {HTMLElement} */
+	let controller;
+	let received;
+	let unsubscribers;
+
+	function pads() {
+		return [...controller.querySelectorAll('.virtual-controller-pad')];
+	}
+
+	function pointer(type, target, pointerId = 1) {
+		const event = new Event(type, { bubbles: true, cancelable: true });
+		event.pointerId = pointerId;
+		target.dispatchEvent(event);
+	}
+
+	function key(type, keyName, options = {}) {
+		const event = new KeyboardEvent(type, { key: keyName, bubbles: true, cancelable: true, ...options });
+		document.dispatchEvent(event);
+		return event;
+	}
+
+	beforeEach(() => {
+		appState.reset();
+		received = [];
+		unsubscribers = [EVENT_MIDI_NOTE_ON, EVENT_MIDI_NOTE_OFF, EVENT_MIDI_CONTROL_CHANGE, EVENT_PROJECT_SWITCH, EVENT_SCENE_SELECT].map(eventName => appState.subscribe(eventName, event => received.push([eventName, event.detail])));
+		controller = document.createElement(TEST_ELEMENT);
+		document.body.append(controller);
+	});
+
+	afterEach(() => {
+		controller.remove();
+		unsubscribers.forEach(unsubscribe => unsubscribe());
+		appState.reset();
+	});
+
+	test('stays hidden while Web MIDI is available and opens when it is not', () => {
+		expect(controller.isVisible).toBe(false);
+
+		appState.midiAvailable = false;
+
+		expect(controller.isVisible).toBe(true);
+		expect(controller.hasAttribute('visible')).toBe(true);
+	});
+
+	test('AppState reports MIDI availability changes once', () => {
+		const changes = [];
+		const unsubscribe = appState.subscribe(EVENT_MIDI_AVAILABILITY_CHANGED, event => changes.push(event.detail.available));
+		appState.midiAvailable = false;
+		appState.midiAvailable = false;
+		unsubscribe();
+
+		expect(changes).toEqual([false]);
+		expect(appState.midiAvailable).toBe(false);
+	});
+
+	test('toggle key shows and hides the controller', () => {
+		key('keydown', settings.virtualController.toggleKey.toUpperCase());
+		expect(controller.isVisible).toBe(true);
+		key('keydown', settings.virtualController.toggleKey);
+		expect(controller.isVisible).toBe(false);
+	});
+
+	test('pads send note on and note off on the selected channel', () => {
+		controller.toggle();
+		pointer('pointerdown', pads()[5]);
+		expect(pads()[5].classList.contains('active')).toBe(true);
+		pointer('pointerup', pads()[5]);
+
+		expect(received).toEqual([
+			[EVENT_MIDI_NOTE_ON, { channel: 0, note: 5, velocity: settings.virtualController.velocity }],
+			[EVENT_MIDI_NOTE_OFF, { channel: 0, note: 5 }]
+		]);
+		expect(pads()[5].classList.contains('active')).toBe(false);
+	});
+
+	test('pad keys play while open and are not passed to other key handlers', () => {
+		const otherHandler = vi.fn();
+		document.addEventListener('keydown', otherHandler);
+
+		key('keydown', 'q');
+		expect(received).toEqual([]);
+		expect(otherHandler).toHaveBeenCalledTimes(1);
+
+		controller.toggle();
+		const keydown = key('keydown', 'Q');
+		key('keydown', 'q', { repeat: true });
+		key('keyup', 'q');
+		document.removeEventListener('keydown', otherHandler);
+
+		expect(keydown.defaultPrevented).toBe(true);
+		expect(otherHandler).toHaveBeenCalledTimes(1);
+		expect(received).toEqual([
+			[EVENT_MIDI_NOTE_ON, { channel: 0, note: 4, velocity: settings.virtualController.velocity }],
+			[EVENT_MIDI_NOTE_OFF, { channel: 0, note: 4 }]
+		]);
+	});
+
+	test('channel and bank keys move the grid; held notes end where they started', () => {
+		controller.toggle();
+		key('keydown', '1');
+		key('keydown', 'ArrowRight');
+		key('keydown', 'ArrowUp');
+		key('keyup', '1');
+
+		expect(controller.channel).toBe(1);
+		expect(controller.firstNote).toBe(16);
+		expect(pads()[0].textContent).toBe('16');
+		expect(received.at(-1)).toEqual([EVENT_MIDI_NOTE_OFF, { channel: 0, note: 0 }]);
+
+		key('keydown', 'ArrowLeft');
+		key('keydown', 'ArrowLeft');
+		expect(controller.channel).toBe(15);
+	});
+
+	test('pads on the project selection channel select a project', () => {
+		controller.toggle();
+		for (let step = 0; step < settings.channelMapping.projectSelection; step++) {
+			key('keydown', 'ArrowRight');
+		}
+		pointer('pointerdown', pads()[2]);
+		pointer('pointerup', pads()[2]);
+
+		expect(received).toEqual([[EVENT_PROJECT_SWITCH, { note: 2 }]]);
+	});
+
+	test('pads on the scene selection channel select a scene', () => {
+		controller.toggle();
+		for (let step = 0; step < settings.channelMapping.sceneSelection; step++) {
+			key('keydown', 'ArrowRight');
+		}
+		pointer('pointerdown', pads()[1]);
+		pointer('pointerup', pads()[1]);
+
+		expect(received).toEqual([[EVENT_SCENE_SELECT, { note: 1 }]]);
+	});
+
+	test('faders send the CC bound to their learn target', () => {
+		const faders = controller.querySelectorAll('.virtual-controller-faders input');
+		const mixerFader = faders[settings.virtualController.faders.indexOf('scrub.mixer')];
+		mixerFader.value = '90';
+		mixerFader.dispatchEvent(new Event('input'));
+
+		expect(received).toEqual([[EVENT_MIDI_CONTROL_CHANGE, { channel: 0, controller: settings.scrub.mixer_CC, value: 90, sourceChannel: 0 }]]);
+	});
+
+	test('hiding releases held pads', () => {
+		controller.toggle();
+		pointer('pointerdown', pads()[0]);
+		controller.toggle();
+
+		expect(received.at(-1)).toEqual([EVENT_MIDI_NOTE_OFF, { channel: 0, note: 0 }]);
+	});
+});
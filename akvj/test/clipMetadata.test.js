@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'vitest';
-import { normalizeClipMetadata, PLAYBACK_MODES, DEFAULT_FRAME_WIDTH, DEFAULT_FRAME_HEIGHT, DEFAULT_SCALE_MODE, DEFAULT_PLAYBACK, DEFAULT_TRIGGER_TYPE } from '../src/js/visuals/clipMetadata.js';
+import { normalizeClipMetadata, PLAYBACK_MODES, DEFAULT_FRAME_WIDTH, DEFAULT_FRAME_HEIGHT, DEFAULT_SCALE_MODE, DEFAULT_PLAYBACK, DEFAULT_TRIGGER_TYPE, DEFAULT_BLEND_MODE, DEFAULT_OPACITY } from '../src/js/visuals/clipMetadata.js';
 
 describe('normalizeClipMetadata', () => {
 	test('returns empty object for null/undefined input', () => {
@@ -122,6 +122,22 @@ describe('normalizeClipMetadata', () => {
 		expect(PLAYBACK_MODES).toEqual(['once', 'loop', 'pingpong', 'random', 'reverse', 'shuffle', 'scrub']);
 	});
 
+	test('normalizes blendMode and clamps opacity', () => {
+		const defaults = normalizeClipMetadata({ frames: 1, framesPerRow: 1 });
+		expect(defaults.blendMode).toBe(DEFAULT_BLEND_MODE);
+		expect(defaults.opacity).toBe(DEFAULT_OPACITY);
+
+		const result = normalizeClipMetadata({ frames: 1, framesPerRow: 1, blendMode: 'xor', opacity: 0.5 });
+		expect(result.blendMode).toBe('xor');
+		expect(result.opacity).toBe(0.5);
+
+		const invalid = normalizeClipMetadata({ frames: 1, framesPerRow: 1, blendMode: 'overlay', opacity: 3 });
+		expect(invalid.blendMode).toBe(DEFAULT_BLEND_MODE);
+		expect(invalid.opacity).toBe(1);
+		expect(normalizeClipMetadata({ frames: 1, framesPerRow: 1, opacity: -1 }).opacity).toBe(0);
+		expect(normalizeClipMetadata({ frames: 1, framesPerRow: 1, opacity: '0.5' }).opacity).toBe(DEFAULT_OPACITY);
+	});
+
 	test('round-trip: normalize → serialize → parse → normalize yields same result', () => {
 		const original = {
 			frames: 4,
@@ -1,6 +1,6 @@
 /**
  * Unit tests for individual pixel effect modules.
- * Tests mirror, offset, split, color, and pixelUtils directly with controlled pixel data.
+ * Tests mirror, offset, split, color, palette, feedback, and pixelUtils directly with controlled pixel data.
  */
 import { describe, test, expect, vi } from 'vitest';
 import mirrorEffect from '../src/js/visuals/effects/mirrorEffect.js';
@@ -9,6 +9,8 @@ import splitEffect from '../src/js/visuals/effects/splitEffect.js';
 import colorEffect from '../src/js/visuals/effects/colorEffect.js';
 import strobeEffect from '../src/js/visuals/effects/strobeEffect.js';
 import glitchEffect from '../src/js/visuals/effects/glitchEffect.js';
+import paletteEffect, { PALETTES } from '../src/js/visuals/effects/paletteEffect.js';
+import feedbackEffect, { FEEDBACK_MODES } from '../src/js/visuals/effects/feedbackEffect.js';
 import { transformCopy } from '../src/js/visuals/effects/pixelUtils.js';
 import { RGBA_CHANNEL_COUNT, MAX_COLOR_VALUE } from '../src/js/visuals/effects/effectConstants.js';
 import settings from '../src/js/core/settings.js';
@@ -283,6 +285,163 @@ describe('strobeEffect', () => {
 	});
 });
 
+describe('effect controls', () => {
+	test('split count, offset amount and posterize levels replace the values derived from note and velocity', () => {
+		const split = createImageData();
+		splitEffect.apply(split, { note: settings.effectRanges.split.min, velocity: 127 }, 0, { ...EFFECT_CONTEXT, controls: { count: 4 } });
+		// 4 horizontal sections of one pixel each: every pixel shows the first pixel of its row
+		expect(Array.from({ length: WIDTH }, (_, x) => split.data[x * RGBA_CHANNEL_COUNT])).toEqual([0, 0, 0, 0]);
+
+		const offset = createImageData();
+		offsetEffect.apply(offset, { note: settings.effectRanges.offset.min, velocity: 127 }, 0, { ...EFFECT_CONTEXT, controls: { amount: 0.25 } });
+		expect(offset.data[0]).toBe(1);
+
+		const posterized = createImageData();
+		posterized.data[0] = 200;
+		colorEffect.apply(posterized, { note: settings.effectRanges.color.min + settings.effectParams.effectVariantThreshold, velocity: 1 }, 0, { ...EFFECT_CONTEXT, controls: { levels: 2 } });
+		expect(posterized.data[0]).toBe(128);
+	});
+
+	test('glitch displacement and probability can switch the glitch off', () => {
+		const img = createImageData();
+		const before = Array.from(img.data);
+		expect(glitchEffect.apply(img, { velocity: 127 }, 0, { ...EFFECT_CONTEXT, controls: { probability: 0 } })).toBe(false);
+		expect(Array.from(img.data)).toEqual(before);
+	});
+});
+
+describe('paletteEffect', () => {
+	const BLACK_AND_WHITE = ['#000000', '#ffffff'];
+	const paletteContext = { ...EFFECT_CONTEXT, effectParams: { ...settings.effectParams, palettes: [BLACK_AND_WHITE, 'gameboy'] } };
+	const ditherNote = settings.effectRanges.palette.min + settings.effectParams.effectVariantThreshold;
+
+	function createGrayImage(gray) {
+		const img = createImageData();
+		for (let i = 0; i < img.data.length; i += RGBA_CHANNEL_COUNT) {
+			img.data.fill(gray, i, i + 3);
+		}
+		return img;
+	}
+
+	test('maps each pixel to the nearest palette color', () => {
+		const img = createGrayImage(0);
+		img.data.set([200, 180, 190], 0);
+		expect(paletteEffect.apply(img, { note: settings.effectRanges.palette.min, velocity: 1 }, 0, paletteContext)).toBe(true);
+		expect(Array.from(img.data.slice(0, 8))).toEqual([255, 255, 255, 255, 0, 0, 0, 255]);
+	});
+
+	test('the note picks the palette, by name or by color list', () => {
+		const img = createGrayImage(0);
+		paletteEffect.apply(img, { note: settings.effectRanges.palette.min + 1, velocity: 1 }, 0, paletteContext);
+		expect(Array.from(img.data.slice(0, 3))).toEqual([0x0f, 0x38, 0x0f]);
+		expect(PALETTES.gameboy[0]).toBe('#0f380f');
+	});
+
+	test('ordered dithering turns mid gray into a pattern of both colors', () => {
+		const img = createGrayImage(128);
+		paletteEffect.apply(img, { note: ditherNote, velocity: 1 }, 0, paletteContext);
+		const reds = Array.from({ length: WIDTH * HEIGHT }, (_, pixel) => img.data[pixel * RGBA_CHANNEL_COUNT]);
+		expect(reds).toContain(0);
+		expect(reds).toContain(255);
+
+		const plain = createGrayImage(128);
+		paletteEffect.apply(plain, { note: settings.effectRanges.palette.min, velocity: 1 }, 0, paletteContext);
+		expect(new Set(Array.from({ length: WIDTH * HEIGHT }, (_, pixel) => plain.data[pixel * RGBA_CHANNEL_COUNT])).size).toBe(1);
+	});
+
+	test('high velocities cycle the palette colors once per beat', () => {
+		// 120 BPM → 500 ms per beat
+		const note = settings.effectRanges.palette.min;
+		const onBeatOne = createGrayImage(0);
+		paletteEffect.apply(onBeatOne, { note, velocity: 127 }, 500, paletteContext);
+		expect(onBeatOne.data[0]).toBe(255);
+
+		const onBeatTwo = createGrayImage(0);
+		paletteEffect.apply(onBeatTwo, { note, velocity: 127 }, 1000, paletteContext);
+		expect(onBeatTwo.data[0]).toBe(0);
+
+		const lowVelocity = createGrayImage(0);
+		paletteEffect.apply(lowVelocity, { note, velocity: 63 }, 500, paletteContext);
+		expect(lowVelocity.data[0]).toBe(0);
+	});
+
+	test('returns false for notes without a valid palette', () => {
+		const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const context = { ...EFFECT_CONTEXT, effectParams: { ...settings.effectParams, palettes: [['#zzzzzz'], 'unknown'] } };
+		expect(paletteEffect.apply(createGrayImage(0), { note: settings.effectRanges.palette.min, velocity: 1 }, 0, context)).toBe(false);
+		expect(paletteEffect.apply(createGrayImage(0), { note: settings.effectRanges.palette.min + 1, velocity: 1 }, 0, context)).toBe(false);
+		expect(paletteEffect.apply(createGrayImage(0), { note: settings.effectRanges.palette.min + 5, velocity: 1 }, 0, context)).toBe(false);
+		consoleWarnSpy.mockRestore();
+	});
+
+	test('has type "palette" and requiresNote', () => {
+		expect(paletteEffect.type).toBe('palette');
+		expect(paletteEffect.requiresNote).toBe(true);
+	});
+});
+
+describe('feedbackEffect', () => {
+	const feedbackParams = { ...settings.effectParams, feedbackMaxDecay: 0.5, feedbackZoomStep: 1, feedbackSmearPixels: 1 };
+
+	/** Run a mode over a black frame whose previous frame had one pixel lit (default: top left) */
+	function applyAfterLitPixel(mode, velocity = 127, litPixel = 0) {
+		const feedbackFrame = { pixels: new Uint8ClampedArray(BYTE_COUNT), hasFrame: true, isUsed: false };
+		feedbackFrame.pixels.set([200, 200, 200, 255], litPixel * RGBA_CHANNEL_COUNT);
+		const img = { data: new Uint8ClampedArray(BYTE_COUNT), width: WIDTH, height: HEIGHT };
+		const note = settings.effectRanges.feedback.min + FEEDBACK_MODES.indexOf(mode);
+		const result = feedbackEffect.apply(img, { note, velocity }, 0, { ...EFFECT_CONTEXT, effectParams: feedbackParams, feedbackFrame });
+		return { result, img, feedbackFrame };
+	}
+
+	/** Red value of each pixel */
+	function reds(img) {
+		return Array.from({ length: WIDTH * HEIGHT }, (_, pixel) => img.data[pixel * RGBA_CHANNEL_COUNT]);
+	}
+
+	test('the first frame is only recorded', () => {
+		const feedbackFrame = { pixels: new Uint8ClampedArray(BYTE_COUNT), hasFrame: false, isUsed: false };
+		const img = createImageData();
+		const result = feedbackEffect.apply(img, { note: settings.effectRanges.feedback.min, velocity: 127 }, 0, { ...EFFECT_CONTEXT, feedbackFrame });
+		expect(result).toBe(false);
+		expect(feedbackFrame).toMatchObject({ hasFrame: true, isUsed: true });
+		expect(feedbackFrame.pixels).toEqual(img.data);
+	});
+
+	test('trail keeps the decayed previous frame, scaled by velocity', () => {
+		const { result, img, feedbackFrame } = applyAfterLitPixel('trail');
+		expect(result).toBe(true);
+		expect(reds(img)).toEqual([100, 0, 0, 0, 0, 0, 0, 0]);
+		// The combined output becomes the next previous frame
+		expect(feedbackFrame.pixels[0]).toBe(100);
+
+		expect(reds(applyAfterLitPixel('trail', 0).img)[0]).toBe(0);
+	});
+
+	test('blend mixes the previous frame into the output', () => {
+		const { img } = applyAfterLitPixel('blend');
+		expect(Array.from(img.data.slice(0, 4))).toEqual([100, 100, 100, 128]);
+	});
+
+	test('smear drags the previous frame one way', () => {
+		expect(reds(applyAfterLitPixel('smearRight').img)).toEqual([0, 100, 0, 0, 0, 0, 0, 0]);
+		expect(reds(applyAfterLitPixel('smearDown').img)).toEqual([0, 0, 0, 0, 100, 0, 0, 0]);
+		expect(reds(applyAfterLitPixel('smearLeft').img)).toEqual([0, 0, 0, 0, 0, 0, 0, 0]);
+	});
+
+	test('zoom feedback grows out of or shrinks into the centre', () => {
+		// Zooming in ×2 around the centre of a 4×2 frame spreads pixel 1 outwards over pixels 0 and 1
+		expect(reds(applyAfterLitPixel('zoomIn', 127, 1).img)).toEqual([100, 100, 0, 0, 0, 0, 0, 0]);
+		// Zooming out ×2 pulls pixel 3 in towards the centre
+		expect(reds(applyAfterLitPixel('zoomOut', 127, 3).img)).toEqual([0, 0, 100, 0, 0, 0, 0, 0]);
+	});
+
+	test('has type "feedback" and requiresNote', () => {
+		expect(feedbackEffect.type).toBe('feedback');
+		expect(feedbackEffect.requiresNote).toBe(true);
+		expect(FEEDBACK_MODES).toHaveLength(settings.effectRanges.feedback.max - settings.effectRanges.feedback.min + 1);
+	});
+});
+
 describe('transformCopy (pixelUtils)', () => {
 	test('identity transform copies pixels unchanged', () => {
 		const pixels = new Uint8ClampedArray(BYTE_COUNT);
@@ -220,10 +220,10 @@ describe('EffectsManager', () => {
 		const effects = new EffectsManager();
 		const channel = settings.channelMapping.mixedOutputEffects;
 
-		// Reserved note range 96-127
-		effects.noteOn(channel, 100, 100);
+		// Reserved note range 120-127
+		effects.noteOn(channel, 120, 100);
 		expect(effects.hasMixedOutputEffects()).toBe(false);
-		expect(effects.noteOff(channel, 100)).toBe(false);
+		expect(effects.noteOff(channel, 120)).toBe(false);
 	});
 });
 
@@ -311,13 +311,15 @@ describe('Channel Mapping from Settings', () => {
 
 	test('effect ranges cover expected note ranges', () => {
 		// Match actual settings values
-		expect(settings.effectRanges.split).toEqual({ min: 0, max: 15 });
-		expect(settings.effectRanges.mirror).toEqual({ min: 16, max: 31 });
-		expect(settings.effectRanges.offset).toEqual({ min: 32, max: 47 });
-		expect(settings.effectRanges.color).toEqual({ min: 48, max: 63 });
-		expect(settings.effectRanges.glitch).toEqual({ min: 64, max: 79 });
-		expect(settings.effectRanges.strobe).toEqual({ min: 80, max: 95 });
-		expect(settings.effectRanges.reserved).toEqual({ min: 96, max: 127 });
+		expect(settings.effectRanges.split).toEqual({ min: 0, max: 15, stacking: 'last' });
+		expect(settings.effectRanges.mirror).toEqual({ min: 16, max: 31, stacking: 'last' });
+		expect(settings.effectRanges.offset).toEqual({ min: 32, max: 47, stacking: 'last' });
+		expect(settings.effectRanges.color).toEqual({ min: 48, max: 63, stacking: 'last' });
+		expect(settings.effectRanges.glitch).toEqual({ min: 64, max: 79, stacking: 'last' });
+		expect(settings.effectRanges.strobe).toEqual({ min: 80, max: 95, stacking: 'last' });
+		expect(settings.effectRanges.palette).toEqual({ min: 96, max: 111, stacking: 'last' });
+		expect(settings.effectRanges.feedback).toEqual({ min: 112, max: 119, stacking: 'last' });
+		expect(settings.effectRanges.reserved).toEqual({ min: 120, max: 127 });
 	});
 });
 
@@ -155,4 +155,270 @@ describe('MIDI', () => {
 
 		midi.destroy();
 	});
+
+	test('pitch bend, channel pressure and poly pressure are parsed', async () => {
+		const env = recreateEnv([{ id: 'fake-expression', name: 'Fake MIDI Input Expression' }]);
+
+		vi.resetModules();
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+
+		const pitchBendSpy = vi.spyOn(appState, 'dispatchMIDIPitchBend');
+		const channelPressureSpy = vi.spyOn(appState, 'dispatchMIDIChannelPressure');
+		const polyPressureSpy = vi.spyOn(appState, 'dispatchMIDIPolyPressure');
+		const fakeInput = env.getInputById('fake-expression');
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0xe2, 0x01, 0x40]) });
+		// Channel pressure has a single data byte
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0xd9, 90]) });
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0xac, 16, 70]) });
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0xe2, 0x01]) });
+
+		expect(pitchBendSpy).toHaveBeenCalledTimes(1);
+		expect(pitchBendSpy).toHaveBeenCalledWith(2, 0x2001);
+		expect(channelPressureSpy).toHaveBeenCalledWith(9, 90);
+		expect(polyPressureSpy).toHaveBeenCalledWith(12, 16, 70);
+
+		pitchBendSpy.mockRestore();
+		channelPressureSpy.mockRestore();
+		polyPressureSpy.mockRestore();
+		midi.destroy();
+	});
+
+	test('a learned tempo note triggers its action and never reaches the visuals', async () => {
+		const env = recreateEnv([{ id: 'fake-tap', name: 'Fake MIDI Input Tap' }]);
+
+		vi.resetModules();
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+		appState.controlBindings.bindNote('tempo.tap', 15, 36);
+
+		const tempoSpy = vi.spyOn(appState, 'triggerTempoAction');
+		const noteOnSpy = vi.spyOn(appState, 'dispatchMIDINoteOn');
+		const noteOffSpy = vi.spyOn(appState, 'dispatchMIDINoteOff');
+		const fakeInput = env.getInputById('fake-tap');
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0x9f, 36, 100]) });
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0x8f, 36, 0]) });
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0x9f, 37, 100]) });
+
+		expect(tempoSpy).toHaveBeenCalledTimes(1);
+		expect(tempoSpy.mock.calls[0][0]).toBe('tap');
+		expect(noteOnSpy).toHaveBeenCalledTimes(1);
+		expect(noteOnSpy).toHaveBeenCalledWith(15, 37, 100);
+		expect(noteOffSpy).not.toHaveBeenCalled();
+
+		tempoSpy.mockRestore();
+		noteOnSpy.mockRestore();
+		noteOffSpy.mockRestore();
+		appState.reset();
+		localStorage.clear();
+		midi.destroy();
+	});
+
+	test('Song Position Pointer is parsed as a 14-bit value (LSB first)', async () => {
+		const env = recreateEnv([{ id: 'fake-spp', name: 'Fake MIDI Input SPP' }]);
+
+		vi.resetModules();
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+
+		const songPositionSpy = vi.spyOn(appState, 'dispatchMIDISongPosition');
+		const fakeInput = env.getInputById('fake-spp');
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0xf2, 0x10, 0x01]) });
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0xf2, 0x10]) });
+
+		expect(songPositionSpy).toHaveBeenCalledTimes(1);
+		expect(songPositionSpy).toHaveBeenCalledWith(144);
+
+		songPositionSpy.mockRestore();
+		midi.destroy();
+	});
+
+	test('MIDI Learn: a note on an armed channel target is consumed and later notes are routed', async () => {
+		const env = recreateEnv([{ id: 'fake-6', name: 'Fake MIDI Input 6' }]);
+
+		vi.resetModules();
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+
+		const noteOnSpy = vi.spyOn(appState, 'dispatchMIDINoteOn');
+		const noteOffSpy = vi.spyOn(appState, 'dispatchMIDINoteOff');
+		const fakeInput = env.getInputById('fake-6');
+
+		appState.armMidiLearn('channel.5');
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0x90, 60, 100]) });
+		expect(noteOnSpy).not.toHaveBeenCalled();
+
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0x90, 61, 100]) });
+		invokeListeners(fakeInput, 'midimessage', { data: new Uint8Array([0x80, 61, 0]) });
+		expect(noteOnSpy).toHaveBeenCalledWith(5, 61, 100);
+		expect(noteOffSpy).toHaveBeenCalledWith(5, 61);
+
+		noteOnSpy.mockRestore();
+		noteOffSpy.mockRestore();
+		appState.controlBindings.clear('channel.5');
+		localStorage.clear();
+		midi.destroy();
+	});
+
+	test('marks Web MIDI unavailable when access is denied or unsupported', async () => {
+		getEnv().requestMIDIAccessMock.mockRejectedValueOnce(new Error('denied'));
+
+		vi.resetModules();
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const errorSpy = vi.spyOn(appState, 'error').mockImplementation(() => {});
+		const midi = new Midi();
+		await midi.ready;
+
+		expect(appState.midiAvailable).toBe(false);
+		expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('on-screen controller'));
+		midi.destroy();
+
+		appState.reset();
+		delete globalThis.navigator.requestMIDIAccess;
+		new Midi().destroy();
+		expect(appState.midiAvailable).toBe(false);
+		errorSpy.mockRestore();
+	});
+});
+
+describe('MIDI feedback output', () => {
+	const { recreateEnv } = useFakeMIDIFixture([]);
+
+	test('sends LED updates only to configured outputs, honoring learned channel routing', async () => {
+		const env = recreateEnv(
+			[{ id: 'in-1', name: 'Pad Controller' }],
+			[
+				{ id: 'out-1', name: 'Pad Controller MIDI 1' },
+				{ id: 'out-2', name: 'DAW Bus' }
+			]
+		);
+
+		vi.resetModules();
+		const { default: settings } = await import('../src/js/core/settings.js');
+		settings.midiFeedback.outputNames = ['pad controller'];
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+
+		expect(midi.getConnectedOutputs()).toEqual(['Pad Controller MIDI 1']);
+		const padOutput = env.getOutputById('out-1');
+
+		appState.controlBindings.bindChannel('channel.5', 2);
+		appState.dispatchMIDIFeedback([{ channel: 5, note: 36, velocity: 21 }]);
+		expect(padOutput.send).toHaveBeenCalledWith([0x92, 36, 21]);
+		expect(env.getOutputById('out-2').send).not.toHaveBeenCalled();
+
+		// Hot-plugged outputs receive the current LED state
+		const lateOutput = env.connectOutput({ id: 'out-3', name: 'Pad Controller MIDI 2' });
+		expect(lateOutput.send).toHaveBeenCalledWith([0x92, 36, 21]);
+
+		midi.destroy();
+		expect(padOutput.send).toHaveBeenCalledWith([0x92, 36, 0]);
+
+		appState.controlBindings.clear('channel.5');
+		localStorage.clear();
+		settings.midiFeedback.outputNames = [];
+	});
+
+	test('lights pads on the channel a remapped device sends them on', async () => {
+		const env = recreateEnv([{ id: 'in-1', name: 'Pad Controller' }], [{ id: 'out-1', name: 'Pad Controller' }]);
+
+		vi.resetModules();
+		const { default: settings } = await import('../src/js/core/settings.js');
+		settings.midiFeedback.outputNames = ['pad controller'];
+		settings.midiDevices.channelRemap = [{ device: 'pad controller', channelOffset: 4 }];
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+		const padOutput = env.getOutputById('out-1');
+
+		appState.dispatchMIDIFeedback([{ channel: 5, note: 36, velocity: 21 }]);
+		expect(padOutput.send).toHaveBeenLastCalledWith([0x91, 36, 21]);
+
+		// Overlay overrides are keyed by the input's name
+		appState.setMidiInputChannelOffset({ id: 'in-1', name: 'Pad Controller' }, 2);
+		appState.controlBindings.bindChannel('channel.5', 4);
+		appState.dispatchMIDIFeedback([{ channel: 5, note: 37, velocity: 21 }]);
+		// Learned channel 4 and channel 5 itself, each sent on by the device 2 channels lower
+		expect(padOutput.send.mock.calls.slice(-2)).toEqual([[[0x92, 37, 21]], [[0x93, 37, 21]]]);
+
+		midi.destroy();
+		appState.controlBindings.clear('channel.5');
+		localStorage.clear();
+		settings.midiFeedback.outputNames = [];
+		settings.midiDevices.channelRemap = [];
+	});
+});
+
+describe('MIDI input device policy', () => {
+	const { recreateEnv } = useFakeMIDIFixture([]);
+
+	test('blocked devices are ignored and remapped devices drive the routed channel', async () => {
+		const env = recreateEnv([
+			{ id: 'pads', name: 'Pad Controller' },
+			{ id: 'echo', name: 'DAW Echo' }
+		]);
+
+		vi.resetModules();
+		const { default: settings } = await import('../src/js/core/settings.js');
+		settings.midiDevices.deny = ['daw echo'];
+		settings.midiDevices.channelRemap = [{ device: 'pad controller', channelOffset: 5 }];
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+
+		expect(appState.midiInputs.map(input => input.name)).toEqual(['Pad Controller', 'DAW Echo']);
+		const noteOnSpy = vi.spyOn(appState, 'dispatchMIDINoteOn');
+		const controlChangeSpy = vi.spyOn(appState, 'dispatchMIDIControlChange');
+
+		invokeListeners(env.getInputById('echo'), 'midimessage', { data: new Uint8Array([0x90, 60, 100]) });
+		invokeListeners(env.getInputById('pads'), 'midimessage', { data: new Uint8Array([0x90, 61, 100]) });
+		invokeListeners(env.getInputById('pads'), 'midimessage', { data: new Uint8Array([0xb1, 16, 64]) });
+
+		expect(noteOnSpy).toHaveBeenCalledTimes(1);
+		expect(noteOnSpy).toHaveBeenCalledWith(5, 61, 100);
+		expect(controlChangeSpy).toHaveBeenCalledWith(6, 16, 64);
+
+		// Unblocking from the overlay applies immediately
+		appState.setMidiInputEnabled({ id: 'echo', name: 'DAW Echo' }, true);
+		invokeListeners(env.getInputById('echo'), 'midimessage', { data: new Uint8Array([0x90, 60, 100]) });
+		expect(noteOnSpy).toHaveBeenCalledWith(0, 60, 100);
+
+		midi.destroy();
+		localStorage.clear();
+		settings.midiDevices.deny = [];
+		settings.midiDevices.channelRemap = [];
+	});
+
+	test('midiConnected ignores blocked devices and follows policy changes', async () => {
+		recreateEnv([{ id: 'echo', name: 'DAW Echo' }]);
+
+		vi.resetModules();
+		const { default: settings } = await import('../src/js/core/settings.js');
+		settings.midiDevices.deny = ['echo'];
+		const { default: appState } = await import('../src/js/core/AppState.js');
+		const { default: Midi } = await import('../src/js/midi-input/Midi.js');
+		const midi = new Midi();
+		await midi.ready;
+
+		expect(appState.midiConnected).toBe(false);
+		appState.setMidiInputEnabled({ id: 'echo', name: 'DAW Echo' }, true);
+		expect(appState.midiConnected).toBe(true);
+
+		midi.destroy();
+		localStorage.clear();
+		settings.midiDevices.deny = [];
+	});
 });
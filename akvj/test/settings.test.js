@@ -3,7 +3,7 @@
  * Ensures structural integrity, value constraints, and channel mapping correctness.
  */
 import { describe, test, expect } from 'vitest';
-import settings from '../src/js/core/settings.js';
+import settings, { mergeProjectSettings, overlaySceneSettings } from '../src/js/core/settings.js';
 
 describe('settings', () => {
 	describe('canvas', () => {
@@ -84,12 +84,16 @@ describe('settings', () => {
 			expect(settings.channelMapping.projectSelection).toBe(13);
 		});
 
-		test('reserved channels are 14-15', () => {
-			expect(settings.channelMapping.reserved).toEqual([14, 15]);
+		test('scene selection on channel 14', () => {
+			expect(settings.channelMapping.sceneSelection).toBe(14);
+		});
+
+		test('reserved channel is 15', () => {
+			expect(settings.channelMapping.reserved).toEqual([15]);
 		});
 
 		test('all channels 0-15 are accounted for with no overlaps', () => {
-			const allMapped = [...settings.channelMapping.layerGroupA, settings.channelMapping.mixer, ...settings.channelMapping.layerGroupB, settings.channelMapping.mixedOutputEffects, ...settings.channelMapping.layerGroupC, settings.channelMapping.globalEffects, settings.channelMapping.projectSelection, ...settings.channelMapping.reserved];
+			const allMapped = [...settings.channelMapping.layerGroupA, settings.channelMapping.mixer, ...settings.channelMapping.layerGroupB, settings.channelMapping.mixedOutputEffects, ...settings.channelMapping.layerGroupC, settings.channelMapping.globalEffects, settings.channelMapping.projectSelection, settings.channelMapping.sceneSelection, ...settings.channelMapping.reserved];
 			expect(allMapped).toHaveLength(16);
 			expect(new Set(allMapped).size).toBe(16);
 			for (let ch = 0; ch < 16; ch++) {
@@ -99,8 +103,8 @@ describe('settings', () => {
 	});
 
 	describe('scrub', () => {
-		test('defines unique CC numbers for each layer group and mixer', () => {
-			const ccValues = [settings.scrub.layerGroupA_CC, settings.scrub.layerGroupB_CC, settings.scrub.layerGroupC_CC, settings.scrub.mixer_CC];
+		test('defines unique CC numbers for each layer group, mixer and crossfader', () => {
+			const ccValues = [settings.scrub.layerGroupA_CC, settings.scrub.layerGroupB_CC, settings.scrub.layerGroupC_CC, settings.scrub.mixer_CC, settings.scrub.crossfader_CC];
 			expect(new Set(ccValues).size).toBe(ccValues.length);
 		});
 
@@ -134,6 +138,31 @@ describe('settings', () => {
 			expect(ranges[0].min).toBe(0);
 			expect(ranges.at(-1).max).toBe(127);
 		});
+
+		test('stacking policies are last, stack or max', () => {
+			for (const { stacking = 'last' } of Object.values(settings.effectRanges)) {
+				expect(['last', 'stack', 'max']).toContain(stacking);
+			}
+		});
+	});
+
+	describe('mergeProjectSettings', () => {
+		test('merges effect parameters, chain order per channel and stacking policies', () => {
+			const merged = mergeProjectSettings({ effectParams: { splitMax: 4 }, effectChain: { globalEffects: ['strobe', 'glitch'] }, effectStacking: { glitch: 'stack' } });
+			expect(merged.effectParams).toEqual({ ...settings.effectParams, splitMax: 4 });
+			expect(merged.effectChain).toEqual({ mixedOutputEffects: null, globalEffects: ['strobe', 'glitch'] });
+			expect(merged.effectStacking).toEqual({ glitch: 'stack' });
+			expect(merged.effectRanges).toBe(settings.effectRanges);
+		});
+
+		test('scene settings merge into the project sections key by key and replace lists', () => {
+			const projectSettings = { effectParams: { splitMax: 4, palettes: ['cga'] }, lfos: [{ target: 'opacity', channel: 0 }] };
+			const overlaid = overlaySceneSettings(projectSettings, { effectParams: { palettes: ['gameboy'] }, effectStacking: { glitch: 'stack' }, lfos: [] });
+			expect(overlaid).toEqual({ effectParams: { splitMax: 4, palettes: ['gameboy'] }, effectStacking: { glitch: 'stack' }, lfos: [] });
+			expect(projectSettings.effectParams.palettes).toEqual(['cga']);
+			expect(overlaySceneSettings(projectSettings, null)).toBe(projectSettings);
+			expect(overlaySceneSettings(null, { lfos: [] })).toEqual({ lfos: [] });
+		});
 	});
 
 	describe('effectParams', () => {
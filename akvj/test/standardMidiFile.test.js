@@ -0,0 +1,87 @@
+/**
+ * Unit tests for Standard MIDI File parsing and writing.
+ */
+import { describe, test, expect } from 'vitest';
+import { createTempoEvent, createTickToMilliseconds, encodeStandardMidiFile, parseStandardMidiFile } from '../src/js/utils/standardMidiFile.js';
+
+function header(format, trackCount, ticksPerBeat) {
+	return [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, trackCount, ticksPerBeat >> 8, ticksPerBeat & 0xff];
+}
+
+function track(body) {
+	const length = body.length;
+	return [0x4d, 0x54, 0x72, 0x6b, 0, 0, length >> 8, length & 0xff, ...body];
+}
+
+describe('parseStandardMidiFile', () => {
+	test('reads delta times, running status and variable-length quantities', () => {
+		// Note on; note on after 200 ticks (two-byte delta) in running status; note off; end of track
+		const bytes = new Uint8Array([...header(0, 1, 96), ...track([0x00, 0x90, 0x3c, 0x64, 0x81, 0x48, 0x3e, 0x50, 0x10, 0x80, 0x3c, 0x00, 0x00, 0xff, 0x2f, 0x00])]);
+
+		const file = parseStandardMidiFile(bytes);
+
+		expect(file.format).toBe(0);
+		expect(file.ticksPerBeat).toBe(96);
+		expect(file.endTick).toBe(216);
+		expect(file.tracks).toEqual([
+			[
+				{ tick: 0, type: 'channel', bytes: [0x90, 0x3c, 0x64] },
+				{ tick: 200, type: 'channel', bytes: [0x90, 0x3e, 0x50] },
+				{ tick: 216, type: 'channel', bytes: [0x80, 0x3c, 0x00] }
+			]
+		]);
+	});
+
+	test('reads format 1 tracks, sysex and two-byte channel messages', () => {
+		const bytes = new Uint8Array([...header(1, 2, 480), ...track([0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20, 0x00, 0xff, 0x2f, 0x00]), ...track([0x00, 0xc0, 0x05, 0x00, 0xd0, 0x40, 0x0a, 0xf7, 0x01, 0xf8, 0x00, 0xff, 0x2f, 0x00])]);
+
+		const file = parseStandardMidiFile(bytes);
+
+		expect(file.tracks).toHaveLength(2);
+		expect(file.tracks[0][0]).toMatchObject({ tick: 0, type: 'meta', metaType: 0x51 });
+		expect(file.tracks[1]).toEqual([
+			{ tick: 0, type: 'channel', bytes: [0xc0, 0x05] },
+			{ tick: 0, type: 'channel', bytes: [0xd0, 0x40] },
+			{ tick: 10, type: 'sysex', status: 0xf7, data: new Uint8Array([0xf8]) }
+		]);
+	});
+
+	test('rejects files it cannot read', () => {
+		expect(() => parseStandardMidiFile(new Uint8Array([1, 2, 3]))).toThrow('Not a Standard MIDI File');
+		expect(() => parseStandardMidiFile(new Uint8Array([...header(2, 0, 96)]))).toThrow('format 2');
+		expect(() => parseStandardMidiFile(new Uint8Array([...header(0, 0, 0xe728)]))).toThrow('SMPTE');
+		expect(() => parseStandardMidiFile(new Uint8Array([...header(0, 1, 96), ...track([0x00, 0x3c, 0x64])]))).toThrow('running status');
+	});
+});
+
+describe('encodeStandardMidiFile', () => {
+	test('round-trips events through parseStandardMidiFile', () => {
+		const events = [createTempoEvent(0, 90), { tick: 0, type: 'channel', bytes: [0x95, 0x24, 0x7f] }, { tick: 20000, type: 'sysex', status: 0xf7, data: new Uint8Array([0xfa]) }, { tick: 20100, type: 'channel', bytes: [0x85, 0x24, 0x00] }];
+
+		const file = parseStandardMidiFile(encodeStandardMidiFile({ ticksPerBeat: 960, tracks: [events] }));
+
+		expect(file).toEqual({ format: 0, ticksPerBeat: 960, tracks: [events], endTick: 20100 });
+	});
+
+	test('writes end of track at endTick, so files can end after their last event', () => {
+		const events = [{ tick: 0, type: 'channel', bytes: [0x90, 0x24, 0x7f] }];
+
+		const file = parseStandardMidiFile(encodeStandardMidiFile({ ticksPerBeat: 96, tracks: [events, []], endTick: 384 }));
+
+		expect(file.endTick).toBe(384);
+		expect(file.tracks).toEqual([events, []]);
+	});
+});
+
+describe('createTickToMilliseconds', () => {
+	test('defaults to 120 BPM and follows tempo changes', () => {
+		const file = { ticksPerBeat: 100, tracks: [[createTempoEvent(200, 60)], [createTempoEvent(400, 240)]] };
+		const tickToMilliseconds = createTickToMilliseconds(file);
+
+		expect(tickToMilliseconds(100)).toBe(500);
+		expect(tickToMilliseconds(200)).toBe(1000);
+		expect(tickToMilliseconds(300)).toBe(2000);
+		expect(tickToMilliseconds(400)).toBe(3000);
+		expect(tickToMilliseconds(500)).toBe(3250);
+	});
+});
@@ -0,0 +1,69 @@
+/**
+ * Deterministic MIDI clock pulse timings that look like a USB hardware sequencer:
+ * pulses are delayed by random latency, delivered on 1 ms USB frames, and
+ * occasionally held back and delivered together with the next pulse.
+ */
+
+const PPQN = 24;
+const MS_PER_MINUTE = 60000;
+
+/**
+ * Small seeded PRNG (mulberry32) so every run feeds the same timings.
+ * @param {number} seed
+ * @returns {() => number} Random number in [0, 1)
+ */
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let value = state;
+		value = Math.imul(value ^ (value >>> 15), value | 1);
+		value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+		return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Generate pulse timestamps for one or more tempo segments.
+ * @param {Array<{bpm: number, pulses: number}>} segments - Consecutive tempos
+ * @param {Object} [options]
+ * @param {number} [options.jitterMs=4] - Maximum random delivery latency
+ * @param {number} [options.bunchProbability=0.05] - Chance a pulse is held back until the next one
+ * @param {number} [options.usbFrameMs=1] - Delivery quantization (0 disables)
+ * @param {number} [options.startTime=1000] - Time of the first ideal pulse
+ * @param {number} [options.seed=1] - PRNG seed
+ * @returns {number[]} Timestamps in delivery order
+ */
+export function createJitteryClock(segments, { jitterMs = 4, bunchProbability = 0.05, usbFrameMs = 1, startTime = 1000, seed = 1 } = {}) {
+	const random = createRandom(seed);
+	const idealTimes = [];
+	let time = startTime;
+	for (const { bpm, pulses } of segments) {
+		const interval = MS_PER_MINUTE / (bpm * PPQN);
+		for (let pulse = 0; pulse < pulses; pulse++) {
+			idealTimes.push(time);
+			time += interval;
+		}
+	}
+
+	const deliveredTimes = idealTimes.map(idealTime => {
+		const delivered = idealTime + random() * jitterMs;
+		return usbFrameMs > 0 ? Math.ceil(delivered / usbFrameMs) * usbFrameMs : delivered;
+	});
+	for (let index = 0; index < deliveredTimes.length - 1; index++) {
+		if (random() < bunchProbability) {
+			deliveredTimes[index] = deliveredTimes[index + 1];
+		}
+	}
+	return deliveredTimes;
+}
+
+/**
+ * Feed timestamps to a clock consumer and collect what it reports after each pulse.
+ * @param {number[]} timestamps
+ * @param {(timestamp: number) => number|null} addPulse - Returns the current BPM estimate
+ * @returns {Array<number|null>}
+ */
+export function feedPulses(timestamps, addPulse) {
+	return timestamps.map(timestamp => addPulse(timestamp));
+}
@@ -30,11 +30,17 @@ function createFakeInput({ id = 'fake-1', name = 'Fake MIDI Input' } = {}) {
 	};
 }
 
-function createFakeAccess(inputs = []) {
+function createFakeOutput({ id = 'fake-out-1', name = 'Fake MIDI Output' } = {}) {
+	return { id, name, type: 'output', send: vi.fn() };
+}
+
+function createFakeAccess(inputs = [], outputs = []) {
 	const inputMap = new Map(inputs.map(input => [input.id, input]));
+	const outputMap = new Map(outputs.map(output => [output.id, output]));
 	const listenersByType = new Map();
 	return {
 		inputs: inputMap,
+		outputs: outputMap,
 		getListeners(eventName) {
 			return listenersByType.get(eventName) ?? [];
 		},
@@ -55,8 +61,9 @@ function createFakeAccess(inputs = []) {
 
 /**
  * Create a fake MIDI environment for tests. Returns a small helper object
- * containing `inputs`, `access`, `requestMIDIAccessMock`, and a `teardown`
+ * containing `inputs`, `outputs`, `access`, `requestMIDIAccessMock`, and a `teardown`
  * function to restore `navigator.requestMIDIAccess` and clear any test state.
+ * Fake outputs record sent messages on their `send` mock.
  *
  * Example usage:
  * const env = createFakeMIDIEnvironment([{ id: 'i1', name: 'Fake 1' }]);
@@ -64,13 +71,15 @@ function createFakeAccess(inputs = []) {
  * // env.inputs[0] is the fake input
  */
 
-export function createFakeMIDIEnvironment(inputDefinitions = [{ id: 'fake', name: 'Fake' }]) {
+export function createFakeMIDIEnvironment(inputDefinitions = [{ id: 'fake', name: 'Fake' }], outputDefinitions = []) {
 	const inputs = inputDefinitions.map(definition => createFakeInput(definition));
-	const access = createFakeAccess(inputs);
+	const outputs = outputDefinitions.map(definition => createFakeOutput(definition));
+	const access = createFakeAccess(inputs, outputs);
 	const requestMIDIAccessMock = vi.fn().mockResolvedValue(access);
 
 	return {
 		inputs,
+		outputs,
 		access,
 		requestMIDIAccessMock,
 		getInputById(id) {
@@ -82,6 +91,15 @@ export function createFakeMIDIEnvironment(inputDefinitions = [{ id: 'fake', name
 		disconnectInput(id) {
 			return disconnectInputById(inputs, access, id);
 		},
+		getOutputById(id) {
+			return access.outputs.get(id) ?? null;
+		},
+		connectOutput(definition) {
+			const output = createFakeOutput(definition);
+			access.outputs.set(output.id, output);
+			notifyStateChangeHandlers(access, Object.assign(output, { state: 'connected' }));
+			return output;
+		},
 		triggerStateChange(port) {
 			notifyStateChangeHandlers(access, port);
 		},
@@ -9,18 +9,18 @@ import { createFakeMIDIEnvironment } from './fakeMidi.js';
  * const { getEnv, recreateEnv } = useFakeMIDIFixture([{ id: 'fake-1', name: 'Fake MIDI Input' }]);
  *
  * getEnv() -> returns the current environment instance
- * recreateEnv(inputDefinitions) -> replaces the current env with a new one built from inputDefinitions
+ * recreateEnv(inputDefinitions, outputDefinitions) -> replaces the current env with a new one built from the definitions
  */
 export function useFakeMIDIFixture(defaultInputDefinitions = [{ id: 'fake-1', name: 'Fake MIDI Input' }]) {
 	let env = null;
 
 	let originalRequestMIDIAccess;
 
-	const setupEnv = inputDefinitions => {
+	const setupEnv = (inputDefinitions, outputDefinitions = []) => {
 		if (env && typeof env.teardown === 'function') {
 			env.teardown();
 		}
-		env = createFakeMIDIEnvironment(inputDefinitions);
+		env = createFakeMIDIEnvironment(inputDefinitions, outputDefinitions);
 		originalRequestMIDIAccess = globalThis.navigator?.requestMIDIAccess;
 		if (!globalThis.navigator) {
 			globalThis.navigator = {};
@@ -49,7 +49,7 @@ export function useFakeMIDIFixture(defaultInputDefinitions = [{ id: 'fake-1', na
 	});
 
 	const getEnv = () => env;
-	const recreateEnv = inputDefinitions => setupEnv(inputDefinitions);
+	const recreateEnv = (inputDefinitions, outputDefinitions) => setupEnv(inputDefinitions, outputDefinitions);
 
 	return { getEnv, recreateEnv };
 }
@@ -39,6 +39,7 @@ export function createMockContext() {
 export function createMockCanvasContext() {
 	return {
 		fillRect: vi.fn(),
+		clearRect: vi.fn(),
 		drawImage: vi.fn(),
 		createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
 		getImageData: vi.fn(() => ({
@@ -30,6 +30,10 @@ export default defineConfig({
 		}
 	},
 	plugins: [reloadOnClipChange()],
+	worker: {
+		// The render worker imports effect plugins at runtime, which needs an ES module worker
+		format: 'es'
+	},
 	server: {
 		host: '127.0.0.1',
 		port: 8888,